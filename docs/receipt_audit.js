@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+'use strict';
+
+// Offline receipt audit: verifies every room's receipt chain, rules hashes
+// and balances, and reconstructs realized RTP per room, tier and weapon.
+//   DATA_DIR=/srv/fish/data node docs/receipt_audit.js [report.md]
+
+const path = require('path');
+const fs = require('fs');
+const { auditReceipts, renderAuditReport } = require('../src/modules/ReceiptAudit');
+
+const dataDir = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+const reportPath = path.resolve(process.argv[2] || path.join(__dirname, 'receipt_audit_report.md'));
+
+console.log('=== Receipt Audit ===');
+console.log(`Data: ${dataDir}\n`);
+
+const report = auditReceipts(dataDir);
+if (report.summary.total === 0) {
+    console.log(`No receipt files under ${path.join(dataDir, 'receipts')}`);
+}
+for (const room of report.rooms) {
+    const issues = [];
+    if (!room.chain.valid) issues.push(room.chain.error);
+    if (room.badLines.length > 0) issues.push(`unparseable lines ${room.badLines.join(', ')}`);
+    if (room.rules.unknown.length > 0) issues.push(`${room.rules.unknown.length} unknown rules hash(es)`);
+    if (!room.balances.valid) issues.push(room.balances.error);
+    if (room.chain.unsignedPrefix) issues.push(`${room.chain.unsignedPrefix} unsigned receipt(s) from before signing (recorded prefix)`);
+    console.log(`  ${room.pass ? 'PASS' : 'FAIL'}  ${room.roomId} (${room.receipts} receipts)${issues.length ? ': ' + issues.join('; ') : ''}`);
+}
+if (report.signatureKeys === null) console.log('\n  WARN: no keyring.json, signatures not checked');
+if (report.configVersions === null) console.log('  WARN: no config-versions.jsonl, every rules hash is unknown');
+
+fs.writeFileSync(reportPath, renderAuditReport(report), 'utf8');
+console.log(`\n=== SUMMARY: ${report.summary.pass} PASS / ${report.summary.fail} FAIL / ${report.summary.total} rooms ===`);
+console.log(`Report written to ${reportPath}`);
+
+process.exit(report.summary.fail > 0 ? 1 : 0);
@@ -8,7 +8,8 @@ const {
     WEIGHT_SCALE,
     TIER_CONFIG,
     AOE_MAX_TARGETS,
-    LASER_MAX_TARGETS
+    LASER_MAX_TARGETS,
+    PENETRATING_MAX_TARGETS
 } = require('../src/modules/RTPPhase1');
 const { serverCSPRNG } = require('../src/rng/CSPRNG');
 
@@ -130,10 +131,16 @@ const sectionBAssertions = { before: PASS + FAIL };
 const DENSITY_NS = [1, 2, 4, 8, 16, 32, 64, 128];
 const DENSITY_SHOTS = 10000;
 
-for (const weaponType of ['aoe', 'laser']) {
-    const cap = weaponType === 'aoe' ? AOE_MAX_TARGETS : LASER_MAX_TARGETS;
-    const weaponCost = weaponType === 'aoe' ? 5 * MONEY_SCALE : 8 * MONEY_SCALE;
-    const typeLabel = weaponType === 'aoe' ? '5x-AOE' : '8x-Laser';
+const DENSITY_WEAPONS = {
+    aoe: { cap: AOE_MAX_TARGETS, cost: 5, label: '5x-AOE' },
+    laser: { cap: LASER_MAX_TARGETS, cost: 8, label: '8x-Laser' },
+    penetrating: { cap: PENETRATING_MAX_TARGETS, cost: 20, label: '20x-Pen' }
+};
+
+for (const weaponType of Object.keys(DENSITY_WEAPONS)) {
+    const cap = DENSITY_WEAPONS[weaponType].cap;
+    const weaponCost = DENSITY_WEAPONS[weaponType].cost * MONEY_SCALE;
+    const typeLabel = DENSITY_WEAPONS[weaponType].label;
 
     console.log(`  ${typeLabel} (cap=${cap}, cost=${weaponCost/MONEY_SCALE}):`);
     const header = '    ' + 'N'.padEnd(6) + 'EffN'.padEnd(6) +
@@ -4,23 +4,69 @@
  * 
  * Features:
  * - Server-authoritative fish spawning and movement (2D plane, Y is visual only)
- * - 4-player support with positioned cannons
- * - Pure Contribution-Based reward system (rewards distributed by damage percentage)
- * - Boss fish system
- * - Weapon multipliers (1x, 3x, 5x, 8x)
+ * - Per-species movement patterns sampled from a shared path descriptor
+ * - Formation spawns (bait balls, sardine waves, tuna lines, tang schools)
+ * - Named table layouts (tank bounds, cannon seat maps, fish entry edges)
+ * - Configurable seat count (up to 8) with spectator overflow and seat promotion
+ * - Contribution-based reward split by spend, plus an optional multiplayer finisher pool
+ * - Boss fish system driven by a declarative wave timeline (normal, fish tide, formation burst, boss)
+ * - Multi-phase boss encounters (RTP-progress phases, enrage, scripted escape)
+ * - Special-effect fish (bomb AOE, chain lightning, freeze) settled via RTPPhase1
+ * - Lock-on targeting with server-side homing bullets
+ * - Server-driven auto-fire with player-set shot / spend caps
+ * - Optional per-room bullet ricochet off the tank walls
+ * - Purchasable power-up items (freeze, slow, frenzy), receipted and outside RTP
+ * - Data-driven weapon catalogue (1x-100x) with pluggable archetype resolvers
+ * - RTP budget state and fish table snapshots in a pluggable store (file / Redis)
+ * - Live RTP ledger (cost, payout, kills by reason, budget debt) per player, room, weapon and tier
+ * - Kill rolls committed to the room seed (client seed + nonce), replayable after a seed reveal
+ * - Player client seeds mixed into the room's HP seed (HMAC(serverSeed, clientSeeds ‖ nonce))
+ * - Scheduled seed rotation (spawn count / time window) with a public reveal history
+ * - Ed25519-signed audit receipts with a rotatable, published server key
+ * - Merkle checkpoints over receipt batches with per-receipt inclusion proofs
+ * - Balance receipts (buy-in, shot debits, kill credits, cash-out) and enforcement receipts
  * - Seeded RNG for deterministic fish spawning
  */
 
 const { performance } = require('perf_hooks');
 
-// M3: Seed commitment for provably fair HP derivation
+// M3: Seed commitment for provably fair HP derivation and kill rolls
 const { RoomSeedManager } = require('./src/modules/SeedCommitment');
 // M5: Audit receipt chain
-const { ReceiptChain, createFishDeathReceipt } = require('./src/modules/AuditReceipt');
+const {
+    ReceiptChain, ENFORCEMENT_RECEIPT_INTERVAL_MS, createFishDeathReceipt, createFishEscapeReceipt, createSpecialEffectReceipt, createItemPurchaseReceipt,
+    createSessionOpenReceipt, createSessionCloseReceipt, createShotDebitReceipt, createKillCreditReceipt, createEnforcementReceipt
+} = require('./src/modules/AuditReceipt');
+// M5: Ed25519 receipt signatures (server key, published at /api/governance/keys)
+const { receiptSigner } = require('./src/modules/ReceiptSigner');
 // M4: Anomaly detection for hit rate tracking
 const { anomalyDetector } = require('./src/modules/AnomalyDetector');
 // RTP Phase 1: Probabilistic kill system
-const { RTPPhase1, MONEY_SCALE, TIER_CONFIG, AOE_MAX_TARGETS, LASER_MAX_TARGETS } = require('./src/modules/RTPPhase1');
+const { RTPPhase1, MONEY_SCALE, WEIGHT_SCALE, TIER_CONFIG, LASER_MAX_TARGETS, PENETRATING_MAX_TARGETS } = require('./src/modules/RTPPhase1');
+// Server-side movement patterns (species movementPattern -> path curve)
+const { samplePath } = require('./src/modules/MovementPatterns');
+// Formation (school) spawns sharing a leader path
+const { FORMATIONS, formationOffsets, memberPath } = require('./src/modules/FormationSpawner');
+// Declarative wave/scene timeline (replaces hard-coded boss wave triggers)
+const { WaveTimeline, DEFAULT_TIMELINE, validateTimeline, loadTimeline } = require('./src/modules/WaveTimeline');
+// Boss encounter phases / enrage / escape (presentation only, RTP untouched)
+const { BossEncounter } = require('./src/modules/BossEncounter');
+// Special-effect fish (bomb / chain lightning / freeze)
+const { SPECIAL_EFFECTS, isEffectFunded, selectBombTargets, selectChainTargets } = require('./src/modules/SpecialFish');
+// Per-room bullet ricochet off the tank walls
+const { RICOCHET, resolveRicochet, advanceWithRicochet } = require('./src/modules/Ricochet');
+// Table layouts: bounds, cannon seats, spawn edges
+const { DEFAULT_LAYOUT, MAX_SPECTATORS, validateLayout, getLayout, describeLayout } = require('./src/modules/TableLayouts');
+// Weapon catalogue (src/config/weapons.json) and per-archetype resolvers
+const { getWeaponResolver, loadWeaponCatalogue } = require('./src/modules/WeaponCatalogue');
+// Purchasable power-up items (not bets: outside RTP settlement)
+const { MAX_ITEM_STACK, getItem } = require('./src/modules/PowerUpItems');
+// Kill reward split: contribution shares + finisher pool
+const { resolveFinisherPoolPercent, splitReward } = require('./src/modules/RewardSplit');
+// Live RTP counters per room / player / weapon / tier (observe-only)
+const { RTPLedger } = require('./src/modules/RTPLedger');
+// Pluggable persistence of RTPPhase1 state + fish table (survives crash / deploy)
+const { STATE_VERSION, STATE_SAVE_INTERVAL_MS, createSeatToken, hashSeatToken, saveRoomState, deleteRoomState } = require('./src/modules/RTPStateStore');
 
 /**
  * Seeded Random Number Generator (Mulberry32)
@@ -217,17 +263,41 @@ const FISH_SPECIES = {
         color: 0xffaa44, movementPattern: 'verticalDrift'
     },
     
+    // ==================== SPECIAL: room effect on kill (see SpecialFish.js) ====================
+    // Bomb / eel rewards fund their effect settlement instead of paying directly
+    bombFish: {
+        id: 24, name: 'Bomb Fish', category: 'special', tier: 3,
+        health: 120, hpRange: [100, 150], multiplier: 0, rewardRange: [0, 0],
+        speed: 30, size: 28, spawnWeight: 2, isSpecial: true, specialType: 'bomb',
+        color: 0x333333, movementPattern: 'slowRotation'
+    },
+    lightningEel: {
+        id: 25, name: 'Lightning Eel', category: 'special', tier: 3,
+        health: 120, hpRange: [100, 150], multiplier: 0, rewardRange: [0, 0],
+        speed: 45, size: 35, spawnWeight: 2, isSpecial: true, specialType: 'chainLightning',
+        color: 0x66ccff, movementPattern: 'sShape'
+    },
+    freezeCrab: {
+        id: 26, name: 'Freeze Crab', category: 'special', tier: 2,
+        health: 60, hpRange: [50, 80], multiplier: 55, rewardRange: [46, 74],
+        speed: 20, size: 24, spawnWeight: 2, isSpecial: true, specialType: 'freeze',
+        color: 0x99eeff, movementPattern: 'stopAndGo'
+    },
+    
 };
 
 // Calculate total spawn weight
 const TOTAL_SPAWN_WEIGHT = Object.values(FISH_SPECIES).reduce((sum, fish) => sum + fish.spawnWeight, 0);
 
-const WEAPONS = {
-    '1x': { multiplier: 1, cost: 1, cooldown: 200, damage: 1, type: 'projectile', features: [] },
-    '3x': { multiplier: 3, cost: 3, cooldown: 300, damage: 3, type: 'spread', pellets: 3, pelletCost: 1, features: [] },
-    '5x': { multiplier: 5, cost: 5, cooldown: 400, damage: 5, type: 'rocket', aoeRadius: 15, maxTargets: 8, features: [] },
-    '8x': { multiplier: 8, cost: 8, cooldown: 500, damage: 8, type: 'laser', maxTargets: 6, features: ['penetrating'] }
-};
+const BOSS_TYPES = Object.keys(FISH_SPECIES).filter(name => FISH_SPECIES[name].isBoss);
+
+// WEAPON_CATALOGUE env var overrides the bundled catalogue file
+const WEAPONS = loadWeaponCatalogue(process.env.WEAPON_CATALOGUE || undefined);
+
+// Fish speed scaling - reduces fish speed to keep them on screen longer
+// Original speeds caused fish to cross the map in 2-5 seconds
+// With 0.15 scale, fish stay on screen ~20-30 seconds
+const FISH_SPEED_SCALE = 0.15;
 
 
 /**
@@ -239,24 +309,44 @@ class Fish3DGameEngine {
         const seed = (typeof options === 'number') ? options : null;
         this.rng = new SeededRNG(seed || Date.now());
         
-        // M3: Seed commitment manager for provably fair HP
-        this.seedManager = new RoomSeedManager(roomCode);
+        // M3: Seed commitment manager for provably fair HP and kill rolls
+        // options.seedRotation: { rotateEverySpawns, rotateEveryMs } (default: SEED_ROTATE_* env)
+        this.seedManager = new RoomSeedManager(roomCode, (options && options.seedRotation) || {});
+        this.announcedSeedRotations = 0;
         
-        // M5: Receipt chain for audit trail
-        this.receiptChain = new ReceiptChain(roomCode);
+        // M5: Receipt chain for audit trail, signed with the server key
+        this.receiptChain = new ReceiptChain(roomCode, { signer: receiptSigner });
         
         // M6: Config hash reference
         this.configHashManager = (options && options.configHashManager) || null;
         
-        // M2: Finisher pool config (0% for single-player per DEC-M2-002)
-        this.finisherPoolPercent = 0;
+        // Room rules: options.ricochet = true | bounce count (part of the room rules hash)
+        this.ricochet = resolveRicochet(options && options.ricochet);
         
-        // RTP Phase 1: Probabilistic kill settlement
-        this.rtpEngine = new RTPPhase1();
+        // Single-player room (options.singlePlayer); recorded so a restored room comes back the same
+        this.singlePlayer = !!(options && options.singlePlayer);
         
-        // Player management (max 4 players)
+        // M2: Finisher pool percent (options.finisherPoolPercent = true | 2-10; 0% for single-player per DEC-M2-002)
+        this.finisherPoolPercent = this.singlePlayer ? 0 : resolveFinisherPoolPercent(options && options.finisherPoolPercent);
+        
+        // RTP Phase 1: Probabilistic kill settlement, rolls committed via seedManager
+        this.rtpEngine = new RTPPhase1({ rollSource: (socketId, fishId) => this._rollKill(socketId, fishId) });
+        // Live RTP counters (observe-only, see getRTPReport)
+        this.rtpLedger = new RTPLedger();
+        
+        // RTP state persistence: options.stateStore (see RTPStateStore); null = in-memory only
+        this.stateStore = (options && options.stateStore) || null;
+        this.lastStateSave = 0;
+        this.stateSaveInFlight = false;
+        // Resume tokens: socketId -> token issued with the seat; restored seats
+        // wait for theirs: 'seat:<playerId>' -> token sha256 (null: unclaimable)
+        this.resumeTokens = new Map();
+        this.restoredSeats = new Map();
+        
+        // Player management (one player per layout seat, see below)
         this.players = new Map(); // socketId -> player data
-        this.maxPlayers = 4;
+        // Spectators receive room broadcasts but have no cannon; promoted FIFO when a seat frees
+        this.spectators = new Map(); // socketId -> { socketId, playerId, playerName, joinedAt }
         this.gameStarted = false;
         this.serverTick = 0;
         
@@ -267,10 +357,15 @@ class Fish3DGameEngine {
         this.fishSpawnInterval = 1500;
         this.lastFishSpawn = 0;
         
-        // Fish speed scaling - reduces fish speed to keep them on screen longer
-        // Original speeds caused fish to cross the map in 2-5 seconds
-        // With 0.15 scale, fish stay on screen ~20-30 seconds
-        this.FISH_SPEED_SCALE = 0.15;
+        // Formation spawns: chance that a periodic spawn emits a whole school
+        // (defaults; timeline phases may override both spawn settings)
+        this.formationChance = 0.15;
+        this.nextFormationId = 1;
+        
+        this.FISH_SPEED_SCALE = FISH_SPEED_SCALE;
+        
+        // Seconds a fish may stay outside the culling margin before first entering the tank
+        this.FISH_ENTRY_TIMEOUT = 10;
         
         // Bullet management
         this.bullets = new Map(); // bulletId -> bullet data
@@ -279,36 +374,41 @@ class Fish3DGameEngine {
         // Game constants
         this.BULLET_SPEED = 400;
         this.BULLET_LIFETIME = 4000;
+        this.HOMING_TURN_RATE = Math.PI * 6; // max lock-on bullet turn (rad/s)
         
         // Collision detection (2D plane)
         this.FISH_BASE_RADIUS = 2.5;
         this.BULLET_RADIUS = 0.5;
         
-        // Map bounds (matches 3D aquarium scaled to 2D)
-        // 3D aquarium: width=1800, depth=1200 -> 2D: x∈[-90,90], z∈[-60,60]
-        this.MAP_BOUNDS = {
-            minX: -90, maxX: 90,
-            minZ: -60, maxZ: 60
-        };
-        
-        // Cannon positions for 4 players (bottom edge, side by side)
-        // Matches MULTIPLAYER_ARCHITECTURE.md design
-        this.CANNON_POSITIONS = [
-            { x: -60, z: 55, rotation: 0 },      // Slot 0: Left
-            { x: -20, z: 55, rotation: 0 },      // Slot 1: Mid-left
-            { x:  20, z: 55, rotation: 0 },      // Slot 2: Mid-right
-            { x:  60, z: 55, rotation: 0 }       // Slot 3: Right
-        ];
-        
-        // Boss wave system
+        // Table layout: options.layout = layout name or inline definition.
+        // Sets map bounds, cannon seats (one per player) and fish entry edges.
+        // Default 'classic4' = 3D aquarium x∈[-90,90], z∈[-60,60], 4 cannons on the bottom edge
+        // options.seats opens only the first N layout seats (default: all)
+        this.layout = this._resolveLayout(options && options.layout);
+        const seats = options && options.seats;
+        this.maxPlayers = (Number.isInteger(seats) && seats >= 1 && seats <= this.layout.seats.length)
+            ? seats
+            : this.layout.seats.length;
+        this.MAP_BOUNDS = { ...this.layout.bounds };
+        this.CANNON_POSITIONS = this.layout.seats.slice(0, this.maxPlayers).map(seat => ({ ...seat }));
+        this.SPAWN_EDGES = [...this.layout.spawnEdges];
+        
+        // Boss wave system (started/ended by timeline boss phases)
         this.bossWaveActive = false;
         this.bossWaveStartTime = 0;
         this.bossWaveDuration = 30000;
-        this.normalWaveDuration = 90000;
-        this.lastWaveChange = 0;
-        this.killsSinceLastBoss = 0;
-        this.killsToTriggerBoss = 30;
         this.currentBoss = null;
+        this.bossEncounter = null;
+        
+        // Freeze effect: fish movement paused until this wall-clock time
+        this.frozenUntil = 0;
+        // Slow item: fish paths advance at slowScale until slowUntil
+        this.slowUntil = 0;
+        this.slowScale = 1;
+        
+        // Wave/scene timeline: options.timeline = timeline name or inline definition
+        this.timeline = new WaveTimeline(this._resolveTimeline(options && options.timeline));
+        this.phaseState = null;
         
         // Tick rates
         this.TICK_RATE = 60;
@@ -320,12 +420,21 @@ class Fish3DGameEngine {
     }
     
     /**
-     * Add a player to the game
+     * Add a player to the game.
+     * clientSeed: the player's M3 client seed (invalid / null = server-generated)
+     * resumeToken: required for a restored seat (see findRestoredSeat); a
+     * mismatch is refused (null). Other seats get a fresh token (getResumeToken).
      */
-    addPlayer(socketId, playerId, playerName = 'Player') {
+    addPlayer(socketId, playerId, playerName = 'Player', clientSeed = null, resumeToken = null) {
         if (this.players.size >= this.maxPlayers) {
             return null;
         }
+        const seat = `seat:${playerId}`;
+        const restoredSeat = this.restoredSeats.has(seat);
+        if (restoredSeat && !this._seatTokenMatches(seat, resumeToken)) {
+            console.warn(`[RTP-STATE] Room ${this.roomCode}: seat ${playerId} refused, resume token does not match`);
+            return null;
+        }
         
         const slotIndex = this.getNextSlot();
         if (slotIndex === -1) return null;
@@ -341,16 +450,24 @@ class Fish3DGameEngine {
             // Cannon state
             cannonX: cannonPos.x,
             cannonZ: cannonPos.z,
-            cannonYaw: 0,
+            cannonYaw: cannonPos.rotation,
             cannonPitch: 0,
             
             // Weapon state
             currentWeapon: '1x',
             lastShotTime: 0,
+            lockedFishId: null, // lock-on target (server-validated fishId)
+            autoFire: null,     // server-driven auto-fire state (see startAutoFire)
+            frenzyUntil: 0,     // frenzy item: weapon cooldown scaled until then
+            frenzyScale: 1,
             
             // Economy
             balance: 1000,
             score: 0,
+            inventory: {},      // itemId -> count (power-up items)
+            itemSpend: 0,       // item purchases, kept apart from shot cost
+            enforcement: {},    // 'action:reason' -> { at, suppressed } (see recordEnforcement)
+            sessionClosed: false,
             
             // Stats
             totalShots: 0,
@@ -363,6 +480,12 @@ class Fish3DGameEngine {
         };
         
         this.players.set(socketId, playerData);
+        this.resumeTokens.set(socketId, restoredSeat ? resumeToken : createSeatToken());
+        this._claimSeatState(playerData);
+        if (!this.seedManager.setClientSeed(playerId, clientSeed)) {
+            this.seedManager.setClientSeed(playerId);
+        }
+        this.receiptChain.addReceipt(createSessionOpenReceipt(playerData, this.getRoomRules(), this.getRulesHash(), this.getRulesVersion()));
         console.log(`[FISH3D-ENGINE] Player ${playerId} (${playerName}) joined at slot ${slotIndex}`);
         
         return playerData;
@@ -380,15 +503,101 @@ class Fish3DGameEngine {
     }
     
     /**
-     * Remove a player
+     * Add a spectator (room is full). Returns spectator data, or null when
+     * the spectator list is full or the socket is already in the room.
+     */
+    addSpectator(socketId, playerId, playerName = 'Player', clientSeed = null) {
+        if (this.spectators.size >= MAX_SPECTATORS) return null;
+        if (this.players.has(socketId) || this.spectators.has(socketId)) return null;
+        
+        const spectator = { socketId, playerId, playerName, clientSeed, joinedAt: Date.now() };
+        this.spectators.set(socketId, spectator);
+        console.log(`[FISH3D-ENGINE] Spectator ${playerId} (${playerName}) joined`);
+        return spectator;
+    }
+    
+    isSpectator(socketId) {
+        return this.spectators.has(socketId);
+    }
+    
+    /**
+     * Seat the longest-waiting spectator if a seat is free.
+     * Returns the new player data, or null.
+     */
+    promoteSpectator() {
+        if (this.players.size >= this.maxPlayers) return null;
+        const next = this.spectators.values().next().value;
+        if (!next) return null;
+        
+        this.spectators.delete(next.socketId);
+        const player = this.addPlayer(next.socketId, next.playerId, next.playerName, next.clientSeed);
+        if (player) {
+            console.log(`[FISH3D-ENGINE] Spectator ${next.playerId} promoted to slot ${player.slotIndex}`);
+        }
+        return player;
+    }
+    
+    /**
+     * Remove a player or spectator.
+     * A freed seat goes to the next spectator; returns that promoted player or null.
      */
-    removePlayer(socketId) {
+    removePlayer(socketId, reason = 'left') {
+        if (this.spectators.delete(socketId)) return null;
+        
         const player = this.players.get(socketId);
         if (player) {
             console.log(`[FISH3D-ENGINE] Player ${player.playerId} left`);
+            this._closeSession(player, reason);
             this.rtpEngine.clearPlayerStates(socketId);
+            this.seedManager.releaseClientSeed(player.playerId);
             this.players.delete(socketId);
+            this.resumeTokens.delete(socketId);
+            return this.promoteSpectator();
+        }
+        return null;
+    }
+    
+    // M5: Cash-out receipt; flushes enforcement repeats not yet receipted
+    _closeSession(player, reason) {
+        if (player.sessionClosed) return;
+        player.sessionClosed = true;
+        const suppressed = {};
+        for (const [key, entry] of Object.entries(player.enforcement)) {
+            if (entry.suppressed > 0) suppressed[key] = entry.suppressed;
+        }
+        this.receiptChain.addReceipt(createSessionCloseReceipt(player, reason, suppressed, this.getRulesHash(), this.getRulesVersion()));
+    }
+    
+    /**
+     * M5: Close every seated player's session (room closing, server shutdown)
+     */
+    closeSessions(reason) {
+        for (const player of this.players.values()) {
+            this._closeSession(player, reason);
+        }
+    }
+    
+    /**
+     * M5: ENFORCEMENT_ACTION receipt for a seated player (rejected shot,
+     * anomaly escalation). Repeats of one action + reason within
+     * ENFORCEMENT_RECEIPT_INTERVAL_MS are counted into the next receipt's
+     * `suppressed`, so a flood of rejects cannot flood the chain.
+     */
+    recordEnforcement(socketId, action, reason, detail = {}) {
+        const player = this.players.get(socketId);
+        if (!player) return null;
+        
+        const key = `${action}:${reason}`;
+        const now = Date.now();
+        const last = player.enforcement[key];
+        if (last && now - last.at < ENFORCEMENT_RECEIPT_INTERVAL_MS) {
+            last.suppressed++;
+            return null;
         }
+        player.enforcement[key] = { at: now, suppressed: 0 };
+        return this.receiptChain.addReceipt(createEnforcementReceipt(
+            player, action, reason, detail, last ? last.suppressed : 0, this.getRulesHash(), this.getRulesVersion()
+        ));
     }
     
     /**
@@ -415,30 +624,30 @@ class Fish3DGameEngine {
         const bounds = this.MAP_BOUNDS;
         const margin = 10;
         
-        // Random start edge (0=left, 1=right, 2=top, 3=bottom)
-        const startEdge = this.rng.nextInt(0, 3);
+        // Random start edge from the layout's spawn edges
+        const startEdge = this.rng.pick(this.SPAWN_EDGES);
         let startX, startZ, endX, endZ;
         
         switch (startEdge) {
-            case 0: // Left edge
+            case 'left':
                 startX = bounds.minX - margin;
                 startZ = this.rng.nextFloat(bounds.minZ, bounds.maxZ);
                 endX = bounds.maxX + margin;
                 endZ = this.rng.nextFloat(bounds.minZ, bounds.maxZ);
                 break;
-            case 1: // Right edge
+            case 'right':
                 startX = bounds.maxX + margin;
                 startZ = this.rng.nextFloat(bounds.minZ, bounds.maxZ);
                 endX = bounds.minX - margin;
                 endZ = this.rng.nextFloat(bounds.minZ, bounds.maxZ);
                 break;
-            case 2: // Top edge
+            case 'top':
                 startX = this.rng.nextFloat(bounds.minX, bounds.maxX);
                 startZ = bounds.minZ - margin;
                 endX = this.rng.nextFloat(bounds.minX, bounds.maxX);
                 endZ = bounds.maxZ + margin;
                 break;
-            case 3: // Bottom edge
+            case 'bottom':
                 startX = this.rng.nextFloat(bounds.minX, bounds.maxX);
                 startZ = bounds.maxZ + margin;
                 endX = this.rng.nextFloat(bounds.minX, bounds.maxX);
@@ -446,32 +655,64 @@ class Fish3DGameEngine {
                 break;
         }
         
-        // Calculate velocity
-        const dx = endX - startX;
-        const dz = endZ - startZ;
-        const distance = Math.sqrt(dx * dx + dz * dz);
         // Apply speed scale to keep fish on screen longer (original speeds were too fast)
         const baseSpeed = fishType.speed * this.FISH_SPEED_SCALE;
         const speed = baseSpeed * (0.8 + this.rng.next() * 0.4); // ±20% speed variation
         
+        return this._buildPath(startX, startZ, endX, endZ, speed, fishType.movementPattern || 'straight');
+    }
+    
+    /**
+     * Build a path from start/end points with a movement pattern
+     */
+    _buildPath(startX, startZ, endX, endZ, speed, pattern) {
+        const dx = endX - startX;
+        const dz = endZ - startZ;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const dirX = dx / distance;
+        const dirZ = dz / distance;
+        
         return {
             startX, startZ,
-            velocityX: (dx / distance) * speed,
-            velocityZ: (dz / distance) * speed,
-            rotation: Math.atan2(dx, dz)
+            velocityX: dirX * speed,
+            velocityZ: dirZ * speed,
+            rotation: Math.atan2(dx, dz),
+            // Path descriptor: clients sample the same curve via MovementPatterns.samplePath
+            descriptor: {
+                pattern,
+                startX, startZ,
+                dirX, dirZ,
+                speed,
+                phase: this.rng.next() * Math.PI * 2
+            }
+        };
+    }
+    
+    /**
+     * Replace a live fish's path with a straight run from its current position.
+     * pathTime restarts at 0 so clients pick up the new descriptor from gameState.
+     */
+    _repathFish(fish, dirX, dirZ, speed, pattern = 'straight') {
+        fish.path = {
+            pattern,
+            startX: fish.x,
+            startZ: fish.z,
+            dirX, dirZ,
+            speed,
+            phase: 0
         };
+        fish.pathTime = 0;
     }
     
     /**
      * Spawn a fish
      */
-    spawnFish(forceBoss = false) {
+    spawnFish(forceBoss = false, bossTypes = BOSS_TYPES) {
         if (this.fish.size >= this.maxFish && !forceBoss) return null;
         
         let fishType;
         if (forceBoss) {
             // Spawn a boss
-            const bossTypes = ['blueWhale', 'greatWhiteShark'];
             const bossTypeName = this.rng.pick(bossTypes);
             fishType = { typeName: bossTypeName, ...FISH_SPECIES[bossTypeName] };
         } else {
@@ -479,12 +720,71 @@ class Fish3DGameEngine {
         }
         
         const path = this.generateFishPath(fishType);
+        const fish = this._createFish(fishType, path);
+        
+        if (fish.isBoss) {
+            this.currentBoss = fish.fishId;
+            console.log(`[FISH3D-ENGINE] BOSS SPAWNED: ${fishType.typeName} (ID: ${fish.fishId})`);
+        }
+        
+        return fish;
+    }
+    
+    /**
+     * Spawn a school of fish sharing one leader path.
+     * Member count is clamped to the free fish capacity; returns [] if
+     * fewer than the formation's minCount would fit.
+     */
+    spawnFormation(formationName) {
+        const formation = FORMATIONS[formationName];
+        if (!formation) return [];
+        
+        const capacity = this.maxFish - this.fish.size;
+        const count = Math.min(formation.count, capacity);
+        if (count < formation.minCount) return [];
+        
+        const fishType = { typeName: formation.species, ...FISH_SPECIES[formation.species] };
+        const leaderPath = this.generateFishPath(fishType);
+        const offsets = formationOffsets(formation.layout, count);
+        const formationId = this.nextFormationId++;
+        
+        const members = [];
+        let leaderId = null;
+        for (let slot = 0; slot < offsets.length; slot++) {
+            const descriptor = memberPath(leaderPath.descriptor, offsets[slot]);
+            const fish = this._createFish(fishType, {
+                ...leaderPath,
+                startX: descriptor.startX,
+                startZ: descriptor.startZ,
+                descriptor
+            });
+            if (leaderId === null) leaderId = fish.fishId;
+            fish.formation = {
+                formationId,
+                name: formationName,
+                leaderId,
+                slot,
+                along: offsets[slot].along,
+                side: offsets[slot].side
+            };
+            members.push(fish);
+        }
+        
+        console.log(`[FISH3D-ENGINE] FORMATION SPAWNED: ${formationName} x${members.length} (ID: ${formationId})`);
+        return members;
+    }
+    
+    /**
+     * Build and register a fish from a species entry and a generated path
+     */
+    _createFish(fishType, path) {
         const fishId = this.nextFishId++;
         
         // M3: Derive HP from seed commitment if hpRange is available
         let fishHP = fishType.health;
         let seedCommitment = null;
         let spawnIdx = null;
+        let seedNonce = null;
         if (fishType.hpRange && fishType.hpRange.length === 2) {
             const hpResult = this.seedManager.getFishHP(
                 fishType.typeName,
@@ -494,6 +794,7 @@ class Fish3DGameEngine {
             fishHP = hpResult.hp;
             seedCommitment = hpResult.commitment;
             spawnIdx = hpResult.spawnIndex;
+            seedNonce = hpResult.seedNonce;
         }
         
         const fish = {
@@ -512,6 +813,8 @@ class Fish3DGameEngine {
             velocityZ: path.velocityZ,
             rotation: path.rotation,
             speed: fishType.speed,
+            path: path.descriptor,
+            pathTime: 0,
             
             // Visual-only metadata (not used for kill decisions; RTP roll determines kill)
             health: fishHP,
@@ -529,23 +832,24 @@ class Fish3DGameEngine {
             
             // Flags
             isBoss: fishType.isBoss || false,
+            isSpecial: fishType.isSpecial || false,
+            specialType: fishType.specialType || null,
             isAlive: true,
+            hasEntered: false,
             
             // M3: Seed commitment data
             seedCommitment: seedCommitment,
             spawnIndex: spawnIdx,
+            seedNonce: seedNonce,
+            
+            // Formation membership (null for single spawns)
+            formation: null,
             
             // Timing
             spawnTime: Date.now()
         };
         
         this.fish.set(fishId, fish);
-        
-        if (fish.isBoss) {
-            this.currentBoss = fishId;
-            console.log(`[FISH3D-ENGINE] BOSS SPAWNED: ${fishType.typeName} (ID: ${fishId})`);
-        }
-        
         return fish;
     }
     
@@ -561,7 +865,7 @@ class Fish3DGameEngine {
         const now = Date.now();
         const weapon = WEAPONS[player.currentWeapon];
         
-        if (now - player.lastShotTime < weapon.cooldown) {
+        if (now - player.lastShotTime < this.getWeaponCooldown(player, weapon, now)) {
             return null;
         }
         
@@ -570,12 +874,20 @@ class Fish3DGameEngine {
                 required: weapon.cost,
                 current: player.balance
             });
+            this.recordEnforcement(socketId, 'shot_rejected', 'INSUFFICIENT_BALANCE', { required: weapon.cost });
             return null;
         }
         
-        player.balance -= weapon.cost;
-        player.lastShotTime = now;
-        player.totalShots++;
+        // Lock-on: aim at the locked fish instead of the client-supplied point
+        const lockAim = this.getLockAim(socketId);
+        if (lockAim) {
+            targetX = lockAim.x;
+            targetZ = lockAim.z;
+        }
+        const homingTargetId = lockAim ? lockAim.fishId : null;
+        const maxBounces = (this.ricochet && RICOCHET.weapons.includes(player.currentWeapon))
+            ? this.ricochet.maxBounces
+            : 0;
         
         const dx = targetX - player.cannonX;
         const dz = targetZ - player.cannonZ;
@@ -583,107 +895,32 @@ class Fish3DGameEngine {
         
         if (distance < 0.1) return null;
         
+        // Every rejection is above: only a shot that fires is charged and receipted
+        player.balance -= weapon.cost;
+        player.lastShotTime = now;
+        player.totalShots++;
+        this.rtpLedger.recordShot(player.playerId, player.currentWeapon, weapon.cost * MONEY_SCALE);
+        this.receiptChain.addReceipt(createShotDebitReceipt(
+            player, player.currentWeapon, weapon.cost, this.getRulesHash(), this.getRulesVersion()
+        ));
+        
         const normalizedDx = dx / distance;
         const normalizedDz = dz / distance;
         
         player.cannonYaw = Math.atan2(normalizedDx, -normalizedDz);
         
-        const bullets = [];
-        
-        if (weapon.type === 'laser') {
-            this._resolveLaserHits(socketId, player, weapon, normalizedDx, normalizedDz, io);
-            
-            io.to(socketId).emit('balanceUpdate', {
-                balance: player.balance,
-                change: -weapon.cost,
-                reason: 'shot'
-            });
-            
-            return null;
-        }
-        
-        if (weapon.type === 'spread') {
-            const spreadAngle = 15 * (Math.PI / 180);
-            const pelletOffsets = [0, spreadAngle, -spreadAngle];
-            
-            for (let i = 0; i < weapon.pellets; i++) {
-                const angle = pelletOffsets[i];
-                const cos = Math.cos(angle);
-                const sin = Math.sin(angle);
-                const pdx = normalizedDx * cos - normalizedDz * sin;
-                const pdz = normalizedDx * sin + normalizedDz * cos;
-                
-                const bulletId = this.nextBulletId++;
-                const pellet = {
-                    bulletId,
-                    ownerId: player.playerId,
-                    ownerSocketId: socketId,
-                    weapon: player.currentWeapon,
-                    cost: weapon.pelletCost,
-                    pelletIndex: i,
-                    
-                    x: player.cannonX,
-                    z: player.cannonZ,
-                    prevX: player.cannonX,
-                    prevZ: player.cannonZ,
-                    velocityX: pdx * this.BULLET_SPEED,
-                    velocityZ: pdz * this.BULLET_SPEED,
-                    rotation: Math.atan2(pdx, -pdz),
-                    
-                    spawnTime: now,
-                    hasHit: false
-                };
-                
-                this.bullets.set(bulletId, pellet);
-                bullets.push(pellet);
-                
-                io.to(this.roomCode).emit('bulletSpawned', {
-                    bulletId,
-                    ownerId: player.playerId,
-                    weapon: player.currentWeapon,
-                    x: pellet.x,
-                    z: pellet.z,
-                    velocityX: pellet.velocityX,
-                    velocityZ: pellet.velocityZ,
-                    rotation: pellet.rotation,
-                    pelletIndex: i
-                });
-            }
-        } else {
-            const bulletId = this.nextBulletId++;
-            const bullet = {
-                bulletId,
-                ownerId: player.playerId,
-                ownerSocketId: socketId,
-                weapon: player.currentWeapon,
-                cost: weapon.cost,
-                
-                x: player.cannonX,
-                z: player.cannonZ,
-                prevX: player.cannonX,
-                prevZ: player.cannonZ,
-                velocityX: normalizedDx * this.BULLET_SPEED,
-                velocityZ: normalizedDz * this.BULLET_SPEED,
-                rotation: player.cannonYaw,
-                
-                spawnTime: now,
-                hasHit: false
-            };
-            
-            this.bullets.set(bulletId, bullet);
-            bullets.push(bullet);
-            
-            io.to(this.roomCode).emit('bulletSpawned', {
-                bulletId,
-                ownerId: player.playerId,
-                weapon: player.currentWeapon,
-                x: bullet.x,
-                z: bullet.z,
-                velocityX: bullet.velocityX,
-                velocityZ: bullet.velocityZ,
-                rotation: bullet.rotation
-            });
-        }
+        const shot = {
+            socketId,
+            player,
+            weapon,
+            weaponKey: player.currentWeapon,
+            dirX: normalizedDx,
+            dirZ: normalizedDz,
+            homingTargetId,
+            maxBounces,
+            now
+        };
+        const bullets = getWeaponResolver(weapon.type).fire(this, shot, io);
         
         io.to(socketId).emit('balanceUpdate', {
             balance: player.balance,
@@ -691,9 +928,58 @@ class Fish3DGameEngine {
             reason: 'shot'
         });
         
+        if (bullets.length === 0) return null;
         return bullets.length === 1 ? bullets[0] : bullets;
     }
     
+    /**
+     * Create a travelling bullet for a resolver's fire(); fields override
+     * the defaults (cost, homingTargetId, pelletIndex, resolver state).
+     */
+    _spawnBullet(shot, dirX, dirZ, io, fields = {}) {
+        const { player } = shot;
+        const bulletId = this.nextBulletId++;
+        const bullet = {
+            bulletId,
+            ownerId: player.playerId,
+            ownerSocketId: shot.socketId,
+            weapon: shot.weaponKey,
+            cost: shot.weapon.cost,
+            homingTargetId: shot.homingTargetId,
+            maxBounces: shot.maxBounces,
+            bounces: 0,
+            
+            x: player.cannonX,
+            z: player.cannonZ,
+            prevX: player.cannonX,
+            prevZ: player.cannonZ,
+            velocityX: dirX * this.BULLET_SPEED,
+            velocityZ: dirZ * this.BULLET_SPEED,
+            rotation: Math.atan2(dirX, -dirZ),
+            
+            spawnTime: shot.now,
+            hasHit: false,
+            ...fields
+        };
+        
+        this.bullets.set(bulletId, bullet);
+        
+        io.to(this.roomCode).emit('bulletSpawned', {
+            bulletId,
+            ownerId: player.playerId,
+            weapon: shot.weaponKey,
+            x: bullet.x,
+            z: bullet.z,
+            velocityX: bullet.velocityX,
+            velocityZ: bullet.velocityZ,
+            rotation: bullet.rotation,
+            ...(bullet.pelletIndex !== undefined ? { pelletIndex: bullet.pelletIndex } : {}),
+            homingTargetId: bullet.homingTargetId
+        });
+        
+        return bullet;
+    }
+    
     // ═══════════════════════════════════════════════════════════════
     // GUARDRAIL — 8x Laser: instant ray cast in handleShoot.
     //   - Single fire event → single cost deduction (already done in handleShoot).
@@ -719,7 +1005,10 @@ class Fish3DGameEngine {
             }
         }
         
-        Fish3DGameEngine.sortAndTrimHitList(candidates, weapon.maxTargets || LASER_MAX_TARGETS, 'dist');
+        // weights: 'penetrating' settles with the PENETRATING_CONFIG falloff
+        const weightType = weapon.weights || 'laser';
+        const defaultMax = weightType === 'penetrating' ? PENETRATING_MAX_TARGETS : LASER_MAX_TARGETS;
+        Fish3DGameEngine.sortAndTrimHitList(candidates, weapon.maxTargets || defaultMax, 'dist');
         
         if (candidates.length === 0) {
             io.to(this.roomCode).emit('laserFired', {
@@ -736,38 +1025,39 @@ class Fish3DGameEngine {
             distance: h.dist
         }));
         
-        const results = this.rtpEngine.handleMultiTargetHit(
+        const { results, _debug } = this.rtpEngine.handleMultiTargetHit(
             socketId,
             hitList,
             weapon.cost * MONEY_SCALE,
-            'laser'
+            weightType,
+            { debug: true }
         );
         
         player.totalShots++;
         player.totalHits++;
-        anomalyDetector.recordHit(socketId, '8x');
+        anomalyDetector.recordHit(socketId, player.currentWeapon);
         
         const hitResults = [];
-        for (const result of results) {
+        results.forEach((result, i) => {
             const entry = candidates.find(h => h.fishId === result.fishId);
-            if (!entry) continue;
+            if (!entry) return;
             
             entry.fish.lastHitBy = socketId;
-            const currentCost = entry.fish.costByPlayer.get(socketId) || 0;
-            entry.fish.costByPlayer.set(socketId, currentCost + weapon.cost);
+            this._addContribution(entry.fish, socketId, weapon.cost, _debug.weightsFp[i]);
             
             hitResults.push({ fishId: result.fishId, kill: result.kill });
             
             io.to(this.roomCode).emit('fishHit', {
                 fishId: result.fishId,
                 hitByPlayerId: player.playerId,
-                isPenetrating: true
+                isPenetrating: true,
+                killRoll: result.kill ? null : (result.rollProof || null)
             });
             
             if (result.kill) {
                 this._handleLaserKill(entry.fish, socketId, player, io, result);
             }
-        }
+        });
         
         io.to(this.roomCode).emit('laserFired', {
             playerId: player.playerId,
@@ -778,197 +1068,512 @@ class Fish3DGameEngine {
     
     _handleLaserKill(fish, killerSocketId, killer, io, rtpResult) {
         fish.isAlive = false;
-        const totalReward = rtpResult.reward;
+        // Effect-funded special fish pay out through their effect settlement
+        const totalReward = isEffectFunded(fish.specialType) ? 0 : rtpResult.reward;
         
-        if (killer && totalReward > 0) {
-            killer.balance += totalReward;
-            killer.score += totalReward;
-            killer.totalKills++;
-            
-            io.to(killerSocketId).emit('balanceUpdate', {
-                balance: killer.balance,
-                change: totalReward,
-                reason: 'fishKill',
-                fishType: fish.typeName,
-                killEventId: rtpResult.killEventId
-            });
-        }
+        const weaponKey = killer ? killer.currentWeapon : null;
+        const rewardDistribution = this._distributeKillReward(fish, killerSocketId, rtpResult, totalReward, io, { weaponKey });
         
         if (fish.isBoss) {
-            this.killsSinceLastBoss = 0;
             if (fish.fishId === this.currentBoss) this.currentBoss = null;
+            if (this.bossEncounter && this.bossEncounter.fishId === fish.fishId) this.bossEncounter = null;
         } else {
-            this.killsSinceLastBoss++;
+            this.timeline.recordKill();
         }
         
-        const rulesHash = this.configHashManager ? this.configHashManager.getHash() : null;
+        const rulesHash = this.getRulesHash();
         const rulesVersion = this.configHashManager ? this.configHashManager.getVersion() : null;
         
+        const receipt = this.receiptChain.addReceipt(createFishDeathReceipt(
+            fish, rewardDistribution, totalReward, rulesHash, rulesVersion, fish.seedCommitment, this.finisherPoolPercent,
+            rtpResult.rollProof || null
+        ));
+        // Announced receipts must already be on disk
+        this.receiptChain.flush();
+        
         io.to(this.roomCode).emit('fishKilled', {
             fishId: fish.fishId,
             typeName: fish.typeName,
             topContributorId: killer ? killer.playerId : null,
             totalReward,
+            rewardDistribution,
             isBoss: fish.isBoss,
             position: { x: fish.x, z: fish.z },
             seedCommitment: fish.seedCommitment,
             rulesHash,
             killEventId: rtpResult.killEventId,
-            killReason: rtpResult.reason
+            killReason: rtpResult.reason,
+            killRoll: rtpResult.rollProof || null,
+            receiptHash: receipt.hash,
+            receiptIndex: receipt.index
         });
         
-        const receipt = createFishDeathReceipt(
-            fish, [{ playerId: killer.playerId, socketId: killerSocketId, cost: fish.costByPlayer.get(killerSocketId) || 0, percent: 100, reward: totalReward }],
-            totalReward, rulesHash, rulesVersion, fish.seedCommitment
-        );
-        this.receiptChain.addReceipt(receipt);
-        
         this.rtpEngine.clearFishStates(fish.fishId);
         this.fish.delete(fish.fishId);
+        
+        if (fish.specialType) {
+            this.triggerSpecialEffect(fish, killerSocketId, rtpResult, io, weaponKey);
+        }
     }
     
     /**
-     * Handle weapon change
+     * Lock-on targeting: select a fish to aim at (null/0 clears the lock).
+     * Shots from a locked player aim at and home onto the fish while it is alive.
      */
-    handleWeaponChange(socketId, weaponType, io) {
+    setLockTarget(socketId, fishId, io) {
         const player = this.players.get(socketId);
         if (!player) return false;
         
-        if (!WEAPONS[weaponType]) return false;
-        
-        player.currentWeapon = weaponType;
+        if (fishId === null || fishId === undefined || fishId === 0) {
+            this._setPlayerLock(player, null, 'cleared', io);
+            return true;
+        }
         
-        io.to(this.roomCode).emit('playerWeaponChanged', {
-            playerId: player.playerId,
-            weapon: weaponType
-        });
+        // Only fish that are alive and visible inside the tank can be locked
+        const fish = this.fish.get(Number(fishId));
+        if (!fish || !fish.isAlive) return false;
+        const bounds = this.MAP_BOUNDS;
+        if (fish.x < bounds.minX || fish.x > bounds.maxX || fish.z < bounds.minZ || fish.z > bounds.maxZ) {
+            return false;
+        }
         
+        this._setPlayerLock(player, fish.fishId, 'locked', io);
         return true;
     }
     
-    /**
-     * Start game loop
-     */
-    startGameLoop(io) {
-        if (this.loopRunning) {
-            console.log(`[FISH3D-ENGINE] Game loop already running for room ${this.roomCode}`);
-            return;
-        }
-        
-        this.gameStarted = true;
-        this.loopRunning = true;
-        this.lastWaveChange = Date.now();
-        
-        // Spawn initial fish
-        for (let i = 0; i < 15; i++) {
-            this.spawnFish();
+    _setPlayerLock(player, fishId, reason, io) {
+        player.lockedFishId = fishId;
+        if (io) {
+            io.to(this.roomCode).emit('lockTargetChanged', {
+                playerId: player.playerId,
+                fishId,
+                reason
+            });
         }
-        
-        const now = process.hrtime.bigint();
-        this.nextTickNs = now;
-        this.nextNetNs = now;
-        
-        console.log(`[FISH3D-ENGINE] Starting game loop for room ${this.roomCode}`);
-        this.runGameLoop(io);
     }
     
     /**
-     * Stop game loop
+     * Current aim point of a locked player, or null when not locked
      */
-    stopGameLoop() {
-        this.loopRunning = false;
-        this.gameStarted = false;
-        console.log(`[FISH3D-ENGINE] Game loop stopped for room ${this.roomCode}`);
+    getLockAim(socketId) {
+        const player = this.players.get(socketId);
+        if (!player || player.lockedFishId === null) return null;
+        const fish = this.fish.get(player.lockedFishId);
+        if (!fish || !fish.isAlive) return null;
+        return { fishId: fish.fishId, x: fish.x, z: fish.z };
     }
     
     /**
-     * Main game loop
+     * Drop locks whose fish was killed or left the tank
      */
-    runGameLoop(io) {
-        if (!this.loopRunning) return;
-        
-        try {
-            const now = process.hrtime.bigint();
-            const maxCatchUpTicks = 8;
-            
-            let tickLoops = 0;
-            while (now >= this.nextTickNs && tickLoops < maxCatchUpTicks) {
-                const fixedDt = 1 / this.TICK_RATE;
-                this.serverTick++;
-                
-                // DEBUG: Log fish count every 60 ticks (1 second at 60 tick rate)
-                if (this.serverTick % 60 === 0) {
-                    const fishTypes = {};
-                    let movingFish = 0;
-                    for (const [id, fish] of this.fish) {
-                        fishTypes[fish.typeName] = (fishTypes[fish.typeName] || 0) + 1;
-                        if (fish.velocityX !== 0 || fish.velocityZ !== 0) movingFish++;
-                    }
-                    console.log(`[FISH3D-ENGINE] Room ${this.roomCode} tick=${this.serverTick}: fish=${this.fish.size} (moving=${movingFish}), bullets=${this.bullets.size}, players=${this.players.size}`);
-                }
-                
-                // Update fish positions
-                this.updateFish(fixedDt, io);
-                
-                // Update bullet positions
-                this.updateBullets(fixedDt, io);
-                
-                // Check collisions
-                this.checkCollisions(io);
-                
-                // Update boss wave state
-                this.updateBossWaveState(io);
-                
-                // Spawn new fish periodically
-                const nowMs = Date.now();
-                if (nowMs - this.lastFishSpawn > this.fishSpawnInterval) {
-                    this.spawnFish();
-                    this.lastFishSpawn = nowMs;
-                }
-                
-                this.nextTickNs += this.tickIntervalNs;
-                tickLoops++;
-            }
-            
-            // Clamp if too far behind
-            if (now >= this.nextTickNs && tickLoops >= maxCatchUpTicks) {
-                this.nextTickNs = now + this.tickIntervalNs;
+    updateLockTargets(io) {
+        for (const player of this.players.values()) {
+            if (player.lockedFishId === null) continue;
+            const fish = this.fish.get(player.lockedFishId);
+            if (!fish || !fish.isAlive) {
+                this._setPlayerLock(player, null, 'targetLost', io);
             }
-            
-            // Network broadcast
-            while (now >= this.nextNetNs) {
-                this.broadcastGameState(io);
-                this.nextNetNs += this.netIntervalNs;
-            }
-            
-            // Schedule next iteration
-            setImmediate(() => this.runGameLoop(io));
-            
-        } catch (err) {
-            console.error(`[FISH3D-ENGINE] Game loop error:`, err);
-            setImmediate(() => this.runGameLoop(io));
         }
     }
     
     /**
-     * Update fish positions
+     * Auto-fire: the server fires at the current weapon cooldown toward the
+     * player's cannon yaw (or locked fish) until stopped, a cap is reached,
+     * the balance runs out, or the player leaves (state lives on the player).
+     * caps: { maxShots, maxSpend } - positive numbers, omitted/null = no cap
+     * onShot: optional callback after each auto shot (server anomaly escalation)
      */
-    updateFish(dt, io) {
-        const bounds = this.MAP_BOUNDS;
+    startAutoFire(socketId, caps, io, onShot = null) {
+        const player = this.players.get(socketId);
+        if (!player) return false;
+        
+        const { maxShots = null, maxSpend = null } = caps || {};
+        if (maxShots !== null && !(Number.isInteger(maxShots) && maxShots > 0)) return false;
+        if (maxSpend !== null && !(typeof maxSpend === 'number' && isFinite(maxSpend) && maxSpend > 0)) return false;
+        
+        player.autoFire = {
+            maxShots,
+            maxSpend,
+            shots: 0,
+            spent: 0,
+            startedAt: Date.now(),
+            onShot
+        };
+        this._emitAutoFire(player, 'started', io);
+        return true;
+    }
+    
+    stopAutoFire(socketId, io) {
+        const player = this.players.get(socketId);
+        if (!player || !player.autoFire) return false;
+        this._stopAutoFire(player, 'stopped', io);
+        return true;
+    }
+    
+    _stopAutoFire(player, reason, io) {
+        this._emitAutoFire(player, reason, io);
+        player.autoFire = null;
+    }
+    
+    _emitAutoFire(player, reason, io) {
+        if (!io) return;
+        const auto = player.autoFire;
+        io.to(this.roomCode).emit('autoFireChanged', {
+            playerId: player.playerId,
+            active: reason === 'started',
+            reason,
+            shots: auto ? auto.shots : 0,
+            spent: auto ? auto.spent : 0,
+            maxShots: auto ? auto.maxShots : null,
+            maxSpend: auto ? auto.maxSpend : null
+        });
+    }
+    
+    /**
+     * Reason auto-fire must stop before the next shot, or null to keep firing
+     */
+    _autoFireStopReason(socketId, player, weapon) {
+        const auto = player.autoFire;
+        if (auto.maxShots !== null && auto.shots >= auto.maxShots) return 'shotCap';
+        if (auto.maxSpend !== null && auto.spent + weapon.cost > auto.maxSpend) return 'spendCap';
+        if (player.balance < weapon.cost) return 'insufficientBalance';
+        if (anomalyDetector.isInCooldown(socketId)) return 'anomalyCooldown';
+        return null;
+    }
+    
+    /**
+     * Fire one shot per cooldown for every auto-firing player.
+     * Shots go through handleShoot, so cost deduction, lock-on and
+     * hit/kill settlement are identical to manual fire.
+     */
+    updateAutoFire(io) {
+        const now = Date.now();
+        for (const [socketId, player] of this.players) {
+            const auto = player.autoFire;
+            if (!auto) continue;
+            
+            const weapon = WEAPONS[player.currentWeapon];
+            if (now - player.lastShotTime < this.getWeaponCooldown(player, weapon, now)) continue;
+            
+            const stopReason = this._autoFireStopReason(socketId, player, weapon);
+            if (stopReason) {
+                this._stopAutoFire(player, stopReason, io);
+                continue;
+            }
+            
+            // Aim along the last cannon yaw (yaw = atan2(dx, -dz)); a lock overrides it in handleShoot
+            const yaw = isFinite(player.cannonYaw) ? player.cannonYaw : 0;
+            const targetX = player.cannonX + Math.sin(yaw) * 100;
+            const targetZ = player.cannonZ - Math.cos(yaw) * 100;
+            
+            anomalyDetector.recordShot(socketId, player.currentWeapon);
+            const shotsBefore = player.totalShots;
+            this.handleShoot(socketId, targetX, targetZ, io);
+            if (player.totalShots === shotsBefore) continue;
+            
+            auto.shots++;
+            auto.spent += weapon.cost;
+            if (auto.onShot) auto.onShot();
+            
+            // Stop as soon as a cap is reached rather than on the next cooldown
+            if (player.autoFire === auto && this.players.has(socketId)) {
+                if (auto.maxShots !== null && auto.shots >= auto.maxShots) {
+                    this._stopAutoFire(player, 'shotCap', io);
+                } else if (auto.maxSpend !== null && auto.spent + weapon.cost > auto.maxSpend) {
+                    this._stopAutoFire(player, 'spendCap', io);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Weapon cooldown for a player right now (frenzy item scales it)
+     */
+    getWeaponCooldown(player, weapon, now = Date.now()) {
+        return now < player.frenzyUntil ? weapon.cooldown * player.frenzyScale : weapon.cooldown;
+    }
+    
+    /**
+     * Buy power-up items from balance into the player's inventory.
+     * The price is not a bet: it never reaches RTPPhase1 or the shot counters.
+     * Returns { success: true, receipt } or { success: false, reason }
+     */
+    purchaseItem(socketId, itemId, quantity, io) {
+        const player = this.players.get(socketId);
+        if (!player) return { success: false, reason: 'NOT_SEATED' };
+        
+        const item = getItem(itemId);
+        if (!item) return { success: false, reason: 'UNKNOWN_ITEM' };
+        if (!(Number.isInteger(quantity) && quantity > 0)) return { success: false, reason: 'INVALID_QUANTITY' };
+        
+        const owned = player.inventory[itemId] || 0;
+        if (owned + quantity > MAX_ITEM_STACK) return { success: false, reason: 'INVENTORY_FULL' };
+        
+        const totalPrice = item.price * quantity;
+        if (player.balance < totalPrice) return { success: false, reason: 'INSUFFICIENT_BALANCE' };
+        
+        player.balance -= totalPrice;
+        player.itemSpend += totalPrice;
+        player.inventory[itemId] = owned + quantity;
+        
+        const receipt = this.receiptChain.addReceipt(createItemPurchaseReceipt(
+            player,
+            itemId,
+            quantity,
+            item.price,
+            player.balance,
+            this.getRulesHash(),
+            this.configHashManager ? this.configHashManager.getVersion() : null
+        ));
+        this.receiptChain.flush();
+        
+        io.to(socketId).emit('balanceUpdate', {
+            balance: player.balance,
+            change: -totalPrice,
+            reason: 'itemPurchase'
+        });
+        io.to(socketId).emit('itemPurchased', {
+            itemId,
+            quantity,
+            totalPrice,
+            inventory: { ...player.inventory },
+            receiptHash: receipt.hash
+        });
+        
+        return { success: true, receipt };
+    }
+    
+    /**
+     * Use one item from the inventory. Room items (freeze, slow) affect every
+     * fish; player items (frenzy) only the activating player. Re-activating
+     * an active effect does not stack: the end time becomes max(current, now + duration).
+     * Returns { success: true, until } or { success: false, reason }
+     */
+    activateItem(socketId, itemId, io) {
+        const player = this.players.get(socketId);
+        if (!player) return { success: false, reason: 'NOT_SEATED' };
+        
+        const item = getItem(itemId);
+        if (!item) return { success: false, reason: 'UNKNOWN_ITEM' };
+        if (!player.inventory[itemId]) return { success: false, reason: 'NOT_OWNED' };
+        
+        player.inventory[itemId]--;
+        if (player.inventory[itemId] === 0) delete player.inventory[itemId];
+        
+        const now = Date.now();
+        const end = now + item.durationMs;
+        let until;
+        if (itemId === 'freeze') {
+            until = this.frozenUntil = Math.max(this.frozenUntil, end);
+        } else if (itemId === 'slow') {
+            until = this.slowUntil = Math.max(this.slowUntil, end);
+            this.slowScale = item.speedScale;
+        } else {
+            until = player.frenzyUntil = Math.max(player.frenzyUntil, end);
+            player.frenzyScale = item.cooldownScale;
+        }
+        
+        io.to(this.roomCode).emit('itemActivated', {
+            playerId: player.playerId,
+            itemId,
+            scope: item.scope,
+            until,
+            durationMs: item.durationMs
+        });
+        io.to(socketId).emit('inventoryUpdate', { inventory: { ...player.inventory } });
+        
+        return { success: true, until };
+    }
+    
+    /**
+     * Handle weapon change
+     */
+    handleWeaponChange(socketId, weaponType, io) {
+        const player = this.players.get(socketId);
+        if (!player) return false;
+        
+        if (!WEAPONS[weaponType]) return false;
+        
+        player.currentWeapon = weaponType;
+        
+        io.to(this.roomCode).emit('playerWeaponChanged', {
+            playerId: player.playerId,
+            weapon: weaponType
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Start game loop
+     */
+    startGameLoop(io) {
+        if (this.loopRunning) {
+            console.log(`[FISH3D-ENGINE] Game loop already running for room ${this.roomCode}`);
+            return;
+        }
+        
+        this.gameStarted = true;
+        this.loopRunning = true;
+        
+        // Spawn initial fish (on top of any restored fish table)
+        for (let i = this.fish.size; i < 15; i++) {
+            this.spawnFish();
+        }
+        
+        const phase = this.timeline.start(Date.now());
+        this._enterPhase(phase, io);
+        
+        const now = process.hrtime.bigint();
+        this.nextTickNs = now;
+        this.nextNetNs = now;
+        
+        console.log(`[FISH3D-ENGINE] Starting game loop for room ${this.roomCode}`);
+        this.runGameLoop(io);
+    }
+    
+    /**
+     * Stop game loop
+     */
+    stopGameLoop() {
+        this.loopRunning = false;
+        this.gameStarted = false;
+        // Anchor the open receipt batch so every receipt so far is provable
+        this.receiptChain.checkpoint();
+        console.log(`[FISH3D-ENGINE] Game loop stopped for room ${this.roomCode}`);
+    }
+    
+    /**
+     * Main game loop
+     */
+    runGameLoop(io) {
+        if (!this.loopRunning) return;
+        
+        try {
+            const now = process.hrtime.bigint();
+            const maxCatchUpTicks = 8;
+            
+            let tickLoops = 0;
+            while (now >= this.nextTickNs && tickLoops < maxCatchUpTicks) {
+                const fixedDt = 1 / this.TICK_RATE;
+                this.serverTick++;
+                
+                // DEBUG: Log fish count every 60 ticks (1 second at 60 tick rate)
+                if (this.serverTick % 60 === 0) {
+                    const fishTypes = {};
+                    let movingFish = 0;
+                    for (const [id, fish] of this.fish) {
+                        fishTypes[fish.typeName] = (fishTypes[fish.typeName] || 0) + 1;
+                        if (fish.velocityX !== 0 || fish.velocityZ !== 0) movingFish++;
+                    }
+                    console.log(`[FISH3D-ENGINE] Room ${this.roomCode} tick=${this.serverTick}: fish=${this.fish.size} (moving=${movingFish}), bullets=${this.bullets.size}, players=${this.players.size}`);
+                }
+                
+                // Boss encounter phases, containment and escape (before culling)
+                this.updateBossEncounter(io);
+                
+                // Update fish positions
+                this.updateFish(fixedDt, io);
+                
+                // Update bullet positions
+                this.updateBullets(fixedDt, io);
+                
+                // Check collisions
+                this.checkCollisions(io);
+                
+                // Release lock-on targets that are gone
+                this.updateLockTargets(io);
+                
+                // Server-driven auto-fire shots
+                this.updateAutoFire(io);
+                
+                // Advance wave timeline and run phase spawns
+                this.updateTimeline(io);
+                
+                this.nextTickNs += this.tickIntervalNs;
+                tickLoops++;
+            }
+            
+            // Clamp if too far behind
+            if (now >= this.nextTickNs && tickLoops >= maxCatchUpTicks) {
+                this.nextTickNs = now + this.tickIntervalNs;
+            }
+            
+            // Network broadcast
+            while (now >= this.nextNetNs) {
+                this.broadcastGameState(io);
+                this.nextNetNs += this.netIntervalNs;
+            }
+            
+            // Periodic RTP state snapshot
+            this._saveStateIfDue();
+            
+            // Quiet rooms still seal their batch (proofs) and write buffered receipts
+            this.receiptChain.checkpointIfDue();
+            this.receiptChain.flushIfDue();
+            
+            // Scheduled seed rotation (spawn count / time window)
+            this._rotateSeedIfDue(io);
+            
+            // Schedule next iteration
+            setImmediate(() => this.runGameLoop(io));
+            
+        } catch (err) {
+            console.error(`[FISH3D-ENGINE] Game loop error:`, err);
+            setImmediate(() => this.runGameLoop(io));
+        }
+    }
+    
+    /**
+     * Update fish positions
+     */
+    updateFish(dt, io) {
+        const bounds = this.MAP_BOUNDS;
         const margin = 20;
         
+        // Freeze effect: hold every fish in place; pathTime does not advance,
+        // so paths resume exactly where they stopped
+        if (Date.now() < this.frozenUntil) {
+            for (const fish of this.fish.values()) {
+                fish.prevX = fish.x;
+                fish.prevZ = fish.z;
+                fish.velocityX = 0;
+                fish.velocityZ = 0;
+            }
+            return;
+        }
+        
+        // Slow item: paths advance at a fraction of real time
+        const pathDt = Date.now() < this.slowUntil ? dt * this.slowScale : dt;
+        
         for (const [fishId, fish] of this.fish) {
             if (!fish.isAlive) continue;
             
             fish.prevX = fish.x;
             fish.prevZ = fish.z;
             
-            fish.x += fish.velocityX * dt;
-            fish.z += fish.velocityZ * dt;
+            fish.pathTime += pathDt;
+            const pos = samplePath(fish.path, fish.pathTime);
+            fish.x = pos.x;
+            fish.z = pos.z;
             
-            // Remove fish that leave bounds
-            if (fish.x < bounds.minX - margin || fish.x > bounds.maxX + margin ||
-                fish.z < bounds.minZ - margin || fish.z > bounds.maxZ + margin) {
+            fish.velocityX = (fish.x - fish.prevX) / dt;
+            fish.velocityZ = (fish.z - fish.prevZ) / dt;
+            if (fish.velocityX !== 0 || fish.velocityZ !== 0) {
+                fish.rotation = Math.atan2(fish.velocityX, fish.velocityZ);
+            }
+            
+            // Remove fish that leave bounds (formation members may start further
+            // out than the margin, so only cull once they have entered or timed out)
+            const outside = fish.x < bounds.minX - margin || fish.x > bounds.maxX + margin ||
+                fish.z < bounds.minZ - margin || fish.z > bounds.maxZ + margin;
+            if (!outside) {
+                fish.hasEntered = true;
+            } else if (fish.hasEntered || fish.pathTime > this.FISH_ENTRY_TIMEOUT) {
+                // M5: Cost settled on an escaped fish still counts toward its tier's RTP
+                if (fish.costByPlayer.size > 0) {
+                    this.receiptChain.addReceipt(createFishEscapeReceipt(fish, this.getRulesHash(), this.getRulesVersion()));
+                }
                 this.fish.delete(fishId);
             }
         }
@@ -988,134 +1593,290 @@ class Fish3DGameEngine {
             bullet.prevX = bullet.x;
             bullet.prevZ = bullet.z;
             
-            bullet.x += bullet.velocityX * dt;
-            bullet.z += bullet.velocityZ * dt;
+            if (bullet.homingTargetId) {
+                this._steerHomingBullet(bullet, dt);
+            }
+            
+            // Ricochet: the tick's path may be several reflected segments
+            if (bullet.maxBounces > 0) {
+                const bouncesBefore = bullet.bounces;
+                const segments = advanceWithRicochet(bullet, dt, bounds);
+                bullet.segments = segments.length > 1 ? segments : null;
+                if (io && bullet.bounces > bouncesBefore) {
+                    io.to(this.roomCode).emit('bulletRicochet', {
+                        bulletId,
+                        x: bullet.x,
+                        z: bullet.z,
+                        velocityX: bullet.velocityX,
+                        velocityZ: bullet.velocityZ,
+                        rotation: bullet.rotation,
+                        bounces: bullet.bounces
+                    });
+                }
+            } else {
+                bullet.x += bullet.velocityX * dt;
+                bullet.z += bullet.velocityZ * dt;
+            }
             
             // Remove expired or out-of-bounds bullets
             if (now - bullet.spawnTime > this.BULLET_LIFETIME ||
                 bullet.x < bounds.minX - margin || bullet.x > bounds.maxX + margin ||
                 bullet.z < bounds.minZ - margin || bullet.z > bounds.maxZ + margin) {
+                // Resolvers holding deferred hits (drill) settle them here
+                const resolver = getWeaponResolver(WEAPONS[bullet.weapon].type);
+                if (io && resolver.expire) resolver.expire(this, bulletId, bullet, WEAPONS[bullet.weapon], io);
                 this.bullets.delete(bulletId);
             }
         }
     }
     
-    // GUARDRAIL: Only projectile (1x), spread (3x), and rocket (5x) reach here.
-    //   Laser (8x) is resolved in handleShoot → _resolveLaserHits. No laser bullets exist.
+    /**
+     * Turn a lock-on bullet toward its fish by at most HOMING_TURN_RATE * dt.
+     * Speed is unchanged; hits are still resolved by checkCollisions.
+     */
+    _steerHomingBullet(bullet, dt) {
+        const fish = this.fish.get(bullet.homingTargetId);
+        if (!fish || !fish.isAlive) {
+            bullet.homingTargetId = null;
+            return;
+        }
+        
+        const speed = Math.sqrt(bullet.velocityX * bullet.velocityX + bullet.velocityZ * bullet.velocityZ);
+        const current = Math.atan2(bullet.velocityZ, bullet.velocityX);
+        const desired = Math.atan2(fish.z - bullet.z, fish.x - bullet.x);
+        
+        let delta = desired - current;
+        while (delta > Math.PI) delta -= 2 * Math.PI;
+        while (delta < -Math.PI) delta += 2 * Math.PI;
+        const maxTurn = this.HOMING_TURN_RATE * dt;
+        const heading = current + Math.max(-maxTurn, Math.min(maxTurn, delta));
+        
+        bullet.velocityX = Math.cos(heading) * speed;
+        bullet.velocityZ = Math.sin(heading) * speed;
+        bullet.rotation = Math.atan2(bullet.velocityX, -bullet.velocityZ);
+    }
+    
+    // GUARDRAIL: Only travelling bullets reach here; each weapon type's
+    //   resolver decides contacts (see WeaponCatalogue). Laser (8x) is
+    //   resolved in handleShoot → _resolveLaserHits. No laser bullets exist.
     checkCollisions(io) {
         for (const [bulletId, bullet] of this.bullets) {
             if (bullet.hasHit) continue;
             
             const weapon = WEAPONS[bullet.weapon];
-            const isRocket = weapon.type === 'rocket';
+            const resolver = getWeaponResolver(weapon.type);
+            if (resolver.collide) resolver.collide(this, bulletId, bullet, weapon, io);
+        }
+    }
+    
+    /**
+     * Live fish whose hit circle crossed the bullet's path this tick
+     * (every ricochet segment), skipping fish the bullet already pierced.
+     */
+    _bulletContacts(bullet) {
+        const contacts = [];
+        for (const [fishId, fish] of this.fish) {
+            if (!fish.isAlive) continue;
+            if (bullet.fishAlreadyHit && bullet.fishAlreadyHit.has(fishId)) continue;
             
-            const fishHitThisTick = [];
+            const fishRadius = (fish.size / 10) * this.FISH_BASE_RADIUS;
+            const combinedRadius = fishRadius + this.BULLET_RADIUS;
+            const segments = bullet.segments ||
+                [{ x1: bullet.prevX, z1: bullet.prevZ, x2: bullet.x, z2: bullet.z }];
+            const hit = segments.some(seg => this.lineCircleIntersection(
+                seg.x1, seg.z1, seg.x2, seg.z2,
+                fish.x, fish.z,
+                combinedRadius
+            ));
             
-            for (const [fishId, fish] of this.fish) {
-                if (!fish.isAlive) continue;
-                if (bullet.fishAlreadyHit && bullet.fishAlreadyHit.has(fishId)) continue;
-                
-                const fishRadius = (fish.size / 10) * this.FISH_BASE_RADIUS;
-                const combinedRadius = fishRadius + this.BULLET_RADIUS;
-                
+            if (hit) {
                 const distToFish = Math.sqrt(
                     Math.pow(bullet.x - fish.x, 2) + Math.pow(bullet.z - fish.z, 2)
                 );
-                
-                let hit = false;
-                if (isRocket) {
-                    hit = distToFish <= (weapon.aoeRadius || 15);
-                } else {
-                    hit = this.lineCircleIntersection(
-                        bullet.prevX, bullet.prevZ,
-                        bullet.x, bullet.z,
-                        fish.x, fish.z,
-                        combinedRadius
-                    );
-                }
-                
-                if (hit) {
-                    fishHitThisTick.push({ fishId, fish, distToFish });
-                }
+                contacts.push({ fishId, fish, distToFish });
+            }
+        }
+        return contacts;
+    }
+    
+    /**
+     * Live fish whose centre is within radius of (x, z)
+     */
+    _fishWithinRadius(x, z, radius) {
+        const found = [];
+        for (const [fishId, fish] of this.fish) {
+            if (!fish.isAlive) continue;
+            const distToFish = Math.sqrt(Math.pow(x - fish.x, 2) + Math.pow(z - fish.z, 2));
+            if (distToFish <= radius) {
+                found.push({ fishId, fish, distToFish });
             }
+        }
+        return found;
+    }
+    
+    /**
+     * Record a player's settled spend on a fish: reward split contribution
+     * and ledger tier cost. Batch hits record the fish's weight share of the shot cost.
+     */
+    _addContribution(fish, socketId, cost, weightFp = WEIGHT_SCALE) {
+        const currentCost = fish.costByPlayer.get(socketId) || 0;
+        fish.costByPlayer.set(socketId, currentCost + cost * weightFp / WEIGHT_SCALE);
+        this.rtpLedger.recordTierCost(fish.tier, Math.floor(cost * MONEY_SCALE * weightFp / WEIGHT_SCALE));
+    }
+    
+    /**
+     * Settle one bullet contact via handleSingleTargetHit and retire the bullet
+     */
+    _settleSingleHit(bulletId, bullet, { fishId, fish }, io) {
+        const shooter = this.players.get(bullet.ownerSocketId);
+        if (shooter) {
+            shooter.totalHits++;
+            anomalyDetector.recordHit(bullet.ownerSocketId, bullet.weapon);
+        }
+        
+        this._addContribution(fish, bullet.ownerSocketId, bullet.cost);
+        fish.lastHitBy = bullet.ownerSocketId;
+        
+        const costFp = bullet.cost * MONEY_SCALE;
+        const result = this.rtpEngine.handleSingleTargetHit(
+            bullet.ownerSocketId,
+            fishId,
+            costFp,
+            fish.tier
+        );
+        
+        io.to(this.roomCode).emit('fishHit', {
+            fishId,
+            bulletId,
+            hitByPlayerId: shooter ? shooter.playerId : null,
+            killRoll: result.kill ? null : (result.rollProof || null)
+        });
+        
+        if (result.kill) {
+            this.handleFishKill(fish, bullet, io, result);
+        }
+        
+        bullet.hasHit = true;
+        this.bullets.delete(bulletId);
+    }
+    
+    /**
+     * Settle a bullet's targets as ONE handleMultiTargetHit batch and retire
+     * the bullet. Fish that died since they were collected are skipped.
+     * hitFlags are added to each fishHit event (isAOE, isNet, ...).
+     */
+    _settleBatchHit(bulletId, bullet, entries, weightType, io, hitFlags = {}) {
+        const live = entries.filter(h => h.fish.isAlive);
+        bullet.hasHit = true;
+        if (live.length === 0) {
+            this.bullets.delete(bulletId);
+            return;
+        }
+        
+        const hitList = live.map(h => ({
+            fishId: h.fishId,
+            tier: h.fish.tier,
+            distance: h.distToFish
+        }));
+        
+        const { results, _debug } = this.rtpEngine.handleMultiTargetHit(
+            bullet.ownerSocketId,
+            hitList,
+            bullet.cost * MONEY_SCALE,
+            weightType,
+            { debug: true }
+        );
+        
+        const shooter = this.players.get(bullet.ownerSocketId);
+        if (shooter) {
+            shooter.totalHits++;
+            anomalyDetector.recordHit(bullet.ownerSocketId, bullet.weapon);
+        }
+        
+        results.forEach((result, i) => {
+            const hitEntry = live.find(h => h.fishId === result.fishId);
+            if (!hitEntry) return;
             
-            Fish3DGameEngine.sortAndTrimHitList(fishHitThisTick, weapon.maxTargets || AOE_MAX_TARGETS, 'distToFish');
+            this._addContribution(hitEntry.fish, bullet.ownerSocketId, bullet.cost, _debug.weightsFp[i]);
+            hitEntry.fish.lastHitBy = bullet.ownerSocketId;
             
-            if (isRocket && fishHitThisTick.length > 0) {
-                const hitList = fishHitThisTick.map(h => ({
-                    fishId: h.fishId,
-                    tier: h.fish.tier,
-                    distance: h.distToFish
-                }));
-                
-                const results = this.rtpEngine.handleMultiTargetHit(
-                    bullet.ownerSocketId,
-                    hitList,
-                    bullet.cost * MONEY_SCALE,
-                    'aoe'
-                );
-                
-                const shooter = this.players.get(bullet.ownerSocketId);
-                if (shooter) {
-                    shooter.totalHits++;
-                    anomalyDetector.recordHit(bullet.ownerSocketId, bullet.weapon);
-                }
-                
-                for (const result of results) {
-                    const hitEntry = fishHitThisTick.find(h => h.fishId === result.fishId);
-                    if (!hitEntry) continue;
-                    
-                    io.to(this.roomCode).emit('fishHit', {
-                        fishId: result.fishId,
-                        bulletId,
-                        hitByPlayerId: shooter ? shooter.playerId : null,
-                        isAOE: true
-                    });
-                    
-                    if (result.kill) {
-                        this.handleFishKill(hitEntry.fish, bullet, io, result);
-                    }
-                }
-                
-                bullet.hasHit = true;
-                this.bullets.delete(bulletId);
-                continue;
-            }
+            io.to(this.roomCode).emit('fishHit', {
+                fishId: result.fishId,
+                bulletId,
+                hitByPlayerId: shooter ? shooter.playerId : null,
+                killRoll: result.kill ? null : (result.rollProof || null),
+                ...hitFlags
+            });
             
-            for (const { fishId, fish, distToFish } of fishHitThisTick) {
-                const shooter = this.players.get(bullet.ownerSocketId);
-                if (shooter) {
-                    shooter.totalHits++;
-                    anomalyDetector.recordHit(bullet.ownerSocketId, bullet.weapon);
-                }
-                
-                const currentCost = fish.costByPlayer.get(bullet.ownerSocketId) || 0;
-                fish.costByPlayer.set(bullet.ownerSocketId, currentCost + bullet.cost);
-                fish.lastHitBy = bullet.ownerSocketId;
-                
-                const costFp = bullet.cost * MONEY_SCALE;
-                const result = this.rtpEngine.handleSingleTargetHit(
-                    bullet.ownerSocketId,
-                    fishId,
-                    costFp,
-                    fish.tier
-                );
-                
-                io.to(this.roomCode).emit('fishHit', {
-                    fishId,
-                    bulletId,
-                    hitByPlayerId: shooter ? shooter.playerId : null
-                });
-                
-                if (result.kill) {
-                    this.handleFishKill(fish, bullet, io, result);
-                }
-                
-                bullet.hasHit = true;
-                this.bullets.delete(bulletId);
-                break;
+            if (result.kill) {
+                this.handleFishKill(hitEntry.fish, bullet, io, result);
             }
+        });
+        
+        this.bullets.delete(bulletId);
+    }
+    
+    /**
+     * Pay a kill's reward to the seated contributors (by fish.costByPlayer)
+     * plus the room's finisher pool to the killer (POL-ECON-001).
+     * source: { weaponKey, fundingTier } for the RTP ledger (fundingTier: effect kills).
+     * Effect kills are paid wholly to the killer: the trigger kill funded the
+     * effect, so earlier shots by other players at its victims earn no share.
+     * Returns the rewardDistribution recorded in fishKilled and the receipt.
+     */
+    _distributeKillReward(fish, killerSocketId, rtpResult, totalReward, io, source = {}) {
+        const killer = this.players.get(killerSocketId);
+        if (!killer) return [];
+        
+        this.rtpLedger.recordKill(killer.playerId, source.weaponKey, fish.tier, rtpResult.reason);
+        if (totalReward <= 0) return [];
+        
+        // Players who left the room no longer share in the payout
+        const contributions = [];
+        for (const [socketId, cost] of fish.costByPlayer) {
+            const player = this.players.get(socketId);
+            if (!player || (source.fundingTier && socketId !== killerSocketId)) continue;
+            contributions.push({ socketId, playerId: player.playerId, cost });
+        }
+        
+        const rewardFp = Math.round(totalReward * MONEY_SCALE);
+        this.rtpLedger.recordPayout(source.weaponKey, source.fundingTier || fish.tier, rewardFp);
+        const shares = splitReward(rewardFp, contributions, { socketId: killerSocketId, playerId: killer.playerId }, this.finisherPoolPercent);
+        
+        killer.totalKills++;
+        const rewardDistribution = [];
+        for (const share of shares) {
+            const reward = share.rewardFp / MONEY_SCALE;
+            rewardDistribution.push({
+                playerId: share.playerId,
+                socketId: share.socketId,
+                cost: share.cost,
+                percent: share.percent,
+                reward,
+                contributionReward: share.contributionFp / MONEY_SCALE,
+                finisherReward: share.finisherFp / MONEY_SCALE
+            });
+            if (reward <= 0) continue;
+            
+            const player = this.players.get(share.socketId);
+            const reason = share.socketId === killerSocketId ? 'fishKill' : 'fishKillShare';
+            player.balance += reward;
+            player.score += reward;
+            this.rtpLedger.recordPlayerPayout(share.playerId, share.rewardFp);
+            this.receiptChain.addReceipt(createKillCreditReceipt(
+                player, fish, rtpResult.killEventId, reason, reward, source.weaponKey, source.fundingTier || fish.tier,
+                this.getRulesHash(), this.getRulesVersion()
+            ));
+            
+            io.to(share.socketId).emit('balanceUpdate', {
+                balance: player.balance,
+                change: reward,
+                reason,
+                fishType: fish.typeName,
+                killEventId: rtpResult.killEventId
+            });
         }
+        return rewardDistribution;
     }
     
     handleFishKill(fish, bullet, io, rtpResult) {
@@ -1123,44 +1884,41 @@ class Fish3DGameEngine {
         
         const killerSocketId = bullet.ownerSocketId;
         const killer = this.players.get(killerSocketId);
-        const totalReward = rtpResult.reward;
+        // Effect-funded special fish pay out through their effect settlement
+        const totalReward = isEffectFunded(fish.specialType) ? 0 : rtpResult.reward;
         
-        const rewardDistribution = [];
-        
-        if (killer && totalReward > 0) {
-            killer.balance += totalReward;
-            killer.score += totalReward;
-            killer.totalKills++;
-            
-            rewardDistribution.push({
-                playerId: killer.playerId,
-                socketId: killerSocketId,
-                cost: fish.costByPlayer.get(killerSocketId) || 0,
-                percent: 100,
-                reward: totalReward
-            });
-            
-            io.to(killerSocketId).emit('balanceUpdate', {
-                balance: killer.balance,
-                change: totalReward,
-                reason: 'fishKill',
-                fishType: fish.typeName,
-                killEventId: rtpResult.killEventId
-            });
-        }
+        const rewardDistribution = this._distributeKillReward(fish, killerSocketId, rtpResult, totalReward, io, {
+            weaponKey: bullet.weapon,
+            fundingTier: bullet.fundingTier
+        });
         
         if (fish.isBoss) {
-            this.killsSinceLastBoss = 0;
             if (fish.fishId === this.currentBoss) {
                 this.currentBoss = null;
             }
+            if (this.bossEncounter && this.bossEncounter.fishId === fish.fishId) {
+                this.bossEncounter = null;
+            }
         } else {
-            this.killsSinceLastBoss++;
+            this.timeline.recordKill();
         }
         
-        const rulesHash = this.configHashManager ? this.configHashManager.getHash() : null;
+        const rulesHash = this.getRulesHash();
         const rulesVersion = this.configHashManager ? this.configHashManager.getVersion() : null;
         
+        const receipt = this.receiptChain.addReceipt(createFishDeathReceipt(
+            fish,
+            rewardDistribution,
+            totalReward,
+            rulesHash,
+            rulesVersion,
+            fish.seedCommitment,
+            this.finisherPoolPercent,
+            rtpResult.rollProof || null
+        ));
+        // Announced receipts must already be on disk
+        this.receiptChain.flush();
+        
         io.to(this.roomCode).emit('fishKilled', {
             fishId: fish.fishId,
             typeName: fish.typeName,
@@ -1172,21 +1930,129 @@ class Fish3DGameEngine {
             seedCommitment: fish.seedCommitment,
             rulesHash: rulesHash,
             killEventId: rtpResult.killEventId,
-            killReason: rtpResult.reason
+            killReason: rtpResult.reason,
+            killRoll: rtpResult.rollProof || null,
+            receiptHash: receipt.hash,
+            receiptIndex: receipt.index
         });
         
-        const receipt = createFishDeathReceipt(
-            fish,
-            rewardDistribution,
-            totalReward,
-            rulesHash,
-            rulesVersion,
-            fish.seedCommitment
-        );
-        this.receiptChain.addReceipt(receipt);
-        
         this.rtpEngine.clearFishStates(fish.fishId);
         this.fish.delete(fish.fishId);
+        
+        if (fish.specialType) {
+            this.triggerSpecialEffect(fish, killerSocketId, rtpResult, io, bullet.weapon);
+        }
+    }
+    
+    /**
+     * Run the room effect of a killed special fish.
+     * bomb / chainLightning settle one multi-target batch for the killer,
+     * funded by the trigger kill's rewardFp; freeze stops fish movement.
+     * weaponKey is the trigger kill's weapon (ledger attribution only).
+     */
+    triggerSpecialEffect(fish, killerSocketId, rtpResult, io, weaponKey = null) {
+        const effect = SPECIAL_EFFECTS[fish.specialType];
+        if (!effect) return null;
+        
+        const killer = this.players.get(killerSocketId);
+        const origin = { x: fish.x, z: fish.z };
+        const rulesHash = this.getRulesHash();
+        const rulesVersion = this.configHashManager ? this.configHashManager.getVersion() : null;
+        
+        let settlement = null;
+        let payoutTotal = 0;
+        const details = {};
+        
+        if (fish.specialType === 'freeze') {
+            this.frozenUntil = Math.max(this.frozenUntil, Date.now() + effect.durationMs);
+            details.durationMs = effect.durationMs;
+            details.frozenUntil = this.frozenUntil;
+            payoutTotal = rtpResult.reward; // paid by the normal kill path
+        } else {
+            const targets = fish.specialType === 'bomb'
+                ? selectBombTargets(origin, this.fish.values(), effect)
+                : selectChainTargets(origin, [...this.fish.values()], effect);
+            
+            if (targets.length === 0) {
+                // Nothing to settle: trigger reward is paid as-is
+                payoutTotal = rtpResult.reward;
+                if (killer && payoutTotal > 0) {
+                    killer.balance += payoutTotal;
+                    killer.score += payoutTotal;
+                    this.rtpLedger.recordPayout(weaponKey, fish.tier, rtpResult.rewardFp);
+                    this.rtpLedger.recordPlayerPayout(killer.playerId, rtpResult.rewardFp);
+                    this.receiptChain.addReceipt(createKillCreditReceipt(
+                        killer, fish, rtpResult.killEventId, 'specialEffect', payoutTotal, weaponKey, fish.tier, rulesHash, rulesVersion
+                    ));
+                    io.to(killerSocketId).emit('balanceUpdate', {
+                        balance: killer.balance,
+                        change: payoutTotal,
+                        reason: 'specialEffect',
+                        fishType: fish.typeName,
+                        killEventId: rtpResult.killEventId
+                    });
+                }
+            } else {
+                const { results, _debug } = this.rtpEngine.handleMultiTargetHit(
+                    killerSocketId,
+                    targets.map(t => ({ fishId: t.fish.fishId, tier: t.fish.tier, distance: t.distance })),
+                    rtpResult.rewardFp,
+                    effect.settlement,
+                    { debug: true }
+                );
+                
+                settlement = {
+                    weaponType: effect.settlement,
+                    fundingFp: rtpResult.rewardFp,
+                    budgetTotalFp: _debug.budgetTotalFp,
+                    targets: []
+                };
+                
+                for (let i = 0; i < results.length; i++) {
+                    const result = results[i];
+                    const target = targets[i].fish;
+                    settlement.targets.push({
+                        fish_id: target.fishId,
+                        fish_type: target.typeName,
+                        tier: target.tier,
+                        weight_fp: _debug.weightsFp[i],
+                        budget_fp: _debug.budgetAllocFp[i],
+                        kill: !!result.kill,
+                        kill_event_id: result.kill ? result.killEventId : null,
+                        reward: result.kill ? result.reward : 0
+                    });
+                    if (result.kill) {
+                        payoutTotal += result.reward;
+                        // Effect kills are paid wholly to the trigger killer; the ledger
+                        // books their payout on the tier that funded them
+                        this.handleFishKill(target, { ownerSocketId: killerSocketId, weapon: weaponKey, fundingTier: fish.tier }, io, result);
+                    }
+                }
+            }
+        }
+        
+        io.to(this.roomCode).emit('specialEffect', {
+            effect: fish.specialType,
+            sourceFishId: fish.fishId,
+            triggeredByPlayerId: killer ? killer.playerId : null,
+            position: origin,
+            targets: settlement ? settlement.targets.map(t => ({ fishId: t.fish_id, kill: t.kill })) : [],
+            durationMs: details.durationMs || 0,
+            payoutTotal,
+            killEventId: rtpResult.killEventId
+        });
+        
+        return this.receiptChain.addReceipt(createSpecialEffectReceipt(
+            fish,
+            fish.specialType,
+            killer,
+            rtpResult.killEventId,
+            settlement,
+            payoutTotal,
+            details,
+            rulesHash,
+            rulesVersion
+        ));
     }
     
     /**
@@ -1214,41 +2080,309 @@ class Fish3DGameEngine {
     }
     
     /**
-     * Update boss wave state
+     * Resolve options.timeline (name or inline definition) to a validated
+     * definition; falls back to the default timeline.
+     */
+    _resolveTimeline(spec) {
+        const definition = (typeof spec === 'string') ? loadTimeline(spec) : spec;
+        if (definition) {
+            const result = validateTimeline(definition, { species: FISH_SPECIES, formations: FORMATIONS });
+            if (result.valid) return definition;
+            console.warn(`[FISH3D-ENGINE] Invalid timeline, using ${DEFAULT_TIMELINE}: ${result.errors.join('; ')}`);
+        }
+        return loadTimeline(DEFAULT_TIMELINE);
+    }
+    
+    /**
+     * Resolve options.layout (name or inline definition) to
+     * { name, ...layout }; falls back to the default layout.
+     */
+    _resolveLayout(spec) {
+        const definition = (typeof spec === 'string') ? getLayout(spec) : spec;
+        if (definition) {
+            const result = validateLayout(definition);
+            if (result.valid) {
+                return { ...definition, name: typeof spec === 'string' ? spec : (definition.name || 'custom') };
+            }
+            console.warn(`[FISH3D-ENGINE] Invalid layout, using ${DEFAULT_LAYOUT}: ${result.errors.join('; ')}`);
+        } else if (spec !== undefined) {
+            console.warn(`[FISH3D-ENGINE] Unknown layout, using ${DEFAULT_LAYOUT}`);
+        }
+        return { ...getLayout(DEFAULT_LAYOUT), name: DEFAULT_LAYOUT };
+    }
+    
+    /**
+     * Public layout description for clients (bounds, seat map, spawn edges)
+     */
+    getLayoutInfo() {
+        return describeLayout(this.layout.name, { ...this.layout, seats: this.CANNON_POSITIONS });
+    }
+    
+    /**
+     * Advance the wave timeline and run the current phase's spawns
      */
-    updateBossWaveState(io) {
+    updateTimeline(io) {
+        const now = Date.now();
+        
+        // Boss phase ends early once the boss is killed or has left the tank
+        const bossGone = this.bossWaveActive &&
+            (this.currentBoss === null || !this.fish.has(this.currentBoss));
+        
+        if (this.timeline.isPhaseComplete(now, { bossDefeated: bossGone })) {
+            this._exitPhase(this.timeline.getCurrentPhase(), io);
+            this._enterPhase(this.timeline.advance(now), io);
+        }
+        
+        this._runPhaseSpawns(this.timeline.getCurrentPhase(), now);
+    }
+    
+    _enterPhase(phase, io) {
         const now = Date.now();
+        this.phaseState = {
+            lastSpawn: now,
+            burstIndex: 0,
+            tideEdge: null,
+            tideColumn: 0
+        };
+        
+        if (phase.type === 'fishTide') {
+            const edge = phase.tide.edge || 'random';
+            this.phaseState.tideEdge = (edge === 'random')
+                ? this.rng.pick(this.SPAWN_EDGES)
+                : edge;
+            this._flushForTide(phase.tide);
+        }
         
-        if (this.bossWaveActive) {
-            // Check if boss wave should end
-            if (now - this.bossWaveStartTime > this.bossWaveDuration || this.currentBoss === null) {
-                this.endBossWave(io);
+        const info = this.timeline.getInfo(now);
+        console.log(`[FISH3D-ENGINE] PHASE ${info.phaseIndex} (${info.type}): ${info.name}`);
+        
+        if (io) {
+            io.to(this.roomCode).emit('phaseChanged', {
+                ...info,
+                tideEdge: this.phaseState.tideEdge
+            });
+        }
+        
+        if (phase.type === 'boss') {
+            this.startBossWave(io, phase);
+        }
+    }
+    
+    _exitPhase(phase, io) {
+        if (phase.type === 'boss' && this.bossWaveActive) {
+            // Wave timer ran out with the boss still alive: script its escape
+            if (this.bossEncounter && !this.bossEncounter.escaping && this.fish.has(this.bossEncounter.fishId)) {
+                this.startBossEscape(io);
             }
-        } else {
-            // Check if boss wave should start
-            if (this.killsSinceLastBoss >= this.killsToTriggerBoss ||
-                now - this.lastWaveChange > this.normalWaveDuration) {
-                this.startBossWave(io);
+            this.endBossWave(io);
+        }
+    }
+    
+    _runPhaseSpawns(phase, now) {
+        const state = this.phaseState;
+        
+        switch (phase.type) {
+            case 'normal':
+            case 'boss': {
+                const interval = phase.spawnIntervalMs || this.fishSpawnInterval;
+                if (now - this.lastFishSpawn > interval) {
+                    const chance = (phase.formationChance !== undefined) ? phase.formationChance : this.formationChance;
+                    if (this.rng.next() < chance) {
+                        this.spawnFormation(this.rng.pick(Object.keys(FORMATIONS)));
+                    } else {
+                        this.spawnFish();
+                    }
+                    this.lastFishSpawn = now;
+                }
+                break;
+            }
+            case 'formationBurst': {
+                if (now - state.lastSpawn >= phase.burstIntervalMs) {
+                    const name = phase.formations[state.burstIndex % phase.formations.length];
+                    this.spawnFormation(name);
+                    state.burstIndex++;
+                    state.lastSpawn = now;
+                }
+                break;
+            }
+            case 'fishTide': {
+                if (now - state.lastSpawn >= phase.tide.columnIntervalMs) {
+                    this.spawnTideColumn(phase.tide, state.tideEdge, state.tideColumn++);
+                    state.lastSpawn = now;
+                }
+                break;
+            }
+            // intermission: no spawns
+        }
+    }
+    
+    /**
+     * Unit heading of a tide entering from the given edge
+     */
+    _tideHeading(edge) {
+        switch (edge) {
+            case 'left': return { dirX: 1, dirZ: 0 };
+            case 'right': return { dirX: -1, dirZ: 0 };
+            case 'top': return { dirX: 0, dirZ: 1 };
+            default: return { dirX: 0, dirZ: -1 }; // bottom
+        }
+    }
+    
+    /**
+     * Spawn one column of a fish tide: `rows` fish evenly spread along the
+     * entry edge, all on straight paths across the tank.
+     */
+    spawnTideColumn(tide, edge, columnIndex) {
+        const bounds = this.MAP_BOUNDS;
+        const margin = 10;
+        const { dirX, dirZ } = this._tideHeading(edge);
+        const typeName = tide.species[columnIndex % tide.species.length];
+        const fishType = { typeName, ...FISH_SPECIES[typeName] };
+        const speed = fishType.speed * this.FISH_SPEED_SCALE * (tide.speedScale || 1);
+        
+        const spawned = [];
+        for (let row = 0; row < tide.rows; row++) {
+            if (this.fish.size >= this.maxFish) break;
+            const u = (row + 0.5) / tide.rows;
+            let startX, startZ, endX, endZ;
+            if (dirX !== 0) {
+                startX = dirX > 0 ? bounds.minX - margin : bounds.maxX + margin;
+                endX = dirX > 0 ? bounds.maxX + margin : bounds.minX - margin;
+                startZ = endZ = bounds.minZ + u * (bounds.maxZ - bounds.minZ);
+            } else {
+                startZ = dirZ > 0 ? bounds.minZ - margin : bounds.maxZ + margin;
+                endZ = dirZ > 0 ? bounds.maxZ + margin : bounds.minZ - margin;
+                startX = endX = bounds.minX + u * (bounds.maxX - bounds.minX);
             }
+            spawned.push(this._createFish(fishType, this._buildPath(startX, startZ, endX, endZ, speed, 'straight')));
+        }
+        return spawned;
+    }
+    
+    /**
+     * Sweep existing non-boss fish out ahead of an incoming tide
+     */
+    _flushForTide(tide) {
+        const { dirX, dirZ } = this._tideHeading(this.phaseState.tideEdge);
+        const scale = tide.flushSpeedScale || 1;
+        for (const fish of this.fish.values()) {
+            if (fish.isBoss || !fish.isAlive) continue;
+            this._repathFish(fish, dirX, dirZ, fish.path.speed * scale);
         }
     }
     
     /**
-     * Start boss wave
+     * Start boss wave (entered from a timeline boss phase)
      */
-    startBossWave(io) {
+    startBossWave(io, phase = {}) {
         this.bossWaveActive = true;
         this.bossWaveStartTime = Date.now();
-        this.killsSinceLastBoss = 0;
+        if (phase.durationMs) this.bossWaveDuration = phase.durationMs;
         
         console.log(`[FISH3D-ENGINE] === BOSS WAVE STARTED ===`);
         
-        io.to(this.roomCode).emit('bossWaveStarted', {
-            duration: this.bossWaveDuration
-        });
+        if (io) {
+            io.to(this.roomCode).emit('bossWaveStarted', {
+                duration: this.bossWaveDuration
+            });
+        }
         
         // Spawn boss
-        this.spawnFish(true);
+        const boss = this.spawnFish(true, phase.bossTypes || BOSS_TYPES);
+        if (boss) {
+            this.bossEncounter = new BossEncounter(boss, this.bossWaveStartTime + this.bossWaveDuration);
+            this._emitBossPhase(io, 'spawn');
+        }
+    }
+    
+    /**
+     * Boss encounter tick: advance phases from RTP progress / wave timer,
+     * keep the boss inside the tank, and report escapes.
+     */
+    updateBossEncounter(io) {
+        const encounter = this.bossEncounter;
+        if (!encounter) return;
+        
+        const boss = this.fish.get(encounter.fishId);
+        if (!boss) {
+            // Left the tank without being killed
+            this.bossEncounter = null;
+            this.rtpEngine.clearFishStates(encounter.fishId);
+            if (this.currentBoss === encounter.fishId) this.currentBoss = null;
+            console.log(`[FISH3D-ENGINE] BOSS ESCAPED: ${encounter.typeName} (ID: ${encounter.fishId})`);
+            if (io) {
+                io.to(this.roomCode).emit('bossEscaped', {
+                    fishId: encounter.fishId,
+                    typeName: encounter.typeName,
+                    phaseIndex: encounter.phaseIndex
+                });
+            }
+            return;
+        }
+        if (!boss.isAlive) return;
+        
+        const progressFp = this.rtpEngine.getFishProgressFp(boss.fishId, boss.tier);
+        const change = encounter.evaluate(Date.now(), progressFp);
+        if (change) {
+            this._repathFish(boss, boss.path.dirX, boss.path.dirZ, encounter.getSpeed(), boss.path.pattern);
+            this._emitBossPhase(io, change.reason);
+        }
+        
+        if (!encounter.escaping) this._containBoss(boss, encounter);
+    }
+    
+    /**
+     * Turn the boss back toward the tank when it is outside the map and heading out
+     */
+    _containBoss(boss, encounter) {
+        const bounds = this.MAP_BOUNDS;
+        const outside = boss.x < bounds.minX || boss.x > bounds.maxX ||
+            boss.z < bounds.minZ || boss.z > bounds.maxZ;
+        if (!outside) return;
+        
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+        const headingOut = boss.path.dirX * (centerX - boss.x) + boss.path.dirZ * (centerZ - boss.z) < 0;
+        if (!headingOut) return;
+        
+        // New heading toward a point in the inner half of the tank
+        const targetX = centerX + this.rng.nextFloat(-0.5, 0.5) * (bounds.maxX - bounds.minX) / 2;
+        const targetZ = centerZ + this.rng.nextFloat(-0.5, 0.5) * (bounds.maxZ - bounds.minZ) / 2;
+        const dx = targetX - boss.x;
+        const dz = targetZ - boss.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        this._repathFish(boss, dx / dist, dz / dist, encounter.getSpeed(), boss.path.pattern);
+    }
+    
+    /**
+     * Send the boss straight out through the nearest edge at escape speed.
+     * It stays shootable (RTP roll unchanged) until it leaves the tank.
+     */
+    startBossEscape(io) {
+        const encounter = this.bossEncounter;
+        const boss = encounter && this.fish.get(encounter.fishId);
+        if (!boss || encounter.escaping) return;
+        
+        const bounds = this.MAP_BOUNDS;
+        const exits = [
+            { dist: boss.x - bounds.minX, dirX: -1, dirZ: 0 },
+            { dist: bounds.maxX - boss.x, dirX: 1, dirZ: 0 },
+            { dist: boss.z - bounds.minZ, dirX: 0, dirZ: -1 },
+            { dist: bounds.maxZ - boss.z, dirX: 0, dirZ: 1 }
+        ];
+        const exit = exits.reduce((best, e) => (e.dist < best.dist ? e : best));
+        
+        encounter.startEscape();
+        this._repathFish(boss, exit.dirX, exit.dirZ, encounter.getSpeed());
+        this._emitBossPhase(io, 'timer');
+    }
+    
+    _emitBossPhase(io, reason) {
+        if (!io || !this.bossEncounter) return;
+        io.to(this.roomCode).emit('bossPhaseChanged', {
+            ...this.bossEncounter.getInfo(),
+            reason
+        });
     }
     
     /**
@@ -1257,11 +2391,12 @@ class Fish3DGameEngine {
     endBossWave(io) {
         this.bossWaveActive = false;
         this.currentBoss = null;
-        this.lastWaveChange = Date.now();
         
         console.log(`[FISH3D-ENGINE] === BOSS WAVE ENDED ===`);
         
-        io.to(this.roomCode).emit('bossWaveEnded', {});
+        if (io) {
+            io.to(this.roomCode).emit('bossWaveEnded', {});
+        }
     }
     
     /**
@@ -1282,7 +2417,11 @@ class Fish3DGameEngine {
                 hp: fish.health,   // visual-only, not authoritative
                 maxHp: fish.maxHealth, // visual-only, not authoritative,
                 size: fish.size,
-                isBoss: fish.isBoss
+                isBoss: fish.isBoss,
+                special: fish.specialType,
+                path: fish.path,
+                pt: fish.pathTime,
+                formation: fish.formation
             });
         }
         
@@ -1297,7 +2436,8 @@ class Fish3DGameEngine {
                 vx: bullet.velocityX,
                 vz: bullet.velocityZ,
                 rot: bullet.rotation,
-                weapon: bullet.weapon  // Add weapon for visual sync
+                weapon: bullet.weapon,  // Add weapon for visual sync
+                lock: bullet.homingTargetId || null
             });
         }
         
@@ -1317,7 +2457,10 @@ class Fish3DGameEngine {
                 yaw: player.cannonYaw,
                 weapon: player.currentWeapon,
                 balance: player.balance,
-                score: player.score
+                score: player.score,
+                lock: player.lockedFishId,
+                autoFire: !!player.autoFire,
+                frenzyUntil: player.frenzyUntil
             });
         }
         
@@ -1327,7 +2470,11 @@ class Fish3DGameEngine {
             fish: fishArray,
             bullets: bulletsArray,
             players: playersArray,
-            bossWave: this.bossWaveActive
+            bossWave: this.bossWaveActive,
+            boss: this.bossEncounter ? this.bossEncounter.getInfo() : null,
+            frozenUntil: this.frozenUntil,
+            slowUntil: this.slowUntil,
+            phase: this.timeline.getInfo(Date.now())
         });
     }
     
@@ -1338,19 +2485,311 @@ class Fish3DGameEngine {
         return {
             roomCode: this.roomCode,
             playerCount: this.players.size,
+            maxPlayers: this.maxPlayers,
+            spectatorCount: this.spectators.size,
             fishCount: this.fish.size,
             bulletCount: this.bullets.size,
             bossWaveActive: this.bossWaveActive,
+            boss: this.bossEncounter ? this.bossEncounter.getInfo() : null,
+            phase: this.timeline.getInfo(Date.now()),
+            ricochet: this.ricochet,
+            layout: this.layout.name,
             serverTick: this.serverTick
         };
     }
     
+    // ── RTP state persistence ─────────────────────────────────────────
+    // Sockets change on reconnect, so snapshots key players by seat
+    // ('seat:<playerId>'); a player rejoining with that seat's resume token
+    // reclaims its budgets and fish contributions.
+    
+    _seatKey(playerKey) {
+        if (typeof playerKey === 'string' && playerKey.startsWith('seat:')) return playerKey;
+        const player = this.players.get(playerKey);
+        return player ? `seat:${player.playerId}` : null;
+    }
+    
+    _seatMapEntries(map) {
+        const entries = [];
+        for (const [playerKey, value] of map) {
+            const seat = this._seatKey(playerKey);
+            if (seat) entries.push([seat, value]);
+        }
+        return entries;
+    }
+    
+    /**
+     * Whole-room snapshot: live fish table + RTPPhase1 per-fish budget state.
+     * Players who already left are dropped (their states were cleared on leave).
+     */
+    snapshotState() {
+        const fish = [];
+        for (const f of this.fish.values()) {
+            if (!f.isAlive) continue;
+            fish.push({
+                ...f,
+                lastHitBy: f.lastHitBy ? this._seatKey(f.lastHitBy) : null,
+                damageByPlayer: this._seatMapEntries(f.damageByPlayer),
+                costByPlayer: this._seatMapEntries(f.costByPlayer)
+            });
+        }
+        
+        const rtpStates = [];
+        for (const [playerKey, fishId, state] of this.rtpEngine.exportStates()) {
+            const seat = this._seatKey(playerKey);
+            if (seat && this.fish.has(Number(fishId))) rtpStates.push([seat, fishId, state]);
+        }
+        
+        return {
+            version: STATE_VERSION,
+            roomCode: this.roomCode,
+            savedAt: Date.now(),
+            rulesHash: this.getRulesHash(),
+            // Constructor options that rebuild this room (named timeline / layout only)
+            room: {
+                singlePlayer: this.singlePlayer,
+                timeline: this.timeline.name,
+                layout: this.layout.name,
+                seats: this.maxPlayers,
+                ricochet: this.ricochet ? this.ricochet.maxBounces : null,
+                finisherPoolPercent: this.finisherPoolPercent
+            },
+            nextFishId: this.nextFishId,
+            currentBoss: this.currentBoss,
+            fish,
+            rtpStates,
+            // [seat, resume token sha256] of seated players and unclaimed restored seats
+            seats: [...this._seatTokenEntries(), ...this.restoredSeats],
+            ledger: this.rtpLedger.export()
+        };
+    }
+    
+    _seatTokenEntries() {
+        const entries = [];
+        for (const [socketId, token] of this.resumeTokens) {
+            const player = this.players.get(socketId);
+            if (player) entries.push([`seat:${player.playerId}`, hashSeatToken(token)]);
+        }
+        return entries;
+    }
+    
+    /**
+     * Restore a snapshotState() into this engine. Every seat with state waits
+     * for the player holding its resume token (seats without one stay
+     * unclaimable); seated players holding it reclaim immediately, others on
+     * join. Returns the number of restored fish.
+     */
+    restoreState(snapshot) {
+        if (!snapshot || snapshot.version !== STATE_VERSION || snapshot.roomCode !== this.roomCode) {
+            throw new Error(`[RTP-STATE] Snapshot does not belong to room ${this.roomCode}`);
+        }
+        const rulesHash = this.getRulesHash();
+        if (rulesHash && snapshot.rulesHash && snapshot.rulesHash !== rulesHash) {
+            console.warn(`[RTP-STATE] Room ${this.roomCode} restored under changed rules (${snapshot.rulesHash.substring(0, 16)}... -> ${rulesHash.substring(0, 16)}...)`);
+        }
+        
+        for (const f of snapshot.fish) {
+            this.fish.set(f.fishId, {
+                ...f,
+                damageByPlayer: new Map(f.damageByPlayer),
+                costByPlayer: new Map(f.costByPlayer)
+            });
+        }
+        this.rtpEngine.importStates(snapshot.rtpStates);
+        if (snapshot.ledger) this.rtpLedger.import(snapshot.ledger);
+        const tokenHashes = new Map(snapshot.seats || []);
+        const seats = new Set([...tokenHashes.keys(), ...snapshot.rtpStates.map(([seat]) => seat)]);
+        for (const f of snapshot.fish) {
+            for (const [seat] of [...f.damageByPlayer, ...f.costByPlayer]) seats.add(seat);
+        }
+        for (const seat of seats) {
+            if (!this.restoredSeats.has(seat)) this.restoredSeats.set(seat, tokenHashes.get(seat) || null);
+        }
+        this.nextFishId = Math.max(this.nextFishId, snapshot.nextFishId);
+        if (snapshot.currentBoss && this.fish.has(snapshot.currentBoss)) {
+            this.currentBoss = snapshot.currentBoss;
+        }
+        
+        for (const player of this.players.values()) {
+            this._claimSeatState(player);
+        }
+        console.log(`[RTP-STATE] Room ${this.roomCode} restored: fish=${snapshot.fish.length}, states=${snapshot.rtpStates.length}`);
+        return snapshot.fish.length;
+    }
+    
+    _seatTokenMatches(seat, resumeToken) {
+        const tokenHash = this.restoredSeats.get(seat);
+        return !!tokenHash && hashSeatToken(resumeToken) === tokenHash;
+    }
+    
+    /**
+     * playerId of the unclaimed restored seat this resume token belongs to, or null
+     */
+    findRestoredSeat(resumeToken) {
+        for (const seat of this.restoredSeats.keys()) {
+            if (this._seatTokenMatches(seat, resumeToken)) return Number(seat.slice('seat:'.length));
+        }
+        return null;
+    }
+    
+    // Highest playerId among seats still waiting for their token (0: none)
+    getMaxRestoredSeatId() {
+        let max = 0;
+        for (const seat of this.restoredSeats.keys()) max = Math.max(max, Number(seat.slice('seat:'.length)) || 0);
+        return max;
+    }
+    
+    // Only the holder of the seat's resume token takes over its state
+    _claimSeatState(player) {
+        const seat = `seat:${player.playerId}`;
+        if (!this._seatTokenMatches(seat, this.resumeTokens.get(player.socketId))) return false;
+        this.restoredSeats.delete(seat);
+        this.rtpEngine.renamePlayer(seat, player.socketId);
+        for (const fish of this.fish.values()) {
+            for (const map of [fish.damageByPlayer, fish.costByPlayer]) {
+                if (!map.has(seat)) continue;
+                map.set(player.socketId, (map.get(player.socketId) || 0) + map.get(seat));
+                map.delete(seat);
+            }
+            if (fish.lastHitBy === seat) fish.lastHitBy = player.socketId;
+        }
+        return true;
+    }
+    
+    /**
+     * Write the room snapshot to the state store (no-op without one)
+     */
+    async saveState() {
+        if (!this.stateStore) return false;
+        await saveRoomState(this.stateStore, this.roomCode, this.snapshotState());
+        this.lastStateSave = Date.now();
+        return true;
+    }
+    
+    /**
+     * Drop the stored snapshot (room closed for good)
+     */
+    async discardState() {
+        if (!this.stateStore) return false;
+        await deleteRoomState(this.stateStore, this.roomCode);
+        return true;
+    }
+    
+    _saveStateIfDue() {
+        if (!this.stateStore || this.stateSaveInFlight) return;
+        if (Date.now() - this.lastStateSave < STATE_SAVE_INTERVAL_MS) return;
+        
+        this.stateSaveInFlight = true;
+        this.saveState()
+            .catch(err => console.warn(`[RTP-STATE] Cannot save room ${this.roomCode}:`, err.message))
+            .finally(() => {
+                this.stateSaveInFlight = false;
+            });
+    }
+    
+    /**
+     * Live RTP report: ledger counters plus outstanding RTPPhase1 budget debt
+     * (negative budgetRemainingFp on live fish), per player / weapon / tier.
+     */
+    getRTPReport() {
+        const debts = [];
+        for (const [playerKey, fishId, state] of this.rtpEngine.exportStates()) {
+            const fish = this.fish.get(Number(fishId));
+            if (state.budgetRemainingFp >= 0 || !fish) continue;
+            const player = this.players.get(playerKey);
+            const playerId = player ? player.playerId : Number(String(playerKey).replace('seat:', ''));
+            debts.push({ playerId, tier: fish.tier, debtFp: -state.budgetRemainingFp });
+        }
+        return { roomCode: this.roomCode, ...this.rtpLedger.report(debts) };
+    }
+    
+    // M6: Rules hash for this room (global config + room rules such as ricochet)
+    getRulesHash() {
+        if (!this.configHashManager) return null;
+        return this.configHashManager.getRoomHash(this.getRoomRules());
+    }
+    
+    getRulesVersion() {
+        return this.configHashManager ? this.configHashManager.getVersion() : null;
+    }
+    
+    getRoomRules() {
+        const rules = {};
+        if (this.ricochet) rules.ricochet = this.ricochet;
+        if (this.finisherPoolPercent) rules.finisherPoolPercent = this.finisherPoolPercent;
+        return Object.keys(rules).length > 0 ? rules : null;
+    }
+    
     // M3: Get current seed commitment info
     getSeedCommitment() {
         return this.seedManager.getInfo();
     }
     
-    // M3: Reveal current seed for verification
+    /**
+     * M3: Replace a seated player's client seed.
+     * Returns { clientSeed, seedNonce, commitment }, or null (not seated / invalid seed).
+     */
+    setClientSeed(socketId, clientSeed) {
+        const player = this.players.get(socketId);
+        if (!player || !this.seedManager.setClientSeed(player.playerId, clientSeed)) return null;
+        return {
+            clientSeed,
+            seedNonce: this.seedManager.seedNonce,
+            commitment: this.seedManager.getCommitment()
+        };
+    }
+    
+    getClientSeed(socketId) {
+        const player = this.players.get(socketId);
+        return player ? this.seedManager.getClientSeed(player.playerId) : null;
+    }
+    
+    // Resume token of a seated player; only that player may be sent it
+    getResumeToken(socketId) {
+        return this.resumeTokens.get(socketId) || null;
+    }
+    
+    // Whether token is the resume token of a seated player (their own session)
+    isPlayerSession(token) {
+        return typeof token === 'string' && token !== '' && [...this.resumeTokens.values()].includes(token);
+    }
+    
+    // M3: Committed kill roll for a shooter (RTPPhase1 rollSource), keyed by seat
+    _rollKill(socketId, fishId) {
+        const player = this.players.get(socketId);
+        return this.seedManager.rollKill(player ? player.playerId : socketId, fishId);
+    }
+    
+    /**
+     * M3: Rotate the seed when due and announce every reveal since the last
+     * call (spawn-count rotations happen inside fish spawning) as seedRotated.
+     */
+    _rotateSeedIfDue(io) {
+        this.seedManager.rotateIfDue();
+        const missed = this.seedManager.rotations - this.announcedSeedRotations;
+        if (missed <= 0) return;
+        this.announcedSeedRotations = this.seedManager.rotations;
+        const newCommitment = this.seedManager.getCommitment();
+        for (const revealed of this.seedManager.revealedSeeds.slice(-missed)) {
+            io.to(this.roomCode).emit('seedRotated', { ...revealed, roomId: this.roomCode, newCommitment });
+        }
+    }
+    
+    // M3: Most recently revealed seed, or null before the first rotation
+    getLatestSeedReveal() {
+        const revealed = this.seedManager.revealedSeeds;
+        return revealed.length > 0 ? { ...revealed[revealed.length - 1], roomId: this.roomCode } : null;
+    }
+    
+    // M3: Public reveal history (/api/rooms/:code/seeds); never includes the current seed
+    getSeedHistory() {
+        return {
+            ...this.seedManager.getInfo(),
+            revealedSeeds: this.seedManager.revealedSeeds
+        };
+    }
+    
+    // M3: Reveal current seed and rotate now (server-side only; players cannot rotate)
     revealSeed() {
         const reveal = this.seedManager.revealCurrentSeed();
         this.seedManager.rotateSeed();
@@ -1362,10 +2801,21 @@ class Fish3DGameEngine {
         return this.receiptChain.getReceipts();
     }
     
+    // M5: One receipt by hash, from the chain's in-memory index
+    findReceipt(receiptHash) {
+        return this.receiptChain.findReceipt(receiptHash);
+    }
+    
     // M5: Verify the receipt chain integrity
     verifyReceiptChain() {
         return this.receiptChain.verifyChain();
     }
+    
+    // M5: Inclusion proof of one receipt under its batch's Merkle root; a
+    // receipt in the open batch is { pending: true } until the game loop seals it
+    getInclusionProof(receiptHash) {
+        return this.receiptChain.getInclusionProof(receiptHash);
+    }
 
     static sortAndTrimHitList(candidates, maxTargets, distKey = 'dist') {
         candidates.sort((a, b) => {
@@ -1383,4 +2833,4 @@ class Fish3DGameEngine {
     }
 }
 
-module.exports = { Fish3DGameEngine, FISH_SPECIES, WEAPONS, SeededRNG };
+module.exports = { Fish3DGameEngine, FISH_SPECIES, WEAPONS, FISH_SPEED_SCALE, SeededRNG };
@@ -7,7 +7,7 @@
  * - 4-player support with positioned cannons
  * - Real-time fish/bullet synchronization
  * - Last-hit-wins kill attribution
- * - Boss wave system
+ * - Boss wave system (scripted by wave timelines, see /api/timelines)
  * - Security architecture (CSPRNG, session management, nonce tracking)
  * 
  * Security Features (PDF Specification):
@@ -17,11 +17,28 @@
  * - RTP values: 1x=91%, 3x=93%, 5x=94%, 8x=95%
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
 const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
 const cors = require('cors');
-const { Fish3DGameEngine, FISH_SPECIES, WEAPONS } = require('./fish3DGameEngine');
+const { Fish3DGameEngine, FISH_SPECIES, WEAPONS, FISH_SPEED_SCALE } = require('./fish3DGameEngine');
+const { MOVEMENT_PATTERNS } = require('./src/modules/MovementPatterns');
+const { listTimelines, loadTimeline } = require('./src/modules/WaveTimeline');
+const { listLayouts, getLayout, describeLayout, layoutForSeats, MAX_SEATS } = require('./src/modules/TableLayouts');
+const { SPECIAL_EFFECTS } = require('./src/modules/SpecialFish');
+const { RICOCHET } = require('./src/modules/Ricochet');
+const { POWER_UP_ITEMS, listItems } = require('./src/modules/PowerUpItems');
+const { FINISHER_POOL, resolveFinisherPoolPercent } = require('./src/modules/RewardSplit');
+const { FileStateStore, loadRoomState, deleteRoomState, listRoomStates } = require('./src/modules/RTPStateStore');
+const { combineReports } = require('./src/modules/RTPLedger');
+const { isValidClientSeed } = require('./src/modules/SeedCommitment');
+const {
+    verifyReceipts, reconcileBalances, receiptFilePath, readReceiptFile, listReceiptRooms, findFishReceipts
+} = require('./src/modules/AuditReceipt');
+const { receiptSigner } = require('./src/modules/ReceiptSigner');
+const { buildInclusionProof } = require('./src/modules/ReceiptMerkle');
 
 // Security modules
 const { sessionManager } = require('./src/session/SessionManager');
@@ -57,25 +74,15 @@ app.get('/', (req, res) => {
     res.send('3D Fish Shooting Game Server is running');
 });
 
+// Static config only: building an engine here would open a receipt chain
 app.get('/health', (req, res) => {
-    // Get FISH_SPEED_SCALE from any active game engine, or create a temp one to check
-    let fishSpeedScale = null;
-    const activeEngines = Object.values(gameEngines);
-    if (activeEngines.length > 0) {
-        fishSpeedScale = activeEngines[0].FISH_SPEED_SCALE;
-    } else {
-        // Create a temporary engine to check the scale value
-        const tempEngine = new Fish3DGameEngine('temp');
-        fishSpeedScale = tempEngine.FISH_SPEED_SCALE;
-    }
-    
     res.json({ 
         status: 'ok', 
         timestamp: new Date().toISOString(),
         rooms: Object.keys(rooms).length,
         version: '4.0.0-governance-modules',
         governance: configHashManager.getInfo(),
-        fishSpeedScale: fishSpeedScale,
+        fishSpeedScale: FISH_SPEED_SCALE,
         security: {
             sessionManagement: true,
             csprng: true,
@@ -104,11 +111,73 @@ app.get('/api/fish-species', (req, res) => {
     res.json(FISH_SPECIES);
 });
 
-// API endpoint to get weapons
+// API endpoint to get movement pattern profiles (clients sample fish paths with these)
+app.get('/api/movement-patterns', (req, res) => {
+    res.json(MOVEMENT_PATTERNS);
+});
+
+// API endpoint to list table layouts (bounds, seat maps, spawn edges)
+app.get('/api/layouts', (req, res) => {
+    res.json(listLayouts().map(name => describeLayout(name, getLayout(name))));
+});
+
+// API endpoint to list wave timelines (pass a name as createRoom { timeline })
+app.get('/api/timelines', (req, res) => {
+    res.json(listTimelines().map(name => {
+        const timeline = loadTimeline(name);
+        return {
+            name,
+            loop: timeline ? timeline.loop !== false : null,
+            phases: timeline ? timeline.phases.map(p => ({ type: p.type, name: p.name || p.type, durationMs: p.durationMs })) : []
+        };
+    }));
+});
+
+// API endpoint to get the weapon catalogue (src/config/weapons.json)
 app.get('/api/weapons', (req, res) => {
     res.json(WEAPONS);
 });
 
+// API endpoint to list purchasable power-up items (prices, scope, duration)
+app.get('/api/items', (req, res) => {
+    res.json(listItems());
+});
+
+// Ops endpoints (/api/rtp, requestRTPReport) need ADMIN_TOKEN; unset = disabled
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+function isAdminToken(token) {
+    if (!ADMIN_TOKEN || typeof token !== 'string') return false;
+    const given = Buffer.from(token);
+    const expected = Buffer.from(ADMIN_TOKEN);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Live RTP report for one room, or every room plus server-wide totals.
+ * Returns null for an unknown room.
+ */
+function buildRTPReport(roomCode) {
+    if (roomCode) {
+        return gameEngines[roomCode] ? gameEngines[roomCode].getRTPReport() : null;
+    }
+    const roomReports = Object.values(gameEngines).map(engine => engine.getRTPReport());
+    return { generatedAt: Date.now(), total: combineReports(roomReports), rooms: roomReports };
+}
+
+// Ops: live RTP vs RTP_TIER_FP targets (Authorization: Bearer <ADMIN_TOKEN>, ?room=CODE for one room)
+app.get('/api/rtp', (req, res) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!isAdminToken(token)) {
+        return res.status(403).json({ error: 'Admin token required' });
+    }
+    const report = buildRTPReport(req.query.room);
+    if (!report) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(report);
+});
+
 // M6: API endpoint for config hash and version
 app.get('/api/governance', (req, res) => {
     res.json({
@@ -116,10 +185,29 @@ app.get('/api/governance', (req, res) => {
         rulesVersion: configHashManager.getVersion(),
         modules: ['M1', 'M2', 'M3', 'M4', 'M5', 'M6'],
         phase: ENFORCEMENT_PHASE >= 3 ? 'full' : ENFORCEMENT_PHASE >= 2 ? 'soft' : 'shadow',
-        enforcementPhase: ENFORCEMENT_PHASE
+        enforcementPhase: ENFORCEMENT_PHASE,
+        receiptKeyId: receiptSigner.getPublicKeys().activeKeyId
     });
 });
 
+// M5: Receipt signing public keys, retired ones included (old receipts stay verifiable)
+app.get('/api/governance/keys', (req, res) => {
+    res.json(receiptSigner.getPublicKeys());
+});
+
+// Ops: switch receipts to a new signing key (Authorization: Bearer <ADMIN_TOKEN>)
+app.post('/api/governance/keys/rotate', (req, res) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!isAdminToken(token)) {
+        return res.status(403).json({ error: 'Admin token required' });
+    }
+    const keyId = receiptSigner.rotate();
+    if (!keyId) {
+        return res.status(409).json({ error: 'Signing key is set by RECEIPT_SIGNING_KEY; deploy a new key to rotate' });
+    }
+    res.json({ activeKeyId: keyId });
+});
+
 app.get('/api/verify', (req, res) => {
     res.type('text/html').send(`<!DOCTYPE html>
 <html><head><title>Fish3D Receipt Verifier</title>
@@ -131,34 +219,46 @@ textarea{width:100%;height:200px;background:#111;color:#0f0;border:1px solid #33
 button{background:#00ccff;color:#000;border:none;padding:10px 24px;cursor:pointer;font-weight:bold;margin:8px 0}
 button:hover{background:#00aadd}
 #result{padding:16px;margin:16px 0;border:1px solid #333}
+input{background:#111;color:#0f0;border:1px solid #333;font-family:monospace;padding:8px}
 table{width:100%;border-collapse:collapse}td,th{border:1px solid #333;padding:6px;text-align:left}
 </style></head><body>
 <h1>Fish3D Receipt Chain Verifier</h1>
-<p>Paste your receipts JSON array below, or fetch from server:</p>
-<button onclick="fetchReceipts()">Fetch from Server</button>
+<p>Paste your receipts JSON array below, or fetch from server (admin token, or your resume token while seated). Signatures are checked against the keys at /api/governance/keys; only a room's recorded pre-signing prefix may be unsigned, so give its room code.</p>
+<input id="room" placeholder="Room code"> <button onclick="fetchReceipts()">Fetch from Server</button>
 <textarea id="input" placeholder='[{"type":"FISH_DEATH",...}]'></textarea>
 <button onclick="verify()">Verify Chain</button>
 <div id="result"></div>
 <script>
 async function sha256(str){const buf=await crypto.subtle.digest('SHA-256',new TextEncoder().encode(str));return Array.from(new Uint8Array(buf)).map(b=>b.toString(16).padStart(2,'0')).join('')}
+function b64(s){return Uint8Array.from(atob(s),c=>c.charCodeAt(0))}
+async function loadKeys(){const body=await (await fetch('/api/governance/keys')).json();const keys={};for(const k of body.keys){keys[k.keyId]=await crypto.subtle.importKey('spki',b64(k.publicKey),{name:'Ed25519'},false,['verify'])}keys.legacy=body.legacyPrefixes||{};return keys}
+async function sigOk(keys,r){const key=keys[r.key_id];if(!key||typeof r.signature!=='string')return false;const{hash,signature,...body}=r;return crypto.subtle.verify({name:'Ed25519'},key,b64(signature),new TextEncoder().encode(JSON.stringify(body)))}
 async function verify(){
 const el=document.getElementById('result');
 try{
 const receipts=JSON.parse(document.getElementById('input').value);
 if(!Array.isArray(receipts)){el.innerHTML='<span class="fail">Input must be a JSON array</span>';return}
-let prev='GENESIS';let html='<h2>Chain Verification</h2><table><tr><th>#</th><th>Type</th><th>Fish</th><th>Payout</th><th>Hash</th><th>Status</th></tr>';
+let keys=null;try{keys=await loadKeys()}catch(e){}
+const room=document.getElementById('room').value.trim();const lp=keys&&Object.prototype.hasOwnProperty.call(keys.legacy,room)?keys.legacy[room]:null;
+let prev='GENESIS';let unsigned=0;let html='<h2>Chain Verification</h2><table><tr><th>#</th><th>Type</th><th>Fish</th><th>Payout</th><th>Hash</th><th>Key</th><th>Status</th></tr>';
 for(let i=0;i<receipts.length;i++){
 const r=receipts[i];
 const chainOk=r.prevHash===prev;
 const{hash,...rest}=r;
 const computed=await sha256(JSON.stringify(rest));
 const hashOk=computed===hash;
-const ok=chainOk&&hashOk;
-html+='<tr><td>'+i+'</td><td>'+r.type+'</td><td>'+(r.fish_type||'-')+'</td><td>'+(r.payout_total||0)+'</td><td>'+(hash?hash.substring(0,12)+'...':'-')+'</td><td class="'+(ok?'pass':'fail')+'">'+(ok?'PASS':'FAIL'+(chainOk?'':' chain')+(hashOk?'':' hash'))+'</td></tr>';
+const legacy=!!lp&&i<lp.length&&r.signature===undefined&&r.key_id===undefined;if(legacy)unsigned++;
+const signed=keys&&!legacy?await sigOk(keys,r):true;
+const prefixOk=!lp||i!==lp.length-1||hash===lp.hash;
+const ok=chainOk&&hashOk&&signed&&prefixOk;
+html+='<tr><td>'+i+'</td><td>'+r.type+'</td><td>'+(r.fish_type||'-')+'</td><td>'+(r.payout_total||0)+'</td><td>'+(hash?hash.substring(0,12)+'...':'-')+'</td><td>'+(r.key_id||'-')+'</td><td class="'+(ok?'pass':'fail')+'">'+(ok?'PASS':'FAIL'+(chainOk?'':' chain')+(hashOk?'':' hash')+(signed?'':' signature')+(prefixOk?'':' legacy prefix'))+'</td></tr>';
 prev=hash}
 html+='</table><p class="'+(prev?'pass':'fail')+'">Total: '+receipts.length+' receipts verified</p>';
+if(unsigned)html+='<p>'+unsigned+' leading receipt(s) predate receipt signing (unsigned, recorded for '+room+')</p>';
+if(lp&&receipts.length<lp.length)html+='<p class="fail">Chain ends inside the recorded unsigned prefix ('+lp.length+' receipts)</p>';
+if(!keys)html+='<p class="fail">Signatures NOT checked: could not load Ed25519 keys in this browser</p>';
 el.innerHTML=html}catch(e){el.innerHTML='<span class="fail">Error: '+e.message+'</span>'}}
-function fetchReceipts(){document.getElementById('result').innerHTML='<p>Connect via Socket.IO and emit requestReceipts event to get receipts</p>'}
+async function fetchReceipts(){const room=document.getElementById('room').value.trim();if(!room)return;const token=prompt('Admin or resume token')||'';const el=document.getElementById('result');try{const r=await fetch('/api/receipts/'+encodeURIComponent(room),{headers:{Authorization:'Bearer '+token}});const body=await r.json();if(!r.ok){el.innerHTML='<span class="fail">'+body.error+'</span>';return}document.getElementById('input').value=JSON.stringify(body.receipts,null,1);el.innerHTML='<p>Fetched '+body.receipts.length+' of '+body.total+' receipts</p>'}catch(e){el.innerHTML='<span class="fail">Error: '+e.message+'</span>'}}
 </script></body></html>`);
 });
 
@@ -166,13 +266,51 @@ function fetchReceipts(){document.getElementById('result').innerHTML='<p>Connect
 app.get('/api/verifier.js', (req, res) => {
     res.type('application/javascript').send(`
 // Fish3D Receipt Chain Verifier
-// Usage: verifyChain(receipts) => { valid: boolean, error?: string }
+// Usage: verifyChain(receipts, publicKeys?, legacyPrefix?) => { valid: boolean, error?: string }
+// publicKeys: the keys array of /api/governance/keys; given, every receipt
+// must carry a valid Ed25519 signature by one of them, except the room's
+// legacyPrefix ({ length, hash }: legacyPrefixes[room] of the same endpoint),
+// its unsigned chain from before signing
 function sha256(str) {
     return crypto.subtle.digest('SHA-256', new TextEncoder().encode(str))
         .then(buf => Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join(''));
 }
-async function verifyChain(receipts) {
+function base64ToBytes(str) {
+    return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+async function importKeys(publicKeys) {
+    const keys = {};
+    for (const k of publicKeys) {
+        keys[k.keyId] = await crypto.subtle.importKey('spki', base64ToBytes(k.publicKey), { name: 'Ed25519' }, false, ['verify']);
+    }
+    return keys;
+}
+async function verifySignature(keys, r) {
+    const key = keys[r.key_id];
+    if (!key || typeof r.signature !== 'string') return false;
+    const { hash, signature, ...body } = r;
+    return crypto.subtle.verify({ name: 'Ed25519' }, key, base64ToBytes(signature), new TextEncoder().encode(JSON.stringify(body)));
+}
+// Inclusion proof from /api/receipts/:room/proof/:hash (fishKilled's
+// receiptHash); check the root against the signed checkpoint it returns
+async function verifyInclusionProof(receiptHash, proof, merkleRoot) {
+    const digest = async (prefix, ...parts) => {
+        const bytes = [prefix];
+        for (const hex of parts) for (let i = 0; i < hex.length; i += 2) bytes.push(parseInt(hex.substr(i, 2), 16));
+        const buf = await crypto.subtle.digest('SHA-256', new Uint8Array(bytes));
+        return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
+    };
+    let hash = await digest(0, receiptHash);
+    for (const step of proof) {
+        hash = step.position === 'left' ? await digest(1, step.hash, hash) : await digest(1, hash, step.hash);
+    }
+    return hash === merkleRoot;
+}
+async function verifyChain(receipts, publicKeys, legacyPrefix) {
+    const keys = publicKeys ? await importKeys(publicKeys) : null;
+    const prefix = keys && legacyPrefix ? legacyPrefix : null;
     let expectedPrevHash = 'GENESIS';
+    let unsignedPrefix = 0;
     for (let i = 0; i < receipts.length; i++) {
         const r = receipts[i];
         if (r.prevHash !== expectedPrevHash) {
@@ -183,11 +321,23 @@ async function verifyChain(receipts) {
         if (computed !== hash) {
             return { valid: false, error: 'Hash mismatch at index ' + i, index: i };
         }
+        if (prefix && i === prefix.length - 1 && hash !== prefix.hash) {
+            return { valid: false, error: 'Legacy prefix mismatch at index ' + i, index: i };
+        }
+        if (prefix && i < prefix.length && r.signature === undefined && r.key_id === undefined) {
+            unsignedPrefix++;
+        } else if (keys && !(await verifySignature(keys, r))) {
+            return { valid: false, error: 'Bad signature at index ' + i, index: i };
+        }
         expectedPrevHash = hash;
     }
+    if (prefix && receipts.length < prefix.length) {
+        return { valid: false, error: 'Legacy prefix truncated at index ' + receipts.length, index: receipts.length };
+    }
+    if (unsignedPrefix > 0) return { valid: true, length: receipts.length, unsignedPrefix };
     return { valid: true, length: receipts.length };
 }
-if (typeof module !== 'undefined') module.exports = { verifyChain, sha256 };
+if (typeof module !== 'undefined') module.exports = { verifyChain, verifyInclusionProof, sha256 };
 `);
 });
 
@@ -199,7 +349,9 @@ app.get('/api/rooms', (req, res) => {
             publicRooms.push({
                 roomCode,
                 playerCount: room.playerCount,
-                maxPlayers: 4,
+                maxPlayers: room.maxPlayers,
+                spectatorCount: Object.keys(room.spectators).length,
+                layout: room.layout,
                 hostName: room.hostName,
                 createdAt: room.createdAt
             });
@@ -208,6 +360,156 @@ app.get('/api/rooms', (req, res) => {
     res.json(publicRooms);
 });
 
+// M5: Receipt lookup for support / auditors. Live rooms serve their chain,
+// closed rooms the .jsonl ReceiptChain wrote under data/receipts.
+const RECEIPT_PAGE_LIMIT = 1000;
+
+/**
+ * { roomId, live, receipts, badLines } for a room, or null when it has no receipts
+ */
+function loadRoomReceipts(roomId) {
+    if (Object.prototype.hasOwnProperty.call(gameEngines, roomId)) {
+        return { roomId, live: true, receipts: gameEngines[roomId].getReceipts(), badLines: [] };
+    }
+    const file = readReceiptFile(roomId);
+    return file ? { roomId, live: false, ...file } : null;
+}
+
+/**
+ * Whole chains name every player's balance: ADMIN_TOKEN, or the resume token
+ * of a player seated in the live room (Authorization: Bearer <token>).
+ * Single-receipt lookups (hash, proof) stay public.
+ */
+function requireReceiptAccess(req, res, next) {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const roomId = req.params.room;
+    const engine = roomId && Object.prototype.hasOwnProperty.call(gameEngines, roomId) ? gameEngines[roomId] : null;
+    if (isAdminToken(token) || (engine && engine.isPlayerSession(token))) {
+        return next();
+    }
+    res.status(403).json({ error: 'Admin token or player session required' });
+}
+
+app.get('/api/receipts', requireReceiptAccess, (req, res) => {
+    const roomIds = new Set([...listReceiptRooms(), ...Object.keys(gameEngines)]);
+    res.json([...roomIds].sort().map(roomId => ({ roomId, live: !!gameEngines[roomId] })));
+});
+
+// Server-side verification of a pasted chain (JSON array, or { receipts, roomId }:
+// roomId admits the room's recorded pre-signing prefix)
+app.post('/api/receipts/verify', express.json({ limit: '10mb' }), (req, res) => {
+    const receipts = Array.isArray(req.body) ? req.body : req.body && req.body.receipts;
+    if (!Array.isArray(receipts)) {
+        return res.status(400).json({ error: 'Expected a JSON array of receipts' });
+    }
+    const roomId = !Array.isArray(req.body) && typeof req.body.roomId === 'string' ? req.body.roomId : null;
+    res.json(verifyReceipts(receipts, receiptSigner.getVerifyKeys(), roomId && receiptSigner.getLegacyPrefix(roomId)));
+});
+
+// ?from=&to= receipt indexes (inclusive), at most RECEIPT_PAGE_LIMIT per call
+app.get('/api/receipts/:room', requireReceiptAccess, (req, res) => {
+    const loaded = loadRoomReceipts(req.params.room);
+    if (!loaded) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    const total = loaded.receipts.length;
+    const from = Math.max(0, parseInt(req.query.from, 10) || 0);
+    const requestedTo = parseInt(req.query.to, 10);
+    const to = Math.min(total - 1, from + RECEIPT_PAGE_LIMIT - 1, Number.isInteger(requestedTo) ? requestedTo : total - 1);
+    res.json({
+        roomId: loaded.roomId,
+        live: loaded.live,
+        total,
+        from,
+        to,
+        receipts: to >= from ? loaded.receipts.slice(from, to + 1) : []
+    });
+});
+
+/**
+ * Public single-receipt lookups are rate-limited per IP; live rooms answer
+ * them from the chain's hash index without reading the whole file.
+ */
+function limitReceiptLookups(req, res, next) {
+    const ip = req.get('x-forwarded-for') || req.ip || 'unknown';
+    if (!rateLimiter.checkReceiptLookup(ip).allowed) {
+        return res.status(429).json({ error: 'Too many receipt lookups, retry shortly' });
+    }
+    next();
+}
+
+app.get('/api/receipts/:room/hash/:hash', limitReceiptLookups, (req, res) => {
+    const roomId = req.params.room;
+    const live = Object.prototype.hasOwnProperty.call(gameEngines, roomId);
+    const loaded = live ? null : loadRoomReceipts(roomId);
+    const receipt = live ? gameEngines[roomId].findReceipt(req.params.hash)
+        : loaded && loaded.receipts.find(r => r.hash === req.params.hash);
+    if (!receipt) {
+        return res.status(404).json({ error: 'Receipt not found' });
+    }
+    res.json(receipt);
+});
+
+// Merkle inclusion proof of one receipt, anchored by a signed MERKLE_CHECKPOINT;
+// served only for sealed batches (the room's own checkpoints seal them)
+app.get('/api/receipts/:room/proof/:hash', limitReceiptLookups, (req, res) => {
+    const roomId = req.params.room;
+    const live = Object.prototype.hasOwnProperty.call(gameEngines, roomId);
+    const loaded = live ? { roomId } : loadRoomReceipts(roomId);
+    const result = live ? gameEngines[roomId].getInclusionProof(req.params.hash)
+        : loaded && buildInclusionProof(loaded.receipts, req.params.hash);
+    if (!result) {
+        return res.status(404).json({ error: 'Receipt not found' });
+    }
+    if (result.pending) {
+        return res.status(202).json({ pending: true, receipt: result.receipt });
+    }
+    res.json({ roomId: loaded.roomId, ...result });
+});
+
+app.get('/api/receipts/:room/fish/:fishId', requireReceiptAccess, (req, res) => {
+    const loaded = loadRoomReceipts(req.params.room);
+    const receipts = loaded ? findFishReceipts(loaded.receipts, parseInt(req.params.fishId, 10)) : [];
+    if (receipts.length === 0) {
+        return res.status(404).json({ error: 'No receipts for this fish' });
+    }
+    res.json({ roomId: loaded.roomId, fishId: parseInt(req.params.fishId, 10), receipts });
+});
+
+app.get('/api/receipts/:room/verify', requireReceiptAccess, (req, res) => {
+    const loaded = loadRoomReceipts(req.params.room);
+    if (!loaded) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json({
+        roomId: loaded.roomId,
+        live: loaded.live,
+        ...verifyReceipts(loaded.receipts, receiptSigner.getVerifyKeys(), receiptSigner.getLegacyPrefix(loaded.roomId)),
+        balances: reconcileBalances(loaded.receipts),
+        badLines: loaded.badLines
+    });
+});
+
+// The raw .jsonl exactly as ReceiptChain wrote it
+app.get('/api/receipts/:room/download', requireReceiptAccess, (req, res) => {
+    const filePath = receiptFilePath(req.params.room);
+    if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Receipt file not found' });
+    }
+    res.attachment(`${req.params.room}.jsonl`);
+    res.type('application/x-ndjson');
+    res.sendFile(filePath);
+});
+
+// M3: Public seed reveal history of a room (spawn ranges + client seed logs for HP / kill roll replay)
+app.get('/api/rooms/:code/seeds', (req, res) => {
+    const roomCode = req.params.code;
+    if (!Object.prototype.hasOwnProperty.call(gameEngines, roomCode)) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(gameEngines[roomCode].getSeedHistory());
+});
+
 const server = http.createServer(app);
 const io = socketIO(server, {
     cors: {
@@ -227,9 +529,81 @@ const playerRooms = {}; // socketId -> roomCode
 // M6: Initialize config hash on startup
 const configHashManager = new ConfigHashManager({
     WEAPONS,
-    FISH_SPECIES
+    FISH_SPECIES,
+    SPECIAL_EFFECTS,
+    RICOCHET,
+    POWER_UP_ITEMS
 });
 
+// RTP state persistence: RTP_STATE_STORE=file (RTP_STATE_DIR) | redis (REDIS_URL); unset = in-memory only
+let stateStore = null;
+let shuttingDown = false;
+// Snapshots older than this are dropped instead of restored
+const RESTORED_ROOM_MAX_AGE_MS = 60 * 60 * 1000;
+
+async function createStateStore() {
+    const kind = process.env.RTP_STATE_STORE;
+    if (kind === 'file') {
+        return new FileStateStore(process.env.RTP_STATE_DIR || undefined);
+    }
+    if (kind === 'redis') {
+        const { createClient } = require('redis');
+        const client = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+        client.on('error', (err) => console.error('[RTP-STATE][REDIS] Error:', err.message));
+        await client.connect();
+        return client;
+    }
+    return null;
+}
+
+/**
+ * Rebuild rooms from stored snapshots. Restored rooms wait in the lobby
+ * (multiplayer) or for their player to resume (single-player); a seat is
+ * reclaimed only with the resume token issued to its player, and new
+ * players get ids above every restored seat.
+ */
+async function restoreRooms() {
+    stateStore = await createStateStore();
+    if (!stateStore) return;
+    
+    for (const roomCode of await listRoomStates(stateStore)) {
+        const snapshot = await loadRoomState(stateStore, roomCode);
+        if (!snapshot || Date.now() - snapshot.savedAt > RESTORED_ROOM_MAX_AGE_MS) {
+            await deleteRoomState(stateStore, roomCode);
+            continue;
+        }
+        
+        const engine = new Fish3DGameEngine(roomCode, { ...snapshot.room, configHashManager, stateStore });
+        engine.restoreState(snapshot);
+        gameEngines[roomCode] = engine;
+        rooms[roomCode] = {
+            roomCode,
+            hostSocket: null, // first player to join becomes host
+            hostName: 'Restored',
+            isPublic: !engine.singlePlayer,
+            players: {},
+            playerCount: 0,
+            maxPlayers: engine.maxPlayers,
+            spectators: {},
+            nextPlayerId: engine.getMaxRestoredSeatId() + 1,
+            state: 'lobby',
+            isSinglePlayer: engine.singlePlayer,
+            layout: engine.layout.name,
+            restored: true,
+            createdAt: Date.now()
+        };
+    }
+}
+
+/**
+ * Snapshot every room (shutdown); failures are logged, not fatal
+ */
+function saveAllRoomStates() {
+    return Promise.all(Object.values(gameEngines).map(engine =>
+        engine.saveState().catch(err => console.warn(`[RTP-STATE] Cannot save room ${engine.roomCode}:`, err.message))
+    ));
+}
+
 /**
  * Generate a random room code
  */
@@ -296,6 +670,22 @@ io.on('connection', (socket) => {
         }
         
         const { playerName, isPublic = true } = data;
+        // Timeline is chosen by name only; inline definitions are server-side
+        const timeline = (typeof data.timeline === 'string' && listTimelines().includes(data.timeline))
+            ? data.timeline
+            : undefined;
+        // Ricochet: true = default bounces, or a bounce count (validated by the engine)
+        const ricochet = data.ricochet;
+        // Finisher pool (2-10%); multiplayer rooms always run one (POL-ECON-001)
+        const finisherPoolPercent = resolveFinisherPoolPercent(data.finisherPoolPercent) || FINISHER_POOL.defaultPercent;
+        // Seat count (1-8); players beyond it join as spectators
+        const seats = (Number.isInteger(data.seats) && data.seats >= 1 && data.seats <= MAX_SEATS)
+            ? data.seats
+            : undefined;
+        // Layout is chosen by name only, like the timeline; without one, pick a layout with enough seats
+        const layout = (typeof data.layout === 'string' && listLayouts().includes(data.layout))
+            ? data.layout
+            : (seats ? layoutForSeats(seats) : undefined);
         
         let roomCode = generateRoomCode();
         while (rooms[roomCode]) {
@@ -317,13 +707,18 @@ io.on('connection', (socket) => {
             },
             playerCount: 1,
             maxPlayers: 4,
+            spectators: {}, // socketId -> { playerId, playerName }
+            nextPlayerId: 2,
             state: 'lobby', // 'lobby', 'playing', 'ended'
             createdAt: Date.now()
         };
         
         // Create game engine (M6: pass configHashManager)
-        gameEngines[roomCode] = new Fish3DGameEngine(roomCode, { configHashManager });
-        gameEngines[roomCode].addPlayer(socket.id, 1, playerName || 'Player 1');
+        gameEngines[roomCode] = new Fish3DGameEngine(roomCode, { configHashManager, stateStore, timeline, ricochet, finisherPoolPercent, layout, seats });
+        // Seat count comes from the layout
+        rooms[roomCode].maxPlayers = gameEngines[roomCode].maxPlayers;
+        rooms[roomCode].layout = gameEngines[roomCode].layout.name;
+        gameEngines[roomCode].addPlayer(socket.id, 1, playerName || 'Player 1', data.clientSeed);
         
         socket.join(roomCode);
         playerRooms[socket.id] = roomCode;
@@ -335,8 +730,14 @@ io.on('connection', (socket) => {
             playerId: 1,
             slotIndex: 0,
             isHost: true,
-            rulesHash: configHashManager.getHash(),
+            timeline: gameEngines[roomCode].timeline.name,
+            layout: gameEngines[roomCode].getLayoutInfo(),
+            ricochet: gameEngines[roomCode].ricochet,
+            finisherPoolPercent: gameEngines[roomCode].finisherPoolPercent,
+            rulesHash: gameEngines[roomCode].getRulesHash(),
             rulesVersion: configHashManager.getVersion(),
+            clientSeed: gameEngines[roomCode].getClientSeed(socket.id),
+            resumeToken: gameEngines[roomCode].getResumeToken(socket.id),
             enforcementPhase: ENFORCEMENT_PHASE
         });
         
@@ -360,30 +761,75 @@ io.on('connection', (socket) => {
         }
         
         const room = rooms[roomCode];
+        const engine = gameEngines[roomCode];
         
-        if (room.playerCount >= room.maxPlayers) {
+        if (room.isSinglePlayer) {
             socket.emit('joinError', { message: 'Room is full' });
             return;
         }
         
+        // Seats full: join as a spectator (receives gameState, promoted when a seat frees)
+        if (room.playerCount >= room.maxPlayers) {
+            const playerId = room.nextPlayerId;
+            const name = playerName || `Player ${playerId}`;
+            
+            if (!engine.addSpectator(socket.id, playerId, name, data.clientSeed)) {
+                socket.emit('joinError', { message: 'Room is full' });
+                return;
+            }
+            room.nextPlayerId++;
+            room.spectators[socket.id] = { playerId, playerName: name };
+            
+            socket.join(roomCode);
+            playerRooms[socket.id] = roomCode;
+            
+            console.log(`[ROOM] Player ${name} joined room ${roomCode} as spectator`);
+            
+            socket.emit('joinSuccess', {
+                roomCode,
+                playerId,
+                slotIndex: null,
+                isHost: false,
+                spectator: true,
+                queuePosition: engine.spectators.size,
+                layout: engine.getLayoutInfo(),
+                ricochet: engine.ricochet,
+                finisherPoolPercent: engine.finisherPoolPercent,
+                rulesHash: engine.getRulesHash(),
+                rulesVersion: configHashManager.getVersion(),
+                enforcementPhase: ENFORCEMENT_PHASE
+            });
+            
+            socket.to(roomCode).emit('spectatorJoined', { playerId, playerName: name });
+            broadcastRoomState(roomCode);
+            return;
+        }
+        
         if (room.state !== 'lobby') {
             socket.emit('joinError', { message: 'Game already in progress' });
             return;
         }
         
-        const playerId = room.playerCount + 1;
+        // data.resumeToken reclaims a restored seat; anyone else gets a new one
+        const playerId = engine.findRestoredSeat(data.resumeToken) || room.nextPlayerId++;
         const name = playerName || `Player ${playerId}`;
+        // Restored rooms have no host until the first player comes back
+        const isHost = !room.hostSocket;
+        if (isHost) {
+            room.hostSocket = socket.id;
+            room.hostName = name;
+        }
         
         room.players[socket.id] = {
             playerId,
             playerName: name,
             ready: false,
-            isHost: false
+            isHost
         };
         room.playerCount++;
         
         // Add to game engine
-        const playerData = gameEngines[roomCode].addPlayer(socket.id, playerId, name);
+        const playerData = gameEngines[roomCode].addPlayer(socket.id, playerId, name, data.clientSeed, data.resumeToken);
         
         socket.join(roomCode);
         playerRooms[socket.id] = roomCode;
@@ -394,9 +840,14 @@ io.on('connection', (socket) => {
             roomCode,
             playerId,
             slotIndex: playerData.slotIndex,
-            isHost: false,
-            rulesHash: configHashManager.getHash(),
+            isHost,
+            layout: gameEngines[roomCode].getLayoutInfo(),
+            ricochet: gameEngines[roomCode].ricochet,
+            finisherPoolPercent: gameEngines[roomCode].finisherPoolPercent,
+            rulesHash: gameEngines[roomCode].getRulesHash(),
             rulesVersion: configHashManager.getVersion(),
+            clientSeed: gameEngines[roomCode].getClientSeed(socket.id),
+            resumeToken: gameEngines[roomCode].getResumeToken(socket.id),
             enforcementPhase: ENFORCEMENT_PHASE
         });
         
@@ -489,15 +940,13 @@ io.on('connection', (socket) => {
         const shootCheck = rateLimiter.checkShoot(socket.id, clientIP);
         if (!shootCheck.allowed) {
             if (rateLimiter.shouldBanSession(socket.id)) {
+                recordEnforcement(socket, 'session_banned', 'RATE_LIMIT_VIOLATIONS');
                 socket.emit('error', { message: 'Session banned for excessive rate limit violations.' });
                 socket.disconnect(true);
                 return;
             }
             // M4: RL-005 fix — explicit rejection instead of silent drop
-            socket.emit('shootRejected', {
-                reason: shootCheck.reason || 'RATE_LIMITED',
-                timestamp: Date.now()
-            });
+            rejectShot(socket, shootCheck.reason || 'RATE_LIMITED');
             return;
         }
         
@@ -506,59 +955,45 @@ io.on('connection', (socket) => {
         
         if (!roomCode || !gameEngines[roomCode]) return;
         
+        if (gameEngines[roomCode].isSpectator(socket.id)) {
+            rejectShot(socket, 'SPECTATOR');
+            return;
+        }
+        
         if (typeof targetX !== 'number' || typeof targetZ !== 'number' ||
             !isFinite(targetX) || !isFinite(targetZ)) {
-            socket.emit('shootRejected', {
-                reason: 'INVALID_COORDINATES',
-                timestamp: Date.now()
-            });
+            rejectShot(socket, 'INVALID_COORDINATES');
             return;
         }
         
         // M4: Check if player is in anomaly cooldown
         if (anomalyDetector.isInCooldown(socket.id)) {
-            socket.emit('shootRejected', {
-                reason: 'ANOMALY_COOLDOWN',
-                timestamp: Date.now()
-            });
+            rejectShot(socket, 'ANOMALY_COOLDOWN');
             return;
         }
         
         // M1: Anti-replay sequence validation (mandatory Phase 2+)
         if (ENFORCEMENT_PHASE >= 2 && typeof seq !== 'number') {
-            socket.emit('shootRejected', {
-                reason: 'SEQ_REQUIRED',
-                timestamp: Date.now()
-            });
+            rejectShot(socket, 'SEQ_REQUIRED');
             return;
         }
         if (typeof seq === 'number') {
             const seqResult = sequenceTracker.validate(socket.id, seq);
             if (!seqResult.valid) {
-                socket.emit('shootRejected', {
-                    reason: seqResult.reason,
-                    timestamp: Date.now()
-                });
+                rejectShot(socket, seqResult.reason);
                 return;
             }
         }
         
         // M1: Lag compensation (mandatory Phase 3)
         if (ENFORCEMENT_PHASE >= 3 && typeof clientTime !== 'number') {
-            socket.emit('shootRejected', {
-                reason: 'CLIENT_TIME_REQUIRED',
-                timestamp: Date.now()
-            });
+            rejectShot(socket, 'CLIENT_TIME_REQUIRED');
             return;
         }
         if (typeof clientTime === 'number') {
             const lagResult = validateTimestamp(clientTime);
             if (!lagResult.valid) {
-                socket.emit('shootRejected', {
-                    reason: lagResult.reason,
-                    latency: lagResult.latency,
-                    timestamp: Date.now()
-                });
+                rejectShot(socket, lagResult.reason, { latency: lagResult.latency });
                 return;
             }
         }
@@ -572,35 +1007,7 @@ io.on('connection', (socket) => {
         gameEngines[roomCode].handleShoot(socket.id, targetX, targetZ, io);
         
         // M4: Periodic anomaly check with escalation (every 100 shots)
-        const stats = anomalyDetector.getPlayerStats(socket.id);
-        if (stats && stats.getTotalShots() % 100 === 0) {
-            const anomalies = anomalyDetector.checkAnomaly(socket.id);
-            if (anomalies) {
-                const level = anomalyDetector.getEscalationLevel(socket.id);
-                console.warn(`[ANTI-CHEAT] Anomaly for ${socket.id}: level=${level} flags=${anomalies.length}`, JSON.stringify(anomalies));
-                
-                if (level >= ESCALATION_LEVELS.DISCONNECT) {
-                    socket.emit('anomalyDisconnect', {
-                        message: 'Disconnected: persistent anomaly detected',
-                        flags: stats.getTotalFlags()
-                    });
-                    socket.disconnect(true);
-                    return;
-                } else if (level >= ESCALATION_LEVELS.COOLDOWN) {
-                    anomalyDetector.applyCooldown(socket.id);
-                    socket.emit('anomalyCooldown', {
-                        message: 'Temporary cooldown applied due to anomaly',
-                        durationMs: 10000,
-                        flags: stats.getTotalFlags()
-                    });
-                } else {
-                    socket.emit('anomalyWarning', {
-                        message: 'Statistical anomaly detected in your play pattern',
-                        flags: anomalies.length
-                    });
-                }
-            }
-        }
+        enforceAnomalyEscalation(socket);
     });
     
     // Player changes weapon
@@ -617,6 +1024,94 @@ io.on('connection', (socket) => {
         gameEngines[roomCode].handleWeaponChange(socket.id, weapon, io);
     });
     
+    // Lock-on targeting: { fishId } selects a fish, { fishId: null } clears
+    socket.on('lockTarget', (data) => {
+        const lockCheck = rateLimiter.checkLockTarget(socket.id, clientIP);
+        if (!lockCheck.allowed) return;
+        
+        const roomCode = playerRooms[socket.id];
+        if (!roomCode || !gameEngines[roomCode]) return;
+        
+        const fishId = data && data.fishId !== undefined ? data.fishId : null;
+        if (fishId !== null && !Number.isInteger(fishId)) return;
+        
+        if (!gameEngines[roomCode].setLockTarget(socket.id, fishId, io)) {
+            socket.emit('lockTargetRejected', { fishId });
+        }
+    });
+    
+    // Auto-fire: { enabled: true, maxShots?, maxSpend? } starts, { enabled: false } stops
+    socket.on('autoFire', (data) => {
+        const autoFireCheck = rateLimiter.checkAutoFire(socket.id, clientIP);
+        if (!autoFireCheck.allowed) return;
+        
+        const roomCode = playerRooms[socket.id];
+        if (!roomCode || !gameEngines[roomCode]) return;
+        const engine = gameEngines[roomCode];
+        
+        if (!data || data.enabled !== true) {
+            engine.stopAutoFire(socket.id, io);
+            return;
+        }
+        
+        if (engine.isSpectator(socket.id)) {
+            socket.emit('autoFireRejected', { reason: 'SPECTATOR' });
+            return;
+        }
+        
+        if (anomalyDetector.isInCooldown(socket.id)) {
+            socket.emit('autoFireRejected', { reason: 'ANOMALY_COOLDOWN' });
+            return;
+        }
+        
+        const caps = { maxShots: data.maxShots ?? null, maxSpend: data.maxSpend ?? null };
+        if (!engine.startAutoFire(socket.id, caps, io, () => enforceAnomalyEscalation(socket))) {
+            socket.emit('autoFireRejected', { reason: 'INVALID_CAPS' });
+        }
+    });
+    
+    // Power-up items: purchaseItem { itemId, quantity? } buys, useItem { itemId } activates
+    socket.on('purchaseItem', (data) => {
+        const itemCheck = rateLimiter.checkItemAction(socket.id, clientIP);
+        if (!itemCheck.allowed) return;
+        
+        const roomCode = playerRooms[socket.id];
+        if (!roomCode || !gameEngines[roomCode]) return;
+        const engine = gameEngines[roomCode];
+        const itemId = data && data.itemId;
+        
+        if (engine.isSpectator(socket.id)) {
+            socket.emit('itemRejected', { action: 'purchase', itemId, reason: 'SPECTATOR' });
+            return;
+        }
+        
+        const quantity = data && data.quantity !== undefined ? data.quantity : 1;
+        const result = engine.purchaseItem(socket.id, itemId, quantity, io);
+        if (!result.success) {
+            socket.emit('itemRejected', { action: 'purchase', itemId, reason: result.reason });
+        }
+    });
+    
+    socket.on('useItem', (data) => {
+        const itemCheck = rateLimiter.checkItemAction(socket.id, clientIP);
+        if (!itemCheck.allowed) return;
+        
+        const roomCode = playerRooms[socket.id];
+        if (!roomCode || !gameEngines[roomCode]) return;
+        const engine = gameEngines[roomCode];
+        const itemId = data && data.itemId;
+        
+        if (engine.isSpectator(socket.id)) {
+            socket.emit('itemRejected', { action: 'use', itemId, reason: 'SPECTATOR' });
+            return;
+        }
+        
+        const result = engine.activateItem(socket.id, itemId, io);
+        if (!result.success) {
+            socket.emit('itemRejected', { action: 'use', itemId, reason: result.reason });
+        }
+    });
+    
     // Player updates cannon rotation (for visual sync)
     socket.on('updateCannon', (data) => {
         // Rate limit movement updates
@@ -691,7 +1186,14 @@ io.on('connection', (socket) => {
         }
         
         const { playerName } = data || {};
-        const roomCode = `single-${socket.id}-${Date.now()}`;
+        // data.roomCode + data.resumeToken resume a single-player room restored from the state store
+        const restored = data && rooms[data.roomCode];
+        const resume = !!(restored && restored.restored && restored.isSinglePlayer && restored.playerCount === 0);
+        if (resume && gameEngines[data.roomCode].findRestoredSeat(data.resumeToken) !== 1) {
+            socket.emit('error', { message: 'Cannot resume this room' });
+            return;
+        }
+        const roomCode = resume ? data.roomCode : `single-${socket.id}-${Date.now()}`;
         
         rooms[roomCode] = {
             roomCode,
@@ -708,6 +1210,8 @@ io.on('connection', (socket) => {
             },
             playerCount: 1,
             maxPlayers: 1,
+            spectators: {},
+            nextPlayerId: 2,
             state: 'playing',
             isSinglePlayer: true,
             mode: 'singleplayer',
@@ -716,8 +1220,11 @@ io.on('connection', (socket) => {
         
         // M6: Pass config hash manager to engine
         // M3: Engine creates its own RoomSeedManager internally
-        gameEngines[roomCode] = new Fish3DGameEngine(roomCode, { configHashManager });
-        gameEngines[roomCode].addPlayer(socket.id, 1, playerName || 'Player');
+        // M2: singlePlayer forces a 0% finisher pool (DEC-M2-002)
+        if (!resume) {
+            gameEngines[roomCode] = new Fish3DGameEngine(roomCode, { configHashManager, stateStore, singlePlayer: true });
+        }
+        gameEngines[roomCode].addPlayer(socket.id, 1, playerName || 'Player', data && data.clientSeed, data && data.resumeToken);
         
         socket.join(roomCode);
         playerRooms[socket.id] = roomCode;
@@ -734,6 +1241,8 @@ io.on('connection', (socket) => {
             rulesHash: configHashManager.getHash(),
             rulesVersion: configHashManager.getVersion(),
             seedCommitment: seedInfo ? seedInfo.currentCommitment : null,
+            clientSeed: gameEngines[roomCode].getClientSeed(socket.id),
+            resumeToken: gameEngines[roomCode].getResumeToken(socket.id),
             enforcementPhase: ENFORCEMENT_PHASE
         });
         
@@ -757,20 +1266,60 @@ io.on('connection', (socket) => {
         }
     });
     
-    // M3: Client requests seed reveal (for fairness verification)
+    // M3: Client requests the latest seed reveal (for fairness verification).
+    // Seeds rotate on the room's schedule only; this never rotates.
     socket.on('requestSeedReveal', () => {
         const seedRevealCheck = rateLimiter.checkStateRequest(socket.id);
         if (!seedRevealCheck.allowed) return;
         const roomCode = playerRooms[socket.id];
         if (!roomCode || !gameEngines[roomCode]) return;
-        const reveal = gameEngines[roomCode].revealSeed();
-        if (reveal) {
-            const newCommitment = gameEngines[roomCode].getSeedCommitment();
-            socket.emit('seedRevealed', {
-                ...reveal,
-                newCommitment: newCommitment ? newCommitment.currentCommitment : null
-            });
+        const engine = gameEngines[roomCode];
+        const seedInfo = engine.getSeedCommitment();
+        socket.emit('seedRevealed', {
+            ...(engine.getLatestSeedReveal() || { seed: null, commitment: null, roomId: roomCode }),
+            newCommitment: seedInfo.currentCommitment,
+            nextRotationAt: seedInfo.nextRotationAt
+        });
+    });
+    
+    // M3: Player replaces their client seed ({ clientSeed }); the room sees every change
+    socket.on('setClientSeed', (data) => {
+        const seedCheck = rateLimiter.checkClientSeed(socket.id, clientIP);
+        if (!seedCheck.allowed) return;
+        const roomCode = playerRooms[socket.id];
+        if (!roomCode || !gameEngines[roomCode]) return;
+        
+        const clientSeed = data ? data.clientSeed : undefined;
+        if (!isValidClientSeed(clientSeed)) {
+            socket.emit('clientSeedRejected', { reason: 'INVALID_CLIENT_SEED' });
+            return;
+        }
+        const engine = gameEngines[roomCode];
+        const result = engine.setClientSeed(socket.id, clientSeed);
+        if (!result) {
+            socket.emit('clientSeedRejected', { reason: 'NOT_SEATED' });
+            return;
+        }
+        io.to(roomCode).emit('clientSeedUpdated', {
+            playerId: engine.players.get(socket.id).playerId,
+            ...result
+        });
+    });
+    
+    // Ops: live RTP report ({ token, roomCode? }), same data as /api/rtp
+    socket.on('requestRTPReport', (data) => {
+        const rtpCheck = rateLimiter.checkStateRequest(socket.id);
+        if (!rtpCheck.allowed) return;
+        if (!isAdminToken(data && data.token)) {
+            socket.emit('rtpReportError', { reason: 'FORBIDDEN' });
+            return;
+        }
+        const report = buildRTPReport(data.roomCode);
+        if (!report) {
+            socket.emit('rtpReportError', { reason: 'ROOM_NOT_FOUND' });
+            return;
         }
+        socket.emit('rtpReport', report);
     });
     
     // M5: Client requests receipts for verification
@@ -806,6 +1355,62 @@ io.on('connection', (socket) => {
     });
 });
 
+/**
+ * M5: ENFORCEMENT_ACTION receipt in the socket's room (seated players only)
+ */
+function recordEnforcement(socket, action, reason, detail) {
+    const engine = gameEngines[playerRooms[socket.id]];
+    if (engine) engine.recordEnforcement(socket.id, action, reason, detail);
+}
+
+/**
+ * M4: RL-005 — explicit shot rejection, receipted as an enforcement action
+ */
+function rejectShot(socket, reason, fields = {}) {
+    socket.emit('shootRejected', { reason, ...fields, timestamp: Date.now() });
+    recordEnforcement(socket, 'shot_rejected', reason, fields);
+}
+
+/**
+ * M4: Periodic anomaly check with escalation (every 100 shots).
+ * Runs after manual shots and after every server-driven auto-fire shot.
+ */
+function enforceAnomalyEscalation(socket) {
+    const stats = anomalyDetector.getPlayerStats(socket.id);
+    if (stats && stats.getTotalShots() % 100 === 0) {
+        const anomalies = anomalyDetector.checkAnomaly(socket.id);
+        if (anomalies) {
+            const level = anomalyDetector.getEscalationLevel(socket.id);
+            console.warn(`[ANTI-CHEAT] Anomaly for ${socket.id}: level=${level} flags=${anomalies.length}`, JSON.stringify(anomalies));
+            
+            const detail = { level, weapons: anomalies.map(a => a.weapon), totalFlags: stats.getTotalFlags() };
+            if (level >= ESCALATION_LEVELS.DISCONNECT) {
+                recordEnforcement(socket, 'anomaly_disconnect', 'ANOMALY_ESCALATION', detail);
+                socket.emit('anomalyDisconnect', {
+                    message: 'Disconnected: persistent anomaly detected',
+                    flags: stats.getTotalFlags()
+                });
+                socket.disconnect(true);
+                return;
+            } else if (level >= ESCALATION_LEVELS.COOLDOWN) {
+                anomalyDetector.applyCooldown(socket.id);
+                recordEnforcement(socket, 'anomaly_cooldown', 'ANOMALY_ESCALATION', detail);
+                socket.emit('anomalyCooldown', {
+                    message: 'Temporary cooldown applied due to anomaly',
+                    durationMs: 10000,
+                    flags: stats.getTotalFlags()
+                });
+            } else {
+                recordEnforcement(socket, 'anomaly_warning', 'ANOMALY_ESCALATION', detail);
+                socket.emit('anomalyWarning', {
+                    message: 'Statistical anomaly detected in your play pattern',
+                    flags: anomalies.length
+                });
+            }
+        }
+    }
+}
+
 /**
  * Handle player leaving a room
  */
@@ -818,14 +1423,30 @@ function handlePlayerLeave(socket) {
     }
     
     const room = rooms[roomCode];
+    
+    // Spectators hold no seat: just drop them from the queue
+    const spectator = room.spectators[socket.id];
+    if (spectator) {
+        if (gameEngines[roomCode]) {
+            gameEngines[roomCode].removePlayer(socket.id);
+        }
+        delete room.spectators[socket.id];
+        delete playerRooms[socket.id];
+        console.log(`[ROOM] Spectator ${spectator.playerName} left room ${roomCode}`);
+        io.to(roomCode).emit('spectatorLeft', { playerId: spectator.playerId });
+        broadcastRoomState(roomCode);
+        return;
+    }
+    
     const wasHost = room.hostSocket === socket.id;
     const player = room.players[socket.id];
     
     console.log(`[ROOM] Player ${player?.playerName || socket.id} left room ${roomCode}, wasHost: ${wasHost}`);
     
-    // Remove from game engine
+    // Remove from game engine (the freed seat goes to the next spectator)
+    let promoted = null;
     if (gameEngines[roomCode]) {
-        gameEngines[roomCode].removePlayer(socket.id);
+        promoted = gameEngines[roomCode].removePlayer(socket.id);
     }
     
     delete room.players[socket.id];
@@ -841,7 +1462,13 @@ function handlePlayerLeave(socket) {
         });
         
         if (gameEngines[roomCode]) {
+            gameEngines[roomCode].closeSessions('room_closed');
             gameEngines[roomCode].stopGameLoop();
+            // Closed for good; on shutdown the snapshot is kept for restore
+            if (!shuttingDown) {
+                gameEngines[roomCode].discardState()
+                    .catch(err => console.warn(`[RTP-STATE] Cannot discard room ${roomCode}:`, err.message));
+            }
             delete gameEngines[roomCode];
         }
         delete rooms[roomCode];
@@ -852,10 +1479,42 @@ function handlePlayerLeave(socket) {
             playerName: player?.playerName
         });
         
+        if (promoted) {
+            seatPromotedSpectator(roomCode, promoted);
+        }
+        
         broadcastRoomState(roomCode);
     }
 }
 
+/**
+ * Move a spectator the engine has just seated into the room's player list
+ */
+function seatPromotedSpectator(roomCode, promoted) {
+    const room = rooms[roomCode];
+    delete room.spectators[promoted.socketId];
+    room.players[promoted.socketId] = {
+        playerId: promoted.playerId,
+        playerName: promoted.playerName,
+        ready: false,
+        isHost: false
+    };
+    room.playerCount++;
+    
+    console.log(`[ROOM] Spectator ${promoted.playerName} promoted to slot ${promoted.slotIndex} in room ${roomCode}`);
+    
+    io.to(promoted.socketId).emit('spectatorPromoted', {
+        playerId: promoted.playerId,
+        slotIndex: promoted.slotIndex,
+        resumeToken: gameEngines[roomCode].getResumeToken(promoted.socketId)
+    });
+    io.to(roomCode).emit('playerJoined', {
+        playerId: promoted.playerId,
+        playerName: promoted.playerName,
+        slotIndex: promoted.slotIndex
+    });
+}
+
 /**
  * Broadcast room state to all players in room
  */
@@ -882,33 +1541,38 @@ function broadcastRoomState(roomCode) {
         state: room.state,
         playerCount: room.playerCount,
         maxPlayers: room.maxPlayers,
-        players: playerList
+        players: playerList,
+        spectators: Object.values(room.spectators).map(s => ({ playerId: s.playerId, playerName: s.playerName }))
     });
 }
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('[SERVER] Received SIGINT, shutting down...');
-    server.close(() => {
+    shuttingDown = true;
+    saveAllRoomStates().then(() => server.close(() => {
         Object.keys(gameEngines).forEach(roomCode => {
             if (gameEngines[roomCode]) {
+                gameEngines[roomCode].closeSessions('shutdown');
                 gameEngines[roomCode].stopGameLoop();
             }
         });
         process.exit(0);
-    });
+    }));
 });
 
 process.on('SIGTERM', () => {
     console.log('[SERVER] Received SIGTERM, shutting down...');
-    server.close(() => {
+    shuttingDown = true;
+    saveAllRoomStates().then(() => server.close(() => {
         Object.keys(gameEngines).forEach(roomCode => {
             if (gameEngines[roomCode]) {
+                gameEngines[roomCode].closeSessions('shutdown');
                 gameEngines[roomCode].stopGameLoop();
             }
         });
         process.exit(0);
-    });
+    }));
 });
 
 const PORT = Number(process.env.PORT) || 3000;
@@ -927,11 +1591,21 @@ try {
     console.error('[BINARY-WS] Failed to initialize Binary WebSocket server:', err.message);
 }
 
-server.listen(PORT, '0.0.0.0', () => {
+// M5: Receipts need RECEIPT_SIGNING_KEY (or an explicit dev key); refuse to start without one
+try {
+    console.log(`[AUDIT] Receipt signing key: ${receiptSigner.getPublicKeys().activeKeyId}`);
+} catch (err) {
+    console.error('[AUDIT] Cannot load receipt signing key:', err.message);
+    process.exit(1);
+}
+
+restoreRooms().catch(err => {
+    console.error('[RTP-STATE] Cannot restore rooms:', err.message);
+}).finally(() => server.listen(PORT, '0.0.0.0', () => {
     console.log(`3D Fish Shooting Game Server running on port ${PORT}`);
     console.log(`Health check: http://0.0.0.0:${PORT}/health`);
     console.log(`Fish species API: http://0.0.0.0:${PORT}/api/fish-species`);
     console.log(`Weapons API: http://0.0.0.0:${PORT}/api/weapons`);
     console.log(`Rooms API: http://0.0.0.0:${PORT}/api/rooms`);
     console.log(`Binary WebSocket: ws://0.0.0.0:${PORT}/ws-game`);
-});
+}));
@@ -1,6 +1,7 @@
 module.exports = {
     testEnvironment: 'node',
     testMatch: ['**/tests/**/*.test.js', '**/test/**/*.test.js'],
+    setupFilesAfterEnv: ['<rootDir>/test/setup-data-dir.js'],
     forceExit: true,
     detectOpenHandles: false,
     testTimeout: 10000,
@@ -1,82 +1,402 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { verifyReceiptSignature, isUnsignedReceipt } = require('./ReceiptSigner');
+const {
+    MERKLE_BATCH_SIZE, MERKLE_CHECKPOINT_MS, CHECKPOINT_TYPE, createCheckpoint, checkpointMatches, batchInclusionProof
+} = require('./ReceiptMerkle');
 
-const RECEIPTS_DIR = path.join(process.env.DATA_DIR || path.join(__dirname, '../../data'), 'receipts');
+// Resolved per call so DATA_DIR can be pointed elsewhere after load (tests)
+function receiptsDir() {
+    return path.join(process.env.DATA_DIR || path.join(__dirname, '../../data'), 'receipts');
+}
+
+// Room ids double as file names; anything else never reaches the filesystem
+const RECEIPT_ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+// Oldest buffered receipt waits at most this long for its file append
+const RECEIPT_FLUSH_MS = 1000;
+// Repeats of one enforcement action within this window are counted, not receipted
+const ENFORCEMENT_RECEIPT_INTERVAL_MS = 1000;
 
 function hashReceipt(receiptJson) {
     return crypto.createHash('sha256').update(receiptJson).digest('hex');
 }
 
+/**
+ * Verify hash links and hashes of a receipt array (a whole chain, from GENESIS).
+ * verifyKeys (keyId -> public KeyObject): every receipt must also carry a
+ * valid signature by one of them. legacyPrefix ({ length, hash }, recorded
+ * for the room when signing was turned on): the chain's first length
+ * receipts, ending at hash, may be unsigned; the result then reports
+ * unsignedPrefix. Any other unsigned receipt fails.
+ */
+function verifyReceipts(receipts, verifyKeys = null, legacyPrefix = null) {
+    let expectedPrevHash = 'GENESIS';
+    let unsignedPrefix = 0;
+    for (let i = 0; i < receipts.length; i++) {
+        const receipt = receipts[i];
+        if (!receipt || receipt.prevHash !== expectedPrevHash) {
+            return { valid: false, error: `Chain broken at index ${i}`, index: i };
+        }
+        const { hash, ...rest } = receipt;
+        const computedHash = hashReceipt(JSON.stringify(rest));
+        if (computedHash !== hash) {
+            return { valid: false, error: `Hash mismatch at index ${i}`, index: i };
+        }
+        if (verifyKeys && legacyPrefix && i === legacyPrefix.length - 1 && hash !== legacyPrefix.hash) {
+            return { valid: false, error: `Legacy prefix mismatch at index ${i}`, index: i };
+        }
+        if (verifyKeys && legacyPrefix && i < legacyPrefix.length && isUnsignedReceipt(receipt)) {
+            unsignedPrefix++;
+        } else if (verifyKeys) {
+            const publicKey = verifyKeys.get(receipt.key_id);
+            if (!publicKey || !verifyReceiptSignature(receipt, publicKey)) {
+                return { valid: false, error: `Bad signature at index ${i}`, index: i };
+            }
+        }
+        if (receipt.type === CHECKPOINT_TYPE && !checkpointMatches(receipts, receipt, i)) {
+            return { valid: false, error: `Bad Merkle root at index ${i}`, index: i };
+        }
+        expectedPrevHash = hash;
+    }
+    if (verifyKeys && legacyPrefix && receipts.length < legacyPrefix.length) {
+        return { valid: false, error: `Legacy prefix truncated at index ${receipts.length}`, index: receipts.length };
+    }
+    if (unsignedPrefix > 0) return { valid: true, length: receipts.length, unsignedPrefix };
+    return { valid: true, length: receipts.length };
+}
+
+function receiptFilePath(roomId, dir = receiptsDir()) {
+    if (!RECEIPT_ROOM_ID_PATTERN.test(String(roomId))) return null;
+    return path.join(dir, `${roomId}.jsonl`);
+}
+
+/**
+ * Read a room's .jsonl back. Returns null when there is no file, else
+ * { receipts, badLines: [line numbers (1-based) that did not parse],
+ *   offsets: [byte offset of each receipt's line], bytes: file size }.
+ */
+function readReceiptFile(roomId, dir = receiptsDir()) {
+    const filePath = receiptFilePath(roomId, dir);
+    if (!filePath) return null;
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+        return null;
+    }
+    const receipts = [];
+    const badLines = [];
+    const offsets = [];
+    let bytes = 0;
+    text.split('\n').forEach((line, i) => {
+        const offset = bytes;
+        bytes += Buffer.byteLength(line) + 1;
+        if (!line.trim()) return;
+        try {
+            receipts.push(JSON.parse(line));
+            offsets.push(offset);
+        } catch (e) {
+            badLines.push(i + 1);
+        }
+    });
+    return { receipts, badLines, offsets, bytes: Buffer.byteLength(text) };
+}
+
+function listReceiptRooms(dir = receiptsDir()) {
+    try {
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => file.slice(0, -'.jsonl'.length))
+            .filter(roomId => RECEIPT_ROOM_ID_PATTERN.test(roomId))
+            .sort();
+    } catch (e) {
+        return [];
+    }
+}
+
+// Receipts about one fish: its death, and special effects it triggered or hit
+function findFishReceipts(receipts, fishId) {
+    return receipts.filter(r => r.fish_id === fishId || r.source_fish_id === fishId ||
+        (Array.isArray(r.targets) && r.targets.some(t => t.fish_id === fishId)));
+}
+
+/**
+ * Hash-chained receipts of one room, appended to <dir>/<roomId>.jsonl.
+ * options: { dir = receiptsDir(), signer, merkleBatchSize = MERKLE_BATCH_SIZE,
+ *            checkpointMs = MERKLE_CHECKPOINT_MS, flushMs = RECEIPT_FLUSH_MS }
+ * - with a ReceiptSigner every receipt is signed and verification
+ *   (including the reload) checks it; a file from before signing keeps the
+ *   unsigned prefix the signer recorded for it and continues signed
+ * - every merkleBatchSize receipts a MERKLE_CHECKPOINT is appended (0: off),
+ *   and by checkpointIfDue once the open batch is checkpointMs old
+ * - only the open (not yet checkpointed) batch stays in memory; sealed
+ *   batches are read back from the file. Every receipt's hash and file
+ *   offset are indexed, so a lookup reads only its own batch, and an
+ *   unknown hash no file at all
+ * - appends are buffered and written in one go at each checkpoint, once the
+ *   oldest buffered receipt is flushMs old (0: every receipt), and before
+ *   any read of the file; a crash loses at most flushMs of receipts, so
+ *   callers flush() before announcing a receipt
+ * A room that already has a file continues its chain. A file whose tail no
+ * longer verifies is archived as <roomId>.jsonl.corrupt-<time>, the valid
+ * prefix is kept and a CHAIN_RECOVERY receipt records the fork.
+ */
 class ReceiptChain {
-    constructor(roomId) {
+    constructor(roomId, options = {}) {
+        const dir = options.dir || receiptsDir();
         this.roomId = roomId;
-        this.receipts = [];
+        this.dir = dir;
+        this.signer = options.signer || null;
+        this.merkleBatchSize = options.merkleBatchSize !== undefined ? options.merkleBatchSize : MERKLE_BATCH_SIZE;
+        this.checkpointMs = options.checkpointMs !== undefined ? options.checkpointMs : MERKLE_CHECKPOINT_MS;
+        this.flushMs = options.flushMs !== undefined ? options.flushMs : RECEIPT_FLUSH_MS;
+        this.batchFrom = 0;             // first receipt not under a checkpoint yet
+        this.checkpoints = [];          // every MERKLE_CHECKPOINT receipt, in order
+        this.latestCheckpoint = null;
+        this.openBatch = [];            // receipts batchFrom.. (in memory)
+        this.receiptIndex = new Map();  // hash -> index, every receipt
+        this.offsets = [];              // file byte offset of each receipt's line
+        this.fileBytes = 0;             // file size once the buffer is written
+        this.length = 0;
         this.prevHash = 'GENESIS';
-        this.filePath = path.join(RECEIPTS_DIR, `${roomId}.jsonl`);
+        this.unwritten = [];            // receipt lines not appended to the file yet
+        this.unwrittenSince = 0;
+        this.filePath = path.join(dir, `${roomId}.jsonl`);
+        this.recovery = null;
 
         try {
-            if (!fs.existsSync(RECEIPTS_DIR)) {
-                fs.mkdirSync(RECEIPTS_DIR, { recursive: true });
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
             }
         } catch (e) {
             console.warn('[AUDIT] Cannot create receipts directory:', e.message);
         }
+
+        this._load(dir);
+    }
+
+    _load(dir) {
+        const file = readReceiptFile(this.roomId, dir);
+        if (!file) return;
+
+        const check = verifyReceipts(file.receipts, this._verifyKeys(), this._legacyPrefix());
+        const keep = check.valid ? file.receipts.length : check.index;
+        if (check.unsignedPrefix) {
+            console.log(`[AUDIT] Receipt chain of ${this.roomId} has ${check.unsignedPrefix} unsigned receipts from before signing`);
+        }
+        const kept = file.receipts.slice(0, keep);
+        kept.forEach((receipt, i) => {
+            this._trackCheckpoint(receipt);
+            this.receiptIndex.set(receipt.hash, i);
+        });
+        this.openBatch = kept.slice(this.batchFrom);
+        this.length = keep;
+        this.prevHash = keep > 0 ? kept[keep - 1].hash : 'GENESIS';
+        if (check.valid && file.badLines.length === 0) {
+            this.offsets = file.offsets;
+            this.fileBytes = file.bytes;
+            return;
+        }
+
+        // Fork: keep the verified prefix, archive the file as found
+        const archivePath = `${this.filePath}.corrupt-${Date.now()}`;
+        let archivedSha256 = null;
+        try {
+            archivedSha256 = hashReceipt(fs.readFileSync(this.filePath));
+            fs.renameSync(this.filePath, archivePath);
+            const lines = kept.map(r => JSON.stringify(r) + '\n');
+            for (const line of lines) {
+                this.offsets.push(this.fileBytes);
+                this.fileBytes += Buffer.byteLength(line);
+            }
+            fs.writeFileSync(this.filePath, lines.join(''));
+        } catch (e) {
+            console.warn('[AUDIT] Cannot archive corrupted receipts:', e.message);
+        }
+
+        this.recovery = this.addReceipt({
+            type: 'CHAIN_RECOVERY',
+            reason: check.valid ? 'unparseable_lines' : check.error,
+            forked_at_index: keep,
+            discarded_receipts: file.receipts.length - keep,
+            bad_lines: file.badLines,
+            archived_file: path.basename(archivePath),
+            archived_sha256: archivedSha256
+        });
+        this.flush();
+        console.warn(`[AUDIT] Receipt chain of ${this.roomId} forked at index ${keep}: ${this.recovery.reason}`);
     }
 
     addReceipt(receiptData) {
         const receipt = {
             ...receiptData,
             prevHash: this.prevHash,
-            index: this.receipts.length,
+            index: this.length,
             timestamp: Date.now()
         };
+        if (this.signer) this.signer.sign(receipt);
 
         const receiptJson = JSON.stringify(receipt);
         const receiptHash = hashReceipt(receiptJson);
         receipt.hash = receiptHash;
 
-        this.receipts.push(receipt);
+        this.openBatch.push(receipt);
+        this.receiptIndex.set(receiptHash, this.length);
+        this.length++;
         this.prevHash = receiptHash;
 
+        const line = JSON.stringify(receipt) + '\n';
+        this.offsets.push(this.fileBytes);
+        this.fileBytes += Buffer.byteLength(line);
+        if (this.unwritten.length === 0) this.unwrittenSince = receipt.timestamp;
+        this.unwritten.push(line);
+
+        if (receipt.type === CHECKPOINT_TYPE) {
+            this._trackCheckpoint(receipt);
+            this.openBatch = [];
+            this.flush();
+        } else if (this.merkleBatchSize > 0 && this.length - this.batchFrom >= this.merkleBatchSize) {
+            this.checkpoint();
+        } else {
+            this.flushIfDue(receipt.timestamp);
+        }
+
+        return receipt;
+    }
+
+    /**
+     * Append the buffered receipts to the file (one write)
+     */
+    flush() {
+        if (this.unwritten.length === 0) return;
         try {
-            fs.appendFileSync(this.filePath, JSON.stringify(receipt) + '\n');
+            fs.appendFileSync(this.filePath, this.unwritten.join(''));
         } catch (e) {
-            console.warn('[AUDIT] Cannot write receipt:', e.message);
+            console.warn('[AUDIT] Cannot write receipts:', e.message);
         }
+        this.unwritten = [];
+    }
 
-        return receipt;
+    flushIfDue(now = Date.now()) {
+        if (this.unwritten.length > 0 && now - this.unwrittenSince >= this.flushMs) this.flush();
     }
 
-    verifyChain() {
-        let expectedPrevHash = 'GENESIS';
-        for (let i = 0; i < this.receipts.length; i++) {
-            const receipt = this.receipts[i];
-            if (receipt.prevHash !== expectedPrevHash) {
-                return { valid: false, error: `Chain broken at index ${i}`, index: i };
-            }
-            const { hash, ...rest } = receipt;
-            const computedHash = hashReceipt(JSON.stringify(rest));
-            if (computedHash !== hash) {
-                return { valid: false, error: `Hash mismatch at index ${i}`, index: i };
-            }
-            expectedPrevHash = hash;
+    _trackCheckpoint(receipt) {
+        if (receipt.type !== CHECKPOINT_TYPE) return;
+        this.batchFrom = receipt.index + 1;
+        this.checkpoints.push(receipt);
+        this.latestCheckpoint = receipt;
+    }
+
+    /**
+     * Anchor the receipts since the last checkpoint under a Merkle root.
+     * Returns the MERKLE_CHECKPOINT receipt, or null when nothing is pending.
+     */
+    checkpoint() {
+        if (this.openBatch.length === 0) return null;
+        return this.addReceipt(createCheckpoint(this.openBatch, this.checkpoints.length));
+    }
+
+    // Seal an open batch whose first receipt is checkpointMs old; returns the checkpoint or null
+    checkpointIfDue(now = Date.now()) {
+        if (this.checkpointMs <= 0 || this.openBatch.length === 0 || now - this.openBatch[0].timestamp < this.checkpointMs) return null;
+        return this.checkpoint();
+    }
+
+    getLatestCheckpoint() {
+        return this.latestCheckpoint;
+    }
+
+    // Checkpointed receipts 0..batchFrom-1, read back from the file
+    _sealedReceipts() {
+        if (this.batchFrom === 0) return [];
+        this.flush();
+        const file = readReceiptFile(this.roomId, this.dir);
+        return file ? file.receipts.slice(0, this.batchFrom) : [];
+    }
+
+    // Sealed receipts from..to (inclusive), read from their byte range of the file
+    _readRange(from, to) {
+        const start = this.offsets[from];
+        const end = to + 1 < this.offsets.length ? this.offsets[to + 1] : this.fileBytes;
+        const buffer = Buffer.alloc(end - start);
+        let fd = null;
+        try {
+            fd = fs.openSync(this.filePath, 'r');
+            fs.readSync(fd, buffer, 0, buffer.length, start);
+            return buffer.toString('utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        } catch (e) {
+            console.warn('[AUDIT] Cannot read receipts:', e.message);
+            return [];
+        } finally {
+            if (fd !== null) fs.closeSync(fd);
         }
-        return { valid: true, length: this.receipts.length };
     }
 
+    /**
+     * One receipt by hash, or null. Unknown hashes never touch the file.
+     */
+    findReceipt(receiptHash) {
+        const index = this.receiptIndex.get(receiptHash);
+        if (index === undefined) return null;
+        if (index >= this.batchFrom) return this.openBatch[index - this.batchFrom];
+        return this._readRange(index, index)[0] || null;
+    }
+
+    /**
+     * Inclusion proof of one receipt (see buildInclusionProof), reading only
+     * the batch its checkpoint covers
+     */
+    getInclusionProof(receiptHash) {
+        const index = this.receiptIndex.get(receiptHash);
+        if (index === undefined) return null;
+        if (index >= this.batchFrom) return { pending: true, receipt: this.openBatch[index - this.batchFrom] };
+        const own = this.checkpoints.find(c => c.index === index);
+        if (own) return { receipt: own, checkpoint: own };
+        const checkpoint = this.checkpoints.find(c => c.from_index <= index && c.to_index >= index);
+        if (!checkpoint) return { pending: true, receipt: this.findReceipt(receiptHash) };
+        return batchInclusionProof(this._readRange(checkpoint.from_index, checkpoint.to_index), checkpoint, index);
+    }
+
+    _verifyKeys() {
+        return this.signer ? this.signer.getVerifyKeys() : null;
+    }
+
+    _legacyPrefix() {
+        return this.signer ? this.signer.getLegacyPrefix(this.roomId) : null;
+    }
+
+    verifyChain() {
+        return verifyReceipts(this.getReceipts(), this._verifyKeys(), this._legacyPrefix());
+    }
+
+    // The whole chain: sealed batches from the file plus the open batch
     getReceipts() {
-        return this.receipts;
+        return this._sealedReceipts().concat(this.openBatch);
     }
 
     getLength() {
-        return this.receipts.length;
+        return this.length;
     }
 }
 
-function createFishDeathReceipt(fish, rewardDistribution, totalReward, rulesHash, rulesVersion, proofReference) {
+// Shot cost settled on a fish by every contributor, seated or not (RTP tier cost)
+function settledCost(fish) {
+    let total = 0;
+    for (const cost of fish.costByPlayer ? fish.costByPlayer.values() : []) total += cost;
+    return total;
+}
+
+/**
+ * rewardDistribution entries: { playerId, socketId, cost, percent, reward,
+ * contributionReward?, finisherReward? } (one per share, see RewardSplit)
+ * killRoll: committed roll inputs of a probability kill (null for hard pity)
+ */
+function createFishDeathReceipt(fish, rewardDistribution, totalReward, rulesHash, rulesVersion, proofReference, finisherPoolPercent = 0, killRoll = null) {
     const playerDamage = [];
     const payoutSplit = [];
+    let finisherBonus = 0;
 
     for (const entry of rewardDistribution) {
         playerDamage.push({
@@ -88,23 +408,236 @@ function createFishDeathReceipt(fish, rewardDistribution, totalReward, rulesHash
         payoutSplit.push({
             playerId: entry.playerId,
             reward: entry.reward,
-            percent: entry.percent
+            percent: entry.percent,
+            contribution_reward: entry.contributionReward !== undefined ? entry.contributionReward : entry.reward,
+            finisher_reward: entry.finisherReward || 0
         });
+        finisherBonus += entry.finisherReward || 0;
     }
 
     return {
         type: 'FISH_DEATH',
         fish_id: fish.fishId,
         fish_type: fish.typeName,
+        tier: fish.tier ?? null,
+        cost_total: settledCost(fish),
         total_damage: fish.maxHealth,
         player_damage: playerDamage,
         payout_total: totalReward,
         payout_split: payoutSplit,
-        finisher_bonus: 0,
+        finisher_bonus: finisherBonus,
+        finisher_pool_percent: finisherPoolPercent,
         rules_hash: rulesHash,
         rules_version: rulesVersion,
-        proof_reference: proofReference
+        proof_reference: proofReference,
+        kill_roll: killRoll
+    };
+}
+
+/**
+ * A fish that left the map alive with shot cost settled on it
+ */
+function createFishEscapeReceipt(fish, rulesHash, rulesVersion) {
+    return {
+        type: 'FISH_ESCAPE',
+        fish_id: fish.fishId,
+        fish_type: fish.typeName,
+        tier: fish.tier ?? null,
+        cost_total: settledCost(fish),
+        rules_hash: rulesHash,
+        rules_version: rulesVersion
+    };
+}
+
+/**
+ * settlement: { weaponType, fundingFp, budgetTotalFp, targets: [...] } or null (no settlement)
+ */
+function createSpecialEffectReceipt(sourceFish, effectType, killer, triggerKillEventId, settlement, payoutTotal, details, rulesHash, rulesVersion) {
+    return {
+        type: 'SPECIAL_EFFECT',
+        effect_type: effectType,
+        source_fish_id: sourceFish.fishId,
+        source_fish_type: sourceFish.typeName,
+        player_id: killer ? killer.playerId : null,
+        trigger_kill_event_id: triggerKillEventId,
+        settlement_type: settlement ? settlement.weaponType : null,
+        funding_fp: settlement ? settlement.fundingFp : 0,
+        budget_total_fp: settlement ? settlement.budgetTotalFp : 0,
+        targets: settlement ? settlement.targets : [],
+        payout_total: payoutTotal,
+        details: details || {},
+        rules_hash: rulesHash,
+        rules_version: rulesVersion
+    };
+}
+
+/**
+ * Power-up purchase. Not a bet: excluded from RTP budget accounting.
+ */
+function createItemPurchaseReceipt(player, itemId, quantity, unitPrice, balanceAfter, rulesHash, rulesVersion) {
+    return {
+        type: 'ITEM_PURCHASE',
+        player_id: player.playerId,
+        item_id: itemId,
+        quantity,
+        unit_price: unitPrice,
+        total_price: unitPrice * quantity,
+        amount: -(unitPrice * quantity),
+        balance_after: balanceAfter,
+        rtp_excluded: true,
+        rules_hash: rulesHash,
+        rules_version: rulesVersion
+    };
+}
+
+// ── Balance receipts ──────────────────────────────────────────────
+// amount is the signed balance change and balance_after the balance once
+// it is applied, so each player's receipts replay from SESSION_OPEN (buy-in)
+// to SESSION_CLOSE (cash-out). ITEM_PURCHASE follows the same rule.
+
+/**
+ * roomRules: the room-level rules folded into rules_hash (null = global rules)
+ */
+function createSessionOpenReceipt(player, roomRules, rulesHash, rulesVersion) {
+    return {
+        type: 'SESSION_OPEN',
+        player_id: player.playerId,
+        slot_index: player.slotIndex,
+        amount: player.balance,
+        balance_after: player.balance,
+        room_rules: roomRules,
+        rules_hash: rulesHash,
+        rules_version: rulesVersion
+    };
+}
+
+/**
+ * enforcementSuppressed: { 'action:reason': count } repeats not yet receipted
+ */
+function createSessionCloseReceipt(player, reason, enforcementSuppressed, rulesHash, rulesVersion) {
+    return {
+        type: 'SESSION_CLOSE',
+        player_id: player.playerId,
+        reason,
+        cash_out: player.balance,
+        amount: -player.balance,
+        balance_after: 0,
+        total_shots: player.totalShots,
+        total_kills: player.totalKills,
+        enforcement_suppressed: enforcementSuppressed,
+        rules_hash: rulesHash,
+        rules_version: rulesVersion
+    };
+}
+
+function createShotDebitReceipt(player, weaponKey, cost, rulesHash, rulesVersion) {
+    return {
+        type: 'SHOT_DEBIT',
+        player_id: player.playerId,
+        weapon: weaponKey,
+        shot_index: player.totalShots,
+        amount: -cost,
+        balance_after: player.balance,
+        rules_hash: rulesHash,
+        rules_version: rulesVersion
+    };
+}
+
+/**
+ * source: 'fishKill' | 'fishKillShare' | 'specialEffect' (balanceUpdate reason)
+ * weaponKey / tier: where the RTP ledger books the payout (tier = funding tier)
+ */
+function createKillCreditReceipt(player, fish, killEventId, source, amount, weaponKey, tier, rulesHash, rulesVersion) {
+    return {
+        type: 'KILL_CREDIT',
+        player_id: player.playerId,
+        fish_id: fish.fishId,
+        fish_type: fish.typeName,
+        kill_event_id: killEventId,
+        source,
+        weapon: weaponKey || null,
+        tier,
+        amount,
+        balance_after: player.balance,
+        rules_hash: rulesHash,
+        rules_version: rulesVersion
+    };
+}
+
+/**
+ * suppressed: repeats of the same action + reason since the previous receipt
+ */
+function createEnforcementReceipt(player, action, reason, detail, suppressed, rulesHash, rulesVersion) {
+    return {
+        type: 'ENFORCEMENT_ACTION',
+        player_id: player.playerId,
+        action,
+        reason,
+        detail,
+        suppressed,
+        balance: player.balance,
+        rules_hash: rulesHash,
+        rules_version: rulesVersion
     };
 }
 
-module.exports = { ReceiptChain, createFishDeathReceipt, hashReceipt };
+/**
+ * Replay every player's balance through the receipts carrying an amount.
+ * Returns { valid: true, sessions: [{ player_id, opened_at, buy_in, balance,
+ * closed_at, cash_out }] } or { valid: false, error, index }. A session
+ * reopened without a close (crash) stays in the list unclosed.
+ */
+function reconcileBalances(receipts) {
+    const open = new Map();
+    const sessions = [];
+    for (let i = 0; i < receipts.length; i++) {
+        const r = receipts[i];
+        if (!r || typeof r.amount !== 'number') continue;
+        if (r.type === 'SESSION_OPEN') {
+            if (r.balance_after !== r.amount) {
+                return { valid: false, error: `Balance mismatch at index ${i}`, index: i };
+            }
+            const session = { player_id: r.player_id, opened_at: i, buy_in: r.amount, balance: r.balance_after, closed_at: null, cash_out: null };
+            open.set(r.player_id, session);
+            sessions.push(session);
+            continue;
+        }
+        const session = open.get(r.player_id);
+        if (!session) {
+            return { valid: false, error: `No open session at index ${i}`, index: i };
+        }
+        if (session.balance + r.amount !== r.balance_after) {
+            return { valid: false, error: `Balance mismatch at index ${i}`, index: i };
+        }
+        session.balance = r.balance_after;
+        if (r.type === 'SESSION_CLOSE') {
+            session.closed_at = i;
+            session.cash_out = -r.amount;
+            open.delete(r.player_id);
+        }
+    }
+    return { valid: true, sessions };
+}
+
+module.exports = {
+    receiptsDir,
+    RECEIPT_FLUSH_MS,
+    ENFORCEMENT_RECEIPT_INTERVAL_MS,
+    ReceiptChain,
+    createFishDeathReceipt,
+    createFishEscapeReceipt,
+    createSpecialEffectReceipt,
+    createItemPurchaseReceipt,
+    createSessionOpenReceipt,
+    createSessionCloseReceipt,
+    createShotDebitReceipt,
+    createKillCreditReceipt,
+    createEnforcementReceipt,
+    reconcileBalances,
+    hashReceipt,
+    verifyReceipts,
+    receiptFilePath,
+    readReceiptFile,
+    listReceiptRooms,
+    findFishReceipts
+};
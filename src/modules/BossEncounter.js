@@ -0,0 +1,108 @@
+// Boss encounter phases / enrage / escape. Presentation only: phases read
+// RTP progress but never feed back into settlement.
+
+const { PROGRESS_SCALE } = require('./RTPPhase1');
+
+const BOSS_ENCOUNTERS = {
+    blueWhale: {
+        phases: [
+            { name: 'surfacing', atProgress: 0, speedScale: 1.0 },
+            { name: 'agitated', atProgress: 0.4, speedScale: 1.3 },
+            { name: 'enraged', atProgress: 0.75, speedScale: 1.8 }
+        ],
+        enrageAtRemainingMs: 8000,
+        escape: { speedScale: 3.0 }
+    },
+    greatWhiteShark: {
+        phases: [
+            { name: 'circling', atProgress: 0, speedScale: 1.0 },
+            { name: 'hunting', atProgress: 0.35, speedScale: 1.4 },
+            { name: 'frenzy', atProgress: 0.7, speedScale: 2.0 }
+        ],
+        enrageAtRemainingMs: 10000,
+        escape: { speedScale: 3.5 }
+    }
+};
+
+const DEFAULT_ENCOUNTER = {
+    phases: [
+        { name: 'active', atProgress: 0, speedScale: 1.0 },
+        { name: 'enraged', atProgress: 0.75, speedScale: 1.6 }
+    ],
+    enrageAtRemainingMs: 8000,
+    escape: { speedScale: 3.0 }
+};
+
+function getEncounterConfig(typeName) {
+    return BOSS_ENCOUNTERS[typeName] || DEFAULT_ENCOUNTER;
+}
+
+class BossEncounter {
+    /**
+     * fish: boss fish object; endsAt: wall-clock ms when the wave timer runs out
+     */
+    constructor(fish, endsAt) {
+        this.fishId = fish.fishId;
+        this.typeName = fish.typeName;
+        this.config = getEncounterConfig(fish.typeName);
+        this.baseSpeed = fish.path.speed;
+        this.endsAt = endsAt;
+        this.phaseIndex = 0;
+        this.escaping = false;
+    }
+
+    getPhase() {
+        return this.config.phases[this.phaseIndex];
+    }
+
+    isEnraged() {
+        return this.phaseIndex === this.config.phases.length - 1;
+    }
+
+    /**
+     * Returns { phaseIndex, reason } when the phase advances, otherwise null.
+     * progressFp: highest player progress toward hard pity (PROGRESS_SCALE units)
+     */
+    evaluate(now, progressFp) {
+        if (this.escaping) return null;
+
+        const phases = this.config.phases;
+        let target = this.phaseIndex;
+        let reason = 'pressure';
+        for (let i = target + 1; i < phases.length; i++) {
+            if (progressFp >= Math.floor(phases[i].atProgress * PROGRESS_SCALE)) target = i;
+        }
+        if (target < phases.length - 1 && this.config.enrageAtRemainingMs &&
+            this.endsAt - now <= this.config.enrageAtRemainingMs) {
+            target = phases.length - 1;
+            reason = 'timer';
+        }
+
+        if (target === this.phaseIndex) return null;
+        this.phaseIndex = target;
+        return { phaseIndex: target, reason };
+    }
+
+    startEscape() {
+        this.escaping = true;
+    }
+
+    getSpeed() {
+        const scale = this.escaping ? this.config.escape.speedScale : this.getPhase().speedScale;
+        return this.baseSpeed * scale;
+    }
+
+    getInfo() {
+        return {
+            fishId: this.fishId,
+            typeName: this.typeName,
+            phaseIndex: this.phaseIndex,
+            phase: this.escaping ? 'escape' : this.getPhase().name,
+            enraged: this.isEnraged(),
+            escaping: this.escaping,
+            endsAt: this.endsAt
+        };
+    }
+}
+
+module.exports = { BossEncounter, BOSS_ENCOUNTERS, getEncounterConfig };
@@ -19,6 +19,12 @@ function sortObjectDeep(obj) {
     return sorted;
 }
 
+// Room-level rules (e.g. ricochet) extend a config hash; no rules = that hash
+function roomRulesHash(configHash, roomRules) {
+    if (!roomRules) return configHash;
+    return computeConfigHash(sortObjectDeep({ rulesHash: configHash, roomRules }));
+}
+
 class ConfigHashManager {
     constructor(gameConfig) {
         this.configHash = null;
@@ -96,6 +102,10 @@ class ConfigHashManager {
         return this.version;
     }
 
+    getRoomHash(roomRules) {
+        return roomRulesHash(this.configHash, roomRules);
+    }
+
     updateConfig(newConfig) {
         const sorted = sortObjectDeep(newConfig);
         const newHash = computeConfigHash(sorted);
@@ -115,4 +125,4 @@ class ConfigHashManager {
     }
 }
 
-module.exports = { ConfigHashManager, computeConfigHash, sortObjectDeep };
+module.exports = { VERSION_FILE, ConfigHashManager, computeConfigHash, sortObjectDeep, roomRulesHash };
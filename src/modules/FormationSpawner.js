@@ -0,0 +1,90 @@
+// Formation (school) spawns: members share the leader's path and add a
+// fixed offset in its frame (along = ahead/behind, side = left/right).
+
+const FORMATIONS = {
+    waveFormation: {
+        species: 'sardine',
+        count: 10,
+        minCount: 4,
+        layout: { kind: 'wave', spacing: 3, rowDepth: 2 }
+    },
+    baitBall: {
+        species: 'anchovy',
+        count: 12,
+        minCount: 5,
+        layout: { kind: 'ball', radius: 5 }
+    },
+    synchronizedFast: {
+        species: 'yellowfinTuna',
+        count: 4,
+        minCount: 2,
+        layout: { kind: 'line', spacing: 7 }
+    },
+    groupCoordination: {
+        species: 'blueTang',
+        count: 7,
+        minCount: 3,
+        layout: { kind: 'chevron', spacing: 4 }
+    }
+};
+
+function formationOffsets(layout, count) {
+    const offsets = [];
+    switch (layout.kind) {
+        case 'line': {
+            // Line abreast, centred on the leader
+            for (let i = 0; i < count; i++) {
+                offsets.push({ along: 0, side: (i - (count - 1) / 2) * layout.spacing });
+            }
+            break;
+        }
+        case 'wave': {
+            // Two staggered ranks, alternating sides of the leader
+            for (let i = 0; i < count; i++) {
+                const rank = i % 2;
+                const file = Math.floor(i / 2);
+                const side = (file % 2 === 0 ? 1 : -1) * Math.ceil(file / 2) * layout.spacing;
+                offsets.push({ along: -rank * layout.rowDepth, side: side + rank * layout.spacing / 2 });
+            }
+            break;
+        }
+        case 'ball': {
+            // Leader in the centre, the rest on a ring around it
+            offsets.push({ along: 0, side: 0 });
+            for (let i = 1; i < count; i++) {
+                const angle = (2 * Math.PI * (i - 1)) / (count - 1);
+                offsets.push({
+                    along: layout.radius * Math.cos(angle),
+                    side: layout.radius * Math.sin(angle)
+                });
+            }
+            break;
+        }
+        case 'chevron': {
+            // Leader at the tip, wings trailing on alternating sides
+            offsets.push({ along: 0, side: 0 });
+            for (let i = 1; i < count; i++) {
+                const rank = Math.ceil(i / 2);
+                const sign = i % 2 === 1 ? 1 : -1;
+                offsets.push({ along: -rank * layout.spacing, side: sign * rank * layout.spacing });
+            }
+            break;
+        }
+        default:
+            for (let i = 0; i < count; i++) offsets.push({ along: 0, side: 0 });
+    }
+    return offsets;
+}
+
+/**
+ * Member path = leader path translated by the member offset (path frame -> world).
+ */
+function memberPath(leaderPath, offset) {
+    return {
+        ...leaderPath,
+        startX: leaderPath.startX + leaderPath.dirX * offset.along - leaderPath.dirZ * offset.side,
+        startZ: leaderPath.startZ + leaderPath.dirZ * offset.along + leaderPath.dirX * offset.side
+    };
+}
+
+module.exports = { FORMATIONS, formationOffsets, memberPath };
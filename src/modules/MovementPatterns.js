@@ -0,0 +1,162 @@
+// Server-authoritative fish movement patterns. Position is a pure function of
+// path time, so clients with the same path descriptor reproduce the server curve.
+
+const TWO_PI = Math.PI * 2;
+
+const MOVEMENT_PATTERNS = {
+    straight: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'none' }
+    },
+    cruise: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'sine', amplitude: 3, periodMs: 16000 }
+    },
+    burstAttack: {
+        speed: { kind: 'pulse', cycleMs: 5000, activeMs: 1200, activeScale: 2.5, idleScale: 0.6 },
+        lateral: { kind: 'sine', amplitude: 4, periodMs: 10000 }
+    },
+    burstSprint: {
+        speed: { kind: 'pulse', cycleMs: 3500, activeMs: 900, activeScale: 2.2, idleScale: 0.6 },
+        lateral: { kind: 'none' }
+    },
+    sShape: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'sine', amplitude: 8, periodMs: 6000 }
+    },
+    synchronizedFast: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'none' }
+    },
+    irregularTurns: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'zigzag', amplitude: 6, periodMs: 4000 }
+    },
+    wingGlide: {
+        speed: { kind: 'pulse', cycleMs: 4000, activeMs: 1500, activeScale: 1.4, idleScale: 0.8 },
+        lateral: { kind: 'sine', amplitude: 5, periodMs: 9000 }
+    },
+    ambush: {
+        speed: { kind: 'pulse', cycleMs: 4500, activeMs: 700, activeScale: 3.0, idleScale: 0.15 },
+        lateral: { kind: 'none' }
+    },
+    bottomBurst: {
+        speed: { kind: 'pulse', cycleMs: 4000, activeMs: 800, activeScale: 2.4, idleScale: 0.4 },
+        lateral: { kind: 'zigzag', amplitude: 2, periodMs: 8000 }
+    },
+    stopAndGo: {
+        speed: { kind: 'pulse', cycleMs: 3000, activeMs: 1500, activeScale: 1.8, idleScale: 0 },
+        lateral: { kind: 'none' }
+    },
+    elegantGlide: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'sine', amplitude: 4, periodMs: 12000 }
+    },
+    agileWeave: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'sine', amplitude: 4, periodMs: 2500 }
+    },
+    groupCoordination: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'sine', amplitude: 5, periodMs: 7000 }
+    },
+    waveFormation: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'sine', amplitude: 6, periodMs: 5000 }
+    },
+    baitBall: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'orbit', radius: 4, periodMs: 3000 }
+    },
+    territorial: {
+        speed: { kind: 'pulse', cycleMs: 5000, activeMs: 2500, activeScale: 1.6, idleScale: 0.2 },
+        lateral: { kind: 'orbit', radius: 3, periodMs: 5000 }
+    },
+    defensiveCharge: {
+        speed: { kind: 'pulse', cycleMs: 3500, activeMs: 600, activeScale: 2.8, idleScale: 0.5 },
+        lateral: { kind: 'none' }
+    },
+    slowRotation: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'orbit', radius: 2, periodMs: 8000 }
+    },
+    verticalDrift: {
+        speed: { kind: 'constant' },
+        lateral: { kind: 'sine', amplitude: 2, periodMs: 6000 }
+    }
+};
+
+const DEFAULT_PATTERN = 'straight';
+
+function getPattern(name) {
+    return MOVEMENT_PATTERNS[name] || MOVEMENT_PATTERNS[DEFAULT_PATTERN];
+}
+
+function pulseDistance(profile, t) {
+    const cycle = profile.cycleMs / 1000;
+    const active = profile.activeMs / 1000;
+    const perCycle = active * profile.activeScale + (cycle - active) * profile.idleScale;
+    const n = Math.floor(t / cycle);
+    const r = t - n * cycle;
+    return n * perCycle
+        + Math.min(r, active) * profile.activeScale
+        + Math.max(0, r - active) * profile.idleScale;
+}
+
+// Along-track distance travelled after t seconds (phase shifts the pulse cycle).
+function alongTrackDistance(profile, speed, t, phase) {
+    if (profile.kind !== 'pulse') return speed * t;
+    const offset = (phase / TWO_PI) * (profile.cycleMs / 1000);
+    return speed * (pulseDistance(profile, t + offset) - pulseDistance(profile, offset));
+}
+
+function triangle(x) {
+    return (2 / Math.PI) * Math.asin(Math.sin(x));
+}
+
+// Offset in the path frame; always { along: 0, side: 0 } at t = 0.
+function lateralOffset(profile, t, phase) {
+    switch (profile.kind) {
+        case 'sine': {
+            const w = TWO_PI * t * 1000 / profile.periodMs;
+            return { along: 0, side: profile.amplitude * (Math.sin(w + phase) - Math.sin(phase)) };
+        }
+        case 'zigzag': {
+            const w = TWO_PI * t * 1000 / profile.periodMs;
+            return { along: 0, side: profile.amplitude * (triangle(w + phase) - triangle(phase)) };
+        }
+        case 'orbit': {
+            const w = TWO_PI * t * 1000 / profile.periodMs;
+            return {
+                along: profile.radius * (Math.cos(w + phase) - Math.cos(phase)),
+                side: profile.radius * (Math.sin(w + phase) - Math.sin(phase))
+            };
+        }
+        default:
+            return { along: 0, side: 0 };
+    }
+}
+
+/**
+ * Sample a path descriptor at pathTime t (seconds since spawn).
+ * path: { pattern, startX, startZ, dirX, dirZ, speed, phase }
+ */
+function samplePath(path, t) {
+    const def = getPattern(path.pattern);
+    const lat = lateralOffset(def.lateral, t, path.phase || 0);
+    const s = alongTrackDistance(def.speed, path.speed, t, path.phase || 0) + lat.along;
+    const l = lat.side;
+    return {
+        x: path.startX + path.dirX * s - path.dirZ * l,
+        z: path.startZ + path.dirZ * s + path.dirX * l
+    };
+}
+
+module.exports = {
+    MOVEMENT_PATTERNS,
+    DEFAULT_PATTERN,
+    getPattern,
+    alongTrackDistance,
+    lateralOffset,
+    samplePath
+};
@@ -0,0 +1,46 @@
+// Power-up items are purchases, not bets: the price never reaches RTPPhase1
+// and every purchase writes an ITEM_PURCHASE receipt.
+
+// scope 'room' affects every seat, 'player' only the activating player
+const POWER_UP_ITEMS = {
+    freeze: {
+        label: 'Freeze',
+        price: 50,
+        scope: 'room',
+        durationMs: 5000
+    },
+    slow: {
+        label: 'Slow',
+        price: 30,
+        scope: 'room',
+        durationMs: 10000,
+        speedScale: 0.5     // fish path time advances at half speed
+    },
+    frenzy: {
+        label: 'Frenzy',
+        price: 40,
+        scope: 'player',
+        durationMs: 10000,
+        cooldownScale: 0.5  // weapon cooldown halved
+    }
+};
+
+const MAX_ITEM_STACK = 9;
+
+function getItem(itemId) {
+    return Object.prototype.hasOwnProperty.call(POWER_UP_ITEMS, itemId) ? POWER_UP_ITEMS[itemId] : null;
+}
+
+/**
+ * Public item list (API)
+ */
+function listItems() {
+    return Object.entries(POWER_UP_ITEMS).map(([itemId, item]) => ({ itemId, ...item, maxStack: MAX_ITEM_STACK }));
+}
+
+module.exports = {
+    POWER_UP_ITEMS,
+    MAX_ITEM_STACK,
+    getItem,
+    listItems
+};
@@ -0,0 +1,194 @@
+// Per-room RTP ledger. It only observes settlement (RTPPhase1 never reads it);
+// cost is shot debits only, not item purchases or effect funding.
+
+const { RTP_SCALE, RTP_TIER_FP } = require('./RTPPhase1');
+
+const KILL_REASONS = ['hard_pity', 'probability'];
+
+function emptyBucket() {
+    const kills = {};
+    for (const reason of KILL_REASONS) kills[reason] = 0;
+    return { shots: 0, costFp: 0, payoutFp: 0, kills };
+}
+
+function rtpFp(costFp, payoutFp) {
+    return costFp > 0 ? Math.floor(payoutFp * RTP_SCALE / costFp) : null;
+}
+
+function reportBucket(bucket, debtFp) {
+    const report = { ...bucket, kills: { ...bucket.kills }, rtpFp: rtpFp(bucket.costFp, bucket.payoutFp) };
+    if (debtFp !== undefined) report.outstandingDebtFp = debtFp;
+    return report;
+}
+
+function addBucket(into, bucket) {
+    into.shots += bucket.shots;
+    into.costFp += bucket.costFp;
+    into.payoutFp += bucket.payoutFp;
+    for (const [reason, count] of Object.entries(bucket.kills)) {
+        into.kills[reason] = (into.kills[reason] || 0) + count;
+    }
+}
+
+/**
+ * Cost-weighted RTP target over tiers (RTP_SCALE), null before any settlement
+ */
+function weightedTargetFp(tiers) {
+    let costFp = 0;
+    let weightedFp = 0;
+    for (const [tier, bucket] of Object.entries(tiers)) {
+        costFp += bucket.costFp;
+        weightedFp += bucket.costFp * RTP_TIER_FP[tier];
+    }
+    return costFp > 0 ? Math.floor(weightedFp / costFp) : null;
+}
+
+/**
+ * Live per-room RTP counters: room, player (by playerId), weapon and tier.
+ * Tier cost is the settled share of shot cost (a batch splits it by weight).
+ */
+class RTPLedger {
+    constructor() {
+        this.startedAt = Date.now();
+        this.room = emptyBucket();
+        this.players = new Map(); // playerId -> bucket
+        this.weapons = new Map(); // weaponKey -> bucket
+        this.tiers = new Map();   // tier -> bucket
+    }
+
+    _bucket(map, key) {
+        let bucket = map.get(key);
+        if (!bucket) {
+            bucket = emptyBucket();
+            map.set(key, bucket);
+        }
+        return bucket;
+    }
+
+    recordShot(playerId, weaponKey, costFp) {
+        for (const bucket of [this.room, this._bucket(this.players, playerId), this._bucket(this.weapons, weaponKey)]) {
+            bucket.shots++;
+            bucket.costFp += costFp;
+        }
+    }
+
+    recordTierCost(tier, costFp) {
+        this._bucket(this.tiers, tier).costFp += costFp;
+    }
+
+    recordKill(playerId, weaponKey, tier, reason) {
+        const buckets = [this.room, this._bucket(this.players, playerId), this._bucket(this.tiers, tier)];
+        if (weaponKey) buckets.push(this._bucket(this.weapons, weaponKey));
+        for (const bucket of buckets) {
+            bucket.kills[reason] = (bucket.kills[reason] || 0) + 1;
+        }
+    }
+
+    // Room / weapon / tier side of a payout (the whole reward, once)
+    recordPayout(weaponKey, tier, payoutFp) {
+        this.room.payoutFp += payoutFp;
+        this._bucket(this.tiers, tier).payoutFp += payoutFp;
+        if (weaponKey) this._bucket(this.weapons, weaponKey).payoutFp += payoutFp;
+    }
+
+    // Player side of a payout (each reward split share)
+    recordPlayerPayout(playerId, payoutFp) {
+        this._bucket(this.players, playerId).payoutFp += payoutFp;
+    }
+
+    /**
+     * debts: [{ playerId, tier, debtFp }] outstanding RTPPhase1 budget debt
+     */
+    report(debts = []) {
+        const roomDebt = debts.reduce((sum, d) => sum + d.debtFp, 0);
+        const playerDebt = new Map();
+        const tierDebt = new Map();
+        for (const d of debts) {
+            playerDebt.set(d.playerId, (playerDebt.get(d.playerId) || 0) + d.debtFp);
+            tierDebt.set(d.tier, (tierDebt.get(d.tier) || 0) + d.debtFp);
+        }
+
+        // Debt can sit on a player / tier that has no counters yet
+        const players = {};
+        for (const playerId of new Set([...this.players.keys(), ...playerDebt.keys()])) {
+            players[playerId] = reportBucket(this.players.get(playerId) || emptyBucket(), playerDebt.get(playerId) || 0);
+        }
+        const weapons = {};
+        for (const [weaponKey, bucket] of this.weapons) {
+            weapons[weaponKey] = reportBucket(bucket);
+        }
+        const tiers = {};
+        for (const tier of [...new Set([...this.tiers.keys(), ...tierDebt.keys()])].sort((a, b) => a - b)) {
+            tiers[tier] = { ...reportBucket(this.tiers.get(tier) || emptyBucket(), tierDebt.get(tier) || 0), targetRtpFp: RTP_TIER_FP[tier] };
+        }
+
+        return {
+            since: this.startedAt,
+            room: { ...reportBucket(this.room, roomDebt), targetRtpFp: weightedTargetFp(Object.fromEntries(this.tiers)) },
+            players,
+            weapons,
+            tiers
+        };
+    }
+
+    export() {
+        return {
+            startedAt: this.startedAt,
+            room: this.room,
+            players: [...this.players],
+            weapons: [...this.weapons],
+            tiers: [...this.tiers]
+        };
+    }
+
+    import(data) {
+        this.startedAt = data.startedAt;
+        this.room = data.room;
+        this.players = new Map(data.players);
+        this.weapons = new Map(data.weapons);
+        this.tiers = new Map(data.tiers);
+    }
+}
+
+/**
+ * Server-wide totals from per-room report() results (players stay per room)
+ */
+function combineReports(reports) {
+    const room = emptyBucket();
+    const weapons = {};
+    const tiers = {};
+    let debtFp = 0;
+    for (const report of reports) {
+        addBucket(room, report.room);
+        debtFp += report.room.outstandingDebtFp || 0;
+        for (const [weaponKey, bucket] of Object.entries(report.weapons)) {
+            addBucket(weapons[weaponKey] || (weapons[weaponKey] = emptyBucket()), bucket);
+        }
+        for (const [tier, bucket] of Object.entries(report.tiers)) {
+            if (!tiers[tier]) tiers[tier] = { ...emptyBucket(), outstandingDebtFp: 0 };
+            addBucket(tiers[tier], bucket);
+            tiers[tier].outstandingDebtFp += bucket.outstandingDebtFp || 0;
+        }
+    }
+
+    const weaponReports = {};
+    for (const [weaponKey, bucket] of Object.entries(weapons)) {
+        weaponReports[weaponKey] = reportBucket(bucket);
+    }
+    const tierReports = {};
+    for (const [tier, bucket] of Object.entries(tiers)) {
+        tierReports[tier] = { ...reportBucket(bucket, bucket.outstandingDebtFp), targetRtpFp: RTP_TIER_FP[tier] };
+    }
+    return {
+        rooms: reports.length,
+        room: { ...reportBucket(room, debtFp), targetRtpFp: weightedTargetFp(tiers) },
+        weapons: weaponReports,
+        tiers: tierReports
+    };
+}
+
+module.exports = {
+    KILL_REASONS,
+    RTPLedger,
+    combineReports
+};
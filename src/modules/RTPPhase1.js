@@ -1,4 +1,5 @@
 const { secureRandom, secureRandomUUID } = require('../rng/CSPRNG');
+const { PENETRATING_CONFIG } = require('../config/GameConfig');
 
 // ═══════════════════════════════════════════════════════════════════
 // GUARDRAIL: All values below are STATIC LOOKUP from RTP System Bible.
@@ -58,12 +59,31 @@ const TIER_CONFIG = {
 
 const AOE_MAX_TARGETS = 8;
 const LASER_MAX_TARGETS = 6;
+// Penetrating beam: falloff table IS the weight vector (by hit order)
+const PENETRATING_MAX_TARGETS = PENETRATING_CONFIG.MAX_TARGETS;
+const PENETRATING_WEIGHTS_FP = PENETRATING_CONFIG.DAMAGE_MULTIPLIERS
+    .slice(0, PENETRATING_MAX_TARGETS)
+    .map(m => Math.round(m * WEIGHT_SCALE));
 const EPSILON_FP = 1;
 const RAMP_START = 800000;
 
 class RTPPhase1 {
-    constructor() {
+    /**
+     * options.rollSource(playerId, fishId) -> { roll, ...inputs }: committed
+     * kill roll in [0, P_SCALE). Its inputs are returned as rollProof.
+     * Without one, rolls come from secureRandom() and carry no proof.
+     */
+    constructor(options = {}) {
         this.states = new Map();
+        this.rollSource = options.rollSource || null;
+    }
+
+    _roll(playerId, fishId) {
+        if (this.rollSource) {
+            const proof = this.rollSource(playerId, fishId);
+            return { rand: proof.roll, proof };
+        }
+        return { rand: Math.floor(secureRandom() * P_SCALE), proof: null };
     }
 
     _stateKey(playerId, fishId) {
@@ -106,6 +126,47 @@ class RTPPhase1 {
         }
     }
 
+    // Persistence: [[playerId, fishId, { sumCostFp, budgetRemainingFp, killed }]]
+    exportStates() {
+        const entries = [];
+        for (const [key, state] of this.states) {
+            const split = key.lastIndexOf(':');
+            entries.push([key.slice(0, split), key.slice(split + 1), this._snapshotState(state)]);
+        }
+        return entries;
+    }
+
+    // Restores exported entries verbatim; never recomputes or resets budgets
+    importStates(entries) {
+        for (const [playerId, fishId, state] of entries) {
+            this.states.set(this._stateKey(playerId, fishId), this._snapshotState(state));
+        }
+    }
+
+    // Move every state of one player key to another (e.g. seat -> reconnected socket)
+    renamePlayer(fromPlayerId, toPlayerId) {
+        const prefix = `${fromPlayerId}:`;
+        for (const [key, state] of [...this.states]) {
+            if (!key.startsWith(prefix)) continue;
+            this.states.delete(key);
+            this.states.set(`${toPlayerId}:${key.slice(prefix.length)}`, state);
+        }
+    }
+
+    // Read-only: highest per-player progress toward hard pity on a fish
+    // (PROGRESS_SCALE units). Used for presentation, never for settlement.
+    getFishProgressFp(fishId, tier) {
+        const config = TIER_CONFIG[tier];
+        if (!config) return 0;
+        const suffix = `:${fishId}`;
+        let maxProgressFp = 0;
+        for (const [key, state] of this.states) {
+            if (!key.endsWith(suffix) || state.killed) continue;
+            maxProgressFp = Math.max(maxProgressFp, Math.floor(state.sumCostFp * PROGRESS_SCALE / config.n1Fp));
+        }
+        return Math.min(PROGRESS_SCALE, maxProgressFp);
+    }
+
     handleSingleTargetHit(playerId, fishId, weaponCostFp, tier) {
         const config = TIER_CONFIG[tier];
         if (!config) return { kill: false, error: 'invalid_tier' };
@@ -130,16 +191,18 @@ class RTPPhase1 {
         const aFp = Math.floor(pBaseFp / 2);
         const pFp = Math.min(P_SCALE, pBaseFp + Math.floor(aFp * rFp / PROGRESS_SCALE));
 
-        const rand = Math.floor(secureRandom() * P_SCALE);
+        const { rand, proof } = this._roll(playerId, fishId);
+        const rollProof = proof ? { ...proof, pFp } : undefined;
 
         if (rand < pFp) {
-            return this._executeKill(state, config, playerId, fishId, 'probability');
+            return this._executeKill(state, config, playerId, fishId, 'probability', rollProof);
         }
 
         return {
             kill: false,
             reason: 'roll_failed',
             pFp,
+            rollProof,
             state: this._snapshotState(state)
         };
     }
@@ -151,11 +214,15 @@ class RTPPhase1 {
     //   2. Budget conservation: Σbudget_i_fp == budget_total_fp
     //      (last target gets remainder to avoid fp rounding leak).
     //   3. 8x laser: single fire → single cost deduction → one batch call.
+    //   4. weaponType 'laser' weights 1/(i+1), 'penetrating' weights the
+    //      PENETRATING_CONFIG falloff by hit order, 'aoe' weights 1/distance.
     // ═══════════════════════════════════════════════════════════════
     handleMultiTargetHit(playerId, hitList, weaponCostFp, weaponType, options = {}) {
         if (!hitList || hitList.length === 0) return options.debug ? { results: [], _debug: null } : [];
 
-        const maxTargets = weaponType === 'laser' ? LASER_MAX_TARGETS : AOE_MAX_TARGETS;
+        const maxTargets = weaponType === 'laser' ? LASER_MAX_TARGETS
+            : weaponType === 'penetrating' ? PENETRATING_MAX_TARGETS
+            : AOE_MAX_TARGETS;
         const trimmedList = hitList.slice(0, maxTargets);
 
         const n = trimmedList.length;
@@ -165,6 +232,8 @@ class RTPPhase1 {
         for (let i = 0; i < n; i++) {
             if (weaponType === 'laser') {
                 rawWeights[i] = Math.floor(WEIGHT_SCALE / (i + 1));
+            } else if (weaponType === 'penetrating') {
+                rawWeights[i] = PENETRATING_WEIGHTS_FP[i];
             } else {
                 const dist = Math.max(trimmedList[i].distance, 1);
                 rawWeights[i] = Math.floor(WEIGHT_SCALE / dist);
@@ -232,12 +301,13 @@ class RTPPhase1 {
             const aIFp = Math.floor(pBaseIFp / 2);
             const pIFp = Math.min(P_SCALE, pBaseIFp + Math.floor(aIFp * rIFp / PROGRESS_SCALE));
 
-            const randI = Math.floor(secureRandom() * P_SCALE);
+            const { rand: randI, proof } = this._roll(playerId, entry.fishId);
+            const rollProof = proof ? { ...proof, pFp: pIFp } : undefined;
 
             if (randI < pIFp) {
-                results.push(this._executeKill(state, config, playerId, entry.fishId, 'probability'));
+                results.push(this._executeKill(state, config, playerId, entry.fishId, 'probability', rollProof));
             } else {
-                results.push({ fishId: entry.fishId, kill: false, reason: 'roll_failed', pFp: pIFp });
+                results.push({ fishId: entry.fishId, kill: false, reason: 'roll_failed', pFp: pIFp, rollProof });
             }
         }
 
@@ -257,7 +327,7 @@ class RTPPhase1 {
         return results;
     }
 
-    _executeKill(state, config, playerId, fishId, reason) {
+    _executeKill(state, config, playerId, fishId, reason, rollProof) {
         // Soft gate: per-fish budget may go into controlled debt (floor >= -reward_fp).
         // Debt is repaid by future hits on the SAME fish only.
         state.budgetRemainingFp -= config.rewardFp;
@@ -270,6 +340,7 @@ class RTPPhase1 {
             killEventId,
             rewardFp: config.rewardFp,
             reward: config.rewardFp / MONEY_SCALE,
+            rollProof,
             state: this._snapshotState(state)
         };
     }
@@ -295,5 +366,7 @@ module.exports = {
     N1_VALUES,
     TIER_CONFIG,
     AOE_MAX_TARGETS,
-    LASER_MAX_TARGETS
+    LASER_MAX_TARGETS,
+    PENETRATING_MAX_TARGETS,
+    PENETRATING_WEIGHTS_FP
 };
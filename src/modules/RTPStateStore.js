@@ -0,0 +1,155 @@
+// Persisted per-room RTP state: the fish table and RTPPhase1 states are written
+// as one value, so pity progress survives a crash or deploy.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STATE_DIR = path.join(process.env.DATA_DIR || path.join(__dirname, '../../data'), 'rtp-state');
+const STATE_KEY_PREFIX = 'rtp-state:';
+const STATE_VERSION = 1;
+// Game loop snapshot cadence: at most this much play is lost on a crash
+const STATE_SAVE_INTERVAL_MS = 5000;
+
+// Resume token of one seat: handed to its player only, stored hashed
+function createSeatToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function hashSeatToken(token) {
+    return typeof token === 'string' && token ? crypto.createHash('sha256').update(token).digest('hex') : null;
+}
+
+// Store interface (Redis-compatible, so a connected node-redis client works as-is):
+//   get(key) -> string | null, set(key, value), del(key), keys(pattern) -> [key]
+// Methods may return values or promises. Patterns support a trailing '*' only.
+function matchesPattern(key, pattern) {
+    return pattern.endsWith('*') ? key.startsWith(pattern.slice(0, -1)) : key === pattern;
+}
+
+/**
+ * In-process store (tests, or rooms that only need to survive an engine rebuild)
+ */
+class MemoryStateStore {
+    constructor() {
+        this.values = new Map();
+    }
+
+    get(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    set(key, value) {
+        this.values.set(key, String(value));
+        return 'OK';
+    }
+
+    del(key) {
+        return this.values.delete(key) ? 1 : 0;
+    }
+
+    keys(pattern) {
+        return [...this.values.keys()].filter(key => matchesPattern(key, pattern));
+    }
+}
+
+/**
+ * One JSON file per key; writes go through a temp file + rename so a crash
+ * mid-write leaves the previous snapshot intact.
+ */
+class FileStateStore {
+    constructor(dir = STATE_DIR) {
+        this.dir = dir;
+        try {
+            if (!fs.existsSync(this.dir)) {
+                fs.mkdirSync(this.dir, { recursive: true });
+            }
+        } catch (e) {
+            console.warn('[RTP-STATE] Cannot create state directory:', e.message);
+        }
+    }
+
+    _file(key) {
+        return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+    }
+
+    get(key) {
+        try {
+            return fs.readFileSync(this._file(key), 'utf8');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    set(key, value) {
+        const file = this._file(key);
+        fs.writeFileSync(`${file}.tmp`, String(value));
+        fs.renameSync(`${file}.tmp`, file);
+        return 'OK';
+    }
+
+    del(key) {
+        try {
+            fs.unlinkSync(this._file(key));
+            return 1;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    keys(pattern) {
+        let files = [];
+        try {
+            files = fs.readdirSync(this.dir);
+        } catch (e) {
+            return [];
+        }
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+            .filter(key => matchesPattern(key, pattern));
+    }
+}
+
+async function saveRoomState(store, roomCode, snapshot) {
+    await store.set(STATE_KEY_PREFIX + roomCode, JSON.stringify(snapshot));
+}
+
+/**
+ * Returns the room snapshot, or null when none is stored or it is unreadable
+ */
+async function loadRoomState(store, roomCode) {
+    const raw = await store.get(STATE_KEY_PREFIX + roomCode);
+    if (!raw) return null;
+    try {
+        const snapshot = JSON.parse(raw);
+        return snapshot && snapshot.version === STATE_VERSION ? snapshot : null;
+    } catch (e) {
+        console.warn(`[RTP-STATE] Unreadable snapshot for room ${roomCode}:`, e.message);
+        return null;
+    }
+}
+
+async function deleteRoomState(store, roomCode) {
+    await store.del(STATE_KEY_PREFIX + roomCode);
+}
+
+async function listRoomStates(store) {
+    const keys = await store.keys(STATE_KEY_PREFIX + '*');
+    return keys.map(key => key.slice(STATE_KEY_PREFIX.length)).sort();
+}
+
+module.exports = {
+    STATE_DIR,
+    STATE_KEY_PREFIX,
+    STATE_VERSION,
+    STATE_SAVE_INTERVAL_MS,
+    createSeatToken,
+    hashSeatToken,
+    MemoryStateStore,
+    FileStateStore,
+    saveRoomState,
+    loadRoomState,
+    deleteRoomState,
+    listRoomStates
+};
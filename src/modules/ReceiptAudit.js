@@ -0,0 +1,313 @@
+// Offline receipt auditor. Reads receipts, config versions and the public
+// keyring; never writes a chain or loads a private key.
+
+const fs = require('fs');
+const path = require('path');
+const { MONEY_SCALE, RTP_TIER_FP } = require('./RTPPhase1');
+const { roomRulesHash } = require('./ConfigHash');
+const { importPublicKey } = require('./ReceiptSigner');
+const { verifyReceipts, reconcileBalances, readReceiptFile, listReceiptRooms } = require('./AuditReceipt');
+
+const MAX_LISTED_ISSUES = 10;
+
+function readJsonLines(filePath) {
+    const entries = [];
+    const badLines = [];
+    const text = fs.readFileSync(filePath, 'utf8');
+    text.split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            badLines.push(i + 1);
+        }
+    });
+    return { entries, badLines };
+}
+
+/**
+ * ConfigHashManager history as version -> hash; null when the file is missing
+ */
+function loadConfigVersions(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const { entries, badLines } = readJsonLines(filePath);
+    const versions = new Map();
+    for (const entry of entries) versions.set(entry.version, entry.hash);
+    return { versions, badLines };
+}
+
+/**
+ * Public receipt keys from a keyring.json: { verifyKeys (keyId -> KeyObject),
+ * legacyPrefixes (roomId -> { length, hash }, from legacy-prefixes.json
+ * beside it; {} when missing) }; null when there is no keyring
+ */
+function loadKeyring(keyringPath) {
+    if (!fs.existsSync(keyringPath)) return null;
+    const keyring = JSON.parse(fs.readFileSync(keyringPath, 'utf8'));
+    const legacyPath = path.join(path.dirname(keyringPath), 'legacy-prefixes.json');
+    return {
+        verifyKeys: new Map(keyring.map(entry => [entry.keyId, importPublicKey(entry.publicKey)])),
+        legacyPrefixes: fs.existsSync(legacyPath) ? JSON.parse(fs.readFileSync(legacyPath, 'utf8')) : {}
+    };
+}
+
+function emptyBucket() {
+    return { shots: 0, kills: 0, costFp: 0, payoutFp: 0 };
+}
+
+function bucketOf(map, key) {
+    if (!map[key]) map[key] = emptyBucket();
+    return map[key];
+}
+
+function toFp(amount) {
+    return Math.round(amount * MONEY_SCALE);
+}
+
+/**
+ * Every receipt's rules_hash must be its rules_version's config hash, or that
+ * hash extended by room rules some SESSION_OPEN in the room recorded.
+ */
+function checkRulesHashes(receipts, configVersions) {
+    const roomRules = new Map();
+    for (const r of receipts) {
+        if (r.type === 'SESSION_OPEN' && r.room_rules) roomRules.set(JSON.stringify(r.room_rules), r.room_rules);
+    }
+
+    const result = { checked: 0, unhashed: 0, unknown: [] };
+    for (let i = 0; i < receipts.length; i++) {
+        const r = receipts[i];
+        if (!('rules_hash' in r)) continue;
+        if (r.rules_hash === null) {
+            result.unhashed++;
+            continue;
+        }
+        result.checked++;
+        const configHash = configVersions ? configVersions.versions.get(r.rules_version) : undefined;
+        const known = configHash !== undefined && (r.rules_hash === configHash ||
+            [...roomRules.values()].some(rules => roomRulesHash(configHash, rules) === r.rules_hash));
+        if (!known) {
+            result.unknown.push({ index: i, rules_hash: r.rules_hash, rules_version: r.rules_version });
+        }
+    }
+    return result;
+}
+
+/**
+ * Realized RTP from balance receipts, booked like RTPLedger: cost = shot
+ * debits (by weapon), payout = kill credits (by weapon and funding tier),
+ * tier cost = cost settled on fish that died or escaped.
+ */
+function reconstructRtp(receipts) {
+    const room = emptyBucket();
+    const tiers = {};
+    const weapons = {};
+    for (const r of receipts) {
+        if (r.type === 'SHOT_DEBIT') {
+            const costFp = toFp(-r.amount);
+            for (const bucket of [room, bucketOf(weapons, r.weapon)]) {
+                bucket.shots++;
+                bucket.costFp += costFp;
+            }
+        } else if (r.type === 'KILL_CREDIT') {
+            const payoutFp = toFp(r.amount);
+            room.payoutFp += payoutFp;
+            if (r.weapon) bucketOf(weapons, r.weapon).payoutFp += payoutFp;
+            if (r.tier) bucketOf(tiers, r.tier).payoutFp += payoutFp;
+        } else if ((r.type === 'FISH_DEATH' || r.type === 'FISH_ESCAPE') && r.tier) {
+            const tier = bucketOf(tiers, r.tier);
+            tier.costFp += toFp(r.cost_total || 0);
+            if (r.type === 'FISH_DEATH') {
+                tier.kills++;
+                room.kills++;
+            }
+        }
+    }
+    return { room, tiers, weapons };
+}
+
+function addBucket(into, bucket) {
+    for (const field of Object.keys(into)) into[field] += bucket[field];
+}
+
+function auditRoom(roomId, loaded, configVersions, keyring) {
+    const { receipts, badLines } = loaded;
+    // Unsigned receipts pass only as the prefix recorded for this room when signing began
+    const legacyPrefix = keyring && Object.prototype.hasOwnProperty.call(keyring.legacyPrefixes, roomId) ? keyring.legacyPrefixes[roomId] : null;
+    const chain = keyring ? verifyReceipts(receipts, keyring.verifyKeys, legacyPrefix) : verifyReceipts(receipts);
+    const rules = checkRulesHashes(receipts, configVersions);
+    const balances = reconcileBalances(receipts);
+    return {
+        roomId,
+        receipts: receipts.length,
+        badLines,
+        chain,
+        rules,
+        balances,
+        rtp: reconstructRtp(receipts),
+        pass: chain.valid && badLines.length === 0 && rules.unknown.length === 0 && balances.valid
+    };
+}
+
+/**
+ * Audit every room under dataDir. Returns { generatedAt, dataDir,
+ * configVersions, configBadLines, signatureKeys, rooms: [...],
+ * totals: { room, tiers, weapons }, summary: { pass, fail, total } }.
+ */
+function auditReceipts(dataDir, now = new Date()) {
+    const receiptsDir = path.join(dataDir, 'receipts');
+    const configVersions = loadConfigVersions(path.join(dataDir, 'config-versions.jsonl'));
+    const keyring = loadKeyring(path.join(dataDir, 'receipt-keys', 'keyring.json'));
+
+    const rooms = listReceiptRooms(receiptsDir)
+        .map(roomId => auditRoom(roomId, readReceiptFile(roomId, receiptsDir), configVersions, keyring));
+
+    const totals = { room: emptyBucket(), tiers: {}, weapons: {} };
+    for (const room of rooms) {
+        addBucket(totals.room, room.rtp.room);
+        for (const [tier, bucket] of Object.entries(room.rtp.tiers)) addBucket(bucketOf(totals.tiers, tier), bucket);
+        for (const [weapon, bucket] of Object.entries(room.rtp.weapons)) addBucket(bucketOf(totals.weapons, weapon), bucket);
+    }
+
+    const pass = rooms.filter(room => room.pass).length;
+    return {
+        generatedAt: now.toISOString(),
+        dataDir,
+        configVersions: configVersions ? configVersions.versions.size : null,
+        configBadLines: configVersions ? configVersions.badLines : [],
+        signatureKeys: keyring ? keyring.verifyKeys.size : null,
+        rooms,
+        totals,
+        summary: { pass, fail: rooms.length - pass, total: rooms.length }
+    };
+}
+
+// ── Markdown report (layout of docs/rtp_regression_report.md) ─────
+
+function rtpPercent(bucket) {
+    return bucket.costFp > 0 ? Math.round(bucket.payoutFp * 1000000 / bucket.costFp) / 10000 : null;
+}
+
+function money(fp) {
+    return fp / MONEY_SCALE;
+}
+
+function signed(value) {
+    return `${value > 0 ? '+' : ''}${value}`;
+}
+
+function renderAuditReport(report) {
+    const md = [];
+    const { summary } = report;
+    md.push('# Receipt Audit Report');
+    md.push('');
+    md.push(`- **Date**: ${report.generatedAt.split('T')[0]}`);
+    md.push(`- **Data**: \`${report.dataDir}\``);
+    md.push(`- **Config versions**: ${report.configVersions === null ? 'missing (config-versions.jsonl not found)' : report.configVersions}` +
+        (report.configBadLines.length > 0 ? ` (unparseable lines: ${report.configBadLines.join(', ')})` : ''));
+    md.push(`- **Signatures**: ${report.signatureKeys === null ? 'not checked (no keyring.json)' : `${report.signatureKeys} public key(s)`}`);
+    md.push(`- **Result**: **${summary.fail === 0 ? 'ALL PASS' : summary.fail + ' FAIL'}** (${summary.pass}/${summary.total} rooms)`);
+    md.push('');
+
+    md.push('## A. Chain Integrity');
+    md.push('');
+    md.push('| Room | Receipts | Chain | Unsigned | Bad lines | Result |');
+    md.push('|------|----------|-------|----------|-----------|--------|');
+    for (const room of report.rooms) {
+        const pass = room.chain.valid && room.badLines.length === 0;
+        const bad = room.badLines.length > 0 ? room.badLines.join(', ') : '0';
+        md.push(`| ${room.roomId} | ${room.receipts} | ${room.chain.valid ? 'valid' : room.chain.error} | ${room.chain.unsignedPrefix || 0} | ${bad} | ${pass ? 'PASS' : 'FAIL'} |`);
+    }
+    md.push('');
+    md.push('> **Note**: only the unsigned prefix recorded for a room when signing was turned on (`legacy-prefixes.json`) is accepted; any other unsigned receipt fails its signature.');
+    md.push('');
+
+    md.push('## B. Rules Hashes');
+    md.push('');
+    md.push('| Room | Checked | Unknown | Unhashed | Result |');
+    md.push('|------|---------|---------|----------|--------|');
+    for (const room of report.rooms) {
+        const { rules } = room;
+        md.push(`| ${room.roomId} | ${rules.checked} | ${rules.unknown.length} | ${rules.unhashed} | ${rules.unknown.length === 0 ? 'PASS' : 'FAIL'} |`);
+    }
+    const unknown = report.rooms.flatMap(room => room.rules.unknown.slice(0, MAX_LISTED_ISSUES).map(u => ({ roomId: room.roomId, ...u })));
+    if (unknown.length > 0) {
+        md.push('');
+        md.push(`> **Unknown rules hashes** (first ${MAX_LISTED_ISSUES} per room): not a config version's hash, nor one extended by the room's recorded rules.`);
+        md.push('');
+        for (const u of unknown) {
+            md.push(`- ${u.roomId} #${u.index}: \`${String(u.rules_hash).substring(0, 16)}...\` (version ${u.rules_version})`);
+        }
+    }
+    md.push('');
+
+    md.push('## C. Balance Reconciliation');
+    md.push('');
+    md.push('| Room | Sessions | Open | Buy-in | Cash-out | Result |');
+    md.push('|------|----------|------|--------|----------|--------|');
+    for (const room of report.rooms) {
+        if (!room.balances.valid) {
+            md.push(`| ${room.roomId} | - | - | - | - | FAIL: ${room.balances.error} |`);
+            continue;
+        }
+        const { sessions } = room.balances;
+        const buyInFp = sessions.reduce((sum, s) => sum + toFp(s.buy_in), 0);
+        const cashOutFp = sessions.reduce((sum, s) => sum + toFp(s.cash_out || 0), 0);
+        const open = sessions.filter(s => s.closed_at === null).length;
+        md.push(`| ${room.roomId} | ${sessions.length} | ${open} | ${money(buyInFp)} | ${money(cashOutFp)} | PASS |`);
+    }
+    md.push('');
+    md.push('> **Note**: an open session (no SESSION_CLOSE) is a room still running or a server that stopped without closing it; its balance is replayed up to the last receipt.');
+    md.push('');
+
+    md.push('## D. Realized RTP per Room');
+    md.push('');
+    md.push('| Room | Shots | Kills | Cost | Payout | Observed |');
+    md.push('|------|-------|-------|------|--------|----------|');
+    for (const room of report.rooms) {
+        const bucket = room.rtp.room;
+        const observed = rtpPercent(bucket);
+        md.push(`| ${room.roomId} | ${bucket.shots} | ${bucket.kills} | ${money(bucket.costFp)} | ${money(bucket.payoutFp)} | ${observed === null ? '-' : observed + '%'} |`);
+    }
+    const all = report.totals.room;
+    const allObserved = rtpPercent(all);
+    md.push(`| **All rooms** | ${all.shots} | ${all.kills} | ${money(all.costFp)} | ${money(all.payoutFp)} | ${allObserved === null ? '-' : allObserved + '%'} |`);
+    md.push('');
+
+    md.push('## E. Realized RTP per Tier (all rooms)');
+    md.push('');
+    md.push('| Tier | Target | Kills | Cost | Payout | Observed | Diff |');
+    md.push('|------|--------|-------|------|--------|----------|------|');
+    for (const tier of Object.keys(report.totals.tiers).sort((a, b) => a - b)) {
+        const bucket = report.totals.tiers[tier];
+        const target = RTP_TIER_FP[tier] !== undefined ? RTP_TIER_FP[tier] / 100 : null;
+        const observed = rtpPercent(bucket);
+        const diff = observed !== null && target !== null ? signed(Math.round((observed - target) * 10000) / 10000) + '%' : '-';
+        md.push(`| T${tier} | ${target === null ? '-' : target + '%'} | ${bucket.kills} | ${money(bucket.costFp)} | ${money(bucket.payoutFp)} | ${observed === null ? '-' : observed + '%'} | ${diff} |`);
+    }
+    md.push('');
+    md.push('> **Note on per-tier cost**: tier cost is the shot cost settled on fish that died (FISH_DEATH) or swam off (FISH_ESCAPE). Cost on fish still alive when a chain ends is not receipted yet, and effect kills pay out under their funding tier, so per-tier RTP is noisier than per-room RTP.');
+    md.push('');
+
+    md.push('## F. Realized RTP per Weapon (all rooms)');
+    md.push('');
+    md.push('| Weapon | Shots | Cost | Payout | Observed |');
+    md.push('|--------|-------|------|--------|----------|');
+    for (const weapon of Object.keys(report.totals.weapons).sort()) {
+        const bucket = report.totals.weapons[weapon];
+        const observed = rtpPercent(bucket);
+        md.push(`| ${weapon} | ${bucket.shots} | ${money(bucket.costFp)} | ${money(bucket.payoutFp)} | ${observed === null ? '-' : observed + '%'} |`);
+    }
+    md.push('');
+
+    return md.join('\n');
+}
+
+module.exports = {
+    loadConfigVersions,
+    loadKeyring,
+    checkRulesHashes,
+    reconstructRtp,
+    auditReceipts,
+    renderAuditReport
+};
@@ -0,0 +1,127 @@
+// Merkle checkpoints over receipt hashes: leaf = sha256(0x00 ‖ hash),
+// node = sha256(0x01 ‖ left ‖ right), an odd node moves up unpaired.
+
+const crypto = require('crypto');
+
+const MERKLE_BATCH_SIZE = process.env.RECEIPT_MERKLE_BATCH !== undefined ? Number(process.env.RECEIPT_MERKLE_BATCH) : 64;
+const CHECKPOINT_TYPE = 'MERKLE_CHECKPOINT';
+// An open batch is checkpointed at the latest this long after its first receipt (0: off)
+const MERKLE_CHECKPOINT_MS = process.env.RECEIPT_MERKLE_MS !== undefined ? Number(process.env.RECEIPT_MERKLE_MS) : 5000;
+
+function merkleLeaf(receiptHash) {
+    return crypto.createHash('sha256').update(Buffer.concat([Buffer.from([0]), Buffer.from(receiptHash, 'hex')])).digest('hex');
+}
+
+function merkleNode(left, right) {
+    return crypto.createHash('sha256').update(Buffer.concat([Buffer.from([1]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex')])).digest('hex');
+}
+
+// Tree levels from the leaves up; the last level holds the root
+function merkleLevels(receiptHashes) {
+    const levels = [receiptHashes.map(merkleLeaf)];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? merkleNode(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+    return levels;
+}
+
+function merkleRoot(receiptHashes) {
+    const levels = merkleLevels(receiptHashes);
+    return levels[levels.length - 1][0];
+}
+
+/**
+ * Sibling path of one leaf: [{ position: 'left' | 'right', hash }], leaf first
+ */
+function merkleProof(receiptHashes, leafIndex) {
+    const proof = [];
+    let index = leafIndex;
+    for (const level of merkleLevels(receiptHashes).slice(0, -1)) {
+        const sibling = index ^ 1;
+        if (sibling < level.length) {
+            proof.push({ position: sibling < index ? 'left' : 'right', hash: level[sibling] });
+        }
+        index >>= 1;
+    }
+    return proof;
+}
+
+function verifyMerkleProof(receiptHash, proof, root) {
+    let hash = merkleLeaf(receiptHash);
+    for (const step of proof) {
+        hash = step.position === 'left' ? merkleNode(step.hash, hash) : merkleNode(hash, step.hash);
+    }
+    return hash === root;
+}
+
+// Checkpoint body covering one open batch (consecutive non-checkpoints)
+function createCheckpoint(batchReceipts, batch) {
+    return {
+        type: CHECKPOINT_TYPE,
+        batch,
+        from_index: batchReceipts[0].index,
+        to_index: batchReceipts[batchReceipts.length - 1].index,
+        leaf_count: batchReceipts.length,
+        merkle_root: merkleRoot(batchReceipts.map(r => r.hash))
+    };
+}
+
+// Does a checkpoint at position `position` match the receipts it claims to cover?
+function checkpointMatches(receipts, checkpoint, position) {
+    const { from_index: from, to_index: to } = checkpoint;
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from || to >= position) return false;
+    const leaves = receipts.slice(from, to + 1);
+    if (leaves.some(r => r.type === CHECKPOINT_TYPE)) return false;
+    return checkpoint.leaf_count === leaves.length && merkleRoot(leaves.map(r => r.hash)) === checkpoint.merkle_root;
+}
+
+/**
+ * Inclusion proof of one receipt from a room's receipts. Returns null for an
+ * unknown hash, { pending: true, ... } before its batch is checkpointed, else
+ * { receipt, leaf_index, proof, merkle_root, checkpoint } where checkpoint is
+ * the signed MERKLE_CHECKPOINT receipt that anchors merkle_root.
+ */
+function buildInclusionProof(receipts, receiptHash) {
+    const index = receipts.findIndex(r => r.hash === receiptHash);
+    if (index < 0) return null;
+    const receipt = receipts[index];
+    // A checkpoint is its own anchor: its signature is the proof
+    if (receipt.type === CHECKPOINT_TYPE) return { receipt, checkpoint: receipt };
+    const checkpoint = receipts.find(r => r.type === CHECKPOINT_TYPE && r.from_index <= index && r.to_index >= index);
+    if (!checkpoint) return { pending: true, receipt };
+    return batchInclusionProof(receipts.slice(checkpoint.from_index, checkpoint.to_index + 1), checkpoint, index);
+}
+
+/**
+ * Proof of the receipt at chain index `index` from the batch a checkpoint
+ * covers (its receipts from_index..to_index only)
+ */
+function batchInclusionProof(batchReceipts, checkpoint, index) {
+    const leafIndex = index - checkpoint.from_index;
+    return {
+        receipt: batchReceipts[leafIndex],
+        leaf_index: leafIndex,
+        proof: merkleProof(batchReceipts.map(r => r.hash), leafIndex),
+        merkle_root: checkpoint.merkle_root,
+        checkpoint
+    };
+}
+
+module.exports = {
+    MERKLE_BATCH_SIZE,
+    CHECKPOINT_TYPE,
+    MERKLE_CHECKPOINT_MS,
+    merkleLeaf,
+    merkleRoot,
+    merkleProof,
+    verifyMerkleProof,
+    createCheckpoint,
+    checkpointMatches,
+    buildInclusionProof,
+    batchInclusionProof
+};
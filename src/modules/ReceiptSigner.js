@@ -0,0 +1,250 @@
+// Ed25519 receipt signatures over the receipt body (all fields but signature
+// and hash). Only public keys leave the process; retired keys stay published.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEYS_DIR = path.join(process.env.DATA_DIR || path.join(__dirname, '../../data'), 'receipt-keys');
+const RECEIPTS_DIR = path.join(process.env.DATA_DIR || path.join(__dirname, '../../data'), 'receipts');
+const SIGNATURE_ALGORITHM = 'Ed25519';
+const PUBLIC_KEY_FORMAT = 'spki-der-base64';
+
+function exportPublicKey(publicKey) {
+    return publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+function importPublicKey(base64) {
+    return crypto.createPublicKey({ key: Buffer.from(base64, 'base64'), format: 'der', type: 'spki' });
+}
+
+// key_id = first 16 hex of sha256(SPKI DER public key)
+function publicKeyId(publicKey) {
+    return crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+}
+
+// What the signature covers: the receipt without signature and hash
+function signedBody(receipt) {
+    const { hash, signature, ...body } = receipt;
+    return JSON.stringify(body);
+}
+
+function isUnsignedReceipt(receipt) {
+    return receipt.signature === undefined && receipt.key_id === undefined;
+}
+
+/**
+ * Leading unsigned run of every room file in dir: roomId -> { length, hash }
+ * (hash of the run's last receipt). Taken once, when signing is turned on.
+ */
+function scanUnsignedPrefixes(dir) {
+    const prefixes = {};
+    let files = [];
+    try {
+        files = fs.readdirSync(dir).filter(file => file.endsWith('.jsonl'));
+    } catch (e) {
+        return prefixes;
+    }
+    for (const file of files) {
+        let last = null;
+        let length = 0;
+        for (const line of fs.readFileSync(path.join(dir, file), 'utf8').split('\n')) {
+            let receipt;
+            try {
+                receipt = JSON.parse(line);
+            } catch (e) {
+                break;
+            }
+            if (!receipt || !isUnsignedReceipt(receipt)) break;
+            last = receipt;
+            length++;
+        }
+        if (length > 0) prefixes[file.slice(0, -'.jsonl'.length)] = { length, hash: last.hash };
+    }
+    return prefixes;
+}
+
+function verifyReceiptSignature(receipt, publicKey) {
+    if (!receipt || typeof receipt.signature !== 'string') return false;
+    try {
+        return crypto.verify(null, Buffer.from(signedBody(receipt)), publicKey, Buffer.from(receipt.signature, 'base64'));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Server receipt signing key plus every public key it has signed with.
+ * The private key is RECEIPT_SIGNING_KEY (PKCS8 PEM, provisioned from a
+ * secret store / KMS). Only with allowGeneratedKey (RECEIPT_SIGNING_DEV_KEY=true,
+ * development) is one generated once into <dir>/signing-key.pem: a key lying
+ * unencrypted next to the receipts proves nothing. <dir>/keyring.json keeps
+ * the public keys with their activatedAt / retiredAt. When the keyring is
+ * first created, the unsigned chains already in receiptDir are recorded in
+ * <dir>/legacy-prefixes.json: only those exact prefixes may stay unsigned.
+ * Loaded on first use; without a key, first use throws.
+ */
+class ReceiptSigner {
+    constructor(dir = KEYS_DIR, privateKeyPem = process.env.RECEIPT_SIGNING_KEY || null,
+        allowGeneratedKey = process.env.RECEIPT_SIGNING_DEV_KEY === 'true', receiptDir = RECEIPTS_DIR) {
+        this.dir = dir;
+        this.keyPath = path.join(dir, 'signing-key.pem');
+        this.keyringPath = path.join(dir, 'keyring.json');
+        this.legacyPrefixesPath = path.join(dir, 'legacy-prefixes.json');
+        this.receiptDir = receiptDir;
+        this.envKeyPem = privateKeyPem;
+        this.allowGeneratedKey = allowGeneratedKey;
+        this.privateKey = null;
+        this.keyId = null;
+        this.keyring = [];            // [{ keyId, publicKey, activatedAt, retiredAt }]
+        this.verifyKeys = new Map();  // keyId -> public KeyObject
+        this.legacyPrefixes = {};     // roomId -> { length, hash }
+    }
+
+    _init() {
+        if (this.privateKey) return;
+        if (!this.envKeyPem && !this.allowGeneratedKey) {
+            throw new Error('RECEIPT_SIGNING_KEY is not set (RECEIPT_SIGNING_DEV_KEY=true generates a local key, development only)');
+        }
+        try {
+            if (!fs.existsSync(this.dir)) {
+                fs.mkdirSync(this.dir, { recursive: true });
+            }
+        } catch (e) {
+            console.warn('[AUDIT] Cannot create receipt key directory:', e.message);
+        }
+        try {
+            this.keyring = JSON.parse(fs.readFileSync(this.keyringPath, 'utf8'));
+        } catch (e) {
+            this.keyring = [];
+        }
+        // Before the keyring is written: a crash in between must not lose the record
+        this.legacyPrefixes = this._loadLegacyPrefixes(this.keyring.length === 0);
+        // Env PEMs often arrive with escaped newlines
+        const pem = this.envKeyPem ? this.envKeyPem.replace(/\\n/g, '\n') : this._loadOrCreateKeyFile();
+        this._activate(crypto.createPrivateKey(pem));
+    }
+
+    _loadLegacyPrefixes(firstActivation) {
+        try {
+            return JSON.parse(fs.readFileSync(this.legacyPrefixesPath, 'utf8'));
+        } catch (e) {
+            if (!firstActivation) return {};
+        }
+        const prefixes = scanUnsignedPrefixes(this.receiptDir);
+        try {
+            fs.writeFileSync(this.legacyPrefixesPath, JSON.stringify(prefixes, null, 2), { flag: 'wx' });
+        } catch (e) {
+            // Another process recorded them first: use that record
+            if (e.code === 'EEXIST') return JSON.parse(fs.readFileSync(this.legacyPrefixesPath, 'utf8'));
+            console.warn('[AUDIT] Cannot record unsigned receipt prefixes:', e.message);
+        }
+        return prefixes;
+    }
+
+    _loadOrCreateKeyFile() {
+        try {
+            return fs.readFileSync(this.keyPath, 'utf8');
+        } catch (e) {
+            const pem = crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+            try {
+                fs.writeFileSync(this.keyPath, pem, { flag: 'wx', mode: 0o600 });
+            } catch (writeError) {
+                // Another process created it first: sign with that one
+                if (writeError.code === 'EEXIST') return fs.readFileSync(this.keyPath, 'utf8');
+                console.warn('[AUDIT] Cannot store receipt signing key:', writeError.message);
+            }
+            return pem;
+        }
+    }
+
+    // Make privateKey the signing key; any other active key is retired
+    _activate(privateKey, now = Date.now()) {
+        const publicKey = crypto.createPublicKey(privateKey);
+        const keyId = publicKeyId(publicKey);
+        let changed = false;
+        for (const entry of this.keyring) {
+            if (entry.keyId !== keyId && entry.retiredAt === null) {
+                entry.retiredAt = now;
+                changed = true;
+            }
+        }
+        if (!this.keyring.some(entry => entry.keyId === keyId)) {
+            this.keyring.push({ keyId, publicKey: exportPublicKey(publicKey), activatedAt: now, retiredAt: null });
+            changed = true;
+        }
+        if (changed) {
+            try {
+                fs.writeFileSync(this.keyringPath, JSON.stringify(this.keyring, null, 2));
+            } catch (e) {
+                console.warn('[AUDIT] Cannot write receipt keyring:', e.message);
+            }
+        }
+
+        this.privateKey = privateKey;
+        this.keyId = keyId;
+        this.verifyKeys = new Map(this.keyring.map(entry => [entry.keyId, importPublicKey(entry.publicKey)]));
+    }
+
+    /**
+     * Switch to a freshly generated key (development keys only). Returns the
+     * new keyId, or null when the key comes from RECEIPT_SIGNING_KEY (rotate
+     * by deploying a new one).
+     */
+    rotate(now = Date.now()) {
+        this._init();
+        if (this.envKeyPem) return null;
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        try {
+            fs.writeFileSync(this.keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+        } catch (e) {
+            console.warn('[AUDIT] Cannot store receipt signing key:', e.message);
+        }
+        this._activate(privateKey, now);
+        console.log(`[AUDIT] Receipt signing key rotated: ${this.keyId}`);
+        return this.keyId;
+    }
+
+    // Adds key_id and signature to an unhashed receipt
+    sign(receipt) {
+        this._init();
+        receipt.key_id = this.keyId;
+        receipt.signature = crypto.sign(null, Buffer.from(signedBody(receipt)), this.privateKey).toString('base64');
+        return receipt;
+    }
+
+    getVerifyKeys() {
+        this._init();
+        return this.verifyKeys;
+    }
+
+    // { length, hash } of a room's unsigned chain from before signing, or null
+    getLegacyPrefix(roomId) {
+        this._init();
+        return Object.prototype.hasOwnProperty.call(this.legacyPrefixes, roomId) ? this.legacyPrefixes[roomId] : null;
+    }
+
+    getPublicKeys() {
+        this._init();
+        return {
+            algorithm: SIGNATURE_ALGORITHM,
+            format: PUBLIC_KEY_FORMAT,
+            activeKeyId: this.keyId,
+            keys: this.keyring.map(entry => ({ ...entry })),
+            legacyPrefixes: { ...this.legacyPrefixes }
+        };
+    }
+}
+
+// Server-wide signer shared by every room's receipt chain
+const receiptSigner = new ReceiptSigner();
+
+module.exports = {
+    KEYS_DIR,
+    SIGNATURE_ALGORITHM,
+    ReceiptSigner,
+    receiptSigner,
+    importPublicKey,
+    isUnsignedReceipt,
+    verifyReceiptSignature
+};
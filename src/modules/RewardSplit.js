@@ -0,0 +1,76 @@
+// Splits one settled payout between contributors and the finisher pool (POL-ECON-001).
+
+const { MONEY_SCALE } = require('./RTPPhase1');
+
+// Bible M2: 90-98% by contribution, 2-10% finisher pool
+const FINISHER_POOL = {
+    minPercent: 2,
+    maxPercent: 10,
+    defaultPercent: 5
+};
+
+/**
+ * Normalize a room's finisher pool option: true = default percent, N = N%.
+ * Returns 0 (no pool) when off / invalid.
+ */
+function resolveFinisherPoolPercent(spec) {
+    if (spec === true) return FINISHER_POOL.defaultPercent;
+    if (Number.isInteger(spec) && spec >= FINISHER_POOL.minPercent && spec <= FINISHER_POOL.maxPercent) {
+        return spec;
+    }
+    return 0;
+}
+
+/**
+ * Split rewardFp between contributors and the finisher.
+ * contributions: [{ socketId, playerId, cost }] (cost in credits, as fish.costByPlayer)
+ * finisher: { socketId, playerId } - receives the pool and is always listed
+ * Shares are integer fp summing to rewardFp exactly; flooring leftovers go to
+ * the largest contributor, ties to the lowest playerId.
+ * Returns shares ordered by contribution (largest first):
+ *   [{ socketId, playerId, cost, contributionFp, finisherFp, rewardFp, percent }]
+ */
+function splitReward(rewardFp, contributions, finisher, poolPercent = 0) {
+    const shares = contributions
+        .filter(c => c.cost > 0)
+        .map(c => ({ socketId: c.socketId, playerId: c.playerId, cost: c.cost, costFp: Math.round(c.cost * MONEY_SCALE) }));
+    if (!shares.some(s => s.socketId === finisher.socketId)) {
+        shares.push({ socketId: finisher.socketId, playerId: finisher.playerId, cost: 0, costFp: 0 });
+    }
+    shares.sort((a, b) => (b.costFp - a.costFp) || String(a.playerId).localeCompare(String(b.playerId), 'en', { numeric: true }));
+
+    const poolFp = Math.floor(rewardFp * poolPercent / 100);
+    const contributionTotalFp = rewardFp - poolFp;
+    const totalCostFp = shares.reduce((sum, s) => sum + s.costFp, 0);
+
+    let allocatedFp = 0;
+    for (const share of shares) {
+        share.contributionFp = totalCostFp > 0
+            ? Math.floor(contributionTotalFp * share.costFp / totalCostFp)
+            : 0;
+        allocatedFp += share.contributionFp;
+    }
+    // No recorded cost: the finisher is the only contributor
+    const remainderTo = totalCostFp > 0 ? shares[0] : shares.find(s => s.socketId === finisher.socketId);
+    remainderTo.contributionFp += contributionTotalFp - allocatedFp;
+
+    return shares.map(share => {
+        const finisherFp = share.socketId === finisher.socketId ? poolFp : 0;
+        const shareFp = share.contributionFp + finisherFp;
+        return {
+            socketId: share.socketId,
+            playerId: share.playerId,
+            cost: share.cost,
+            contributionFp: share.contributionFp,
+            finisherFp,
+            rewardFp: shareFp,
+            percent: rewardFp > 0 ? Math.round(shareFp * 10000 / rewardFp) / 100 : 0
+        };
+    });
+}
+
+module.exports = {
+    FINISHER_POOL,
+    resolveFinisherPoolPercent,
+    splitReward
+};
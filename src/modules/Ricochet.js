@@ -0,0 +1,80 @@
+// Per-room bullet ricochet off the tank walls. A bouncing bullet is still one
+// shot: cost is deducted once and it settles at most once.
+
+const RICOCHET = {
+    weapons: ['1x', '3x'],
+    defaultBounces: 2,
+    maxBounces: 5
+};
+
+/**
+ * Normalize a room's ricochet option: true = default bounces, N = N bounces.
+ * Returns { maxBounces } or null when ricochet is off / invalid.
+ */
+function resolveRicochet(spec) {
+    if (spec === true) return { maxBounces: RICOCHET.defaultBounces };
+    if (Number.isInteger(spec) && spec >= 1 && spec <= RICOCHET.maxBounces) {
+        return { maxBounces: spec };
+    }
+    return null;
+}
+
+/**
+ * Move a bullet for dt, reflecting off the bounds while bounces remain.
+ * Walls only count when the bullet is inside on that axis and moving out
+ * (cannons sit on the tank edge). Mutates x/z/velocity/rotation/bounces.
+ * Returns the travelled segments [{ x1, z1, x2, z2 }] in order.
+ */
+function advanceWithRicochet(bullet, dt, bounds) {
+    const segments = [];
+    let remaining = dt;
+
+    while (remaining > 0) {
+        let tWall = Infinity;
+        let hitX = false;
+        let hitZ = false;
+
+        if (bullet.bounces < bullet.maxBounces) {
+            const walls = [
+                [bullet.velocityX < 0 && bullet.x >= bounds.minX, (bounds.minX - bullet.x) / bullet.velocityX, 'x'],
+                [bullet.velocityX > 0 && bullet.x <= bounds.maxX, (bounds.maxX - bullet.x) / bullet.velocityX, 'x'],
+                [bullet.velocityZ < 0 && bullet.z >= bounds.minZ, (bounds.minZ - bullet.z) / bullet.velocityZ, 'z'],
+                [bullet.velocityZ > 0 && bullet.z <= bounds.maxZ, (bounds.maxZ - bullet.z) / bullet.velocityZ, 'z']
+            ];
+            for (const [applies, t, axis] of walls) {
+                if (!applies || t >= remaining) continue;
+                if (t < tWall) {
+                    tWall = t;
+                    hitX = axis === 'x';
+                    hitZ = axis === 'z';
+                } else if (t === tWall) {
+                    // Corner: reflect both axes
+                    hitX = hitX || axis === 'x';
+                    hitZ = hitZ || axis === 'z';
+                }
+            }
+        }
+
+        const step = Math.min(remaining, tWall);
+        const x1 = bullet.x;
+        const z1 = bullet.z;
+        bullet.x += bullet.velocityX * step;
+        bullet.z += bullet.velocityZ * step;
+        segments.push({ x1, z1, x2: bullet.x, z2: bullet.z });
+        remaining -= step;
+
+        if (step !== tWall) break;
+        if (hitX) bullet.velocityX = -bullet.velocityX;
+        if (hitZ) bullet.velocityZ = -bullet.velocityZ;
+        bullet.rotation = Math.atan2(bullet.velocityX, -bullet.velocityZ);
+        bullet.bounces++;
+    }
+
+    return segments;
+}
+
+module.exports = {
+    RICOCHET,
+    resolveRicochet,
+    advanceWithRicochet
+};
@@ -1,4 +1,18 @@
 const crypto = require('crypto');
+const { P_SCALE } = require('./RTPPhase1');
+
+function envCount(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Scheduled rotation (0 disables a trigger): after this many HP derivations,
+// or once a seed has been committed this long (if it was used at all).
+// Players cannot rotate; each rotation reveals the retired seed.
+const SEED_ROTATE_SPAWNS = envCount('SEED_ROTATE_SPAWNS', 500);
+const SEED_ROTATE_MS = envCount('SEED_ROTATE_MS', 10 * 60 * 1000);
+// Revealed seeds kept per room (oldest dropped first)
+const SEED_HISTORY_LIMIT = 100;
 
 function generateSeed() {
     return crypto.randomBytes(32);
@@ -25,40 +39,165 @@ function deriveHPInRange(seed, fishType, spawnIndex, roomId, baseHP, hpRange) {
     return baseHP + centered;
 }
 
+// Client seeds: printable, no separators, so derivation messages stay unambiguous
+const CLIENT_SEED_MAX_LENGTH = 64;
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isValidClientSeed(clientSeed) {
+    return typeof clientSeed === 'string' && CLIENT_SEED_PATTERN.test(clientSeed);
+}
+
+// Effective seed = HMAC(serverSeed, clientSeeds ‖ nonce); clientSeeds: [[playerId, clientSeed]]
+function deriveEffectiveSeed(serverSeed, clientSeeds, nonce) {
+    const message = `${clientSeeds.map(([playerId, clientSeed]) => `${playerId}:${clientSeed}`).join(',')}|${nonce}`;
+    return crypto.createHmac('sha256', serverSeed).update(message).digest();
+}
+
+// Kill roll in [0, P_SCALE): RTPPhase1 kills when roll < pFp
+function deriveKillRoll(seed, roomId, playerId, clientSeed, nonce, fishId) {
+    const message = `kill|${roomId}|${playerId}|${clientSeed}|${nonce}|${fishId}`;
+    const hmac = crypto.createHmac('sha256', seed).update(message).digest();
+    return Math.floor(hmac.readUInt32BE(0) * P_SCALE / 0x100000000);
+}
+
 class RoomSeedManager {
-    constructor(roomId) {
+    /**
+     * options: { rotateEverySpawns, rotateEveryMs } (defaults from env, 0 = off)
+     */
+    constructor(roomId, options = {}) {
         this.roomId = roomId;
+        this.rotateEverySpawns = options.rotateEverySpawns !== undefined ? options.rotateEverySpawns : SEED_ROTATE_SPAWNS;
+        this.rotateEveryMs = options.rotateEveryMs !== undefined ? options.rotateEveryMs : SEED_ROTATE_MS;
         this.currentSeed = null;
         this.currentCommitment = null;
+        this.committedAt = null;
+        this.rotations = 0;
+        this.effectiveSeed = null;
         this.spawnIndex = 0;
         this.revealedSeeds = [];
+        // Kill rolls: per-player client seed + nonce under the current server seed
+        this.clientSeeds = new Map(); // playerId -> clientSeed
+        this.nonces = new Map();      // playerId -> next nonce
+        // HP: every client seed set change bumps seedNonce and is logged with
+        // the spawn index it applies from
+        this.seedNonce = 0;
+        this.clientSeedLog = [];      // [{ nonce, clientSeeds, fromSpawn }]
         this.rotateSeed();
     }
 
-    rotateSeed() {
+    rotateSeed(now = Date.now()) {
         if (this.currentSeed) {
             this.revealedSeeds.push({
                 seed: this.currentSeed.toString('hex'),
                 commitment: this.currentCommitment,
-                spawnRange: [0, this.spawnIndex - 1]
+                spawnRange: [0, this.spawnIndex - 1],
+                clientSeedLog: this.clientSeedLog,
+                committedAt: this.committedAt,
+                revealedAt: now
             });
+            if (this.revealedSeeds.length > SEED_HISTORY_LIMIT) this.revealedSeeds.shift();
+            this.rotations++;
         }
         this.currentSeed = generateSeed();
         this.currentCommitment = computeCommitment(this.currentSeed);
+        this.committedAt = now;
         this.spawnIndex = 0;
+        this.nonces.clear();
+        this.seedNonce = 0;
+        this.clientSeedLog = [];
+        this._applyClientSeeds();
         return this.currentCommitment;
     }
 
+    // Rotate when the spawn count or time window is reached; an unused seed is kept
+    rotateIfDue(now = Date.now()) {
+        if (this.spawnIndex === 0 && this.nonces.size === 0) return false;
+        const spawnsDue = this.rotateEverySpawns > 0 && this.spawnIndex >= this.rotateEverySpawns;
+        const timeDue = this.rotateEveryMs > 0 && now - this.committedAt >= this.rotateEveryMs;
+        if (!spawnsDue && !timeDue) return false;
+        this.rotateSeed(now);
+        return true;
+    }
+
+    getNextRotationAt() {
+        return this.rotateEveryMs > 0 ? this.committedAt + this.rotateEveryMs : null;
+    }
+
+    _sortedClientSeeds() {
+        return [...this.clientSeeds].sort((a, b) => String(a[0]).localeCompare(String(b[0]), 'en', { numeric: true }));
+    }
+
+    // Re-derive the effective seed for the current client seed set
+    _applyClientSeeds() {
+        const clientSeeds = this._sortedClientSeeds();
+        const last = this.clientSeedLog[this.clientSeedLog.length - 1];
+        if (last) this.seedNonce++;
+        const entry = { nonce: this.seedNonce, clientSeeds, fromSpawn: this.spawnIndex };
+        // A set that never derived an HP is replaced rather than kept
+        if (last && last.fromSpawn === this.spawnIndex) {
+            this.clientSeedLog[this.clientSeedLog.length - 1] = entry;
+        } else {
+            this.clientSeedLog.push(entry);
+        }
+        this.effectiveSeed = deriveEffectiveSeed(this.currentSeed, clientSeeds, this.seedNonce);
+    }
+
     getFishHP(fishType, hpMin, hpMax) {
+        this.rotateIfDue();
         const index = this.spawnIndex++;
         const hpRange = hpMax - hpMin + 1;
         const hp = deriveHPInRange(
-            this.currentSeed, fishType, index, this.roomId, hpMin, hpRange
+            this.effectiveSeed, fishType, index, this.roomId, hpMin, hpRange
         );
         return {
             hp: Math.max(hpMin, Math.min(hpMax, hp)),
             spawnIndex: index,
-            commitment: this.currentCommitment
+            commitment: this.currentCommitment,
+            seedNonce: this.seedNonce
+        };
+    }
+
+    /**
+     * Set a player's client seed (null = server-generated).
+     * Returns the seed in use, or null when clientSeed is invalid.
+     */
+    setClientSeed(playerId, clientSeed = null) {
+        if (clientSeed !== null && !isValidClientSeed(clientSeed)) return null;
+        const seed = clientSeed !== null ? clientSeed : crypto.randomBytes(16).toString('hex');
+        if (this.clientSeeds.get(playerId) !== seed) {
+            this.clientSeeds.set(playerId, seed);
+            this._applyClientSeeds();
+        }
+        return seed;
+    }
+
+    getClientSeed(playerId) {
+        return this.clientSeeds.get(playerId) || this.setClientSeed(playerId);
+    }
+
+    // Kill roll nonces keep counting for the seat, so a reused client seed
+    // never replays rolls already published under the same server seed
+    releaseClientSeed(playerId) {
+        if (this.clientSeeds.delete(playerId)) {
+            this._applyClientSeeds();
+        }
+    }
+
+    /**
+     * Next kill roll for a player. Everything but the server seed is
+     * published with the result; the seed follows on reveal.
+     */
+    rollKill(playerId, fishId) {
+        const nonce = this.nonces.get(playerId) || 0;
+        this.nonces.set(playerId, nonce + 1);
+        const clientSeed = this.getClientSeed(playerId);
+        return {
+            roll: deriveKillRoll(this.currentSeed, this.roomId, playerId, clientSeed, nonce, fishId),
+            commitment: this.currentCommitment,
+            playerId,
+            clientSeed,
+            nonce,
+            fishId
         };
     }
 
@@ -66,7 +205,8 @@ class RoomSeedManager {
         return {
             seed: this.currentSeed.toString('hex'),
             commitment: this.currentCommitment,
-            roomId: this.roomId
+            roomId: this.roomId,
+            clientSeedLog: this.clientSeedLog
         };
     }
 
@@ -79,15 +219,28 @@ class RoomSeedManager {
             roomId: this.roomId,
             currentCommitment: this.currentCommitment,
             spawnIndex: this.spawnIndex,
+            seedNonce: this.seedNonce,
+            clientSeeds: this._sortedClientSeeds(),
+            committedAt: this.committedAt,
+            rotation: { everySpawns: this.rotateEverySpawns, everyMs: this.rotateEveryMs },
+            nextRotationAt: this.getNextRotationAt(),
+            rotations: this.rotations,
             revealedSeedCount: this.revealedSeeds.length
         };
     }
 }
 
 module.exports = {
+    SEED_ROTATE_SPAWNS,
+    SEED_ROTATE_MS,
+    SEED_HISTORY_LIMIT,
+    CLIENT_SEED_MAX_LENGTH,
+    isValidClientSeed,
     generateSeed,
     computeCommitment,
     deriveHP,
     deriveHPInRange,
+    deriveEffectiveSeed,
+    deriveKillRoll,
     RoomSeedManager
 };
@@ -0,0 +1,84 @@
+// Special-effect fish (bomb / chain lightning / freeze). Effects settle only
+// through RTPPhase1, funded by the trigger kill's reward.
+
+const { AOE_MAX_TARGETS, LASER_MAX_TARGETS } = require('./RTPPhase1');
+
+const SPECIAL_EFFECTS = {
+    bomb: {
+        settlement: 'aoe',
+        radius: 30,
+        maxTargets: AOE_MAX_TARGETS
+    },
+    chainLightning: {
+        settlement: 'laser',
+        jumpRadius: 45,
+        maxTargets: Math.min(5, LASER_MAX_TARGETS)
+    },
+    freeze: {
+        settlement: null,
+        durationMs: 4000
+    }
+};
+
+// Effects whose trigger reward is converted into a multi-target settlement
+function isEffectFunded(specialType) {
+    const effect = SPECIAL_EFFECTS[specialType];
+    return !!(effect && effect.settlement);
+}
+
+function isEligibleTarget(fish) {
+    return fish.isAlive && !fish.isSpecial;
+}
+
+/**
+ * Bomb: every eligible fish within radius of the blast, nearest first.
+ * Returns [{ fish, distance }]
+ */
+function selectBombTargets(origin, fishList, effect) {
+    const targets = [];
+    for (const fish of fishList) {
+        if (!isEligibleTarget(fish)) continue;
+        const distance = Math.hypot(fish.x - origin.x, fish.z - origin.z);
+        if (distance <= effect.radius) targets.push({ fish, distance });
+    }
+    targets.sort((a, b) => a.distance - b.distance || a.fish.fishId - b.fish.fishId);
+    return targets.slice(0, effect.maxTargets);
+}
+
+/**
+ * Chain lightning: strike the nearest eligible fish, then keep jumping to
+ * the nearest unvisited fish of that same species within jumpRadius.
+ * Returns [{ fish, distance }] in chain order (distance = jump length).
+ */
+function selectChainTargets(origin, fishList, effect) {
+    const candidates = fishList.filter(isEligibleTarget);
+    const chain = [];
+    let from = origin;
+    let species = null;
+
+    while (chain.length < effect.maxTargets) {
+        let best = null;
+        for (const fish of candidates) {
+            if (species !== null && fish.typeName !== species) continue;
+            if (chain.some(link => link.fish === fish)) continue;
+            const distance = Math.hypot(fish.x - from.x, fish.z - from.z);
+            if (distance > effect.jumpRadius) continue;
+            if (!best || distance < best.distance ||
+                (distance === best.distance && fish.fishId < best.fish.fishId)) {
+                best = { fish, distance };
+            }
+        }
+        if (!best) break;
+        chain.push(best);
+        species = best.fish.typeName;
+        from = best.fish;
+    }
+    return chain;
+}
+
+module.exports = {
+    SPECIAL_EFFECTS,
+    isEffectFunded,
+    selectBombTargets,
+    selectChainTargets
+};
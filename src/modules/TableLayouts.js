@@ -0,0 +1,160 @@
+// Table layouts: tank bounds, cannon seats and fish entry edges (geometry only).
+
+const SPAWN_EDGES = ['left', 'right', 'top', 'bottom'];
+const DEFAULT_LAYOUT = 'classic4';
+const MAX_SEATS = 8;
+const MAX_SPECTATORS = 16;
+
+// Seat rotation uses the engine's cannon yaw: atan2(dx, -dz)
+const FACE_UP = 0;              // bottom edge, facing -Z
+const FACE_DOWN = Math.PI;      // top edge, facing +Z
+const FACE_RIGHT = Math.PI / 2; // left edge, facing +X
+const FACE_LEFT = -Math.PI / 2; // right edge, facing -X
+
+const TABLE_LAYOUTS = {
+    // 3D aquarium: width=1800, depth=1200 -> 2D: x∈[-90,90], z∈[-60,60]
+    classic4: {
+        label: '4 seats, bottom edge',
+        bounds: { minX: -90, maxX: 90, minZ: -60, maxZ: 60 },
+        seats: [
+            { x: -60, z: 55, rotation: FACE_UP },
+            { x: -20, z: 55, rotation: FACE_UP },
+            { x: 20, z: 55, rotation: FACE_UP },
+            { x: 60, z: 55, rotation: FACE_UP }
+        ],
+        spawnEdges: ['left', 'right', 'top', 'bottom']
+    },
+    facing2v2: {
+        label: '2 vs 2, facing seats',
+        bounds: { minX: -90, maxX: 90, minZ: -60, maxZ: 60 },
+        seats: [
+            { x: -40, z: 55, rotation: FACE_UP },
+            { x: 40, z: 55, rotation: FACE_UP },
+            { x: 40, z: -55, rotation: FACE_DOWN },
+            { x: -40, z: -55, rotation: FACE_DOWN }
+        ],
+        spawnEdges: ['left', 'right']
+    },
+    oval6: {
+        label: '6 seats around an oval table',
+        bounds: { minX: -100, maxX: 100, minZ: -60, maxZ: 60 },
+        seats: [
+            { x: -35, z: 55, rotation: FACE_UP },
+            { x: 35, z: 55, rotation: FACE_UP },
+            { x: 95, z: 0, rotation: FACE_LEFT },
+            { x: 35, z: -55, rotation: FACE_DOWN },
+            { x: -35, z: -55, rotation: FACE_DOWN },
+            { x: -95, z: 0, rotation: FACE_RIGHT }
+        ],
+        spawnEdges: ['left', 'right', 'top', 'bottom']
+    },
+    grand8: {
+        label: '8 seats around a wide table',
+        bounds: { minX: -120, maxX: 120, minZ: -70, maxZ: 70 },
+        seats: [
+            { x: -60, z: 65, rotation: FACE_UP },
+            { x: 0, z: 65, rotation: FACE_UP },
+            { x: 60, z: 65, rotation: FACE_UP },
+            { x: 115, z: 0, rotation: FACE_LEFT },
+            { x: 60, z: -65, rotation: FACE_DOWN },
+            { x: 0, z: -65, rotation: FACE_DOWN },
+            { x: -60, z: -65, rotation: FACE_DOWN },
+            { x: -115, z: 0, rotation: FACE_RIGHT }
+        ],
+        spawnEdges: ['left', 'right', 'top', 'bottom']
+    },
+    portraitMobile: {
+        label: 'Portrait tank, 2 seats',
+        bounds: { minX: -45, maxX: 45, minZ: -80, maxZ: 80 },
+        seats: [
+            { x: -20, z: 75, rotation: FACE_UP },
+            { x: 20, z: 75, rotation: FACE_UP }
+        ],
+        spawnEdges: ['left', 'right', 'top']
+    }
+};
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Validate a layout definition.
+ * Returns { valid: true } or { valid: false, errors: [...] }
+ */
+function validateLayout(layout) {
+    const errors = [];
+    if (!layout || typeof layout !== 'object') {
+        return { valid: false, errors: ['layout must be an object'] };
+    }
+
+    const b = layout.bounds;
+    const boundsOk = b && ['minX', 'maxX', 'minZ', 'maxZ'].every(k => isFiniteNumber(b[k])) &&
+        b.minX < b.maxX && b.minZ < b.maxZ;
+    if (!boundsOk) errors.push('bounds must have finite minX < maxX and minZ < maxZ');
+
+    if (!Array.isArray(layout.seats) || layout.seats.length === 0 || layout.seats.length > MAX_SEATS) {
+        errors.push(`seats must be an array of 1-${MAX_SEATS} seats`);
+    } else {
+        layout.seats.forEach((seat, i) => {
+            if (!seat || !isFiniteNumber(seat.x) || !isFiniteNumber(seat.z) || !isFiniteNumber(seat.rotation)) {
+                errors.push(`seats[${i}]: x, z and rotation must be finite numbers`);
+            } else if (boundsOk && (seat.x < b.minX || seat.x > b.maxX || seat.z < b.minZ || seat.z > b.maxZ)) {
+                errors.push(`seats[${i}]: must be inside bounds`);
+            }
+        });
+    }
+
+    if (!Array.isArray(layout.spawnEdges) || layout.spawnEdges.length === 0 ||
+        !layout.spawnEdges.every(edge => SPAWN_EDGES.includes(edge))) {
+        errors.push(`spawnEdges must be a non-empty subset of ${SPAWN_EDGES.join(', ')}`);
+    }
+
+    return errors.length ? { valid: false, errors } : { valid: true };
+}
+
+function getLayout(name) {
+    return Object.prototype.hasOwnProperty.call(TABLE_LAYOUTS, name) ? TABLE_LAYOUTS[name] : null;
+}
+
+function listLayouts() {
+    return Object.keys(TABLE_LAYOUTS);
+}
+
+/**
+ * Layout for a requested seat count: the default layout if it has enough
+ * seats, otherwise the bundled layout with the fewest seats that fits.
+ */
+function layoutForSeats(seats) {
+    if (TABLE_LAYOUTS[DEFAULT_LAYOUT].seats.length >= seats) return DEFAULT_LAYOUT;
+    const fitting = listLayouts()
+        .filter(name => TABLE_LAYOUTS[name].seats.length >= seats)
+        .sort((a, b) => TABLE_LAYOUTS[a].seats.length - TABLE_LAYOUTS[b].seats.length);
+    return fitting.length ? fitting[0] : null;
+}
+
+/**
+ * Public description of a layout (API / roomCreated), seats numbered by slot
+ */
+function describeLayout(name, layout) {
+    return {
+        name,
+        label: layout.label || name,
+        bounds: { ...layout.bounds },
+        seats: layout.seats.map((seat, slot) => ({ slot, x: seat.x, z: seat.z, rotation: seat.rotation })),
+        spawnEdges: [...layout.spawnEdges]
+    };
+}
+
+module.exports = {
+    TABLE_LAYOUTS,
+    SPAWN_EDGES,
+    DEFAULT_LAYOUT,
+    MAX_SEATS,
+    MAX_SPECTATORS,
+    validateLayout,
+    getLayout,
+    listLayouts,
+    layoutForSeats,
+    describeLayout
+};
@@ -0,0 +1,204 @@
+// Declarative wave/scene timeline: a JSON document of phases the engine steps through.
+
+const fs = require('fs');
+const path = require('path');
+
+const TIMELINES_DIR = path.join(__dirname, '../config/timelines');
+const DEFAULT_TIMELINE = 'default';
+
+const PHASE_TYPES = ['normal', 'fishTide', 'formationBurst', 'boss', 'intermission'];
+const TIDE_EDGES = ['left', 'right', 'top', 'bottom', 'random'];
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+/**
+ * Validate a timeline definition.
+ * catalog: { species: FISH_SPECIES, formations: FORMATIONS } for name checks.
+ */
+function validateTimeline(timeline, catalog = {}) {
+    const errors = [];
+    const species = catalog.species || null;
+    const formations = catalog.formations || null;
+
+    if (!timeline || typeof timeline !== 'object') {
+        return { valid: false, errors: ['Timeline must be an object'] };
+    }
+    if (!Array.isArray(timeline.phases) || timeline.phases.length === 0) {
+        return { valid: false, errors: ['Timeline must define at least one phase'] };
+    }
+
+    timeline.phases.forEach((phase, i) => {
+        const at = `phases[${i}]`;
+        if (!phase || !PHASE_TYPES.includes(phase.type)) {
+            errors.push(`${at}: unknown phase type ${phase && phase.type}`);
+            return;
+        }
+        if (!isPositiveNumber(phase.durationMs)) {
+            errors.push(`${at}: durationMs must be a positive number`);
+        }
+        if (phase.spawnIntervalMs !== undefined && !isPositiveNumber(phase.spawnIntervalMs)) {
+            errors.push(`${at}: spawnIntervalMs must be a positive number`);
+        }
+        if (phase.endOnKills !== undefined && !(Number.isInteger(phase.endOnKills) && phase.endOnKills > 0)) {
+            errors.push(`${at}: endOnKills must be a positive integer`);
+        }
+        if (phase.formationChance !== undefined &&
+            !(typeof phase.formationChance === 'number' && phase.formationChance >= 0 && phase.formationChance <= 1)) {
+            errors.push(`${at}: formationChance must be within [0, 1]`);
+        }
+
+        if (phase.type === 'boss') {
+            if (!Array.isArray(phase.bossTypes) || phase.bossTypes.length === 0) {
+                errors.push(`${at}: boss phase requires bossTypes`);
+            } else if (species) {
+                for (const name of phase.bossTypes) {
+                    if (!species[name] || !species[name].isBoss) errors.push(`${at}: ${name} is not a boss species`);
+                }
+            }
+        }
+
+        if (phase.type === 'formationBurst') {
+            if (!Array.isArray(phase.formations) || phase.formations.length === 0) {
+                errors.push(`${at}: formationBurst phase requires formations`);
+            } else if (formations) {
+                for (const name of phase.formations) {
+                    if (!formations[name]) errors.push(`${at}: unknown formation ${name}`);
+                }
+            }
+            if (!isPositiveNumber(phase.burstIntervalMs)) {
+                errors.push(`${at}: burstIntervalMs must be a positive number`);
+            }
+        }
+
+        if (phase.type === 'fishTide') {
+            const tide = phase.tide;
+            if (!tide || !Array.isArray(tide.species) || tide.species.length === 0) {
+                errors.push(`${at}: fishTide phase requires tide.species`);
+                return;
+            }
+            if (species) {
+                for (const name of tide.species) {
+                    if (!species[name] || species[name].isBoss) errors.push(`${at}: ${name} is not a tide species`);
+                }
+            }
+            if (tide.edge !== undefined && !TIDE_EDGES.includes(tide.edge)) {
+                errors.push(`${at}: tide.edge must be one of ${TIDE_EDGES.join(', ')}`);
+            }
+            if (!isPositiveNumber(tide.columnIntervalMs)) {
+                errors.push(`${at}: tide.columnIntervalMs must be a positive number`);
+            }
+            if (!(Number.isInteger(tide.rows) && tide.rows > 0)) {
+                errors.push(`${at}: tide.rows must be a positive integer`);
+            }
+        }
+    });
+
+    return errors.length === 0 ? { valid: true } : { valid: false, errors };
+}
+
+/**
+ * Load a named timeline from src/config/timelines/<name>.json
+ */
+function loadTimeline(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name)) return null;
+    const filePath = path.join(TIMELINES_DIR, `${name}.json`);
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        console.warn(`[TIMELINE] Cannot load timeline ${name}:`, e.message);
+        return null;
+    }
+}
+
+function listTimelines() {
+    try {
+        return fs.readdirSync(TIMELINES_DIR)
+            .filter(f => f.endsWith('.json'))
+            .map(f => f.slice(0, -5))
+            .sort();
+    } catch (e) {
+        return [];
+    }
+}
+
+class WaveTimeline {
+    constructor(definition) {
+        this.definition = definition;
+        this.name = definition.name || 'unnamed';
+        this.loop = definition.loop !== false;
+        this.phaseIndex = 0;
+        this.phaseStartTime = 0;
+        this.phaseKills = 0;
+        this.cycle = 0;
+    }
+
+    start(now) {
+        this.phaseIndex = 0;
+        this.phaseStartTime = now;
+        this.phaseKills = 0;
+        this.cycle = 0;
+        return this.getCurrentPhase();
+    }
+
+    getCurrentPhase() {
+        return this.definition.phases[this.phaseIndex];
+    }
+
+    recordKill() {
+        this.phaseKills++;
+    }
+
+    isHoldingFinalPhase() {
+        return !this.loop && this.phaseIndex === this.definition.phases.length - 1;
+    }
+
+    // ctx.bossDefeated ends a boss phase early
+    isPhaseComplete(now, ctx = {}) {
+        if (this.isHoldingFinalPhase()) return false;
+        const phase = this.getCurrentPhase();
+        if (now - this.phaseStartTime >= phase.durationMs) return true;
+        if (phase.endOnKills && this.phaseKills >= phase.endOnKills) return true;
+        if (phase.type === 'boss' && ctx.bossDefeated) return true;
+        return false;
+    }
+
+    advance(now) {
+        let next = this.phaseIndex + 1;
+        if (next >= this.definition.phases.length) {
+            next = 0;
+            this.cycle++;
+        }
+        this.phaseIndex = next;
+        this.phaseStartTime = now;
+        this.phaseKills = 0;
+        return this.getCurrentPhase();
+    }
+
+    getInfo(now) {
+        const phase = this.getCurrentPhase();
+        return {
+            timeline: this.name,
+            phaseIndex: this.phaseIndex,
+            cycle: this.cycle,
+            type: phase.type,
+            name: phase.name || phase.type,
+            startedAt: this.phaseStartTime,
+            durationMs: phase.durationMs,
+            remainingMs: Math.max(0, phase.durationMs - (now - this.phaseStartTime)),
+            kills: this.phaseKills,
+            endOnKills: phase.endOnKills || null
+        };
+    }
+}
+
+module.exports = {
+    WaveTimeline,
+    PHASE_TYPES,
+    TIDE_EDGES,
+    DEFAULT_TIMELINE,
+    validateTimeline,
+    loadTimeline,
+    listTimelines
+};
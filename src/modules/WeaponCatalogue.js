@@ -0,0 +1,334 @@
+// Data-driven weapon catalogue (src/config/weapons.json) and per-type resolvers.
+// Resolvers only pick targets; settlement always goes through RTPPhase1.
+
+const fs = require('fs');
+const path = require('path');
+const { AOE_MAX_TARGETS, LASER_MAX_TARGETS, PENETRATING_MAX_TARGETS } = require('./RTPPhase1');
+
+const DEFAULT_CATALOGUE_PATH = path.join(__dirname, '../config/weapons.json');
+
+const SPREAD_DEG = 15;
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+function checkMaxTargets(weapon, cap, required, errors) {
+    if (weapon.maxTargets === undefined && !required) return;
+    if (!(Number.isInteger(weapon.maxTargets) && weapon.maxTargets >= 1 && weapon.maxTargets <= cap)) {
+        errors.push(`maxTargets must be an integer within [1, ${cap}]`);
+    }
+}
+
+// Weight vector for ordered (hit-order) batches
+function orderedWeights(weapon) {
+    return weapon.weights || 'laser';
+}
+
+function checkOrderedBatch(weapon, required, errors) {
+    if (weapon.weights !== undefined && !['laser', 'penetrating'].includes(weapon.weights)) {
+        errors.push('weights must be laser or penetrating');
+        return;
+    }
+    const cap = orderedWeights(weapon) === 'penetrating' ? PENETRATING_MAX_TARGETS : LASER_MAX_TARGETS;
+    checkMaxTargets(weapon, cap, required, errors);
+}
+
+function checkRadius(weapon, key, required, errors) {
+    if (weapon[key] === undefined && !required) return;
+    if (!isPositiveNumber(weapon[key])) errors.push(`${key} must be a positive number`);
+}
+
+// Nearest contact along this tick's path, single-target settlement
+function collideFirstContact(engine, bulletId, bullet, weapon, io) {
+    const contacts = engine._bulletContacts(bullet);
+    engine.constructor.sortAndTrimHitList(contacts, 1, 'distToFish');
+    if (contacts.length > 0) {
+        engine._settleSingleHit(bulletId, bullet, contacts[0], io);
+    }
+}
+
+// Contacts ordered along the path (from where the bullet started this tick)
+function contactsInPathOrder(engine, bullet, maxTargets) {
+    const contacts = engine._bulletContacts(bullet);
+    for (const entry of contacts) {
+        entry.distFromPrev = Math.sqrt(
+            Math.pow(entry.fish.x - bullet.prevX, 2) + Math.pow(entry.fish.z - bullet.prevZ, 2)
+        );
+    }
+    engine.constructor.sortAndTrimHitList(contacts, maxTargets, 'distFromPrev');
+    return contacts;
+}
+
+// Ordered weights follow list order, i.e. pierce order
+function settleDrill(engine, bulletId, bullet, weapon, io) {
+    engine._settleBatchHit(bulletId, bullet, bullet.pierced, orderedWeights(weapon), io, { isPenetrating: true });
+}
+
+const WEAPON_RESOLVERS = {
+    projectile: {
+        validate() {
+            return [];
+        },
+        fire(engine, shot, io) {
+            return [engine._spawnBullet(shot, shot.dirX, shot.dirZ, io)];
+        },
+        collide: collideFirstContact
+    },
+
+    // N pellets fanned around the aim line; each pellet settles on its own
+    spread: {
+        validate(weapon) {
+            const errors = [];
+            if (!(Number.isInteger(weapon.pellets) && weapon.pellets >= 1)) {
+                errors.push('pellets must be a positive integer');
+            }
+            if (!isPositiveNumber(weapon.pelletCost)) {
+                errors.push('pelletCost must be a positive number');
+            } else if (weapon.pellets * weapon.pelletCost !== weapon.cost) {
+                errors.push('pellets * pelletCost must equal cost');
+            }
+            checkRadius(weapon, 'spreadDeg', false, errors);
+            return errors;
+        },
+        fire(engine, shot, io) {
+            const { weapon } = shot;
+            const spreadAngle = (weapon.spreadDeg || SPREAD_DEG) * (Math.PI / 180);
+            const bullets = [];
+
+            for (let i = 0; i < weapon.pellets; i++) {
+                // 0, +a, -a, +2a, -2a, ...
+                const angle = i === 0 ? 0 : Math.ceil(i / 2) * spreadAngle * (i % 2 ? 1 : -1);
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                bullets.push(engine._spawnBullet(shot,
+                    shot.dirX * cos - shot.dirZ * sin,
+                    shot.dirX * sin + shot.dirZ * cos,
+                    io,
+                    {
+                        cost: weapon.pelletCost,
+                        pelletIndex: i,
+                        // Only the centre pellet homes; side pellets keep the spread
+                        homingTargetId: i === 0 ? shot.homingTargetId : null
+                    }
+                ));
+            }
+            return bullets;
+        },
+        collide: collideFirstContact
+    },
+
+    // Detonates near the first fish in aoeRadius, one 'aoe' batch
+    rocket: {
+        validate(weapon) {
+            const errors = [];
+            checkRadius(weapon, 'aoeRadius', false, errors);
+            checkMaxTargets(weapon, AOE_MAX_TARGETS, false, errors);
+            return errors;
+        },
+        fire(engine, shot, io) {
+            return [engine._spawnBullet(shot, shot.dirX, shot.dirZ, io)];
+        },
+        collide(engine, bulletId, bullet, weapon, io) {
+            const hits = engine._fishWithinRadius(bullet.x, bullet.z, weapon.aoeRadius || 15);
+            engine.constructor.sortAndTrimHitList(hits, weapon.maxTargets || AOE_MAX_TARGETS, 'distToFish');
+            if (hits.length > 0) {
+                engine._settleBatchHit(bulletId, bullet, hits, 'aoe', io, { isAOE: true });
+            }
+        }
+    },
+
+    // Instant ray cast in handleShoot; no travelling bullet
+    laser: {
+        validate(weapon) {
+            const errors = [];
+            checkOrderedBatch(weapon, false, errors);
+            return errors;
+        },
+        fire(engine, shot, io) {
+            engine._resolveLaserHits(shot.socketId, shot.player, shot.weapon, shot.dirX, shot.dirZ, io);
+            return [];
+        }
+    },
+
+    // Travelling piercer: collects fish in contact order and settles them as
+    // ONE ordered batch when full or when the bullet expires
+    drill: {
+        validate(weapon) {
+            const errors = [];
+            checkOrderedBatch(weapon, true, errors);
+            return errors;
+        },
+        fire(engine, shot, io) {
+            return [engine._spawnBullet(shot, shot.dirX, shot.dirZ, io, {
+                pierced: [],
+                fishAlreadyHit: new Set()
+            })];
+        },
+        collide(engine, bulletId, bullet, weapon, io) {
+            const contacts = contactsInPathOrder(engine, bullet, weapon.maxTargets - bullet.pierced.length);
+            if (contacts.length === 0) return;
+
+            for (const entry of contacts) {
+                bullet.pierced.push(entry);
+                bullet.fishAlreadyHit.add(entry.fishId);
+            }
+            io.to(engine.roomCode).emit('drillPierced', {
+                bulletId,
+                fishIds: contacts.map(entry => entry.fishId),
+                pierced: bullet.pierced.length
+            });
+
+            if (bullet.pierced.length >= weapon.maxTargets) {
+                settleDrill(engine, bulletId, bullet, weapon, io);
+            }
+        },
+        expire(engine, bulletId, bullet, weapon, io) {
+            if (bullet.pierced.length > 0) {
+                settleDrill(engine, bulletId, bullet, weapon, io);
+            }
+        }
+    },
+
+    // Opens on the first contact and captures every fish within netRadius
+    // of it as ONE 'aoe' batch
+    net: {
+        validate(weapon) {
+            const errors = [];
+            checkRadius(weapon, 'netRadius', true, errors);
+            checkMaxTargets(weapon, AOE_MAX_TARGETS, true, errors);
+            return errors;
+        },
+        fire(engine, shot, io) {
+            return [engine._spawnBullet(shot, shot.dirX, shot.dirZ, io)];
+        },
+        collide(engine, bulletId, bullet, weapon, io) {
+            const contacts = contactsInPathOrder(engine, bullet, 1);
+            if (contacts.length === 0) return;
+
+            const centre = contacts[0].fish;
+            const captured = engine._fishWithinRadius(centre.x, centre.z, weapon.netRadius);
+            engine.constructor.sortAndTrimHitList(captured, weapon.maxTargets, 'distToFish');
+
+            io.to(engine.roomCode).emit('netCast', {
+                bulletId,
+                playerId: bullet.ownerId,
+                x: centre.x,
+                z: centre.z,
+                radius: weapon.netRadius,
+                fishIds: captured.map(entry => entry.fishId)
+            });
+            engine._settleBatchHit(bulletId, bullet, captured, 'aoe', io, { isNet: true });
+        }
+    },
+
+    // Hits the first contact, then jumps to the nearest unchained fish
+    // within jumpRadius; the chain settles as ONE ordered batch in jump order
+    chain: {
+        validate(weapon) {
+            const errors = [];
+            checkRadius(weapon, 'jumpRadius', true, errors);
+            checkOrderedBatch(weapon, true, errors);
+            return errors;
+        },
+        fire(engine, shot, io) {
+            return [engine._spawnBullet(shot, shot.dirX, shot.dirZ, io)];
+        },
+        collide(engine, bulletId, bullet, weapon, io) {
+            const contacts = contactsInPathOrder(engine, bullet, 1);
+            if (contacts.length === 0) return;
+
+            const chain = [contacts[0]];
+            const chained = new Set([contacts[0].fishId]);
+            while (chain.length < weapon.maxTargets) {
+                const last = chain[chain.length - 1].fish;
+                const next = engine._fishWithinRadius(last.x, last.z, weapon.jumpRadius)
+                    .filter(entry => !chained.has(entry.fishId));
+                engine.constructor.sortAndTrimHitList(next, 1, 'distToFish');
+                if (next.length === 0) break;
+                chain.push(next[0]);
+                chained.add(next[0].fishId);
+            }
+
+            io.to(engine.roomCode).emit('chainShot', {
+                bulletId,
+                playerId: bullet.ownerId,
+                fishIds: chain.map(entry => entry.fishId)
+            });
+            engine._settleBatchHit(bulletId, bullet, chain, orderedWeights(weapon), io, { isChain: true });
+        }
+    }
+};
+
+/**
+ * Register (or replace) the resolver for a weapon type.
+ * resolver: { validate(weapon) → errors[], fire(engine, shot, io) → bullets[],
+ *             collide?(engine, bulletId, bullet, weapon, io),
+ *             expire?(engine, bulletId, bullet, weapon, io) }
+ */
+function registerWeaponResolver(type, resolver) {
+    if (typeof type !== 'string' || !type) throw new Error('Weapon resolver type must be a non-empty string');
+    if (!resolver || typeof resolver.fire !== 'function' || typeof resolver.validate !== 'function') {
+        throw new Error(`Weapon resolver ${type} must implement validate() and fire()`);
+    }
+    WEAPON_RESOLVERS[type] = resolver;
+}
+
+function getWeaponResolver(type) {
+    return Object.prototype.hasOwnProperty.call(WEAPON_RESOLVERS, type) ? WEAPON_RESOLVERS[type] : null;
+}
+
+/**
+ * Validate a weapon catalogue { key: weapon }.
+ * Returns { valid: true } or { valid: false, errors: [...] }
+ */
+function validateWeaponCatalogue(catalogue) {
+    if (!catalogue || typeof catalogue !== 'object' || Object.keys(catalogue).length === 0) {
+        return { valid: false, errors: ['catalogue must define at least one weapon'] };
+    }
+
+    const errors = [];
+    for (const [key, weapon] of Object.entries(catalogue)) {
+        if (!weapon || typeof weapon !== 'object') {
+            errors.push(`${key}: weapon must be an object`);
+            continue;
+        }
+        for (const field of ['multiplier', 'cost', 'cooldown', 'damage']) {
+            if (!isPositiveNumber(weapon[field])) errors.push(`${key}: ${field} must be a positive number`);
+        }
+        if (!Array.isArray(weapon.features)) errors.push(`${key}: features must be an array`);
+
+        const resolver = getWeaponResolver(weapon.type);
+        if (!resolver) {
+            errors.push(`${key}: unknown weapon type ${weapon.type}`);
+            continue;
+        }
+        for (const error of resolver.validate(weapon)) {
+            errors.push(`${key}: ${error}`);
+        }
+    }
+
+    return errors.length ? { valid: false, errors } : { valid: true };
+}
+
+/**
+ * Load and validate a catalogue file. Throws on a missing or invalid
+ * catalogue: the server must not start with unknown weapon rules.
+ */
+function loadWeaponCatalogue(filePath = DEFAULT_CATALOGUE_PATH) {
+    const catalogue = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const result = validateWeaponCatalogue(catalogue);
+    if (!result.valid) {
+        throw new Error(`[WEAPONS] Invalid weapon catalogue ${filePath}: ${result.errors.join('; ')}`);
+    }
+    return catalogue;
+}
+
+module.exports = {
+    WEAPON_RESOLVERS,
+    DEFAULT_CATALOGUE_PATH,
+    registerWeaponResolver,
+    getWeaponResolver,
+    validateWeaponCatalogue,
+    loadWeaponCatalogue
+};
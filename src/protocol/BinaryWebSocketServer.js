@@ -283,6 +283,12 @@ class BinaryWebSocketServer {
             case PacketId.WEAPON_SWITCH:
                 this.handleWeaponSwitch(session, parsedPayload);
                 break;
+            case PacketId.LOCK_TARGET:
+                this.handleLockTarget(session, parsedPayload);
+                break;
+            case PacketId.CLIENT_SEED:
+                this.handleClientSeed(session, parsedPayload);
+                break;
             case PacketId.ROOM_CREATE:
                 this.handleRoomCreate(session, parsedPayload);
                 break;
@@ -336,8 +342,8 @@ class BinaryWebSocketServer {
             return;
         }
         
-        const targetX = data.targetX || 0;
-        const targetZ = data.targetZ || data.targetY || 0;
+        let targetX = data.targetX || 0;
+        let targetZ = data.targetZ || data.targetY || 0;
         
         if (typeof targetX !== 'number' || typeof targetZ !== 'number' ||
             !isFinite(targetX) || !isFinite(targetZ)) {
@@ -377,6 +383,11 @@ class BinaryWebSocketServer {
             }
         }
         
+        if (engine.isSpectator(session.sessionId)) {
+            session.sendError(ErrorCodes.INVALID_SESSION, 'SPECTATOR');
+            return;
+        }
+        
         const enginePlayer = engine.players.get(session.sessionId);
         if (!enginePlayer) {
             session.sendError(ErrorCodes.INVALID_SESSION, 'Player not in engine');
@@ -404,6 +415,13 @@ class BinaryWebSocketServer {
         enginePlayer.lastShotTime = Date.now();
         enginePlayer.totalShots++;
         
+        // Lock-on: server aims at (and homes onto) the locked fish
+        const lockAim = engine.getLockAim(session.sessionId);
+        if (lockAim) {
+            targetX = lockAim.x;
+            targetZ = lockAim.z;
+        }
+        
         const dx = targetX - enginePlayer.cannonX;
         const dz = targetZ - enginePlayer.cannonZ;
         const distance = Math.sqrt(dx * dx + dz * dz);
@@ -439,7 +457,8 @@ class BinaryWebSocketServer {
             rotation: Math.atan2(normalizedDx, -normalizedDz),
             spawnTime: Date.now(),
             hasHit: false,
-            shotSequenceId: data.shotSequenceId
+            shotSequenceId: data.shotSequenceId,
+            homingTargetId: lockAim ? lockAim.fishId : null
         };
         
         engine.bullets.set(bulletId, bullet);
@@ -499,6 +518,48 @@ class BinaryWebSocketServer {
         });
     }
     
+    handleLockTarget(session, data) {
+        if (!session.roomCode || !session.playerId) {
+            return;
+        }
+        
+        const lockCheck = rateLimiter.checkLockTarget(session.sessionId, session.clientIP);
+        if (!lockCheck.allowed) return;
+        
+        const engine = this.gameEngines[session.roomCode];
+        if (!engine) return;
+        
+        const ok = engine.setLockTarget(session.sessionId, data.fishId || null, this.createBinaryIOAdapter(session.roomCode));
+        if (!ok) {
+            session.sendError(ErrorCodes.INVALID_PACKET, 'INVALID_LOCK_TARGET');
+        }
+    }
+    
+    // M3: Replace the player's client seed; accepted changes are echoed to the room
+    handleClientSeed(session, data) {
+        if (!session.roomCode || !session.playerId) {
+            return;
+        }
+        
+        const seedCheck = rateLimiter.checkClientSeed(session.sessionId, session.clientIP);
+        if (!seedCheck.allowed) return;
+        
+        const engine = this.gameEngines[session.roomCode];
+        if (!engine) return;
+        
+        const result = engine.setClientSeed(session.sessionId, data.clientSeed);
+        if (!result) {
+            session.sendError(ErrorCodes.INVALID_PACKET, 'INVALID_CLIENT_SEED');
+            return;
+        }
+        this.broadcastToRoom(session.roomCode, PacketId.CLIENT_SEED, {
+            playerId: session.playerId,
+            clientSeed: result.clientSeed,
+            seedNonce: result.seedNonce,
+            timestamp: Date.now()
+        });
+    }
+    
     handleRoomCreate(session, data) {
         const roomCode = this.generateRoomCode();
         
@@ -527,6 +588,7 @@ class BinaryWebSocketServer {
                 }
             },
             playerCount: 1,
+            spectators: {}, // playerId -> { id, name }
             state: 'lobby',
             isPublic: data.isPublic !== false,
             createdAt: Date.now()
@@ -538,7 +600,7 @@ class BinaryWebSocketServer {
             state: 'lobby',
             players: [this.rooms[roomCode].players[session.playerId]],
             hostId: session.playerId,
-            maxPlayers: 4
+            maxPlayers: engine.maxPlayers
         });
         
         console.log(`[BINARY-WS] Room created: ${roomCode} by ${session.playerId} with game engine`);
@@ -553,12 +615,33 @@ class BinaryWebSocketServer {
             return;
         }
         
-        if (room.playerCount >= 4) {
-            session.sendError(ErrorCodes.ROOM_FULL, 'Room is full');
+        const playerId = `player-${session.sessionId.substring(0, 8)}`;
+        
+        // Seats full: join as a spectator (room broadcasts only, promoted when a seat frees)
+        if (room.playerCount >= engine.maxPlayers) {
+            if (!engine.addSpectator(session.sessionId, playerId, data.playerName || 'Player')) {
+                session.sendError(ErrorCodes.ROOM_FULL, 'Room is full');
+                return;
+            }
+            session.playerId = playerId;
+            session.roomCode = data.roomCode;
+            this.playerSessions.set(session.playerId, session);
+            room.spectators[playerId] = { id: playerId, name: data.playerName || 'Player' };
+            
+            session.send(PacketId.ROOM_STATE, {
+                roomId: data.roomCode,
+                roomCode: data.roomCode,
+                state: room.state,
+                players: Object.values(room.players),
+                hostId: room.hostId,
+                maxPlayers: engine.maxPlayers
+            });
+            
+            console.log(`[BINARY-WS] Player ${playerId} joined room ${data.roomCode} as spectator`);
             return;
         }
         
-        session.playerId = `player-${session.sessionId.substring(0, 8)}`;
+        session.playerId = playerId;
         session.roomCode = data.roomCode;
         this.playerSessions.set(session.playerId, session);
         
@@ -581,7 +664,7 @@ class BinaryWebSocketServer {
             state: room.state,
             players: Object.values(room.players),
             hostId: room.hostId,
-            maxPlayers: 4
+            maxPlayers: engine.maxPlayers
         });
         
         this.broadcastToRoom(data.roomCode, PacketId.PLAYER_JOIN, {
@@ -639,7 +722,7 @@ class BinaryWebSocketServer {
             state: 'playing',
             players: Object.values(room.players),
             hostId: room.hostId,
-            maxPlayers: 4
+            maxPlayers: engine.maxPlayers
         });
         
         console.log(`[BINARY-WS] Game started in room ${session.roomCode} with engine game loop`);
@@ -707,6 +790,16 @@ class BinaryWebSocketServer {
                 }
                 break;
                 
+            case 'lockTargetChanged':
+                if (target === roomCode) {
+                    this.broadcastToRoom(roomCode, PacketId.LOCK_TARGET, {
+                        playerId: data.playerId,
+                        fishId: data.fishId || 0,
+                        timestamp: Date.now()
+                    });
+                }
+                break;
+                
             case 'gameState':
                 if (target === roomCode) {
                     this.broadcastToRoom(roomCode, PacketId.ROOM_SNAPSHOT, {
@@ -757,7 +850,16 @@ class BinaryWebSocketServer {
         
         const room = this.rooms[session.roomCode];
         if (!room) return;
+        const engine = this.gameEngines[session.roomCode];
         
+        if (room.spectators[session.playerId]) {
+            if (engine) engine.removePlayer(session.sessionId);
+            delete room.spectators[session.playerId];
+            session.roomCode = null;
+            return;
+        }
+        
+        const promoted = engine ? engine.removePlayer(session.sessionId) : null;
         delete room.players[session.playerId];
         room.playerCount--;
         
@@ -766,6 +868,28 @@ class BinaryWebSocketServer {
             reason: 'disconnect'
         });
         
+        // Freed seat went to the next spectator
+        if (promoted) {
+            delete room.spectators[promoted.playerId];
+            room.players[promoted.playerId] = {
+                id: promoted.playerId,
+                name: promoted.playerName,
+                position: promoted.slotIndex,
+                balance: promoted.balance,
+                weapon: promoted.currentWeapon,
+                isHost: false
+            };
+            room.playerCount++;
+            this.broadcastToRoom(session.roomCode, PacketId.PLAYER_JOIN, {
+                playerId: promoted.playerId,
+                playerName: promoted.playerName,
+                position: promoted.slotIndex,
+                balance: promoted.balance,
+                weapon: promoted.currentWeapon
+            });
+            console.log(`[BINARY-WS] Spectator ${promoted.playerId} promoted in room ${session.roomCode}`);
+        }
+        
         if (room.playerCount <= 0) {
             delete this.rooms[session.roomCode];
             if (this.gameEngines[session.roomCode]) {
@@ -788,7 +912,8 @@ class BinaryWebSocketServer {
         const room = this.rooms[roomCode];
         if (!room) return;
         
-        for (const playerId of Object.keys(room.players)) {
+        // Spectators receive every room broadcast too
+        for (const playerId of [...Object.keys(room.players), ...Object.keys(room.spectators)]) {
             const playerSession = this.playerSessions.get(playerId);
             if (playerSession && playerSession.sessionId !== excludeSessionId) {
                 playerSession.send(packetId, payload);
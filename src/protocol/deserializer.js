@@ -199,6 +199,7 @@ function getBinaryDecoder(packetId) {
         [PacketId.HIT_RESULT]: BinaryPayloads.decodeHitResult,
         [PacketId.BALANCE_UPDATE]: BinaryPayloads.decodeBalanceUpdate,
         [PacketId.WEAPON_SWITCH]: BinaryPayloads.decodeWeaponSwitch,
+        [PacketId.LOCK_TARGET]: BinaryPayloads.decodeLockTarget,
         [PacketId.ROOM_SNAPSHOT]: BinaryPayloads.decodeRoomSnapshot,
         [PacketId.FISH_SPAWN]: BinaryPayloads.decodeFishSpawn,
         [PacketId.FISH_DEATH]: BinaryPayloads.decodeFishDeath,
@@ -210,6 +211,7 @@ function getBinaryDecoder(packetId) {
         [PacketId.ROOM_JOIN]: BinaryPayloads.decodeRoomJoin,
         [PacketId.ROOM_STATE]: BinaryPayloads.decodeRoomState,
         [PacketId.GAME_START]: BinaryPayloads.decodeGameStart,
+        [PacketId.CLIENT_SEED]: BinaryPayloads.decodeClientSeed,
         [PacketId.TIME_SYNC_PING]: BinaryPayloads.decodeTimeSyncPing,
         [PacketId.TIME_SYNC_PONG]: BinaryPayloads.decodeTimeSyncPong,
         [PacketId.ERROR]: BinaryPayloads.decodeError
@@ -262,6 +264,14 @@ function parseWeaponSwitch(payload) {
     };
 }
 
+function parseLockTarget(payload) {
+    return {
+        playerId: payload.playerId,
+        fishId: payload.fishId || null,
+        timestamp: payload.timestamp
+    };
+}
+
 function parseRoomSnapshot(payload) {
     return {
         roomId: payload.roomId,
@@ -338,6 +348,15 @@ function parseRoomJoin(payload) {
     };
 }
 
+function parseClientSeed(payload) {
+    return {
+        playerId: payload.playerId,
+        clientSeed: payload.clientSeed,
+        seedNonce: payload.seedNonce,
+        timestamp: payload.timestamp
+    };
+}
+
 function parseTimeSyncPing(payload) {
     return {
         seq: payload.seq,
@@ -359,6 +378,7 @@ function getPayloadParser(packetId) {
         [PacketId.HIT_RESULT]: parseHitResult,
         [PacketId.BALANCE_UPDATE]: parseBalanceUpdate,
         [PacketId.WEAPON_SWITCH]: parseWeaponSwitch,
+        [PacketId.LOCK_TARGET]: parseLockTarget,
         [PacketId.ROOM_SNAPSHOT]: parseRoomSnapshot,
         [PacketId.FISH_SPAWN]: parseFishSpawn,
         [PacketId.FISH_DEATH]: parseFishDeath,
@@ -366,6 +386,7 @@ function getPayloadParser(packetId) {
         [PacketId.PLAYER_LEAVE]: parsePlayerLeave,
         [PacketId.ROOM_CREATE]: parseRoomCreate,
         [PacketId.ROOM_JOIN]: parseRoomJoin,
+        [PacketId.CLIENT_SEED]: parseClientSeed,
         [PacketId.TIME_SYNC_PING]: parseTimeSyncPing,
         [PacketId.ERROR]: parseError
     };
@@ -385,6 +406,7 @@ module.exports = {
     parseHitResult,
     parseBalanceUpdate,
     parseWeaponSwitch,
+    parseLockTarget,
     parseRoomSnapshot,
     parseFishSpawn,
     parseFishDeath,
@@ -392,6 +414,7 @@ module.exports = {
     parsePlayerLeave,
     parseRoomCreate,
     parseRoomJoin,
+    parseClientSeed,
     parseTimeSyncPing,
     parseError,
     getPayloadParser
@@ -40,6 +40,7 @@ const PacketId = {
     HIT_RESULT: 0x0011,
     BALANCE_UPDATE: 0x0012,
     WEAPON_SWITCH: 0x0013,
+    LOCK_TARGET: 0x0014,
     
     // Fish State (0x0020 - 0x002F)
     ROOM_SNAPSHOT: 0x0020,
@@ -63,6 +64,7 @@ const PacketId = {
     ROOM_LEAVE: 0x0052,
     ROOM_STATE: 0x0053,
     GAME_START: 0x0054,
+    CLIENT_SEED: 0x0055,
     
     // Time Sync (0x0060 - 0x006F)
     TIME_SYNC_PING: 0x0060,
@@ -83,6 +85,7 @@ const BinaryFieldSizes = {
     PLAYER_ID: 16,
     ROOM_CODE: 6,
     PLAYER_NAME: 32,
+    CLIENT_SEED: 64,
     FISH_ID: 8,
     WEAPON_ID: 1,
     FLOAT32: 4,
@@ -106,6 +109,7 @@ const PayloadSizeLimits = {
     [PacketId.HIT_RESULT]: { min: 30, max: 2048, fixed: false },
     [PacketId.BALANCE_UPDATE]: { min: 37, max: 48, fixed: true, size: 37 },
     [PacketId.WEAPON_SWITCH]: { min: 25, max: 32, fixed: true, size: 25 },
+    [PacketId.LOCK_TARGET]: { min: 32, max: 40, fixed: true, size: 32 },
     
     [PacketId.ROOM_SNAPSHOT]: { min: 32, max: 65536, fixed: false },
     [PacketId.FISH_SPAWN]: { min: 54, max: 64, fixed: true, size: 54 },
@@ -125,6 +129,7 @@ const PayloadSizeLimits = {
     [PacketId.ROOM_LEAVE]: { min: 8, max: 16, fixed: true, size: 8 },
     [PacketId.ROOM_STATE]: { min: 32, max: 4096, fixed: false },
     [PacketId.GAME_START]: { min: 8, max: 16, fixed: true, size: 8 },
+    [PacketId.CLIENT_SEED]: { min: 92, max: 96, fixed: true, size: 92 },
     
     [PacketId.TIME_SYNC_PING]: { min: 12, max: 16, fixed: true, size: 12 },
     [PacketId.TIME_SYNC_PONG]: { min: 20, max: 24, fixed: true, size: 20 },
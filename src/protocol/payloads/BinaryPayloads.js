@@ -207,6 +207,24 @@ function decodeWeaponSwitch(buffer) {
     return { playerId, weaponId, timestamp };
 }
 
+// fishId 0 = clear lock
+function encodeLockTarget(data) {
+    const buffer = Buffer.alloc(32);
+    let offset = 0;
+    offset = writePlayerId(buffer, offset, data.playerId);
+    offset = writeUint64(buffer, offset, data.fishId || 0);
+    writeUint64(buffer, offset, data.timestamp || Date.now());
+    return buffer;
+}
+
+function decodeLockTarget(buffer) {
+    let offset = 0;
+    const playerId = readPlayerId(buffer, offset); offset += BinaryFieldSizes.PLAYER_ID;
+    const fishId = readUint64(buffer, offset); offset += 8;
+    const timestamp = readUint64(buffer, offset);
+    return { playerId, fishId, timestamp };
+}
+
 function encodeFishSpawn(data) {
     const buffer = Buffer.alloc(54);
     let offset = 0;
@@ -297,6 +315,26 @@ function decodeRoomJoin(buffer) {
     return { roomCode, playerName, timestamp };
 }
 
+// seedNonce: room seed nonce after the change (server -> client; 0 from the client)
+function encodeClientSeed(data) {
+    const buffer = Buffer.alloc(92);
+    let offset = 0;
+    offset = writePlayerId(buffer, offset, data.playerId);
+    offset = writeString(buffer, offset, data.clientSeed, BinaryFieldSizes.CLIENT_SEED);
+    buffer.writeUInt32BE(data.seedNonce || 0, offset); offset += 4;
+    writeUint64(buffer, offset, data.timestamp || Date.now());
+    return buffer;
+}
+
+function decodeClientSeed(buffer) {
+    let offset = 0;
+    const playerId = readPlayerId(buffer, offset); offset += BinaryFieldSizes.PLAYER_ID;
+    const clientSeed = readString(buffer, offset, BinaryFieldSizes.CLIENT_SEED); offset += BinaryFieldSizes.CLIENT_SEED;
+    const seedNonce = buffer.readUInt32BE(offset); offset += 4;
+    const timestamp = readUint64(buffer, offset);
+    return { playerId, clientSeed, seedNonce, timestamp };
+}
+
 function encodeRoomState(data) {
     const players = data.players || [];
     const buffer = Buffer.alloc(33 + players.length * 58);
@@ -497,10 +535,12 @@ module.exports = {
     encodeHitResult, decodeHitResult,
     encodeBalanceUpdate, decodeBalanceUpdate,
     encodeWeaponSwitch, decodeWeaponSwitch,
+    encodeLockTarget, decodeLockTarget,
     encodeFishSpawn, decodeFishSpawn,
     encodeFishDeath, decodeFishDeath,
     encodeRoomCreate, decodeRoomCreate,
     encodeRoomJoin, decodeRoomJoin,
+    encodeClientSeed, decodeClientSeed,
     encodeRoomState, decodeRoomState,
     encodeTimeSyncPing, decodeTimeSyncPing,
     encodeTimeSyncPong, decodeTimeSyncPong,
@@ -147,6 +147,15 @@ function serializeBalanceUpdate(data, encryptionKey, hmacKey, nonce) {
     return serializePacket(PacketId.BALANCE_UPDATE, payload, encryptionKey, hmacKey, nonce);
 }
 
+function serializeLockTarget(data, encryptionKey, hmacKey, nonce) {
+    const payload = BinaryPayloads.encodeLockTarget({
+        playerId: data.playerId,
+        fishId: data.fishId || 0,
+        timestamp: data.timestamp || Date.now()
+    });
+    return serializePacket(PacketId.LOCK_TARGET, payload, encryptionKey, hmacKey, nonce);
+}
+
 function serializeRoomSnapshot(data, encryptionKey, hmacKey, nonce) {
     const payload = BinaryPayloads.encodeRoomSnapshot({
         roomCode: data.roomCode || data.roomId,
@@ -301,6 +310,16 @@ function serializeRoomJoin(data, encryptionKey, hmacKey, nonce) {
     return serializePacket(PacketId.ROOM_JOIN, payload, encryptionKey, hmacKey, nonce);
 }
 
+function serializeClientSeed(data, encryptionKey, hmacKey, nonce) {
+    const payload = BinaryPayloads.encodeClientSeed({
+        playerId: data.playerId,
+        clientSeed: data.clientSeed,
+        seedNonce: data.seedNonce || 0,
+        timestamp: data.timestamp || Date.now()
+    });
+    return serializePacket(PacketId.CLIENT_SEED, payload, encryptionKey, hmacKey, nonce);
+}
+
 module.exports = {
     calculateCRC32,
     createHeader,
@@ -310,6 +329,7 @@ module.exports = {
     serializeShotFired,
     serializeHitResult,
     serializeBalanceUpdate,
+    serializeLockTarget,
     serializeRoomSnapshot,
     serializeFishSpawn,
     serializeFishDeath,
@@ -323,5 +343,6 @@ module.exports = {
     serializeHandshakeResponse,
     serializeGameStart,
     serializeRoomCreate,
-    serializeRoomJoin
+    serializeRoomJoin,
+    serializeClientSeed
 };
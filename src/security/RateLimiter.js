@@ -29,6 +29,18 @@ const RATE_LIMITS = {
     // Weapon switch - burst 10, sustain 5/sec
     weaponSwitch: { capacity: 10, refillPerSec: 5 },
     
+    // Lock-on target selection - burst 10, sustain 5/sec
+    lockTarget: { capacity: 10, refillPerSec: 5 },
+    
+    // Auto-fire start/stop toggles - burst 5, sustain 1/sec
+    autoFire: { capacity: 5, refillPerSec: 1 },
+    
+    // Power-up item purchase / activation - burst 5, sustain 2/sec
+    itemAction: { capacity: 5, refillPerSec: 2 },
+    
+    // Client seed changes - burst 3, sustain 0.2/sec
+    clientSeed: { capacity: 3, refillPerSec: 0.2 },
+    
     // Time sync pings - burst 10, sustain 2/sec
     timeSync: { capacity: 10, refillPerSec: 2 },
     
@@ -38,6 +50,9 @@ const RATE_LIMITS = {
     // Handshake per IP - burst 3, sustain 0.1/sec (6 per minute)
     handshake: { capacity: 3, refillPerSec: 0.1 },
     
+    // Public receipt hash / proof lookups per IP - burst 10, sustain 2/sec
+    receiptLookup: { capacity: 10, refillPerSec: 2 },
+    
     // Global per-IP packet rate - burst 100, sustain 60/sec
     globalPerIP: { capacity: 100, refillPerSec: 60 }
 };
@@ -127,6 +142,10 @@ class SessionLimits {
         this.movement = new TokenBucket(RATE_LIMITS.movement.capacity, RATE_LIMITS.movement.refillPerSec);
         this.roomAction = new TokenBucket(RATE_LIMITS.roomAction.capacity, RATE_LIMITS.roomAction.refillPerSec);
         this.weaponSwitch = new TokenBucket(RATE_LIMITS.weaponSwitch.capacity, RATE_LIMITS.weaponSwitch.refillPerSec);
+        this.lockTarget = new TokenBucket(RATE_LIMITS.lockTarget.capacity, RATE_LIMITS.lockTarget.refillPerSec);
+        this.autoFire = new TokenBucket(RATE_LIMITS.autoFire.capacity, RATE_LIMITS.autoFire.refillPerSec);
+        this.itemAction = new TokenBucket(RATE_LIMITS.itemAction.capacity, RATE_LIMITS.itemAction.refillPerSec);
+        this.clientSeed = new TokenBucket(RATE_LIMITS.clientSeed.capacity, RATE_LIMITS.clientSeed.refillPerSec);
         this.timeSync = new TokenBucket(RATE_LIMITS.timeSync.capacity, RATE_LIMITS.timeSync.refillPerSec);
         this.stateRequest = new TokenBucket(RATE_LIMITS.stateRequest.capacity, RATE_LIMITS.stateRequest.refillPerSec);
         this.createdAt = Date.now();
@@ -165,6 +184,7 @@ class SessionLimits {
 class IPLimits {
     constructor() {
         this.handshake = new TokenBucket(RATE_LIMITS.handshake.capacity, RATE_LIMITS.handshake.refillPerSec);
+        this.receiptLookup = new TokenBucket(RATE_LIMITS.receiptLookup.capacity, RATE_LIMITS.receiptLookup.refillPerSec);
         this.global = new TokenBucket(RATE_LIMITS.globalPerIP.capacity, RATE_LIMITS.globalPerIP.refillPerSec);
         this.connectionCount = 0;
         this.roomOpsTimestamps = [];
@@ -385,6 +405,78 @@ class RateLimiter {
         return { allowed: true };
     }
     
+    /**
+     * Check if a lock-on target change is allowed
+     * @param {string} sessionId
+     * @param {string} ip
+     * @returns {{allowed: boolean, reason?: string}}
+     */
+    checkLockTarget(sessionId, ip = null) {
+        if (!this.enabled) return { allowed: true };
+        
+        const session = this.getSessionLimits(sessionId);
+        
+        if (!session.lockTarget.tryConsume()) {
+            return { allowed: false, reason: 'lock_rate_limit' };
+        }
+        
+        return { allowed: true };
+    }
+    
+    /**
+     * Check if an auto-fire start/stop toggle is allowed
+     * @param {string} sessionId
+     * @param {string} ip
+     * @returns {{allowed: boolean, reason?: string}}
+     */
+    checkAutoFire(sessionId, ip = null) {
+        if (!this.enabled) return { allowed: true };
+        
+        const session = this.getSessionLimits(sessionId);
+        
+        if (!session.autoFire.tryConsume()) {
+            return { allowed: false, reason: 'auto_fire_rate_limit' };
+        }
+        
+        return { allowed: true };
+    }
+    
+    /**
+     * Check if a power-up item purchase / activation is allowed
+     * @param {string} sessionId
+     * @param {string} ip
+     * @returns {{allowed: boolean, reason?: string}}
+     */
+    checkItemAction(sessionId, ip = null) {
+        if (!this.enabled) return { allowed: true };
+        
+        const session = this.getSessionLimits(sessionId);
+        
+        if (!session.itemAction.tryConsume()) {
+            return { allowed: false, reason: 'item_rate_limit' };
+        }
+        
+        return { allowed: true };
+    }
+    
+    /**
+     * Check if a client seed change is allowed
+     * @param {string} sessionId
+     * @param {string} ip
+     * @returns {{allowed: boolean, reason?: string}}
+     */
+    checkClientSeed(sessionId, ip = null) {
+        if (!this.enabled) return { allowed: true };
+        
+        const session = this.getSessionLimits(sessionId);
+        
+        if (!session.clientSeed.tryConsume()) {
+            return { allowed: false, reason: 'client_seed_rate_limit' };
+        }
+        
+        return { allowed: true };
+    }
+    
     /**
      * Check if a time sync ping is allowed
      * @param {string} sessionId
@@ -446,6 +538,25 @@ class RateLimiter {
         return { allowed: true };
     }
     
+    /**
+     * Check if a public receipt lookup (HTTP) is allowed for an IP
+     * @param {string} ip
+     * @returns {{allowed: boolean, reason?: string}}
+     */
+    checkReceiptLookup(ip) {
+        if (!this.enabled) return { allowed: true };
+        
+        const ipLimits = this.getIPLimits(ip);
+        
+        if (!ipLimits.receiptLookup.tryConsume()) {
+            this.logViolation('receiptLookup', null, ip, 'receipt lookup rate');
+            ipLimits.recordViolation();
+            return { allowed: false, reason: 'receipt_lookup_rate_limit' };
+        }
+        
+        return { allowed: true };
+    }
+    
     /**
      * Register a new connection
      * @param {string} sessionId
@@ -0,0 +1,18 @@
+// Tests never write into the repo's data/: each test file gets a temp
+// DATA_DIR (config versions, its generated dev receipt key) and each test a
+// fresh receipts subdirectory, so room chains do not reload across tests.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fish-data-'));
+process.env.DATA_DIR = root;
+process.env.RECEIPT_SIGNING_DEV_KEY = 'true';
+
+beforeEach(() => {
+    process.env.DATA_DIR = fs.mkdtempSync(path.join(root, 'test-'));
+});
+
+afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
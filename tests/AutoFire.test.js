@@ -0,0 +1,121 @@
+/**
+ * Auto-Fire Tests
+ *
+ * Verifies server-driven auto-fire: shots at the weapon cooldown through
+ * handleShoot, yaw / lock aiming, shot and spend caps, balance exhaustion,
+ * and anomaly accounting for auto shots.
+ */
+
+const { Fish3DGameEngine } = require('../fish3DGameEngine');
+const { anomalyDetector } = require('../src/modules/AnomalyDetector');
+
+function mockIO(emitted) {
+    return { to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }) };
+}
+
+describe('Fish3DGameEngine auto-fire', () => {
+    let engine;
+    let player;
+    let emitted;
+    let io;
+
+    // Let the weapon cooldown elapse, then run one auto-fire tick
+    function tick() {
+        player.lastShotTime -= 1000;
+        engine.updateAutoFire(io);
+    }
+
+    function stopEvent() {
+        return emitted.find(e => e.event === 'autoFireChanged' && !e.data.active);
+    }
+
+    beforeEach(() => {
+        engine = new Fish3DGameEngine('autofire-test-room', 4242);
+        player = engine.addPlayer('socket-a', 1, 'Alice');
+        emitted = [];
+        io = mockIO(emitted);
+    });
+
+    afterEach(() => {
+        anomalyDetector.destroyPlayer('socket-a');
+    });
+
+    test('fires once per cooldown along the cannon yaw and deducts cost', () => {
+        player.cannonYaw = Math.PI / 2;
+        expect(engine.startAutoFire('socket-a', {}, io)).toBe(true);
+        expect(emitted[0]).toMatchObject({ event: 'autoFireChanged', data: { playerId: 1, active: true, reason: 'started' } });
+
+        engine.updateAutoFire(io);
+        engine.updateAutoFire(io);
+        const spawned = emitted.filter(e => e.event === 'bulletSpawned');
+        expect(spawned.length).toBe(1);
+        expect(spawned[0].data.velocityX).toBeCloseTo(engine.BULLET_SPEED, 6);
+        expect(spawned[0].data.velocityZ).toBeCloseTo(0, 6);
+        expect(player.balance).toBe(999);
+        expect(player.autoFire).toMatchObject({ shots: 1, spent: 1 });
+        expect(anomalyDetector.getPlayerStats('socket-a').getTotalShots()).toBe(1);
+    });
+
+    test('aims at the locked fish instead of the yaw', () => {
+        const fish = engine.spawnFish();
+        fish.x = 0;
+        fish.z = 0;
+        engine.setLockTarget('socket-a', fish.fishId, io);
+        engine.startAutoFire('socket-a', {}, io);
+
+        tick();
+        const bullet = [...engine.bullets.values()][0];
+        expect(bullet.homingTargetId).toBe(fish.fishId);
+    });
+
+    test('stops at the shot cap', () => {
+        engine.startAutoFire('socket-a', { maxShots: 3 }, io);
+        for (let i = 0; i < 5; i++) tick();
+
+        expect(player.totalShots).toBe(3);
+        expect(player.autoFire).toBeNull();
+        expect(stopEvent().data).toMatchObject({ reason: 'shotCap', shots: 3, spent: 3 });
+    });
+
+    test('stops before a shot that would exceed the spend cap', () => {
+        player.currentWeapon = '5x';
+        engine.startAutoFire('socket-a', { maxSpend: 12 }, io);
+        for (let i = 0; i < 5; i++) tick();
+
+        expect(player.totalShots).toBe(2);
+        expect(player.balance).toBe(990);
+        expect(stopEvent().data).toMatchObject({ reason: 'spendCap', spent: 10 });
+    });
+
+    test('stops on insufficient balance without a failed shot', () => {
+        player.balance = 2;
+        engine.startAutoFire('socket-a', {}, io);
+        for (let i = 0; i < 4; i++) tick();
+
+        expect(player.balance).toBe(0);
+        expect(stopEvent().data.reason).toBe('insufficientBalance');
+        expect(emitted.some(e => e.event === 'insufficientBalance')).toBe(false);
+    });
+
+    test('player stop, invalid caps and leaving end auto-fire', () => {
+        expect(engine.startAutoFire('socket-a', { maxShots: 0 }, io)).toBe(false);
+        expect(engine.startAutoFire('socket-a', { maxSpend: 'lots' }, io)).toBe(false);
+
+        engine.startAutoFire('socket-a', {}, io);
+        expect(engine.stopAutoFire('socket-a', io)).toBe(true);
+        expect(stopEvent().data.reason).toBe('stopped');
+
+        engine.startAutoFire('socket-a', {}, io);
+        engine.removePlayer('socket-a');
+        engine.updateAutoFire(io);
+        expect(emitted.some(e => e.event === 'bulletSpawned')).toBe(false);
+    });
+
+    test('onShot runs after every auto shot', () => {
+        const onShot = jest.fn();
+        engine.startAutoFire('socket-a', { maxShots: 2 }, io, onShot);
+        tick();
+        tick();
+        expect(onShot).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Balance Receipt Tests
+ *
+ * Verifies that every balance change is receipted (SESSION_OPEN buy-in,
+ * SHOT_DEBIT, KILL_CREDIT, ITEM_PURCHASE, SESSION_CLOSE cash-out) so
+ * reconcileBalances replays each player exactly, that a shot is charged
+ * only once it actually fires, and that repeated
+ * ENFORCEMENT_ACTION receipts are coalesced rather than flooding the chain.
+ */
+
+const { ENFORCEMENT_RECEIPT_INTERVAL_MS, reconcileBalances } = require('../src/modules/AuditReceipt');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+const io = { to: () => ({ emit: () => {} }) };
+
+describe('Fish3DGameEngine balance receipts', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new Fish3DGameEngine('BALANCE-ROOM', 4);
+        engine.addPlayer('socket-a', 1, 'Alice');
+        engine.addPlayer('socket-b', 2, 'Bob');
+        engine.rtpEngine.rollSource = () => ({ roll: 0 });
+    });
+
+    const ofType = type => engine.getReceipts().filter(r => r.type === type);
+
+    test('receipts reconcile every player from buy-in to cash-out', () => {
+        const alice = engine.players.get('socket-a');
+        const buyIn = alice.balance;
+        engine.handleShoot('socket-a', 0, 200, io);
+
+        const fish = engine._createFish({ typeName: 'sardine', ...FISH_SPECIES.sardine }, engine._buildPath(0, 0, 1, 0, 0, 'straight'));
+        const bullet = { ownerSocketId: 'socket-a', cost: 1, weapon: '1x', hasHit: false };
+        engine.bullets.set('b0', bullet);
+        engine._settleSingleHit('b0', bullet, { fishId: fish.fishId, fish }, io);
+        engine.purchaseItem('socket-a', 'freeze', 1, io);
+
+        const cashOut = alice.balance;
+        engine.removePlayer('socket-a');
+        engine.closeSessions('room_closed');
+        engine.closeSessions('room_closed');
+
+        expect(ofType('SHOT_DEBIT')).toMatchObject([{ player_id: 1, weapon: '1x', shot_index: 1, amount: -1 }]);
+        expect(ofType('KILL_CREDIT')).toMatchObject([{ player_id: 1, fish_id: fish.fishId, source: 'fishKill' }]);
+        expect(ofType('SESSION_CLOSE').map(r => [r.player_id, r.reason])).toEqual([[1, 'left'], [2, 'room_closed']]);
+
+        const balances = reconcileBalances(engine.getReceipts());
+        expect(balances.valid).toBe(true);
+        expect(balances.sessions[0]).toMatchObject({ player_id: 1, buy_in: buyIn, balance: 0, cash_out: cashOut });
+        expect(balances.sessions[1].closed_at).not.toBeNull();
+        expect(engine.verifyReceiptChain().valid).toBe(true);
+    });
+
+    test('reconcileBalances reports the first receipt that does not add up', () => {
+        engine.handleShoot('socket-a', 0, 200, io);
+        const receipts = engine.getReceipts().map(r => ({ ...r }));
+        const debit = receipts.findIndex(r => r.type === 'SHOT_DEBIT');
+
+        receipts[debit].balance_after += 1;
+        expect(reconcileBalances(receipts)).toEqual({ valid: false, error: `Balance mismatch at index ${debit}`, index: debit });
+        expect(reconcileBalances(receipts.slice(debit))).toMatchObject({ valid: false, error: 'No open session at index 0' });
+    });
+
+    test('a shot that never fires is neither charged nor receipted', () => {
+        const alice = engine.players.get('socket-a');
+        const buyIn = alice.balance;
+        expect(engine.handleShoot('socket-a', alice.cannonX, alice.cannonZ, io)).toBeNull();
+        expect(alice.balance).toBe(buyIn);
+        expect(ofType('SHOT_DEBIT')).toEqual([]);
+        expect(engine.rtpLedger.report().room.costFp).toBe(0);
+
+        // Nor does it start the weapon cooldown
+        expect(engine.handleShoot('socket-a', 0, 200, io)).not.toBeNull();
+        expect(ofType('SHOT_DEBIT').length).toBe(1);
+    });
+
+    test('repeated enforcement actions are counted into the next receipt', () => {
+        const alice = engine.players.get('socket-a');
+        alice.balance = 0;
+        for (let i = 0; i < 3; i++) engine.handleShoot('socket-a', 0, 200, io);
+        expect(ofType('ENFORCEMENT_ACTION')).toMatchObject([{
+            player_id: 1, action: 'shot_rejected', reason: 'INSUFFICIENT_BALANCE', suppressed: 0, balance: 0
+        }]);
+
+        alice.enforcement['shot_rejected:INSUFFICIENT_BALANCE'].at -= ENFORCEMENT_RECEIPT_INTERVAL_MS;
+        engine.handleShoot('socket-a', 0, 200, io);
+        engine.handleShoot('socket-a', 0, 200, io);
+        expect(ofType('ENFORCEMENT_ACTION').map(r => r.suppressed)).toEqual([0, 2]);
+
+        // Spectators hold no balance and get no receipts
+        expect(engine.recordEnforcement('socket-x', 'shot_rejected', 'SPECTATOR')).toBeNull();
+
+        engine.removePlayer('socket-a');
+        const close = ofType('SESSION_CLOSE')[0];
+        expect(close.enforcement_suppressed).toEqual({ 'shot_rejected:INSUFFICIENT_BALANCE': 1 });
+        // The balance was zeroed without a receipt: the cash-out cannot add up
+        expect(reconcileBalances(engine.getReceipts())).toMatchObject({ valid: false, index: close.index });
+    });
+});
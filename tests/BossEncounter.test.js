@@ -0,0 +1,122 @@
+/**
+ * Boss Encounter Tests
+ *
+ * Verifies RTP-progress driven boss phases, timer enrage, tank containment
+ * and the scripted escape, and that the encounter never alters RTP state.
+ */
+
+const { BossEncounter, BOSS_ENCOUNTERS } = require('../src/modules/BossEncounter');
+const { TIER_CONFIG, PROGRESS_SCALE } = require('../src/modules/RTPPhase1');
+const { Fish3DGameEngine } = require('../fish3DGameEngine');
+
+function mockIO(emitted) {
+    return { to: () => ({ emit: (event, data) => emitted.push({ event, data }) }) };
+}
+
+function startBossEngine(bossType, durationMs = 30000) {
+    const engine = new Fish3DGameEngine('boss-test-room', {
+        timeline: {
+            phases: [
+                { type: 'boss', durationMs, bossTypes: [bossType] },
+                { type: 'intermission', durationMs: 60000 }
+            ]
+        }
+    });
+    const emitted = [];
+    const io = mockIO(emitted);
+    engine._enterPhase(engine.timeline.start(Date.now()), io);
+    const boss = engine.fish.get(engine.currentBoss);
+    return { engine, emitted, io, boss };
+}
+
+describe('BossEncounter', () => {
+    const fish = { fishId: 1, typeName: 'blueWhale', path: { speed: 4 } };
+
+    test('phases advance on RTP progress and never move back', () => {
+        const encounter = new BossEncounter(fish, 1e12);
+        expect(encounter.evaluate(0, 0)).toBeNull();
+        expect(encounter.evaluate(0, 0.5 * PROGRESS_SCALE)).toEqual({ phaseIndex: 1, reason: 'pressure' });
+        expect(encounter.evaluate(0, 0)).toBeNull();
+        expect(encounter.getPhase().name).toBe('agitated');
+        expect(encounter.getSpeed()).toBeCloseTo(4 * BOSS_ENCOUNTERS.blueWhale.phases[1].speedScale, 9);
+    });
+
+    test('wave timer forces the enrage phase', () => {
+        const encounter = new BossEncounter(fish, 10000);
+        expect(encounter.evaluate(10000 - BOSS_ENCOUNTERS.blueWhale.enrageAtRemainingMs, 0))
+            .toEqual({ phaseIndex: 2, reason: 'timer' });
+        expect(encounter.isEnraged()).toBe(true);
+    });
+
+    test('escaping encounter ignores further progress', () => {
+        const encounter = new BossEncounter(fish, 1e12);
+        encounter.startEscape();
+        expect(encounter.evaluate(0, PROGRESS_SCALE)).toBeNull();
+        expect(encounter.getInfo().phase).toBe('escape');
+        expect(encounter.getSpeed()).toBeCloseTo(4 * BOSS_ENCOUNTERS.blueWhale.escape.speedScale, 9);
+    });
+});
+
+describe('Fish3DGameEngine boss encounters', () => {
+    test('boss wave starts an encounter and announces phase 0', () => {
+        const { engine, emitted, boss } = startBossEngine('greatWhiteShark');
+        expect(engine.bossEncounter.fishId).toBe(boss.fishId);
+        const phaseEvent = emitted.find(e => e.event === 'bossPhaseChanged');
+        expect(phaseEvent.data).toMatchObject({ fishId: boss.fishId, phaseIndex: 0, phase: 'circling', reason: 'spawn' });
+    });
+
+    test('player progress toward hard pity advances the phase and speeds the boss up', () => {
+        const { engine, emitted, io, boss } = startBossEngine('blueWhale');
+        const baseSpeed = boss.path.speed;
+        engine.rtpEngine._getOrCreateState('socket-a', boss.fishId).sumCostFp = Math.floor(TIER_CONFIG[6].n1Fp * 0.8);
+
+        const before = JSON.stringify([...engine.rtpEngine.states]);
+        engine.updateBossEncounter(io);
+        expect(JSON.stringify([...engine.rtpEngine.states])).toBe(before);
+
+        const last = emitted.filter(e => e.event === 'bossPhaseChanged').pop();
+        expect(last.data).toMatchObject({ phase: 'enraged', enraged: true, reason: 'pressure' });
+        expect(boss.path.speed).toBeCloseTo(baseSpeed * 1.8, 9);
+        expect(boss.pathTime).toBe(0);
+    });
+
+    test('boss heading out of the tank is turned back', () => {
+        const { engine, io, boss } = startBossEngine('blueWhale');
+        boss.x = engine.MAP_BOUNDS.maxX + 5;
+        boss.z = 0;
+        boss.path.dirX = 1;
+        boss.path.dirZ = 0;
+        engine.updateBossEncounter(io);
+        expect(boss.path.dirX).toBeLessThan(0);
+        expect(boss.path.startX).toBe(boss.x);
+    });
+
+    test('wave timer expiry scripts an escape and reports bossEscaped', () => {
+        const { engine, emitted, io, boss } = startBossEngine('greatWhiteShark');
+        boss.x = engine.MAP_BOUNDS.maxX - 10;
+        boss.z = 0;
+        engine.rtpEngine._getOrCreateState('socket-a', boss.fishId).sumCostFp = 1000;
+
+        engine._exitPhase(engine.timeline.getCurrentPhase(), io);
+        expect(engine.bossEncounter.escaping).toBe(true);
+        expect(boss.path).toMatchObject({ dirX: 1, dirZ: 0, pattern: 'straight' });
+        expect(emitted.map(e => e.event)).toEqual(expect.arrayContaining(['bossWaveEnded']));
+
+        for (let i = 0; i < 600 && engine.bossEncounter; i++) {
+            engine.updateBossEncounter(io);
+            engine.updateFish(1 / 60, io);
+        }
+        const escaped = emitted.find(e => e.event === 'bossEscaped');
+        expect(escaped.data).toMatchObject({ fishId: boss.fishId, typeName: 'greatWhiteShark' });
+        expect(engine.bossEncounter).toBeNull();
+        expect(engine.rtpEngine.getState('socket-a', boss.fishId)).toBeNull();
+    });
+
+    test('killing the boss ends the encounter without an escape', () => {
+        const { engine, emitted, io, boss } = startBossEngine('blueWhale');
+        engine.handleFishKill(boss, { ownerSocketId: 'nobody' }, io, { reward: 0, killEventId: 'k1', reason: 'probability' });
+        expect(engine.bossEncounter).toBeNull();
+        engine.updateBossEncounter(io);
+        expect(emitted.some(e => e.event === 'bossEscaped')).toBe(false);
+    });
+});
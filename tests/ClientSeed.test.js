@@ -0,0 +1,106 @@
+/**
+ * Client Seed Tests
+ *
+ * Verifies that player client seeds are mixed into the room's effective HP
+ * seed as HMAC(serverSeed, clientSeeds ‖ nonce), that every change is logged
+ * with the spawn index it applies from, that historic HP replays from the
+ * reveal, and the CLIENT_SEED binary payload.
+ */
+
+const {
+    RoomSeedManager, computeCommitment, deriveEffectiveSeed, deriveHPInRange, isValidClientSeed
+} = require('../src/modules/SeedCommitment');
+const { PacketId, PayloadSizeLimits } = require('../src/protocol/packets');
+const BinaryPayloads = require('../src/protocol/payloads/BinaryPayloads');
+const { Fish3DGameEngine } = require('../fish3DGameEngine');
+
+// Replay one fish's HP from a reveal: pick the client seed set in force at its spawn index
+function replayHP(reveal, fishType, spawnIndex, hpMin, hpMax) {
+    const entry = reveal.clientSeedLog.filter(e => e.fromSpawn <= spawnIndex).pop();
+    const seed = deriveEffectiveSeed(Buffer.from(reveal.seed, 'hex'), entry.clientSeeds, entry.nonce);
+    return deriveHPInRange(seed, fishType, spawnIndex, reveal.roomId, hpMin, hpMax - hpMin + 1);
+}
+
+describe('RoomSeedManager client seeds', () => {
+    test('validates client seeds', () => {
+        expect(isValidClientSeed('lucky-7_A')).toBe(true);
+        expect(isValidClientSeed('a'.repeat(64))).toBe(true);
+        expect(isValidClientSeed('a'.repeat(65))).toBe(false);
+        expect(isValidClientSeed('a|b')).toBe(false);
+        expect(isValidClientSeed('')).toBe(false);
+        expect(isValidClientSeed(42)).toBe(false);
+        expect(new RoomSeedManager('R').setClientSeed(1, 'bad seed')).toBeNull();
+    });
+
+    test('every seed set change bumps the nonce and is logged from its spawn index', () => {
+        const seeds = new RoomSeedManager('SEEDS1');
+        expect(seeds.getInfo()).toMatchObject({ seedNonce: 0, clientSeeds: [] });
+
+        seeds.setClientSeed(2, 'bob');
+        seeds.setClientSeed(1, 'alice');
+        const hp1 = seeds.getFishHP('sardine', 20, 30);
+        seeds.setClientSeed(1, 'alice');          // unchanged: no new entry
+        seeds.setClientSeed(1, 'alice2');
+        const hp2 = seeds.getFishHP('sardine', 20, 30);
+
+        expect(seeds.getInfo()).toMatchObject({ seedNonce: 3, clientSeeds: [[1, 'alice2'], [2, 'bob']] });
+        expect(hp1.seedNonce).toBe(2);
+        expect(hp2.seedNonce).toBe(3);
+
+        const reveal = seeds.revealCurrentSeed();
+        // Sets that never derived an HP were replaced
+        expect(reveal.clientSeedLog).toEqual([
+            { nonce: 2, clientSeeds: [[1, 'alice'], [2, 'bob']], fromSpawn: 0 },
+            { nonce: 3, clientSeeds: [[1, 'alice2'], [2, 'bob']], fromSpawn: 1 }
+        ]);
+        expect(computeCommitment(Buffer.from(reveal.seed, 'hex'))).toBe(hp1.commitment);
+        expect(replayHP(reveal, 'sardine', 0, 20, 30)).toBe(hp1.hp);
+        expect(replayHP(reveal, 'sardine', 1, 20, 30)).toBe(hp2.hp);
+    });
+
+    test('rotation archives the log and restarts the nonce with the seated seeds', () => {
+        const seeds = new RoomSeedManager('SEEDS2');
+        seeds.setClientSeed(1, 'alice');
+        seeds.getFishHP('sardine', 20, 30);
+        seeds.releaseClientSeed(1);
+        seeds.setClientSeed(3, 'carol');
+        seeds.rotateSeed();
+
+        expect(seeds.revealedSeeds[0].clientSeedLog.map(e => e.nonce)).toEqual([1, 3]);
+        expect(seeds.getInfo()).toMatchObject({ seedNonce: 0, clientSeeds: [[3, 'carol']] });
+    });
+});
+
+describe('Fish3DGameEngine client seeds', () => {
+    test('players bring a seed on join and can replace it while seated', () => {
+        const engine = new Fish3DGameEngine('SEED-ROOM', { seats: 1 });
+        engine.addPlayer('socket-a', 1, 'Alice', 'alice-seed');
+        engine.addSpectator('socket-b', 2, 'Bob', 'bob-seed');
+        expect(engine.getSeedCommitment().clientSeeds).toEqual([[1, 'alice-seed']]);
+
+        expect(engine.setClientSeed('socket-a', 'not valid!')).toBeNull();
+        expect(engine.setClientSeed('socket-b', 'bob-2')).toBeNull();
+        const result = engine.setClientSeed('socket-a', 'alice-2');
+        expect(result).toEqual({ clientSeed: 'alice-2', seedNonce: engine.getSeedCommitment().seedNonce, commitment: engine.getSeedCommitment().currentCommitment });
+
+        // Leaving drops the seed; the promoted spectator brings theirs
+        engine.removePlayer('socket-a');
+        expect(engine.getSeedCommitment().clientSeeds).toEqual([[2, 'bob-seed']]);
+        expect(engine.revealSeed().clientSeedLog.length).toBeGreaterThan(0);
+    });
+
+    test('an invalid seed on join falls back to a server-generated one', () => {
+        const engine = new Fish3DGameEngine('SEED-ROOM2');
+        engine.addPlayer('socket-a', 1, 'Alice', 'no spaces allowed');
+        expect(isValidClientSeed(engine.getClientSeed('socket-a'))).toBe(true);
+        expect(engine.getClientSeed('socket-a')).not.toBe('no spaces allowed');
+    });
+});
+
+describe('CLIENT_SEED binary payload', () => {
+    test('round-trips at its fixed size', () => {
+        const buffer = BinaryPayloads.encodeClientSeed({ playerId: 'player-1', clientSeed: 'x'.repeat(64), seedNonce: 7, timestamp: 123 });
+        expect(buffer.length).toBe(PayloadSizeLimits[PacketId.CLIENT_SEED].size);
+        expect(BinaryPayloads.decodeClientSeed(buffer)).toEqual({ playerId: 'player-1', clientSeed: 'x'.repeat(64), seedNonce: 7, timestamp: 123 });
+    });
+});
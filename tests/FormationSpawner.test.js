@@ -0,0 +1,98 @@
+/**
+ * Formation Spawn Tests
+ *
+ * Verifies school spawns: shared leader path, per-member offsets,
+ * species per formation and maxFish capacity handling.
+ */
+
+const { FORMATIONS, formationOffsets } = require('../src/modules/FormationSpawner');
+const { samplePath } = require('../src/modules/MovementPatterns');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+describe('FormationSpawner', () => {
+    test('every formation references a known species', () => {
+        for (const formation of Object.values(FORMATIONS)) {
+            expect(FISH_SPECIES[formation.species]).toBeDefined();
+            expect(formation.minCount).toBeLessThanOrEqual(formation.count);
+        }
+    });
+
+    test('offsets are unique per member', () => {
+        for (const formation of Object.values(FORMATIONS)) {
+            const offsets = formationOffsets(formation.layout, formation.count);
+            expect(offsets.length).toBe(formation.count);
+            const keys = new Set(offsets.map(o => `${o.along.toFixed(3)},${o.side.toFixed(3)}`));
+            expect(keys.size).toBe(formation.count);
+        }
+    });
+});
+
+describe('Fish3DGameEngine.spawnFormation', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new Fish3DGameEngine('formation-test-room', 4242);
+    });
+
+    test('spawns the configured species with a shared leader path', () => {
+        const members = engine.spawnFormation('baitBall');
+        expect(members.length).toBe(FORMATIONS.baitBall.count);
+
+        const leader = members[0];
+        for (const fish of members) {
+            expect(fish.typeName).toBe('anchovy');
+            expect(fish.formation.leaderId).toBe(leader.fishId);
+            expect(fish.formation.formationId).toBe(leader.formation.formationId);
+            expect(fish.path.pattern).toBe(leader.path.pattern);
+            expect(fish.path.speed).toBe(leader.path.speed);
+            expect(fish.path.phase).toBe(leader.path.phase);
+            expect(fish.path.dirX).toBe(leader.path.dirX);
+            expect(fish.path.dirZ).toBe(leader.path.dirZ);
+        }
+    });
+
+    test('members keep their offset from the leader while moving', () => {
+        const members = engine.spawnFormation('synchronizedFast');
+        const leader = members[0];
+        const follower = members[1];
+        const t = 3.7;
+        const a = samplePath(leader.path, t);
+        const b = samplePath(follower.path, t);
+        const startGap = Math.hypot(follower.path.startX - leader.path.startX, follower.path.startZ - leader.path.startZ);
+        expect(Math.hypot(b.x - a.x, b.z - a.z)).toBeCloseTo(startGap, 9);
+    });
+
+    test('each member gets its own seed-derived HP and spawn index', () => {
+        const members = engine.spawnFormation('waveFormation');
+        const indices = new Set(members.map(f => f.spawnIndex));
+        expect(indices.size).toBe(members.length);
+        for (const fish of members) {
+            expect(fish.seedCommitment).toBe(engine.getSeedCommitment().currentCommitment);
+        }
+    });
+
+    test('member count is clamped to remaining maxFish capacity', () => {
+        engine.maxFish = 6;
+        const members = engine.spawnFormation('baitBall');
+        expect(members.length).toBe(6);
+        expect(engine.fish.size).toBe(6);
+    });
+
+    test('formation is skipped when fewer than minCount members fit', () => {
+        engine.maxFish = FORMATIONS.baitBall.minCount - 1;
+        expect(engine.spawnFormation('baitBall')).toEqual([]);
+        expect(engine.fish.size).toBe(0);
+    });
+
+    test('unknown formation spawns nothing', () => {
+        expect(engine.spawnFormation('doesNotExist')).toEqual([]);
+    });
+
+    test('trailing members are not culled before entering the tank', () => {
+        const members = engine.spawnFormation('groupCoordination');
+        engine.updateFish(1 / 60, null);
+        for (const fish of members) {
+            expect(engine.fish.has(fish.fishId)).toBe(true);
+        }
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Kill Roll Commitment Tests
+ *
+ * Verifies that kill rolls are derived from the committed room seed, a
+ * per-player client seed and a nonce, that every roll_failed / kill result
+ * carries its inputs, and that a player can replay each kill decision from
+ * them once the seed is revealed.
+ */
+
+const { RoomSeedManager, computeCommitment, deriveKillRoll } = require('../src/modules/SeedCommitment');
+const { RTPPhase1, MONEY_SCALE, P_SCALE } = require('../src/modules/RTPPhase1');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+function replay(reveal, proof) {
+    const seed = Buffer.from(reveal.seed, 'hex');
+    return deriveKillRoll(seed, reveal.roomId, proof.playerId, proof.clientSeed, proof.nonce, proof.fishId);
+}
+
+describe('RoomSeedManager kill rolls', () => {
+    test('rolls are committed, in range and use consecutive nonces per player', () => {
+        const seeds = new RoomSeedManager('ROLL01');
+        const rolls = [seeds.rollKill(1, 10), seeds.rollKill(1, 11), seeds.rollKill(2, 10)];
+        expect(rolls.map(r => r.nonce)).toEqual([0, 1, 0]);
+        expect(rolls[0].clientSeed).toBe(rolls[1].clientSeed);
+        expect(rolls[0].clientSeed).not.toBe(rolls[2].clientSeed);
+
+        const reveal = seeds.revealCurrentSeed();
+        expect(computeCommitment(Buffer.from(reveal.seed, 'hex'))).toBe(rolls[0].commitment);
+        for (const roll of rolls) {
+            expect(roll.roll).toBeGreaterThanOrEqual(0);
+            expect(roll.roll).toBeLessThan(P_SCALE);
+            expect(replay(reveal, roll)).toBe(roll.roll);
+        }
+    });
+
+    test('nonces restart per seed but survive a released client seed', () => {
+        const seeds = new RoomSeedManager('ROLL02');
+        seeds.rollKill(1, 1);
+        seeds.releaseClientSeed(1);
+        expect(seeds.rollKill(1, 1).nonce).toBe(1);
+        seeds.rotateSeed();
+        expect(seeds.rollKill(1, 1).nonce).toBe(0);
+    });
+});
+
+describe('RTPPhase1 roll source', () => {
+    test('roll_failed and probability kills carry the roll proof', () => {
+        const rtp = new RTPPhase1({ rollSource: (playerId, fishId) => ({ roll: P_SCALE - 1, playerId, fishId, nonce: 0 }) });
+        const miss = rtp.handleSingleTargetHit('p1', 1, MONEY_SCALE, 1);
+        expect(miss.reason).toBe('roll_failed');
+        expect(miss.rollProof).toEqual({ roll: P_SCALE - 1, playerId: 'p1', fishId: 1, nonce: 0, pFp: miss.pFp });
+
+        rtp.rollSource = () => ({ roll: 0 });
+        const [kill] = rtp.handleMultiTargetHit('p1', [{ fishId: 2, tier: 1, distance: 1 }], MONEY_SCALE, 'aoe');
+        expect(kill.reason).toBe('probability');
+        expect(kill.rollProof.roll).toBeLessThan(kill.rollProof.pFp);
+    });
+
+    test('hard pity kills consume no roll', () => {
+        const rollSource = jest.fn(() => ({ roll: P_SCALE - 1 }));
+        const rtp = new RTPPhase1({ rollSource });
+        const result = rtp.handleSingleTargetHit('p1', 1, 6 * MONEY_SCALE, 1);
+        expect(result.reason).toBe('hard_pity');
+        expect(result.rollProof).toBeUndefined();
+        expect(rollSource).not.toHaveBeenCalled();
+    });
+});
+
+describe('Fish3DGameEngine committed kill rolls', () => {
+    test('every fishHit / fishKilled decision replays after requestSeedReveal', () => {
+        const events = [];
+        const io = { to: () => ({ emit: (name, data) => events.push({ name, data }) }) };
+        const engine = new Fish3DGameEngine('ROLL-ROOM', 17);
+        engine.addPlayer('socket-a', 1, 'Alice');
+
+        for (let i = 0; i < 200; i++) {
+            const fish = engine._createFish({ typeName: 'sardine', ...FISH_SPECIES.sardine }, engine._buildPath(0, 0, 1, 0, 0, 'straight'));
+            const bullet = { ownerSocketId: 'socket-a', cost: 1, weapon: '1x', hasHit: false };
+            engine.bullets.set(`b${i}`, bullet);
+            engine._settleSingleHit(`b${i}`, bullet, { fishId: fish.fishId, fish }, io);
+        }
+
+        const proofs = events
+            .filter(e => e.name === 'fishHit' || e.name === 'fishKilled')
+            .map(e => e.data.killRoll)
+            .filter(Boolean);
+        expect(proofs.length).toBe(200);
+        expect(proofs.map(p => p.nonce)).toEqual([...Array(200).keys()]);
+
+        const reveal = engine.revealSeed();
+        for (const proof of proofs) {
+            expect(proof.commitment).toBe(reveal.commitment);
+            expect(proof.playerId).toBe(1);
+            expect(replay(reveal, proof)).toBe(proof.roll);
+        }
+        // Each published decision follows from the replayed roll
+        const kills = events.filter(e => e.name === 'fishKilled').map(e => e.data.killRoll);
+        expect(kills.length).toBeGreaterThan(0);
+        expect(kills.every(p => p.roll < p.pFp)).toBe(true);
+        const misses = events.filter(e => e.name === 'fishHit' && e.data.killRoll).map(e => e.data.killRoll);
+        expect(misses.every(p => p.roll >= p.pFp)).toBe(true);
+
+        const receipt = engine.getReceipts().find(r => r.type === 'FISH_DEATH');
+        expect(receipt.kill_roll).toEqual(kills[0]);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Lock-On Targeting Tests
+ *
+ * Verifies server-side lock validation, aim override, homing bullets that
+ * still resolve hits through checkCollisions, lock release, and the
+ * LOCK_TARGET binary payload.
+ */
+
+const { Fish3DGameEngine } = require('../fish3DGameEngine');
+const BinaryPayloads = require('../src/protocol/payloads/BinaryPayloads');
+const { parseLockTarget } = require('../src/protocol/deserializer');
+const { PacketId, getFixedPayloadSize } = require('../src/protocol/packets');
+
+function mockIO(emitted) {
+    return { to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }) };
+}
+
+// Park a fish at (x, z) moving along +Z at the given speed
+function placeFish(engine, x, z, speed = 0) {
+    const fish = engine.spawnFish();
+    fish.path = { pattern: 'straight', startX: x, startZ: z, dirX: 0, dirZ: 1, speed, phase: 0 };
+    fish.pathTime = 0;
+    fish.x = x;
+    fish.z = z;
+    return fish;
+}
+
+describe('Fish3DGameEngine lock-on targeting', () => {
+    let engine;
+    let emitted;
+    let io;
+
+    beforeEach(() => {
+        engine = new Fish3DGameEngine('lock-test-room', 2024);
+        engine.addPlayer('socket-a', 1, 'Alice');
+        emitted = [];
+        io = mockIO(emitted);
+    });
+
+    test('only live fish inside the tank can be locked', () => {
+        const inside = placeFish(engine, 0, 0);
+        const outside = placeFish(engine, engine.MAP_BOUNDS.maxX + 5, 0);
+
+        expect(engine.setLockTarget('socket-a', 9999, io)).toBe(false);
+        expect(engine.setLockTarget('socket-a', outside.fishId, io)).toBe(false);
+        expect(engine.setLockTarget('socket-a', inside.fishId, io)).toBe(true);
+
+        const player = engine.players.get('socket-a');
+        expect(player.lockedFishId).toBe(inside.fishId);
+        expect(emitted.pop()).toMatchObject({ event: 'lockTargetChanged', data: { playerId: 1, fishId: inside.fishId, reason: 'locked' } });
+
+        expect(engine.setLockTarget('socket-a', null, io)).toBe(true);
+        expect(player.lockedFishId).toBeNull();
+    });
+
+    test('locked shots ignore the client aim point and carry the homing target', () => {
+        const fish = placeFish(engine, 0, 0);
+        engine.setLockTarget('socket-a', fish.fishId, io);
+
+        const bullet = engine.handleShoot('socket-a', -60, 200, io);
+        const player = engine.players.get('socket-a');
+        const expected = Math.atan2(fish.z - player.cannonZ, fish.x - player.cannonX);
+        expect(Math.atan2(bullet.velocityZ, bullet.velocityX)).toBeCloseTo(expected, 9);
+        expect(bullet.homingTargetId).toBe(fish.fishId);
+        expect(emitted.find(e => e.event === 'bulletSpawned').data.homingTargetId).toBe(fish.fishId);
+    });
+
+    test('homing bullet follows a moving fish and hits it via checkCollisions', () => {
+        const fish = placeFish(engine, 40, -40, 60);
+        engine.setLockTarget('socket-a', fish.fishId, io);
+        engine.handleShoot('socket-a', 0, 0, io);
+
+        let hit = null;
+        for (let i = 0; i < 120 && !hit; i++) {
+            engine.updateFish(1 / 60, io);
+            engine.updateBullets(1 / 60, io);
+            engine.checkCollisions(io);
+            hit = emitted.find(e => e.event === 'fishHit');
+        }
+        expect(hit).toBeDefined();
+        expect(hit.data.fishId).toBe(fish.fishId);
+    });
+
+    test('only the centre spread pellet homes', () => {
+        const fish = placeFish(engine, -60, 0);
+        engine.players.get('socket-a').currentWeapon = '3x';
+        engine.setLockTarget('socket-a', fish.fishId, io);
+
+        const pellets = engine.handleShoot('socket-a', 0, 0, io);
+        expect(pellets.map(p => p.homingTargetId)).toEqual([fish.fishId, null, null]);
+    });
+
+    test('lock is released when the fish is gone', () => {
+        const fish = placeFish(engine, 0, 0);
+        engine.setLockTarget('socket-a', fish.fishId, io);
+        engine.fish.delete(fish.fishId);
+
+        engine.updateLockTargets(io);
+        expect(engine.players.get('socket-a').lockedFishId).toBeNull();
+        expect(emitted.pop().data).toMatchObject({ fishId: null, reason: 'targetLost' });
+        expect(engine.getLockAim('socket-a')).toBeNull();
+    });
+});
+
+describe('LOCK_TARGET payload', () => {
+    test('round-trips through the binary encoder and parser', () => {
+        const buffer = BinaryPayloads.encodeLockTarget({ playerId: 'player-1', fishId: 4321, timestamp: 1700000000000 });
+        expect(buffer.length).toBe(getFixedPayloadSize(PacketId.LOCK_TARGET));
+        const parsed = parseLockTarget(BinaryPayloads.decodeLockTarget(buffer));
+        expect(parsed).toEqual({ playerId: 'player-1', fishId: 4321, timestamp: 1700000000000 });
+    });
+
+    test('fishId 0 parses as a cleared lock', () => {
+        const buffer = BinaryPayloads.encodeLockTarget({ playerId: 'player-1', fishId: 0 });
+        expect(parseLockTarget(BinaryPayloads.decodeLockTarget(buffer)).fishId).toBeNull();
+    });
+});
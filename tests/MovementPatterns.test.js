@@ -0,0 +1,107 @@
+/**
+ * Movement Pattern Tests
+ *
+ * Verifies that species movement patterns are sampled server-side and
+ * that the path descriptor published to clients reproduces the server curve.
+ */
+
+const { MOVEMENT_PATTERNS, samplePath, alongTrackDistance } = require('../src/modules/MovementPatterns');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+describe('MovementPatterns', () => {
+    const basePath = { startX: 0, startZ: 0, dirX: 1, dirZ: 0, speed: 10, phase: 0 };
+
+    test('every species movementPattern has a definition', () => {
+        for (const species of Object.values(FISH_SPECIES)) {
+            expect(MOVEMENT_PATTERNS[species.movementPattern]).toBeDefined();
+        }
+    });
+
+    test('every pattern starts at the spawn point', () => {
+        for (const pattern of Object.keys(MOVEMENT_PATTERNS)) {
+            const pos = samplePath({ ...basePath, pattern, phase: 1.3 }, 0);
+            expect(pos.x).toBeCloseTo(0, 9);
+            expect(pos.z).toBeCloseTo(0, 9);
+        }
+    });
+
+    test('straight pattern moves at constant velocity along heading', () => {
+        const pos = samplePath({ ...basePath, pattern: 'straight' }, 2);
+        expect(pos.x).toBeCloseTo(20, 9);
+        expect(pos.z).toBeCloseTo(0, 9);
+    });
+
+    test('sShape deviates laterally from the straight line', () => {
+        const quarter = MOVEMENT_PATTERNS.sShape.lateral.periodMs / 4000;
+        const pos = samplePath({ ...basePath, pattern: 'sShape' }, quarter);
+        expect(pos.x).toBeCloseTo(10 * quarter, 9);
+        expect(Math.abs(pos.z)).toBeCloseTo(MOVEMENT_PATTERNS.sShape.lateral.amplitude, 6);
+    });
+
+    test('stopAndGo holds position during the idle part of the cycle', () => {
+        const profile = MOVEMENT_PATTERNS.stopAndGo.speed;
+        const activeEnd = profile.activeMs / 1000;
+        const cycleEnd = profile.cycleMs / 1000;
+        const d1 = alongTrackDistance(profile, 10, activeEnd, 0);
+        const d2 = alongTrackDistance(profile, 10, cycleEnd - 0.01, 0);
+        expect(d2).toBeCloseTo(d1, 9);
+        expect(alongTrackDistance(profile, 10, cycleEnd + 0.5, 0)).toBeGreaterThan(d1);
+    });
+
+    test('burstSprint is faster during the burst than while cruising', () => {
+        const profile = MOVEMENT_PATTERNS.burstSprint.speed;
+        const burst = alongTrackDistance(profile, 10, 0.5, 0);
+        const cruise = alongTrackDistance(profile, 10, 2.5, 0) - alongTrackDistance(profile, 10, 2.0, 0);
+        expect(burst).toBeGreaterThan(cruise);
+    });
+
+    test('pulse distance never decreases', () => {
+        let regressions = 0;
+        for (const def of Object.values(MOVEMENT_PATTERNS)) {
+            let prev = 0;
+            for (let t = 0.05; t < 20; t += 0.05) {
+                const d = alongTrackDistance(def.speed, 10, t, 2.1);
+                if (d < prev - 1e-9) regressions++;
+                prev = d;
+            }
+        }
+        expect(regressions).toBe(0);
+    });
+});
+
+describe('Fish3DGameEngine movement', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new Fish3DGameEngine('movement-test-room', 12345);
+    });
+
+    test('spawned fish carry a path descriptor for their species pattern', () => {
+        const fish = engine.spawnFish();
+        expect(fish.path).toBeDefined();
+        expect(fish.path.pattern).toBe(FISH_SPECIES[fish.typeName].movementPattern);
+        expect(fish.pathTime).toBe(0);
+    });
+
+    test('updateFish follows samplePath for the accumulated path time', () => {
+        const fish = engine.spawnFish();
+        fish.path.pattern = 'sShape';
+        const dt = 1 / 60;
+        for (let i = 0; i < 120; i++) engine.updateFish(dt, null);
+        const expected = samplePath(fish.path, fish.pathTime);
+        expect(fish.x).toBeCloseTo(expected.x, 9);
+        expect(fish.z).toBeCloseTo(expected.z, 9);
+    });
+
+    test('gameState publishes path descriptor and path time', () => {
+        const fish = engine.spawnFish();
+        engine.updateFish(1 / 60, null);
+        const emitted = [];
+        const io = { to: () => ({ emit: (event, data) => emitted.push({ event, data }) }) };
+        engine.broadcastGameState(io);
+        const state = emitted.find(e => e.event === 'gameState').data;
+        const entry = state.fish.find(f => f.id === fish.fishId);
+        expect(entry.path).toEqual(fish.path);
+        expect(entry.pt).toBeCloseTo(1 / 60, 9);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Penetrating Weight Tests
+ *
+ * Verifies that 'penetrating' multi-target settlement weights hits by the
+ * PENETRATING_CONFIG falloff table, caps at its MAX_TARGETS, and — in a
+ * seeded beam simulation — conserves budget, keeps the budget RTP inside
+ * the tier targets and never pays above it.
+ */
+
+const { serverCSPRNG } = require('../src/rng/CSPRNG');
+const { PENETRATING_CONFIG } = require('../src/config/GameConfig');
+const {
+    RTPPhase1, MONEY_SCALE, RTP_SCALE, WEIGHT_SCALE, TIER_CONFIG, PENETRATING_MAX_TARGETS
+} = require('../src/modules/RTPPhase1');
+const { validateWeaponCatalogue } = require('../src/modules/WeaponCatalogue');
+const { WEAPONS } = require('../fish3DGameEngine');
+
+function mulberry32(seed) {
+    let s = seed | 0;
+    return function () {
+        s = (s + 0x6D2B79F5) | 0;
+        let t = Math.imul(s ^ (s >>> 15), 1 | s);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function beam(n, tier = 1) {
+    return Array.from({ length: n }, (_, i) => ({ fishId: `f${i}`, tier, distance: i + 1 }));
+}
+
+// Persistent 5-fish beam; a killed fish is replaced in its slot
+function simulateBeam(weaponType, seed, shots) {
+    const rng = mulberry32(seed);
+    serverCSPRNG.random = rng;
+
+    const rtp = new RTPPhase1();
+    const costFp = 20 * MONEY_SCALE;
+    let nextId = 0;
+    const newFish = () => ({ fishId: `sim-${nextId++}`, tier: 1 + Math.floor(rng() * 6), distance: 1 });
+    const targets = Array.from({ length: PENETRATING_MAX_TARGETS }, newFish);
+
+    const totals = { cost: 0, payout: 0, budget: 0, weightViolations: 0, budgetViolations: 0 };
+    for (let shot = 0; shot < shots; shot++) {
+        const { results, _debug } = rtp.handleMultiTargetHit('p1', targets, costFp, weaponType, { debug: true });
+        totals.cost += costFp;
+        totals.budget += _debug.budgetTotalFp;
+        if (_debug.weightsFp.reduce((s, w) => s + w, 0) !== WEIGHT_SCALE) totals.weightViolations++;
+        if (_debug.budgetAllocFp.reduce((s, b) => s + b, 0) !== _debug.budgetTotalFp) totals.budgetViolations++;
+
+        results.forEach((result, i) => {
+            if (!result.kill) return;
+            totals.payout += result.rewardFp;
+            rtp.clearFishStates(result.fishId);
+            targets[i] = newFish();
+        });
+    }
+    return totals;
+}
+
+describe('RTPPhase1 penetrating settlement', () => {
+    const originalRandom = serverCSPRNG.random;
+
+    afterEach(() => {
+        serverCSPRNG.random = originalRandom;
+    });
+
+    test('weights follow the PENETRATING_CONFIG falloff by hit order', () => {
+        const { _debug } = new RTPPhase1().handleMultiTargetHit('p1', beam(5), 20 * MONEY_SCALE, 'penetrating', { debug: true });
+        // [1.0, 0.8, 0.6, 0.4, 0.2] / 3.0, last target takes the remainder
+        expect(PENETRATING_CONFIG.DAMAGE_MULTIPLIERS).toEqual([1.0, 0.8, 0.6, 0.4, 0.2]);
+        expect(_debug.weightsFp).toEqual([333333, 266666, 200000, 133333, 66668]);
+        expect(_debug.weightsFp.reduce((s, w) => s + w, 0)).toBe(WEIGHT_SCALE);
+    });
+
+    test('caps settlement at PENETRATING_CONFIG.MAX_TARGETS', () => {
+        const results = new RTPPhase1().handleMultiTargetHit('p1', beam(8), 20 * MONEY_SCALE, 'penetrating');
+        expect(results.length).toBe(PENETRATING_CONFIG.MAX_TARGETS);
+    });
+
+    test('budget RTP equals the falloff-weighted tier target', () => {
+        const hitList = [1, 6, 3].map((tier, i) => ({ fishId: `w${i}`, tier, distance: 1 }));
+        const { _debug } = new RTPPhase1().handleMultiTargetHit('p1', hitList, 20 * MONEY_SCALE, 'penetrating', { debug: true });
+        const weightedFp = hitList.reduce((s, h, i) => s + Math.floor(_debug.weightsFp[i] * TIER_CONFIG[h.tier].rtpTierFp / WEIGHT_SCALE), 0);
+        expect(_debug.budgetTotalFp).toBe(Math.floor(20 * MONEY_SCALE * weightedFp / RTP_SCALE));
+    });
+
+    test('seeded beam simulation holds the RTP target', () => {
+        const penetrating = simulateBeam('penetrating', 20260301, 20000);
+        const laser = simulateBeam('laser', 20260301, 20000);
+
+        expect(penetrating.weightViolations).toBe(0);
+        expect(penetrating.budgetViolations).toBe(0);
+
+        const budgetRtp = penetrating.budget / penetrating.cost;
+        expect(budgetRtp).toBeGreaterThanOrEqual(TIER_CONFIG[1].rtpTierFp / RTP_SCALE);
+        expect(budgetRtp).toBeLessThanOrEqual(TIER_CONFIG[6].rtpTierFp / RTP_SCALE);
+
+        // Never pays above its budget, and no worse than the 1/(i+1) laser split
+        const realizedRtp = penetrating.payout / penetrating.cost;
+        expect(realizedRtp).toBeLessThanOrEqual(budgetRtp);
+        expect(realizedRtp).toBeGreaterThanOrEqual(laser.payout / laser.cost - 0.01);
+    });
+});
+
+describe('Penetrating weapons in the catalogue', () => {
+    test('ordered-batch weapons may opt into penetrating weights', () => {
+        expect(WEAPONS['20x'].weights).toBe('penetrating');
+
+        const beamWeapon = { multiplier: 8, cost: 8, cooldown: 500, damage: 8, type: 'laser', weights: 'penetrating', features: [] };
+        expect(validateWeaponCatalogue({ beam: { ...beamWeapon, maxTargets: 5 } })).toEqual({ valid: true });
+        expect(validateWeaponCatalogue({ beam: { ...beamWeapon, maxTargets: 6 } }).errors)
+            .toEqual(['beam: maxTargets must be an integer within [1, 5]']);
+        expect(validateWeaponCatalogue({ beam: { ...beamWeapon, weights: 'cubic' } }).errors)
+            .toEqual(['beam: weights must be laser or penetrating']);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Power-Up Item Tests
+ *
+ * Verifies item purchase from balance (receipted, outside RTP settlement),
+ * inventory limits, and the freeze / slow / frenzy activation effects.
+ */
+
+const { POWER_UP_ITEMS, MAX_ITEM_STACK, listItems } = require('../src/modules/PowerUpItems');
+const { Fish3DGameEngine, WEAPONS } = require('../fish3DGameEngine');
+
+function mockIO(emitted) {
+    return { to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }) };
+}
+
+describe('PowerUpItems', () => {
+    test('lists every item with its stack limit', () => {
+        expect(listItems().map(i => i.itemId)).toEqual(['freeze', 'slow', 'frenzy']);
+        expect(listItems()[0]).toMatchObject({ price: POWER_UP_ITEMS.freeze.price, scope: 'room', maxStack: MAX_ITEM_STACK });
+    });
+});
+
+describe('Fish3DGameEngine power-up items', () => {
+    let engine;
+    let player;
+    let emitted;
+    let io;
+
+    beforeEach(() => {
+        engine = new Fish3DGameEngine('item-test-room', 31);
+        player = engine.addPlayer('socket-a', 1, 'Alice');
+        emitted = [];
+        io = mockIO(emitted);
+    });
+
+    test('purchase debits balance, fills inventory and writes a receipt outside RTP', () => {
+        const singleHit = jest.spyOn(engine.rtpEngine, 'handleSingleTargetHit');
+        const multiHit = jest.spyOn(engine.rtpEngine, 'handleMultiTargetHit');
+
+        const result = engine.purchaseItem('socket-a', 'slow', 2, io);
+        expect(result.success).toBe(true);
+        expect(player.balance).toBe(1000 - 2 * POWER_UP_ITEMS.slow.price);
+        expect(player.inventory).toEqual({ slow: 2 });
+        expect(player.itemSpend).toBe(2 * POWER_UP_ITEMS.slow.price);
+        expect(player.totalShots).toBe(0);
+        expect(singleHit).not.toHaveBeenCalled();
+        expect(multiHit).not.toHaveBeenCalled();
+        expect(engine.rtpEngine.states.size).toBe(0);
+
+        expect(result.receipt).toMatchObject({
+            type: 'ITEM_PURCHASE',
+            player_id: 1,
+            item_id: 'slow',
+            quantity: 2,
+            total_price: 2 * POWER_UP_ITEMS.slow.price,
+            balance_after: player.balance,
+            rtp_excluded: true
+        });
+        expect(engine.verifyReceiptChain().valid).toBe(true);
+        expect(emitted.find(e => e.event === 'balanceUpdate').data.reason).toBe('itemPurchase');
+    });
+
+    test('rejects unknown items, bad quantities, full stacks and short balance', () => {
+        expect(engine.purchaseItem('socket-a', 'nuke', 1, io).reason).toBe('UNKNOWN_ITEM');
+        expect(engine.purchaseItem('socket-a', 'freeze', 0, io).reason).toBe('INVALID_QUANTITY');
+        expect(engine.purchaseItem('socket-a', 'freeze', MAX_ITEM_STACK + 1, io).reason).toBe('INVENTORY_FULL');
+
+        player.balance = POWER_UP_ITEMS.freeze.price - 1;
+        expect(engine.purchaseItem('socket-a', 'freeze', 1, io).reason).toBe('INSUFFICIENT_BALANCE');
+        expect(engine.purchaseItem('spectator', 'freeze', 1, io).reason).toBe('NOT_SEATED');
+        expect(engine.getReceipts().filter(r => r.type === 'ITEM_PURCHASE').length).toBe(0);
+    });
+
+    test('freeze holds every fish in place', () => {
+        engine.purchaseItem('socket-a', 'freeze', 1, io);
+        const fish = engine.spawnFish();
+        const { x, z } = fish;
+
+        const result = engine.activateItem('socket-a', 'freeze', io);
+        expect(result.success).toBe(true);
+        expect(engine.frozenUntil).toBe(result.until);
+        expect(player.inventory).toEqual({});
+
+        engine.updateFish(0.5, io);
+        expect(fish.x).toBe(x);
+        expect(fish.z).toBe(z);
+        expect(emitted.find(e => e.event === 'itemActivated').data).toMatchObject({ playerId: 1, itemId: 'freeze', scope: 'room' });
+        expect(engine.activateItem('socket-a', 'freeze', io).reason).toBe('NOT_OWNED');
+    });
+
+    test('slow advances fish paths at the item speed scale', () => {
+        const fish = engine.spawnFish();
+        engine.updateFish(0.2, io);
+        expect(fish.pathTime).toBeCloseTo(0.2, 9);
+
+        engine.purchaseItem('socket-a', 'slow', 1, io);
+        engine.activateItem('socket-a', 'slow', io);
+        engine.updateFish(0.2, io);
+        expect(fish.pathTime).toBeCloseTo(0.2 + 0.2 * POWER_UP_ITEMS.slow.speedScale, 9);
+    });
+
+    test('frenzy scales only the activating player\'s cooldown', () => {
+        const other = engine.addPlayer('socket-b', 2, 'Bob');
+        const cooldown = WEAPONS['1x'].cooldown;
+
+        engine.purchaseItem('socket-a', 'frenzy', 1, io);
+        engine.activateItem('socket-a', 'frenzy', io);
+        expect(engine.getWeaponCooldown(player, WEAPONS['1x'])).toBe(cooldown * POWER_UP_ITEMS.frenzy.cooldownScale);
+        expect(engine.getWeaponCooldown(other, WEAPONS['1x'])).toBe(cooldown);
+
+        // A shot inside the normal cooldown is accepted while frenzied
+        player.lastShotTime = Date.now() - cooldown * 0.75;
+        expect(engine.handleShoot('socket-a', 0, 0, io)).not.toBeNull();
+        other.lastShotTime = Date.now() - cooldown * 0.75;
+        expect(engine.handleShoot('socket-b', 0, 0, io)).toBeNull();
+    });
+});
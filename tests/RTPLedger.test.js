@@ -0,0 +1,128 @@
+/**
+ * RTP Ledger Tests
+ *
+ * Verifies the live RTP counters: cost from shot debits only, tier cost
+ * split by settlement weight, payouts and kills by reason per player /
+ * weapon / tier, outstanding budget debt, and server-wide totals.
+ */
+
+const { RTPLedger, combineReports } = require('../src/modules/RTPLedger');
+const { MONEY_SCALE, RTP_TIER_FP } = require('../src/modules/RTPPhase1');
+const { Fish3DGameEngine, FISH_SPECIES, WEAPONS } = require('../fish3DGameEngine');
+
+function mockIO() {
+    return { to: () => ({ emit: () => {} }) };
+}
+
+function placeSardine(engine, x, z) {
+    const fish = engine._createFish({ typeName: 'sardine', ...FISH_SPECIES.sardine }, engine._buildPath(x, z, x + 1, z, 0, 'straight'));
+    fish.x = x;
+    fish.z = z;
+    return fish;
+}
+
+describe('RTPLedger', () => {
+    test('reports RTP against cost-weighted tier targets', () => {
+        const ledger = new RTPLedger();
+        ledger.recordShot(1, '1x', 3000);
+        ledger.recordShot(2, '5x', 5000);
+        ledger.recordTierCost(1, 6000);
+        ledger.recordTierCost(6, 2000);
+        ledger.recordKill(1, '1x', 1, 'hard_pity');
+        ledger.recordPayout('1x', 1, 4500);
+        ledger.recordPlayerPayout(1, 4000);
+        ledger.recordPlayerPayout(2, 500);
+
+        const report = ledger.report([{ playerId: 2, tier: 6, debtFp: 700 }]);
+        expect(report.room).toMatchObject({
+            shots: 2, costFp: 8000, payoutFp: 4500, rtpFp: 5625, outstandingDebtFp: 700,
+            kills: { hard_pity: 1, probability: 0 },
+            targetRtpFp: Math.floor((6000 * RTP_TIER_FP[1] + 2000 * RTP_TIER_FP[6]) / 8000)
+        });
+        expect(report.players[1]).toMatchObject({ costFp: 3000, payoutFp: 4000, rtpFp: 13333, outstandingDebtFp: 0 });
+        expect(report.players[2].outstandingDebtFp).toBe(700);
+        expect(report.weapons['5x']).toMatchObject({ shots: 1, payoutFp: 0, rtpFp: 0 });
+        expect(report.tiers[1]).toMatchObject({ costFp: 6000, payoutFp: 4500, rtpFp: 7500, targetRtpFp: RTP_TIER_FP[1] });
+        expect(report.tiers[6]).toMatchObject({ rtpFp: 0, outstandingDebtFp: 700 });
+    });
+
+    test('combines room reports into server totals', () => {
+        const a = new RTPLedger();
+        const b = new RTPLedger();
+        a.recordShot(1, '1x', 1000);
+        a.recordTierCost(2, 1000);
+        b.recordShot(1, '1x', 3000);
+        b.recordTierCost(2, 3000);
+        b.recordKill(1, '1x', 2, 'probability');
+        b.recordPayout('1x', 2, 7666);
+
+        const total = combineReports([a.report(), b.report([{ playerId: 1, tier: 2, debtFp: 10 }])]);
+        expect(total.rooms).toBe(2);
+        expect(total.room).toMatchObject({ shots: 2, costFp: 4000, payoutFp: 7666, rtpFp: 19165, outstandingDebtFp: 10, targetRtpFp: RTP_TIER_FP[2] });
+        expect(total.weapons['1x'].kills.probability).toBe(1);
+        expect(total.tiers[2]).toMatchObject({ costFp: 4000, outstandingDebtFp: 10 });
+        expect(new RTPLedger().report().room.rtpFp).toBeNull();
+    });
+});
+
+describe('Fish3DGameEngine RTP ledger', () => {
+    let engine;
+    let player;
+    let io;
+
+    beforeEach(() => {
+        engine = new Fish3DGameEngine('ledger-test-room', 41);
+        player = engine.addPlayer('socket-a', 1, 'Alice');
+        io = mockIO();
+    });
+
+    // Cannon 0 sits at (-60, 55); aim straight up the tank (-Z)
+    function fire(weaponKey) {
+        player.currentWeapon = weaponKey;
+        player.lastShotTime = 0;
+        engine.handleShoot('socket-a', -60, 0, io);
+        engine.updateBullets(0.1, io);
+        engine.checkCollisions(io);
+    }
+
+    test('a settled kill books cost, payout and kill reason everywhere', () => {
+        const fish = placeSardine(engine, -60, 40);
+        engine.rtpEngine.rollSource = () => ({ roll: 0 });
+        fire('1x');
+        expect(engine.fish.has(fish.fishId)).toBe(false);
+
+        const report = engine.getRTPReport();
+        expect(report.roomCode).toBe('ledger-test-room');
+        expect(report.room).toMatchObject({ shots: 1, costFp: MONEY_SCALE, payoutFp: 4500, kills: { probability: 1 } });
+        expect(report.players[1].payoutFp).toBe(4500);
+        expect(report.weapons['1x'].kills.probability).toBe(1);
+        expect(report.tiers[fish.tier]).toMatchObject({ costFp: MONEY_SCALE, payoutFp: 4500 });
+    });
+
+    test('batch settlement splits tier cost by weight; item spend stays out', () => {
+        placeSardine(engine, -60, 40);
+        placeSardine(engine, -60, 30);
+        engine.purchaseItem('socket-a', 'slow', 1, io);
+        fire('20x');
+        const drill = [...engine.bullets.values()][0];
+        drill.spawnTime = 0;
+        engine.updateBullets(0.01, io);
+
+        const report = engine.getRTPReport();
+        expect(report.room.costFp).toBe(WEAPONS['20x'].cost * MONEY_SCALE);
+        expect(report.tiers[1].costFp).toBeLessThanOrEqual(report.room.costFp);
+        expect(report.tiers[1].costFp).toBeGreaterThan(report.room.costFp - 2);
+        // Each sardine's weighted share is past n1, so both fall to hard pity
+        expect(report.room.kills.hard_pity).toBe(2);
+        expect(report.room.payoutFp).toBe(2 * 4500);
+    });
+
+    test('reports outstanding budget debt on live fish', () => {
+        const fish = placeSardine(engine, 0, 0);
+        engine.rtpEngine.importStates([['socket-a', String(fish.fishId), { sumCostFp: 1000, budgetRemainingFp: -2500, killed: false }]]);
+        const report = engine.getRTPReport();
+        expect(report.room.outstandingDebtFp).toBe(2500);
+        expect(report.tiers[fish.tier]).toMatchObject({ costFp: 0, outstandingDebtFp: 2500 });
+        expect(report.players[1]).toMatchObject({ shots: 0, outstandingDebtFp: 2500 });
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * RTP State Store Tests
+ *
+ * Verifies the memory / file stores, that RTPPhase1 budget state and the
+ * fish table survive an engine rebuild verbatim, that seats are reclaimed
+ * only with their resume token, and that hard pity still fires at n1Fp
+ * after a restore.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MemoryStateStore, FileStateStore, saveRoomState, loadRoomState, deleteRoomState, listRoomStates
+} = require('../src/modules/RTPStateStore');
+const { RTPPhase1, MONEY_SCALE, P_SCALE, TIER_CONFIG } = require('../src/modules/RTPPhase1');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+describe('RTPStateStore', () => {
+    test('memory store speaks the Redis string subset', async () => {
+        const store = new MemoryStateStore();
+        await saveRoomState(store, 'ROOM01', { version: 1, roomCode: 'ROOM01' });
+        await saveRoomState(store, 'ROOM02', { version: 1, roomCode: 'ROOM02' });
+        store.set('other', 'x');
+
+        expect(await listRoomStates(store)).toEqual(['ROOM01', 'ROOM02']);
+        expect(await loadRoomState(store, 'ROOM01')).toEqual({ version: 1, roomCode: 'ROOM01' });
+        await deleteRoomState(store, 'ROOM01');
+        expect(await loadRoomState(store, 'ROOM01')).toBeNull();
+    });
+
+    test('file store persists across instances and ignores unknown versions', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rtp-state-'));
+        try {
+            await saveRoomState(new FileStateStore(dir), 'single-a:b', { version: 1, roomCode: 'single-a:b' });
+            const reopened = new FileStateStore(dir);
+            expect(await listRoomStates(reopened)).toEqual(['single-a:b']);
+            expect((await loadRoomState(reopened, 'single-a:b')).roomCode).toBe('single-a:b');
+
+            reopened.set('rtp-state:OLD', JSON.stringify({ version: 0 }));
+            expect(await loadRoomState(reopened, 'OLD')).toBeNull();
+            expect(fs.readdirSync(dir).some(f => f.endsWith('.tmp'))).toBe(false);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('RTPPhase1 export / import / renamePlayer keep budgets verbatim', () => {
+        const rtp = new RTPPhase1();
+        rtp.handleSingleTargetHit('seat:1', 7, MONEY_SCALE, 6);
+        const exported = rtp.exportStates();
+        expect(exported).toEqual([['seat:1', '7', rtp.getState('seat:1', 7)]]);
+
+        const restored = new RTPPhase1();
+        restored.importStates(JSON.parse(JSON.stringify(exported)));
+        restored.renamePlayer('seat:1', 'socket-x');
+        expect(restored.getState('socket-x', 7)).toEqual(rtp.getState('seat:1', 7));
+        expect(restored.getState('seat:1', 7)).toBeNull();
+    });
+});
+
+describe('Fish3DGameEngine state persistence', () => {
+    function placeFish(engine, typeName) {
+        return engine._createFish({ typeName, ...FISH_SPECIES[typeName] }, engine._buildPath(0, 0, 1, 0, 0, 'straight'));
+    }
+
+    test('fish table and budgets survive a rebuild and are reclaimed by seat', async () => {
+        const store = new MemoryStateStore();
+        const engine = new Fish3DGameEngine('PERSIST', { stateStore: store, finisherPoolPercent: 4 });
+        engine.addPlayer('socket-a', 1, 'Alice');
+        engine.addPlayer('socket-b', 2, 'Bob');
+        const fish = placeFish(engine, 'sardine');
+        fish.costByPlayer.set('socket-a', 3);
+        fish.lastHitBy = 'socket-a';
+        engine.rtpEngine.handleSingleTargetHit('socket-a', fish.fishId, MONEY_SCALE, fish.tier);
+        const before = { ...engine.rtpEngine.getState('socket-a', fish.fishId) };
+        expect(await engine.saveState()).toBe(true);
+
+        const snapshot = await loadRoomState(store, 'PERSIST');
+        const rebuilt = new Fish3DGameEngine('PERSIST', { ...snapshot.room, stateStore: store });
+        expect(rebuilt.restoreState(snapshot)).toBe(1);
+        expect(rebuilt.finisherPoolPercent).toBe(4);
+        expect(rebuilt.nextFishId).toBe(engine.nextFishId);
+
+        // Nobody takes a restored seat without its resume token
+        const aliceToken = engine.getResumeToken('socket-a');
+        expect(rebuilt.addPlayer('socket-x', 1, 'Mallory')).toBeNull();
+        expect(rebuilt.addPlayer('socket-x', 1, 'Mallory', null, engine.getResumeToken('socket-b'))).toBeNull();
+        expect(rebuilt.findRestoredSeat('forged')).toBeNull();
+        expect(rebuilt.findRestoredSeat(aliceToken)).toBe(1);
+        expect(rebuilt.getMaxRestoredSeatId()).toBe(2);
+
+        // A new socket holding Alice's token reclaims her state
+        expect(rebuilt.addPlayer('socket-a2', 1, 'Alice', null, aliceToken)).not.toBeNull();
+        expect(rebuilt.getResumeToken('socket-a2')).toBe(aliceToken);
+        expect(rebuilt.findRestoredSeat(aliceToken)).toBeNull();
+        const restoredFish = rebuilt.fish.get(fish.fishId);
+        expect(rebuilt.rtpEngine.getState('socket-a2', fish.fishId)).toEqual(before);
+        expect(restoredFish.costByPlayer.get('socket-a2')).toBe(3);
+        expect(restoredFish.lastHitBy).toBe('socket-a2');
+        expect(restoredFish.path).toEqual(fish.path);
+
+        // Seats nobody reclaimed yet are kept in the next snapshot
+        rebuilt.rtpEngine.importStates([['seat:2', String(fish.fishId), { sumCostFp: 5, budgetRemainingFp: 1, killed: false }]]);
+        const resaved = rebuilt.snapshotState();
+        expect(resaved.rtpStates.map(([seat]) => seat).sort()).toEqual(['seat:1', 'seat:2']);
+        expect(new Map(resaved.seats).get('seat:2')).toBe(snapshot.seats.find(([seat]) => seat === 'seat:2')[1]);
+        expect(JSON.stringify(resaved)).not.toContain(aliceToken);
+
+        await rebuilt.discardState();
+        expect(await loadRoomState(store, 'PERSIST')).toBeNull();
+    });
+
+    test('a resume token is a seated player\'s session until they leave', () => {
+        const engine = new Fish3DGameEngine('SESSION');
+        engine.addPlayer('socket-a', 1, 'Alice');
+        const token = engine.getResumeToken('socket-a');
+        expect(token).toMatch(/^[0-9a-f]{32}$/);
+        expect(engine.isPlayerSession(token)).toBe(true);
+        expect(engine.isPlayerSession('')).toBe(false);
+        expect(new Fish3DGameEngine('OTHER').isPlayerSession(token)).toBe(false);
+
+        engine.removePlayer('socket-a');
+        expect(engine.getResumeToken('socket-a')).toBeNull();
+        expect(engine.isPlayerSession(token)).toBe(false);
+    });
+
+    test('snapshots refuse another room', () => {
+        const snapshot = new Fish3DGameEngine('ROOM-A').snapshotState();
+        expect(() => new Fish3DGameEngine('ROOM-B').restoreState(snapshot)).toThrow(/does not belong/);
+    });
+
+    test('hard pity still fires at n1Fp across a restart', async () => {
+        const store = new MemoryStateStore();
+        const engine = new Fish3DGameEngine('PITY', { stateStore: store });
+        engine.addPlayer('socket-a', 1, 'Alice');
+        const whale = placeFish(engine, Object.keys(FISH_SPECIES).find(name => FISH_SPECIES[name].tier === 6));
+        const n1Shots = TIER_CONFIG[6].n1Fp / MONEY_SCALE;
+
+        // Spend up to one shot short of hard pity, forcing every roll to miss
+        engine.rtpEngine.rollSource = () => ({ roll: P_SCALE - 1 });
+        for (let i = 0; i < n1Shots - 1; i++) {
+            expect(engine.rtpEngine.handleSingleTargetHit('socket-a', whale.fishId, MONEY_SCALE, 6).kill).toBe(false);
+        }
+        await engine.saveState();
+
+        const snapshot = await loadRoomState(store, 'PITY');
+        const rebuilt = new Fish3DGameEngine('PITY', { ...snapshot.room, stateStore: store });
+        rebuilt.restoreState(snapshot);
+        rebuilt.addPlayer('socket-new', 1, 'Alice', null, engine.getResumeToken('socket-a'));
+
+        const result = rebuilt.rtpEngine.handleSingleTargetHit('socket-new', whale.fishId, MONEY_SCALE, 6);
+        expect(result.kill).toBe(true);
+        expect(result.reason).toBe('hard_pity');
+    });
+
+    test('single-player rooms force a 0% finisher pool', () => {
+        expect(new Fish3DGameEngine('single-x', { singlePlayer: true, finisherPoolPercent: 8 }).finisherPoolPercent).toBe(0);
+        expect(new Fish3DGameEngine('single-x', { singlePlayer: true }).snapshotState().room.singlePlayer).toBe(true);
+    });
+
+    test('game loop snapshots on its save interval', () => {
+        const store = { set: jest.fn(() => Promise.resolve('OK')) };
+        const engine = new Fish3DGameEngine('LOOP', { stateStore: store });
+        engine._saveStateIfDue();
+        engine._saveStateIfDue();
+        expect(store.set).toHaveBeenCalledTimes(1);
+        expect(store.set.mock.calls[0][0]).toBe('rtp-state:LOOP');
+    });
+});
@@ -118,6 +118,7 @@ describe('IPLimits', () => {
     test('creates handshake and global buckets', () => {
         const limits = new IPLimits();
         expect(limits.handshake).toBeInstanceOf(TokenBucket);
+        expect(limits.receiptLookup).toBeInstanceOf(TokenBucket);
         expect(limits.global).toBeInstanceOf(TokenBucket);
     });
 
@@ -276,6 +277,16 @@ describe('RateLimiter', () => {
         });
     });
 
+    describe('checkReceiptLookup', () => {
+        test('blocks excessive receipt lookups from same IP', () => {
+            for (let i = 0; i < RATE_LIMITS.receiptLookup.capacity; i++) {
+                expect(rateLimiter.checkReceiptLookup('127.0.0.1').allowed).toBe(true);
+            }
+            expect(rateLimiter.checkReceiptLookup('127.0.0.1')).toEqual({ allowed: false, reason: 'receipt_lookup_rate_limit' });
+            expect(rateLimiter.checkReceiptLookup('127.0.0.2').allowed).toBe(true);
+        });
+    });
+
     describe('connection management', () => {
         test('registerConnection creates session and IP limits', () => {
             rateLimiter.registerConnection('session1', '127.0.0.1');
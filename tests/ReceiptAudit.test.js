@@ -0,0 +1,129 @@
+/**
+ * Receipt Audit Tests
+ *
+ * Verifies the offline auditor against a data directory written by a real
+ * room: chain, signature, rules hash (room rules included) and balance
+ * checks pass, realized RTP matches the room's own ledger, and tampered or
+ * unversioned receipts fail the audit, as do unsigned receipts other than a
+ * room's recorded pre-signing prefix.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigHashManager, VERSION_FILE } = require('../src/modules/ConfigHash');
+const { receiptSigner } = require('../src/modules/ReceiptSigner');
+const { receiptsDir, hashReceipt } = require('../src/modules/AuditReceipt');
+const { auditReceipts, renderAuditReport } = require('../src/modules/ReceiptAudit');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+const io = { to: () => ({ emit: () => {} }) };
+
+function writeUnsignedChain(file, count) {
+    const lines = [];
+    let prevHash = 'GENESIS';
+    for (let i = 0; i < count; i++) {
+        const receipt = { type: 'FISH_DEATH', fish_id: i, prevHash, index: i, timestamp: Date.UTC(2024, 0, 1) + i };
+        receipt.hash = hashReceipt(JSON.stringify(receipt));
+        prevHash = receipt.hash;
+        lines.push(JSON.stringify(receipt));
+    }
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+    return prevHash;
+}
+
+describe('ReceiptAudit', () => {
+    let dataDir;
+    let ledger;
+
+    beforeEach(() => {
+        const engine = new Fish3DGameEngine('AUDIT-ROOM', { configHashManager: new ConfigHashManager({ audit: 1 }), ricochet: true });
+        engine.addPlayer('socket-a', 1, 'Alice');
+        engine.rtpEngine.rollSource = () => ({ roll: 0 });
+
+        engine.handleShoot('socket-a', 0, 200, io);
+        const fish = engine._createFish({ typeName: 'sardine', ...FISH_SPECIES.sardine }, engine._buildPath(0, 0, 1, 0, 0, 'straight'));
+        const bullet = { ownerSocketId: 'socket-a', cost: 1, weapon: '1x', hasHit: false };
+        engine.bullets.set('b0', bullet);
+        engine._settleSingleHit('b0', bullet, { fishId: fish.fishId, fish }, io);
+        engine.closeSessions('room_closed');
+        engine.stopGameLoop();
+        ledger = engine.rtpLedger.report();
+
+        // Audit a copy, as compliance would from a backup
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+        fs.mkdirSync(path.join(dataDir, 'receipts'));
+        fs.mkdirSync(path.join(dataDir, 'receipt-keys'));
+        fs.copyFileSync(path.join(receiptsDir(), 'AUDIT-ROOM.jsonl'), path.join(dataDir, 'receipts', 'AUDIT-ROOM.jsonl'));
+        fs.copyFileSync(VERSION_FILE, path.join(dataDir, 'config-versions.jsonl'));
+        fs.copyFileSync(receiptSigner.keyringPath, path.join(dataDir, 'receipt-keys', 'keyring.json'));
+        fs.copyFileSync(receiptSigner.legacyPrefixesPath, path.join(dataDir, 'receipt-keys', 'legacy-prefixes.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('a room written by the engine passes and its RTP matches the ledger', () => {
+        const report = auditReceipts(dataDir);
+        const [room] = report.rooms;
+        expect(report.summary).toEqual({ pass: 1, fail: 0, total: 1 });
+        expect(room.chain.valid).toBe(true);
+        expect(room.rules.unknown).toEqual([]);
+        expect(room.rules.checked).toBeGreaterThan(0);
+        expect(room.balances.sessions[0].closed_at).not.toBeNull();
+
+        expect(room.rtp.room).toMatchObject({ shots: 1, kills: 1, costFp: ledger.room.costFp, payoutFp: ledger.room.payoutFp });
+        expect(room.rtp.weapons['1x']).toMatchObject({ costFp: ledger.weapons['1x'].costFp, payoutFp: ledger.weapons['1x'].payoutFp });
+        expect(room.rtp.tiers[1]).toMatchObject({ costFp: ledger.tiers[1].costFp, payoutFp: ledger.tiers[1].payoutFp });
+
+        const markdown = renderAuditReport(report);
+        expect(markdown).toContain('- **Result**: **ALL PASS** (1/1 rooms)');
+        expect(markdown).toContain('| AUDIT-ROOM | 1 | 1 |');
+        expect(markdown).toMatch(/\| T1 \| 90% \| 1 \|/);
+    });
+
+    test('a re-hashed credit fails its signature, the next link and the balance replay', () => {
+        const file = path.join(dataDir, 'receipts', 'AUDIT-ROOM.jsonl');
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        const index = lines.findIndex(line => JSON.parse(line).type === 'KILL_CREDIT');
+        const { hash, ...forged } = { ...JSON.parse(lines[index]), amount: 1000 };
+        forged.hash = hashReceipt(JSON.stringify(forged));
+        lines[index] = JSON.stringify(forged);
+        fs.writeFileSync(file, lines.join('\n') + '\n');
+
+        expect(auditReceipts(dataDir).rooms[0]).toMatchObject({ pass: false, chain: { error: `Bad signature at index ${index}` } });
+
+        fs.rmSync(path.join(dataDir, 'receipt-keys'), { recursive: true });
+        const unsigned = auditReceipts(dataDir);
+        expect(unsigned.signatureKeys).toBeNull();
+        expect(unsigned.rooms[0]).toMatchObject({
+            pass: false,
+            chain: { error: `Chain broken at index ${index + 1}` },
+            balances: { error: `Balance mismatch at index ${index}` }
+        });
+    });
+
+    test('only a recorded pre-signing prefix may be unsigned', () => {
+        const hash = writeUnsignedChain(path.join(dataDir, 'receipts', 'LEGACY.jsonl'), 2);
+        writeUnsignedChain(path.join(dataDir, 'receipts', 'BACKDATED.jsonl'), 2);
+        fs.writeFileSync(path.join(dataDir, 'receipt-keys', 'legacy-prefixes.json'), JSON.stringify({ LEGACY: { length: 2, hash } }));
+
+        const report = auditReceipts(dataDir);
+        const byId = Object.fromEntries(report.rooms.map(room => [room.roomId, room]));
+        expect(byId.LEGACY).toMatchObject({ pass: true, chain: { valid: true, unsignedPrefix: 2 } });
+        expect(byId.BACKDATED).toMatchObject({ pass: false, chain: { valid: false, error: 'Bad signature at index 0' } });
+
+        const markdown = renderAuditReport(report);
+        expect(markdown).toContain('| LEGACY | 2 | valid | 2 | 0 | PASS |');
+        expect(markdown).toContain('| BACKDATED | 2 | Bad signature at index 0 | 0 | 0 | FAIL |');
+    });
+
+    test('rules hashes without a config version are unknown', () => {
+        fs.rmSync(path.join(dataDir, 'config-versions.jsonl'));
+        const report = auditReceipts(dataDir);
+        expect(report.configVersions).toBeNull();
+        expect(report.rooms[0].rules.unknown.length).toBe(report.rooms[0].rules.checked);
+        expect(renderAuditReport(report)).toContain('- **Result**: **1 FAIL** (0/1 rooms)');
+    });
+});
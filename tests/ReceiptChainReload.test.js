@@ -0,0 +1,72 @@
+/**
+ * Receipt Chain Reload Tests
+ *
+ * Verifies that a ReceiptChain picks up its room's existing .jsonl and keeps
+ * chaining from the last hash, and that a corrupted file is archived, cut
+ * back to its verified prefix and forked with a CHAIN_RECOVERY receipt.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReceiptChain, verifyReceipts, readReceiptFile } = require('../src/modules/AuditReceipt');
+
+describe('ReceiptChain reload', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+        file = path.join(dir, 'RELOAD.jsonl');
+        const chain = new ReceiptChain('RELOAD', { dir, flushMs: 0 });
+        for (let i = 0; i < 3; i++) chain.addReceipt({ type: 'FISH_DEATH', fish_id: i });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('a restarted room continues its chain from the last hash', () => {
+        const before = readReceiptFile('RELOAD', dir).receipts;
+        const chain = new ReceiptChain('RELOAD', { dir, flushMs: 0 });
+        expect(chain.recovery).toBeNull();
+        expect(chain.getLength()).toBe(3);
+
+        const next = chain.addReceipt({ type: 'FISH_DEATH', fish_id: 3 });
+        expect(next).toMatchObject({ index: 3, prevHash: before[2].hash });
+        expect(verifyReceipts(readReceiptFile('RELOAD', dir).receipts)).toEqual({ valid: true, length: 4 });
+    });
+
+    test('a truncated tail line is archived and recorded as a fork', () => {
+        fs.appendFileSync(file, '{"type":"FISH_DE');
+        const original = fs.readFileSync(file, 'utf8');
+
+        const chain = new ReceiptChain('RELOAD', { dir, flushMs: 0 });
+        expect(chain.recovery).toMatchObject({
+            type: 'CHAIN_RECOVERY', reason: 'unparseable_lines', index: 3,
+            forked_at_index: 3, discarded_receipts: 0, bad_lines: [4]
+        });
+        expect(fs.readFileSync(path.join(dir, chain.recovery.archived_file), 'utf8')).toBe(original);
+
+        const reloaded = readReceiptFile('RELOAD', dir);
+        expect(reloaded.badLines).toEqual([]);
+        expect(verifyReceipts(reloaded.receipts)).toEqual({ valid: true, length: 4 });
+    });
+
+    test('a tampered receipt forks the chain after the verified prefix', () => {
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        const tampered = JSON.parse(lines[1]);
+        tampered.fish_id = 99;
+        lines[1] = JSON.stringify(tampered);
+        fs.writeFileSync(file, lines.join('\n') + '\n');
+
+        const chain = new ReceiptChain('RELOAD', { dir, flushMs: 0 });
+        const [first] = chain.getReceipts();
+        expect(chain.getLength()).toBe(2);
+        expect(chain.recovery).toMatchObject({
+            reason: 'Hash mismatch at index 1', forked_at_index: 1, discarded_receipts: 2, prevHash: first.hash
+        });
+        expect(chain.verifyChain()).toEqual({ valid: true, length: 2 });
+        expect(new ReceiptChain('RELOAD', { dir, flushMs: 0 }).recovery).toBeNull();
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Receipt Lookup Tests
+ *
+ * Verifies the helpers behind the /api/receipts endpoints: standalone chain
+ * verification, reading a room's .jsonl back (reporting unparseable lines),
+ * room id validation for file paths, and finding the receipts about a fish.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    ReceiptChain, verifyReceipts, receiptFilePath, readReceiptFile, listReceiptRooms, findFishReceipts
+} = require('../src/modules/AuditReceipt');
+
+function buildChain(dir) {
+    const chain = new ReceiptChain('LOOKUP-TEST', { dir, flushMs: 0 });
+    chain.addReceipt({ type: 'FISH_DEATH', fish_id: 7, total_reward: 10 });
+    chain.addReceipt({ type: 'SPECIAL_EFFECT', source_fish_id: 8, targets: [{ fish_id: 7 }, { fish_id: 9 }] });
+    chain.addReceipt({ type: 'ITEM_PURCHASE', item_id: 'slow' });
+    return chain.getReceipts();
+}
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('verifyReceipts', () => {
+    test('accepts an intact chain and locates tampering', () => {
+        const receipts = buildChain(dir);
+        expect(verifyReceipts(receipts)).toEqual({ valid: true, length: 3 });
+        expect(verifyReceipts([])).toEqual({ valid: true, length: 0 });
+
+        const tampered = receipts.map(r => ({ ...r }));
+        tampered[1].payout_total = 999;
+        expect(verifyReceipts(tampered)).toMatchObject({ valid: false, index: 1 });
+        expect(verifyReceipts([receipts[0], receipts[2]])).toMatchObject({ valid: false, index: 1 });
+    });
+});
+
+describe('receipt files', () => {
+    test('reads a room file back and reports lines that do not parse', () => {
+        const receipts = buildChain(dir);
+        const lines = receipts.map(r => JSON.stringify(r));
+        fs.writeFileSync(path.join(dir, 'ROOM1.jsonl'), `${lines[0]}\n{"truncated\n${lines[1]}\n${lines[2]}\n`);
+
+        const file = readReceiptFile('ROOM1', dir);
+        expect(file.badLines).toEqual([2]);
+        expect(file.receipts).toEqual(receipts);
+        expect(verifyReceipts(file.receipts).valid).toBe(true);
+        expect(readReceiptFile('NOPE', dir)).toBeNull();
+        expect(listReceiptRooms(dir)).toEqual(['LOOKUP-TEST', 'ROOM1']);
+    });
+
+    test('only room ids that stay inside the receipts directory map to files', () => {
+        expect(receiptFilePath('ROOM1', dir)).toBe(path.join(dir, 'ROOM1.jsonl'));
+        expect(receiptFilePath('../secrets', dir)).toBeNull();
+        expect(receiptFilePath('a/b', dir)).toBeNull();
+        expect(readReceiptFile('..', dir)).toBeNull();
+    });
+});
+
+describe('findFishReceipts', () => {
+    test('finds deaths, triggered effects and effect targets', () => {
+        const receipts = buildChain(dir);
+        expect(findFishReceipts(receipts, 7).map(r => r.index)).toEqual([0, 1]);
+        expect(findFishReceipts(receipts, 8).map(r => r.index)).toEqual([1]);
+        expect(findFishReceipts(receipts, 42)).toEqual([]);
+    });
+});
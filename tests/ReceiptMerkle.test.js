@@ -0,0 +1,179 @@
+/**
+ * Receipt Merkle Checkpoint Tests
+ *
+ * Verifies Merkle roots and inclusion proofs over receipt hashes, periodic
+ * MERKLE_CHECKPOINT receipts in the chain (checked by verifyReceipts and
+ * carried across a reload), the open batch as the only receipts kept in
+ * memory with buffered file appends, hash lookups that read only their
+ * own batch (none for unknown hashes), and a kill's proof served once the
+ * room's own checkpoint timer sealed its batch, never sealed by the request;
+ * the receipt a kill announces is already written.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MERKLE_CHECKPOINT_MS, merkleRoot, merkleProof, verifyMerkleProof, buildInclusionProof } = require('../src/modules/ReceiptMerkle');
+const { ReceiptChain, verifyReceipts, hashReceipt, readReceiptFile } = require('../src/modules/AuditReceipt');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+const sha = text => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('Merkle proofs', () => {
+    test('every leaf of odd and even trees proves against the root', () => {
+        for (let size = 1; size <= 9; size++) {
+            const hashes = Array.from({ length: size }, (_, i) => sha(`receipt-${i}`));
+            const root = merkleRoot(hashes);
+            hashes.forEach((hash, i) => {
+                const proof = merkleProof(hashes, i);
+                expect(proof.length).toBeLessThanOrEqual(Math.ceil(Math.log2(size)));
+                expect(verifyMerkleProof(hash, proof, root)).toBe(true);
+                expect(verifyMerkleProof(sha('other'), proof, root)).toBe(false);
+            });
+        }
+    });
+});
+
+describe('ReceiptChain checkpoints', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('anchors each batch in a checkpoint receipt', () => {
+        const chain = new ReceiptChain('MERKLE', { dir, merkleBatchSize: 4 });
+        for (let i = 0; i < 5; i++) chain.addReceipt({ type: 'FISH_DEATH', fish_id: i });
+
+        const receipts = chain.getReceipts();
+        expect(receipts.map(r => r.type)).toEqual(['FISH_DEATH', 'FISH_DEATH', 'FISH_DEATH', 'FISH_DEATH', 'MERKLE_CHECKPOINT', 'FISH_DEATH']);
+        expect(receipts[4]).toMatchObject({ batch: 0, from_index: 0, to_index: 3, leaf_count: 4 });
+        expect(chain.getLatestCheckpoint()).toEqual(receipts[4]);
+
+        const result = chain.getInclusionProof(receipts[2].hash);
+        expect(result).toMatchObject({ leaf_index: 2, merkle_root: receipts[4].merkle_root, checkpoint: receipts[4] });
+        expect(verifyMerkleProof(receipts[2].hash, result.proof, result.checkpoint.merkle_root)).toBe(true);
+        expect(chain.getInclusionProof(receipts[5].hash)).toEqual({ pending: true, receipt: receipts[5] });
+        expect(chain.getInclusionProof('0'.repeat(64))).toBeNull();
+
+        // Flush the open batch; a chain with nothing pending adds nothing
+        expect(chain.checkpoint()).toMatchObject({ batch: 1, from_index: 5, to_index: 5 });
+        expect(chain.checkpoint()).toBeNull();
+        expect(verifyReceipts(chain.getReceipts())).toEqual({ valid: true, length: 7 });
+    });
+
+    test('verifyReceipts rejects a checkpoint whose root does not match', () => {
+        const chain = new ReceiptChain('MERKLE-BAD', { dir, merkleBatchSize: 0 });
+        for (let i = 0; i < 3; i++) chain.addReceipt({ type: 'FISH_DEATH', fish_id: i });
+        const checkpoint = chain.checkpoint();
+
+        const { hash, ...forged } = { ...checkpoint, merkle_root: sha('forged') };
+        forged.hash = hashReceipt(JSON.stringify(forged));
+        const receipts = [...chain.getReceipts().slice(0, 3), forged];
+        expect(verifyReceipts(receipts)).toMatchObject({ valid: false, error: 'Bad Merkle root at index 3' });
+    });
+
+    test('keeps only the open batch in memory and buffers appends', () => {
+        const chain = new ReceiptChain('MERKLE-BUFFER', { dir, merkleBatchSize: 3, flushMs: 60000 });
+        const written = () => (readReceiptFile('MERKLE-BUFFER', dir) || { receipts: [] }).receipts.length;
+        chain.addReceipt({ type: 'FISH_DEATH', fish_id: 0 });
+        expect(written()).toBe(0);
+
+        // The checkpoint writes its batch; the receipt after it waits
+        for (let i = 1; i < 4; i++) chain.addReceipt({ type: 'FISH_DEATH', fish_id: i });
+        expect(written()).toBe(4);
+        expect(chain.openBatch.map(r => r.index)).toEqual([4]);
+        expect(chain.getLength()).toBe(5);
+
+        chain.flushIfDue(Date.now() + 60000);
+        expect(written()).toBe(5);
+        expect(chain.getReceipts().map(r => r.index)).toEqual([0, 1, 2, 3, 4]);
+        expect(chain.getInclusionProof(chain.getReceipts()[1].hash)).toMatchObject({ leaf_index: 1 });
+        expect(chain.verifyChain()).toEqual({ valid: true, length: 5 });
+    });
+
+    test('a reloaded chain continues the batch it was in', () => {
+        const chain = new ReceiptChain('MERKLE-RELOAD', { dir, merkleBatchSize: 3 });
+        for (let i = 0; i < 5; i++) chain.addReceipt({ type: 'FISH_DEATH', fish_id: i });
+        chain.flush();
+
+        const reloaded = new ReceiptChain('MERKLE-RELOAD', { dir, merkleBatchSize: 3 });
+        reloaded.addReceipt({ type: 'FISH_DEATH', fish_id: 5 });
+        const checkpoints = reloaded.getReceipts().filter(r => r.type === 'MERKLE_CHECKPOINT');
+        expect(checkpoints.map(c => [c.batch, c.from_index, c.to_index])).toEqual([[0, 0, 2], [1, 4, 6]]);
+        expect(buildInclusionProof(reloaded.getReceipts(), reloaded.getReceipts()[6].hash).leaf_index).toBe(2);
+    });
+
+    test('lookups read only their own batch, unknown hashes no file at all', () => {
+        const chain = new ReceiptChain('MERKLE-INDEX', { dir, merkleBatchSize: 3, flushMs: 0 });
+        for (let i = 0; i < 7; i++) chain.addReceipt({ type: 'FISH_DEATH', fish_id: i, note: 'é' });
+        const receipts = chain.getReceipts();
+
+        const readFile = jest.spyOn(fs, 'readFileSync');
+        const readRange = jest.spyOn(fs, 'readSync');
+        try {
+            expect(chain.findReceipt(sha('unknown'))).toBeNull();
+            expect(chain.getInclusionProof(sha('unknown'))).toBeNull();
+            expect(readRange).not.toHaveBeenCalled();
+
+            for (const reopened of [chain, new ReceiptChain('MERKLE-INDEX', { dir, merkleBatchSize: 3 })]) {
+                readFile.mockClear();
+                expect(reopened.findReceipt(receipts[5].hash)).toEqual(receipts[5]);
+                const result = reopened.getInclusionProof(receipts[5].hash);
+                expect(result).toMatchObject({ receipt: receipts[5], leaf_index: 1, checkpoint: receipts[7] });
+                expect(verifyMerkleProof(receipts[5].hash, result.proof, result.merkle_root)).toBe(true);
+                expect(reopened.getInclusionProof(receipts[3].hash)).toEqual({ receipt: receipts[3], checkpoint: receipts[3] });
+                expect(readFile).not.toHaveBeenCalled();
+            }
+            expect(readRange).toHaveBeenCalled();
+        } finally {
+            readFile.mockRestore();
+            readRange.mockRestore();
+        }
+    });
+});
+
+describe('Fish3DGameEngine Merkle anchors', () => {
+    test('fishKilled carries its receipt; its proof waits for the timed checkpoint', () => {
+        const events = [];
+        const io = { to: () => ({ emit: (name, data) => events.push({ name, data }) }) };
+        const engine = new Fish3DGameEngine('MERKLE-ROOM', 5);
+        engine.addPlayer('socket-a', 1, 'Alice');
+        engine.rtpEngine.rollSource = () => ({ roll: 0 });
+
+        const kill = i => {
+            const fish = engine._createFish({ typeName: 'sardine', ...FISH_SPECIES.sardine }, engine._buildPath(0, 0, 1, 0, 0, 'straight'));
+            const bullet = { ownerSocketId: 'socket-a', cost: 1, weapon: '1x', hasHit: false };
+            engine.bullets.set(`b${i}`, bullet);
+            engine._settleSingleHit(`b${i}`, bullet, { fishId: fish.fishId, fish }, io);
+            return events.filter(e => e.name === 'fishKilled').pop().data;
+        };
+
+        const first = kill(0);
+        const death = engine.getReceipts().find(r => r.type === 'FISH_DEATH');
+        expect(first).toMatchObject({ receiptHash: death.hash, receiptIndex: death.index });
+        expect(first.merkleCheckpoint).toBeUndefined();
+        expect(readReceiptFile('MERKLE-ROOM').receipts.map(r => r.hash)).toContain(first.receiptHash);
+
+        // Requests do not seal: the batch stays open until it is due
+        const length = engine.receiptChain.getLength();
+        expect(engine.getInclusionProof(first.receiptHash)).toMatchObject({ pending: true, receipt: { hash: first.receiptHash } });
+        expect(engine.receiptChain.getLength()).toBe(length);
+        const opened = engine.receiptChain.openBatch[0].timestamp;
+        expect(engine.receiptChain.checkpointIfDue(opened + MERKLE_CHECKPOINT_MS - 1)).toBeNull();
+
+        expect(engine.receiptChain.checkpointIfDue(opened + MERKLE_CHECKPOINT_MS)).toMatchObject({ batch: 0, from_index: 0 });
+        const result = engine.getInclusionProof(first.receiptHash);
+        expect(result.checkpoint).toMatchObject({ type: 'MERKLE_CHECKPOINT', batch: 0, from_index: 0 });
+        expect(result.checkpoint.to_index).toBeGreaterThanOrEqual(first.receiptIndex);
+        expect(verifyMerkleProof(first.receiptHash, result.proof, result.checkpoint.merkle_root)).toBe(true);
+        expect(engine.verifyReceiptChain().valid).toBe(true);
+        expect(engine.receiptChain.checkpointIfDue(Date.now() + MERKLE_CHECKPOINT_MS)).toBeNull();
+        expect(engine.getInclusionProof('0'.repeat(64))).toBeNull();
+    });
+});
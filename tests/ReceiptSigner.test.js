@@ -0,0 +1,174 @@
+/**
+ * Receipt Signer Tests
+ *
+ * Verifies Ed25519 receipt signatures: receipts are signed before hashing
+ * (hash-only verification still works), verification rejects forged,
+ * unsigned or unknown-key receipts, rotation keeps retired keys published,
+ * keys are generated only in dev mode, chains from before signing reload
+ * and continue signed while backdated unsigned chains written later fail,
+ * and a reloaded chain with a rebuilt (re-hashed) forgery forks.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReceiptSigner } = require('../src/modules/ReceiptSigner');
+const { ReceiptChain, verifyReceipts, hashReceipt, readReceiptFile } = require('../src/modules/AuditReceipt');
+
+// Room file written before receipt signing existed (or backdated to look so)
+function writeUnsignedChain(file, count, fishFrom = 0) {
+    const lines = [];
+    let prevHash = 'GENESIS';
+    for (let i = 0; i < count; i++) {
+        const receipt = { type: 'FISH_DEATH', fish_id: fishFrom + i, prevHash, index: i, timestamp: Date.UTC(2024, 0, 1) + i };
+        receipt.hash = hashReceipt(JSON.stringify(receipt));
+        prevHash = receipt.hash;
+        lines.push(JSON.stringify(receipt));
+    }
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+describe('ReceiptSigner', () => {
+    let dir;
+    let signer;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-keys-'));
+        signer = new ReceiptSigner(path.join(dir, 'keys'), null, true, dir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('signed chains verify with and without the keys', () => {
+        const chain = new ReceiptChain('SIGNED', { dir, signer });
+        chain.addReceipt({ type: 'FISH_DEATH', fish_id: 1 });
+        chain.addReceipt({ type: 'FISH_DEATH', fish_id: 2 });
+
+        const receipts = chain.getReceipts();
+        expect(receipts[0].key_id).toBe(signer.getPublicKeys().activeKeyId);
+        expect(chain.verifyChain()).toEqual({ valid: true, length: 2 });
+        expect(verifyReceipts(receipts)).toEqual({ valid: true, length: 2 });
+
+        const unsigned = new ReceiptChain('UNSIGNED', { dir });
+        unsigned.addReceipt({ type: 'FISH_DEATH', fish_id: 1 });
+        expect(verifyReceipts(unsigned.getReceipts(), signer.getVerifyKeys())).toMatchObject({ valid: false, error: 'Bad signature at index 0' });
+    });
+
+    test('a forged signature fails even when the hash is rebuilt', () => {
+        const chain = new ReceiptChain('FORGED', { dir, signer });
+        chain.addReceipt({ type: 'FISH_DEATH', fish_id: 1, total_reward: 10 });
+
+        const { hash, ...forged } = { ...chain.getReceipts()[0], total_reward: 1000 };
+        forged.hash = hashReceipt(JSON.stringify(forged));
+        expect(verifyReceipts([forged])).toEqual({ valid: true, length: 1 });
+        expect(verifyReceipts([forged], signer.getVerifyKeys())).toMatchObject({ valid: false, index: 0 });
+
+        const other = new ReceiptSigner(path.join(dir, 'other'), null, true);
+        expect(verifyReceipts(chain.getReceipts(), other.getVerifyKeys())).toMatchObject({ valid: false, index: 0 });
+    });
+
+    test('rotation retires the old key but keeps it published', () => {
+        const chain = new ReceiptChain('ROTATE', { dir, signer });
+        const before = chain.addReceipt({ type: 'FISH_DEATH', fish_id: 1 });
+        const oldKeyId = signer.getPublicKeys().activeKeyId;
+
+        const newKeyId = signer.rotate(12345);
+        const after = chain.addReceipt({ type: 'FISH_DEATH', fish_id: 2 });
+        expect(newKeyId).not.toBe(oldKeyId);
+        expect([before.key_id, after.key_id]).toEqual([oldKeyId, newKeyId]);
+        expect(chain.verifyChain().valid).toBe(true);
+
+        // A restarted process loads the rotated key and the whole keyring
+        const reloaded = new ReceiptSigner(path.join(dir, 'keys'), null, true);
+        expect(reloaded.getPublicKeys()).toMatchObject({
+            algorithm: 'Ed25519',
+            activeKeyId: newKeyId,
+            keys: [{ keyId: oldKeyId, retiredAt: 12345 }, { keyId: newKeyId, activatedAt: 12345, retiredAt: null }]
+        });
+        expect(verifyReceipts(chain.getReceipts(), reloaded.getVerifyKeys()).valid).toBe(true);
+    });
+
+    test('RECEIPT_SIGNING_KEY keys rotate by deployment only', () => {
+        const pem = () => crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+        const keysDir = path.join(dir, 'env-keys');
+        const first = new ReceiptSigner(keysDir, pem());
+        expect(first.rotate()).toBeNull();
+
+        // Escaped newlines, as env values often carry them
+        const second = new ReceiptSigner(keysDir, pem().replace(/\n/g, '\\n'));
+        const { keys, activeKeyId } = second.getPublicKeys();
+        expect(keys.length).toBe(2);
+        expect(keys[0].keyId).toBe(first.getPublicKeys().activeKeyId);
+        expect(keys[0].retiredAt).not.toBeNull();
+        expect(keys[1]).toMatchObject({ keyId: activeKeyId, retiredAt: null });
+    });
+
+    test('without RECEIPT_SIGNING_KEY a key is only generated in dev mode', () => {
+        const keysDir = path.join(dir, 'prod-keys');
+        const prod = new ReceiptSigner(keysDir, null, false);
+        expect(() => prod.sign({ type: 'FISH_DEATH', fish_id: 1 })).toThrow('RECEIPT_SIGNING_KEY is not set');
+        expect(fs.existsSync(path.join(keysDir, 'signing-key.pem'))).toBe(false);
+
+        // A dev key left on disk is not picked up outside dev mode either
+        new ReceiptSigner(keysDir, null, true).getPublicKeys();
+        expect(() => new ReceiptSigner(keysDir, null, false).getPublicKeys()).toThrow('RECEIPT_SIGNING_KEY is not set');
+    });
+
+    test('a chain from before signing reloads and continues signed', () => {
+        writeUnsignedChain(path.join(dir, 'LEGACY.jsonl'), 3);
+        const chain = new ReceiptChain('LEGACY', { dir, signer, flushMs: 0 });
+        expect(chain.recovery).toBeNull();
+        expect(fs.readdirSync(dir).filter(name => name.includes('.corrupt-'))).toEqual([]);
+
+        const next = chain.addReceipt({ type: 'FISH_DEATH', fish_id: 3 });
+        expect(next).toMatchObject({ index: 3, key_id: signer.getPublicKeys().activeKeyId });
+        expect(chain.verifyChain()).toEqual({ valid: true, length: 4, unsignedPrefix: 3 });
+        expect(signer.getLegacyPrefix('LEGACY')).toEqual({ length: 3, hash: next.prevHash });
+
+        // Only that exact prefix: a rewritten or cut one fails
+        const receipts = chain.getReceipts();
+        writeUnsignedChain(path.join(dir, 'REWRITTEN.jsonl'), 3, 10);
+        const rewritten = readReceiptFile('REWRITTEN', dir).receipts;
+        const legacy = signer.getLegacyPrefix('LEGACY');
+        expect(verifyReceipts(rewritten, signer.getVerifyKeys(), legacy)).toMatchObject({ valid: false, error: 'Legacy prefix mismatch at index 2' });
+        expect(verifyReceipts(receipts.slice(0, 2), signer.getVerifyKeys(), legacy)).toMatchObject({ valid: false, error: 'Legacy prefix truncated at index 2' });
+
+        // Past the first signed receipt, unsigned receipts fail again
+        new ReceiptChain('LEGACY', { dir, flushMs: 0 }).addReceipt({ type: 'FISH_DEATH', fish_id: 4 });
+        expect(new ReceiptChain('LEGACY', { dir, signer, flushMs: 0 }).recovery).toMatchObject({ reason: 'Bad signature at index 4', forked_at_index: 4 });
+    });
+
+    test('a backdated unsigned chain written after signing began is rejected', () => {
+        signer.getPublicKeys();
+        writeUnsignedChain(path.join(dir, 'BACKDATED.jsonl'), 3);
+        expect(signer.getLegacyPrefix('BACKDATED')).toBeNull();
+        const receipts = readReceiptFile('BACKDATED', dir).receipts;
+        expect(verifyReceipts(receipts, signer.getVerifyKeys())).toMatchObject({ valid: false, error: 'Bad signature at index 0' });
+
+        // Prefixes are recorded once: a restart does not pick it up either
+        const restarted = new ReceiptSigner(path.join(dir, 'keys'), null, true, dir);
+        expect(restarted.getLegacyPrefix('BACKDATED')).toBeNull();
+        expect(new ReceiptChain('BACKDATED', { dir, signer: restarted, flushMs: 0 }).recovery)
+            .toMatchObject({ reason: 'Bad signature at index 0', forked_at_index: 0, discarded_receipts: 3 });
+    });
+
+    test('a reloaded chain forks at a rebuilt forgery', () => {
+        const chain = new ReceiptChain('RELOAD-SIGNED', { dir, signer, flushMs: 0 });
+        for (let i = 0; i < 3; i++) chain.addReceipt({ type: 'FISH_DEATH', fish_id: i });
+
+        // Rewrite receipt 2 and re-hash it consistently, without the key
+        const file = path.join(dir, 'RELOAD-SIGNED.jsonl');
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        const { hash, ...forged } = { ...JSON.parse(lines[2]), fish_id: 99 };
+        forged.hash = hashReceipt(JSON.stringify(forged));
+        lines[2] = JSON.stringify(forged);
+        fs.writeFileSync(file, lines.join('\n') + '\n');
+
+        const reloaded = new ReceiptChain('RELOAD-SIGNED', { dir, signer, flushMs: 0 });
+        expect(reloaded.recovery).toMatchObject({ reason: 'Bad signature at index 2', forked_at_index: 2, discarded_receipts: 1 });
+        expect(reloaded.verifyChain()).toEqual({ valid: true, length: 3 });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Reward Split Tests
+ *
+ * Verifies the contribution + finisher pool split (POL-ECON-001): exact
+ * fp sums, the remainder policy, single-player 0% pool, and that both
+ * kill paths pay every seated contributor and receipt each share.
+ */
+
+const { FINISHER_POOL, resolveFinisherPoolPercent, splitReward } = require('../src/modules/RewardSplit');
+const { ConfigHashManager } = require('../src/modules/ConfigHash');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+function mockIO(emitted) {
+    return { to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }) };
+}
+
+const alice = { socketId: 'socket-a', playerId: 1 };
+const bob = { socketId: 'socket-b', playerId: 2 };
+const carol = { socketId: 'socket-c', playerId: 3 };
+
+describe('RewardSplit', () => {
+    test('resolves the finisher pool percent within 2-10%', () => {
+        expect(resolveFinisherPoolPercent(true)).toBe(FINISHER_POOL.defaultPercent);
+        expect(resolveFinisherPoolPercent(2)).toBe(2);
+        expect(resolveFinisherPoolPercent(10)).toBe(10);
+        expect(resolveFinisherPoolPercent(1)).toBe(0);
+        expect(resolveFinisherPoolPercent(11)).toBe(0);
+        expect(resolveFinisherPoolPercent(5.5)).toBe(0);
+        expect(resolveFinisherPoolPercent(undefined)).toBe(0);
+    });
+
+    test('pays the pool to the finisher and the rest by contribution', () => {
+        const shares = splitReward(10000, [{ ...alice, cost: 6 }, { ...bob, cost: 4 }], bob, 10);
+        expect(shares).toEqual([
+            { ...alice, cost: 6, contributionFp: 5400, finisherFp: 0, rewardFp: 5400, percent: 54 },
+            { ...bob, cost: 4, contributionFp: 3600, finisherFp: 1000, rewardFp: 4600, percent: 46 }
+        ]);
+    });
+
+    test('remainder goes to the largest contributor, ties to the lowest playerId', () => {
+        const even = splitReward(1000, [{ ...carol, cost: 1 }, { ...bob, cost: 1 }, { ...alice, cost: 1 }], carol, 0);
+        expect(even.map(s => [s.playerId, s.rewardFp])).toEqual([[1, 334], [2, 333], [3, 333]]);
+
+        const uneven = splitReward(1001, [{ ...alice, cost: 1 }, { ...bob, cost: 2 }], alice, 3);
+        expect(uneven.map(s => s.playerId)).toEqual([2, 1]);
+        expect(uneven.reduce((sum, s) => sum + s.rewardFp, 0)).toBe(1001);
+        expect(uneven[0].contributionFp).toBe(1001 - 30 - Math.floor(971 / 3));
+    });
+
+    test('ties between string playerIds go to the lowest id, numerically', () => {
+        const p10 = { socketId: 'socket-10', playerId: 'player-10' };
+        const p9 = { socketId: 'socket-9', playerId: 'player-9' };
+        const shares = splitReward(1001, [{ ...p10, cost: 1 }, { ...p9, cost: 1 }], p10, 0);
+        expect(shares.map(s => [s.playerId, s.rewardFp])).toEqual([['player-9', 501], ['player-10', 500]]);
+    });
+
+    test('shares always sum to the payout exactly', () => {
+        for (let rewardFp = 1; rewardFp < 3000; rewardFp += 37) {
+            for (const pct of [0, 2, 7, 10]) {
+                const shares = splitReward(rewardFp, [{ ...alice, cost: 1.333 }, { ...bob, cost: 5 }, { ...carol, cost: 0.25 }], carol, pct);
+                expect(shares.reduce((sum, s) => sum + s.rewardFp, 0)).toBe(rewardFp);
+            }
+        }
+    });
+
+    test('finisher without recorded cost still receives the pool, or everything when nobody has', () => {
+        const shares = splitReward(1000, [{ ...alice, cost: 5 }], bob, 5);
+        expect(shares.map(s => [s.playerId, s.rewardFp])).toEqual([[1, 950], [2, 50]]);
+        expect(splitReward(1000, [], bob, 5)).toEqual([
+            { ...bob, cost: 0, contributionFp: 950, finisherFp: 50, rewardFp: 1000, percent: 100 }
+        ]);
+    });
+});
+
+describe('Fish3DGameEngine reward split', () => {
+    let engine;
+    let emitted;
+    let io;
+
+    function setup(options) {
+        engine = new Fish3DGameEngine('split-test-room', options);
+        engine.addPlayer('socket-a', 1, 'Alice');
+        engine.addPlayer('socket-b', 2, 'Bob');
+        emitted = [];
+        io = mockIO(emitted);
+    }
+
+    function placeSardine(costs) {
+        const fish = engine._createFish({ typeName: 'sardine', ...FISH_SPECIES.sardine }, engine._buildPath(0, 0, 1, 0, 0, 'straight'));
+        for (const [socketId, cost] of Object.entries(costs)) fish.costByPlayer.set(socketId, cost);
+        return fish;
+    }
+
+    test('single-player default runs a 0% pool', () => {
+        setup();
+        expect(engine.finisherPoolPercent).toBe(0);
+        expect(engine.getRoomRules()).toBeNull();
+    });
+
+    test('bullet kill pays every seated contributor and receipts each share', () => {
+        setup({ finisherPoolPercent: 10, configHashManager: new ConfigHashManager({}) });
+        const fish = placeSardine({ 'socket-a': 6, 'socket-b': 4, 'socket-gone': 10 });
+
+        engine.handleFishKill(fish, { ownerSocketId: 'socket-b' }, io, { reward: 10, rewardFp: 10000, killEventId: 'k1', reason: 'probability' });
+
+        expect(engine.players.get('socket-a').balance).toBe(1000 + 5.4);
+        expect(engine.players.get('socket-b').balance).toBe(1000 + 4.6);
+        expect(engine.players.get('socket-b').totalKills).toBe(1);
+
+        const killed = emitted.find(e => e.event === 'fishKilled').data;
+        expect(killed.topContributorId).toBe(2);
+        expect(killed.rewardDistribution.map(d => [d.playerId, d.reward, d.finisherReward])).toEqual([[1, 5.4, 0], [2, 4.6, 1]]);
+        expect(emitted.filter(e => e.event === 'balanceUpdate').map(e => e.data.reason)).toEqual(['fishKillShare', 'fishKill']);
+
+        const receipt = engine.getReceipts().find(r => r.type === 'FISH_DEATH');
+        expect(receipt.finisher_pool_percent).toBe(10);
+        expect(receipt.finisher_bonus).toBe(1);
+        expect(receipt.payout_split).toEqual([
+            { playerId: 1, reward: 5.4, percent: 54, contribution_reward: 5.4, finisher_reward: 0 },
+            { playerId: 2, reward: 4.6, percent: 46, contribution_reward: 3.6, finisher_reward: 1 }
+        ]);
+        expect(engine.getRulesHash()).not.toBe(new Fish3DGameEngine('r', { configHashManager: engine.configHashManager }).getRulesHash());
+    });
+
+    test('laser kills use the same split', () => {
+        setup({ finisherPoolPercent: 5 });
+        const fish = placeSardine({ 'socket-a': 3, 'socket-b': 1 });
+
+        engine._handleLaserKill(fish, 'socket-a', engine.players.get('socket-a'), io, { reward: 2, rewardFp: 2000, killEventId: 'k2', reason: 'hard_pity' });
+
+        const { rewardDistribution } = emitted.find(e => e.event === 'fishKilled').data;
+        expect(rewardDistribution.map(d => [d.playerId, d.reward])).toEqual([[1, 1.525], [2, 0.475]]);
+        expect(engine.getReceipts().find(r => r.type === 'FISH_DEATH').payout_split.reduce((sum, s) => sum + s.reward, 0)).toBeCloseTo(2, 9);
+    });
+
+    test('effect kills pay the trigger killer alone', () => {
+        setup({ finisherPoolPercent: 5 });
+        const fish = placeSardine({ 'socket-a': 6, 'socket-b': 4 });
+
+        engine.handleFishKill(fish, { ownerSocketId: 'socket-b', fundingTier: 5 }, io, { reward: 10, rewardFp: 10000, killEventId: 'k3', reason: 'probability' });
+
+        expect(engine.players.get('socket-a').balance).toBe(1000);
+        expect(engine.players.get('socket-b').balance).toBe(1000 + 10);
+        const { rewardDistribution } = emitted.find(e => e.event === 'fishKilled').data;
+        expect(rewardDistribution.map(d => [d.playerId, d.reward])).toEqual([[2, 10]]);
+    });
+
+    test('batch hits record the weighted share of the shot cost', () => {
+        setup();
+        const fish = placeSardine({});
+        engine._addContribution(fish, 'socket-a', 20, 250000);
+        expect(fish.costByPlayer.get('socket-a')).toBe(5);
+    });
+});
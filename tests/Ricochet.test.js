@@ -0,0 +1,121 @@
+/**
+ * Ricochet Tests
+ *
+ * Verifies wall reflection with bounce limits, that collision checks cover
+ * every reflected segment, weapon eligibility, and that the room's ricochet
+ * rule changes its M6 rules hash.
+ */
+
+const { RICOCHET, resolveRicochet, advanceWithRicochet } = require('../src/modules/Ricochet');
+const { ConfigHashManager } = require('../src/modules/ConfigHash');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+const bounds = { minX: -90, maxX: 90, minZ: -60, maxZ: 60 };
+
+function mockIO(emitted) {
+    return { to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }) };
+}
+
+describe('Ricochet', () => {
+    test('resolves room options', () => {
+        expect(resolveRicochet(true)).toEqual({ maxBounces: RICOCHET.defaultBounces });
+        expect(resolveRicochet(3)).toEqual({ maxBounces: 3 });
+        expect(resolveRicochet(0)).toBeNull();
+        expect(resolveRicochet(RICOCHET.maxBounces + 1)).toBeNull();
+        expect(resolveRicochet('yes')).toBeNull();
+        expect(resolveRicochet(undefined)).toBeNull();
+    });
+
+    test('reflects off a wall and returns both segments', () => {
+        const bullet = { x: 80, z: 0, velocityX: 400, velocityZ: 0, bounces: 0, maxBounces: 2 };
+        const segments = advanceWithRicochet(bullet, 0.05, bounds);
+
+        expect(segments.length).toBe(2);
+        expect(segments[0]).toEqual({ x1: 80, z1: 0, x2: 90, z2: 0 });
+        expect(bullet.x).toBeCloseTo(80, 9);
+        expect(bullet.velocityX).toBe(-400);
+        expect(bullet.bounces).toBe(1);
+    });
+
+    test('stops bouncing once maxBounces is used', () => {
+        const bullet = { x: 80, z: 0, velocityX: 400, velocityZ: 0, bounces: 1, maxBounces: 1 };
+        const segments = advanceWithRicochet(bullet, 0.05, bounds);
+        expect(segments.length).toBe(1);
+        expect(bullet.x).toBeCloseTo(100, 9);
+    });
+
+    test('ignores walls the bullet is entering through', () => {
+        const bullet = { x: -60, z: 70, velocityX: 0, velocityZ: -400, bounces: 0, maxBounces: 2 };
+        advanceWithRicochet(bullet, 0.05, bounds);
+        expect(bullet.z).toBeCloseTo(50, 9);
+        expect(bullet.bounces).toBe(0);
+    });
+});
+
+describe('Fish3DGameEngine ricochet rooms', () => {
+    test('reflected segment hits a fish behind the bounce point', () => {
+        const engine = new Fish3DGameEngine('ricochet-test-room', { ricochet: 2 });
+        engine.addPlayer('socket-a', 1, 'Alice');
+        const emitted = [];
+        const io = mockIO(emitted);
+
+        // Sardine sits on the reflected path, well away from the unreflected line
+        const fish = engine._createFish({ typeName: 'sardine', ...FISH_SPECIES.sardine }, engine._buildPath(75, 25, 76, 25, 0, 'straight'));
+        fish.x = 75;
+        fish.z = 25;
+
+        const bullet = engine.handleShoot('socket-a', 0, 0, io);
+        bullet.x = 80;
+        bullet.z = 0;
+        bullet.velocityX = 400;
+        bullet.velocityZ = 400;
+
+        engine.updateBullets(0.1, io);
+        expect(bullet.bounces).toBe(1);
+        expect(bullet.x).toBeCloseTo(60, 9);
+        expect(engine.lineCircleIntersection(bullet.prevX, bullet.prevZ, bullet.x, bullet.z, fish.x, fish.z, 3.5)).toBe(false);
+        expect(emitted.find(e => e.event === 'bulletRicochet').data).toMatchObject({ bulletId: bullet.bulletId, bounces: 1 });
+
+        engine.checkCollisions(io);
+        expect(emitted.find(e => e.event === 'fishHit').data.fishId).toBe(fish.fishId);
+    });
+
+    test('only eligible weapons bounce', () => {
+        const engine = new Fish3DGameEngine('ricochet-test-room', { ricochet: true });
+        const player = engine.addPlayer('socket-a', 1, 'Alice');
+        const io = mockIO([]);
+
+        player.currentWeapon = '3x';
+        const pellets = engine.handleShoot('socket-a', 0, 0, io);
+        expect(pellets.every(p => p.maxBounces === RICOCHET.defaultBounces)).toBe(true);
+
+        player.currentWeapon = '5x';
+        player.lastShotTime = 0;
+        expect(engine.handleShoot('socket-a', 0, 0, io).maxBounces).toBe(0);
+    });
+
+    test('rooms without ricochet still expire bullets at the wall', () => {
+        const engine = new Fish3DGameEngine('ricochet-test-room', 5);
+        engine.addPlayer('socket-a', 1, 'Alice');
+        const bullet = engine.handleShoot('socket-a', 0, 0, mockIO([]));
+        expect(bullet.maxBounces).toBe(0);
+
+        bullet.x = 95;
+        bullet.velocityX = 400;
+        bullet.velocityZ = 0;
+        engine.updateBullets(1 / 60, null);
+        expect(engine.bullets.has(bullet.bulletId)).toBe(false);
+    });
+
+    test('ricochet is part of the room rules hash', () => {
+        const configHashManager = new ConfigHashManager({ RICOCHET });
+        const plain = new Fish3DGameEngine('ricochet-test-room', { configHashManager });
+        const twoBounce = new Fish3DGameEngine('ricochet-test-room', { configHashManager, ricochet: 2 });
+        const threeBounce = new Fish3DGameEngine('ricochet-test-room', { configHashManager, ricochet: 3 });
+
+        expect(plain.getRulesHash()).toBe(configHashManager.getHash());
+        expect(twoBounce.getRulesHash()).not.toBe(plain.getRulesHash());
+        expect(threeBounce.getRulesHash()).not.toBe(twoBounce.getRulesHash());
+        expect(twoBounce.getSnapshot().ricochet).toEqual({ maxBounces: 2 });
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Seed Rotation Tests
+ *
+ * Verifies scheduled M3 seed rotation on a spawn count or time window, that
+ * unused seeds are kept, that the reveal history is bounded and lets anyone
+ * replay historic HP, and that the engine announces each rotation.
+ */
+
+const {
+    RoomSeedManager, computeCommitment, deriveEffectiveSeed, deriveHPInRange, SEED_HISTORY_LIMIT
+} = require('../src/modules/SeedCommitment');
+const { Fish3DGameEngine } = require('../fish3DGameEngine');
+
+describe('RoomSeedManager scheduled rotation', () => {
+    test('rotates after the configured spawn count; spawn ranges replay', () => {
+        const seeds = new RoomSeedManager('ROT01', { rotateEverySpawns: 3, rotateEveryMs: 0 });
+        const hps = [];
+        for (let i = 0; i < 7; i++) hps.push(seeds.getFishHP('sardine', 20, 30));
+
+        expect(seeds.rotations).toBe(2);
+        expect(seeds.revealedSeeds.map(r => r.spawnRange)).toEqual([[0, 2], [0, 2]]);
+        expect(hps.map(h => h.spawnIndex)).toEqual([0, 1, 2, 0, 1, 2, 0]);
+
+        const [first] = seeds.revealedSeeds;
+        expect(computeCommitment(Buffer.from(first.seed, 'hex'))).toBe(hps[0].commitment);
+        const [entry] = first.clientSeedLog;
+        const effective = deriveEffectiveSeed(Buffer.from(first.seed, 'hex'), entry.clientSeeds, entry.nonce);
+        for (let i = 0; i < 3; i++) {
+            expect(deriveHPInRange(effective, 'sardine', i, 'ROT01', 20, 11)).toBe(hps[i].hp);
+        }
+    });
+
+    test('rotates on the time window, but keeps a seed nobody used', () => {
+        const seeds = new RoomSeedManager('ROT02', { rotateEverySpawns: 0, rotateEveryMs: 1000 });
+        const start = seeds.committedAt;
+        expect(seeds.getNextRotationAt()).toBe(start + 1000);
+        expect(seeds.rotateIfDue(start + 5000)).toBe(false);
+
+        seeds.rollKill(1, 7);
+        expect(seeds.rotateIfDue(start + 999)).toBe(false);
+        expect(seeds.rotateIfDue(start + 1000)).toBe(true);
+        expect(seeds.revealedSeeds[0]).toMatchObject({ committedAt: start, revealedAt: start + 1000, spawnRange: [0, -1] });
+        expect(seeds.committedAt).toBe(start + 1000);
+    });
+
+    test('keeps at most SEED_HISTORY_LIMIT revealed seeds', () => {
+        const seeds = new RoomSeedManager('ROT03', { rotateEverySpawns: 1, rotateEveryMs: 0 });
+        for (let i = 0; i < SEED_HISTORY_LIMIT + 6; i++) seeds.getFishHP('sardine', 20, 30);
+        expect(seeds.rotations).toBe(SEED_HISTORY_LIMIT + 5);
+        expect(seeds.revealedSeeds.length).toBe(SEED_HISTORY_LIMIT);
+        expect(seeds.getInfo()).toMatchObject({ rotations: SEED_HISTORY_LIMIT + 5, revealedSeedCount: SEED_HISTORY_LIMIT });
+    });
+});
+
+describe('Fish3DGameEngine seed rotation', () => {
+    test('announces each rotation and publishes history without the live seed', () => {
+        const events = [];
+        const io = { to: () => ({ emit: (name, data) => events.push({ name, data }) }) };
+        const engine = new Fish3DGameEngine('ROT-ROOM', { seedRotation: { rotateEverySpawns: 2, rotateEveryMs: 0 } });
+        expect(engine.getLatestSeedReveal()).toBeNull();
+
+        for (let i = 0; i < 5; i++) engine.seedManager.getFishHP('sardine', 20, 30);
+        engine._rotateSeedIfDue(io);
+        engine._rotateSeedIfDue(io);
+
+        const rotated = events.filter(e => e.name === 'seedRotated').map(e => e.data);
+        expect(rotated.length).toBe(2);
+        expect(rotated[1]).toMatchObject({ roomId: 'ROT-ROOM', newCommitment: engine.seedManager.getCommitment() });
+        expect(engine.getLatestSeedReveal().seed).toBe(rotated[1].seed);
+
+        const history = engine.getSeedHistory();
+        expect(history.revealedSeeds.map(r => r.seed)).toEqual(rotated.map(r => r.seed));
+        expect(history.rotation).toEqual({ everySpawns: 2, everyMs: 0 });
+        expect(JSON.stringify(history)).not.toContain(engine.seedManager.currentSeed.toString('hex'));
+    });
+});
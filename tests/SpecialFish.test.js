@@ -0,0 +1,150 @@
+/**
+ * Special Fish Tests
+ *
+ * Verifies bomb / chain lightning / freeze effects: target selection,
+ * settlement through RTPPhase1 funded by the trigger kill, and the
+ * SPECIAL_EFFECT receipt written for every triggered effect.
+ */
+
+const { SPECIAL_EFFECTS, selectBombTargets, selectChainTargets } = require('../src/modules/SpecialFish');
+const { TIER_CONFIG, MONEY_SCALE } = require('../src/modules/RTPPhase1');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+function mockIO(emitted) {
+    return { to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }) };
+}
+
+function placeFish(engine, typeName, x, z) {
+    const fishType = { typeName, ...FISH_SPECIES[typeName] };
+    const fish = engine._createFish(fishType, engine._buildPath(x, z, x + 1, z, 0, 'straight'));
+    fish.x = x;
+    fish.z = z;
+    return fish;
+}
+
+function killResult(fish) {
+    const rewardFp = TIER_CONFIG[fish.tier].rewardFp;
+    return { fishId: fish.fishId, kill: true, reason: 'probability', killEventId: `kill-${fish.fishId}`, rewardFp, reward: rewardFp / MONEY_SCALE };
+}
+
+describe('SpecialFish target selection', () => {
+    const fish = (fishId, typeName, x, z, extra = {}) => ({ fishId, typeName, x, z, isAlive: true, isSpecial: false, ...extra });
+
+    test('bomb takes eligible fish inside the radius, nearest first', () => {
+        const list = [
+            fish(1, 'sardine', 20, 0),
+            fish(2, 'sardine', 5, 0),
+            fish(3, 'sardine', 100, 0),
+            fish(4, 'lightningEel', 1, 0, { isSpecial: true }),
+            fish(5, 'sardine', 2, 0, { isAlive: false })
+        ];
+        const targets = selectBombTargets({ x: 0, z: 0 }, list, SPECIAL_EFFECTS.bomb);
+        expect(targets.map(t => t.fish.fishId)).toEqual([2, 1]);
+        expect(targets[0].distance).toBeCloseTo(5, 9);
+    });
+
+    test('chain lightning jumps between fish of the first struck species', () => {
+        const list = [
+            fish(1, 'clownfish', 10, 0),
+            fish(2, 'sardine', 15, 0),
+            fish(3, 'clownfish', 40, 0),
+            fish(4, 'clownfish', 80, 0),
+            fish(5, 'clownfish', 300, 0)
+        ];
+        const chain = selectChainTargets({ x: 0, z: 0 }, list, SPECIAL_EFFECTS.chainLightning);
+        expect(chain.map(t => t.fish.fishId)).toEqual([1, 3, 4]);
+    });
+});
+
+describe('Fish3DGameEngine special effects', () => {
+    let engine;
+    let emitted;
+    let io;
+
+    beforeEach(() => {
+        engine = new Fish3DGameEngine('special-test-room', 31337);
+        engine.addPlayer('socket-a', 1, 'Alice');
+        emitted = [];
+        io = mockIO(emitted);
+    });
+
+    test('bomb settles one AOE batch funded by the trigger reward and writes a receipt', () => {
+        const bomb = placeFish(engine, 'bombFish', 0, 0);
+        const near = [placeFish(engine, 'sardine', 5, 0), placeFish(engine, 'angelfish', 0, 10), placeFish(engine, 'grouper', -12, 3)];
+        placeFish(engine, 'sardine', 80, 40);
+        const startBalance = engine.players.get('socket-a').balance;
+        const trigger = killResult(bomb);
+
+        engine.handleFishKill(bomb, { ownerSocketId: 'socket-a' }, io, trigger);
+
+        const receipt = engine.receiptChain.getReceipts().find(r => r.type === 'SPECIAL_EFFECT');
+        expect(receipt).toMatchObject({ effect_type: 'bomb', source_fish_id: bomb.fishId, settlement_type: 'aoe', funding_fp: trigger.rewardFp });
+        expect(receipt.targets.map(t => t.fish_id).sort()).toEqual(near.map(f => f.fishId).sort());
+        expect(receipt.targets.reduce((sum, t) => sum + t.budget_fp, 0)).toBe(receipt.budget_total_fp);
+        expect(receipt.budget_total_fp).toBeLessThanOrEqual(trigger.rewardFp);
+
+        // Trigger fish itself pays nothing; only effect kills are credited
+        const death = engine.receiptChain.getReceipts().find(r => r.type === 'FISH_DEATH' && r.fish_id === bomb.fishId);
+        expect(death.payout_total).toBe(0);
+        expect(engine.players.get('socket-a').balance - startBalance).toBeCloseTo(receipt.payout_total, 9);
+
+        for (const target of receipt.targets) {
+            if (!target.kill) {
+                expect(engine.rtpEngine.getState('socket-a', target.fish_id).sumCostFp).toBeGreaterThan(0);
+            }
+        }
+        expect(engine.receiptChain.verifyChain().valid).toBe(true);
+    });
+
+    test('chain lightning settles with laser weights along the chain', () => {
+        const eel = placeFish(engine, 'lightningEel', 0, 0);
+        placeFish(engine, 'clownfish', 10, 0);
+        placeFish(engine, 'clownfish', 30, 0);
+        placeFish(engine, 'sardine', 12, 5);
+
+        engine.handleFishKill(eel, { ownerSocketId: 'socket-a' }, io, killResult(eel));
+
+        const receipt = engine.receiptChain.getReceipts().find(r => r.type === 'SPECIAL_EFFECT');
+        expect(receipt.settlement_type).toBe('laser');
+        expect(receipt.targets.map(t => t.fish_type)).toEqual(['clownfish', 'clownfish']);
+        expect(receipt.targets[0].weight_fp).toBeGreaterThan(receipt.targets[1].weight_fp);
+        expect(emitted.find(e => e.event === 'specialEffect').data.effect).toBe('chainLightning');
+    });
+
+    test('effect with no targets pays the trigger reward directly', () => {
+        const bomb = placeFish(engine, 'bombFish', 0, 0);
+        const startBalance = engine.players.get('socket-a').balance;
+        const trigger = killResult(bomb);
+
+        engine.handleFishKill(bomb, { ownerSocketId: 'socket-a' }, io, trigger);
+
+        const receipt = engine.receiptChain.getReceipts().find(r => r.type === 'SPECIAL_EFFECT');
+        expect(receipt.targets).toEqual([]);
+        expect(receipt.payout_total).toBeCloseTo(trigger.reward, 9);
+        expect(engine.players.get('socket-a').balance - startBalance).toBeCloseTo(trigger.reward, 9);
+    });
+
+    test('freeze crab pays normally and stops fish movement', () => {
+        const crab = placeFish(engine, 'freezeCrab', 0, 0);
+        const swimmer = engine.spawnFish();
+        engine.updateFish(1 / 60, io);
+        const before = { x: swimmer.x, z: swimmer.z, pathTime: swimmer.pathTime };
+        const startBalance = engine.players.get('socket-a').balance;
+        const trigger = killResult(crab);
+
+        engine.handleFishKill(crab, { ownerSocketId: 'socket-a' }, io, trigger);
+        expect(engine.players.get('socket-a').balance - startBalance).toBeCloseTo(trigger.reward, 9);
+        expect(engine.frozenUntil).toBeGreaterThan(Date.now());
+
+        for (let i = 0; i < 30; i++) engine.updateFish(1 / 60, io);
+        expect(swimmer).toMatchObject(before);
+        expect(swimmer.velocityX).toBe(0);
+
+        engine.frozenUntil = 0;
+        engine.updateFish(1 / 60, io);
+        expect(swimmer.pathTime).toBeGreaterThan(before.pathTime);
+
+        const receipt = engine.receiptChain.getReceipts().find(r => r.type === 'SPECIAL_EFFECT');
+        expect(receipt).toMatchObject({ effect_type: 'freeze', settlement_type: null, details: { durationMs: SPECIAL_EFFECTS.freeze.durationMs } });
+    });
+});
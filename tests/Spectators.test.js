@@ -0,0 +1,84 @@
+/**
+ * Seat Count & Spectator Tests
+ *
+ * Verifies configurable seat counts, spectator overflow (no cannon, cannot
+ * shoot), FIFO promotion into a freed seat, and layout choice by seat count.
+ */
+
+const { layoutForSeats, MAX_SPECTATORS } = require('../src/modules/TableLayouts');
+const { Fish3DGameEngine } = require('../fish3DGameEngine');
+
+function mockIO(emitted) {
+    return { to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }) };
+}
+
+describe('layoutForSeats', () => {
+    test('keeps the default layout when it has enough seats', () => {
+        expect(layoutForSeats(2)).toBe('classic4');
+        expect(layoutForSeats(4)).toBe('classic4');
+    });
+
+    test('picks the smallest layout that fits larger rooms', () => {
+        expect(layoutForSeats(5)).toBe('oval6');
+        expect(layoutForSeats(6)).toBe('oval6');
+        expect(layoutForSeats(8)).toBe('grand8');
+        expect(layoutForSeats(9)).toBeNull();
+    });
+});
+
+describe('Fish3DGameEngine seats and spectators', () => {
+    test('seat count opens only the first N layout seats', () => {
+        const engine = new Fish3DGameEngine('seat-test-room', { layout: 'grand8', seats: 5 });
+        expect(engine.maxPlayers).toBe(5);
+        expect(engine.CANNON_POSITIONS.length).toBe(5);
+        expect(engine.getLayoutInfo().seats.length).toBe(5);
+
+        const allSeats = new Fish3DGameEngine('seat-test-room', { layout: 'grand8' });
+        expect(allSeats.maxPlayers).toBe(8);
+        expect(new Fish3DGameEngine('seat-test-room', { seats: 9 }).maxPlayers).toBe(4);
+    });
+
+    test('spectators have no cannon and cannot shoot', () => {
+        const engine = new Fish3DGameEngine('seat-test-room', { seats: 1 });
+        engine.addPlayer('socket-a', 1, 'Alice');
+        expect(engine.addPlayer('socket-b', 2, 'Bob')).toBeNull();
+
+        const spectator = engine.addSpectator('socket-b', 2, 'Bob');
+        expect(spectator).toMatchObject({ playerId: 2, playerName: 'Bob' });
+        expect(engine.isSpectator('socket-b')).toBe(true);
+        expect(engine.players.has('socket-b')).toBe(false);
+        expect(engine.addSpectator('socket-a', 1, 'Alice')).toBeNull();
+
+        const emitted = [];
+        expect(engine.handleShoot('socket-b', 0, 0, mockIO(emitted))).toBeNull();
+        expect(emitted).toEqual([]);
+        expect(engine.getSnapshot()).toMatchObject({ playerCount: 1, maxPlayers: 1, spectatorCount: 1 });
+    });
+
+    test('a freed seat is given to the longest-waiting spectator', () => {
+        const engine = new Fish3DGameEngine('seat-test-room', { seats: 2 });
+        engine.addPlayer('socket-a', 1, 'Alice');
+        engine.addPlayer('socket-b', 2, 'Bob');
+        engine.addSpectator('socket-c', 3, 'Cara');
+        engine.addSpectator('socket-d', 4, 'Dan');
+
+        const promoted = engine.removePlayer('socket-a');
+        expect(promoted).toMatchObject({ socketId: 'socket-c', playerId: 3, slotIndex: 0 });
+        expect(engine.players.has('socket-c')).toBe(true);
+        expect(engine.isSpectator('socket-c')).toBe(false);
+        expect(engine.isSpectator('socket-d')).toBe(true);
+
+        // A spectator leaving frees no seat
+        expect(engine.removePlayer('socket-d')).toBeNull();
+        expect(engine.spectators.size).toBe(0);
+        expect(engine.removePlayer('socket-b')).toBeNull();
+    });
+
+    test('spectator list is capped', () => {
+        const engine = new Fish3DGameEngine('seat-test-room', { seats: 1 });
+        for (let i = 0; i < MAX_SPECTATORS; i++) {
+            expect(engine.addSpectator(`spectator-${i}`, i + 2, `S${i}`)).not.toBeNull();
+        }
+        expect(engine.addSpectator('one-too-many', 99, 'Late')).toBeNull();
+    });
+});
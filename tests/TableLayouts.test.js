@@ -0,0 +1,85 @@
+/**
+ * Table Layout Tests
+ *
+ * Verifies bundled layouts, layout validation, and that the engine takes
+ * bounds, cannon seats, player capacity and fish entry edges from its layout.
+ */
+
+const { TABLE_LAYOUTS, validateLayout, listLayouts, describeLayout } = require('../src/modules/TableLayouts');
+const { Fish3DGameEngine } = require('../fish3DGameEngine');
+
+describe('TableLayouts', () => {
+    test('bundled layouts are valid', () => {
+        expect(listLayouts()).toEqual(expect.arrayContaining(['classic4', 'facing2v2', 'oval6', 'portraitMobile']));
+        for (const name of listLayouts()) {
+            expect(validateLayout(TABLE_LAYOUTS[name])).toEqual({ valid: true });
+        }
+    });
+
+    test('rejects bad bounds, seats outside the tank and unknown edges', () => {
+        const result = validateLayout({
+            bounds: { minX: 10, maxX: -10, minZ: -60, maxZ: 60 },
+            seats: [],
+            spawnEdges: ['north']
+        });
+        expect(result.valid).toBe(false);
+        expect(result.errors.length).toBe(3);
+
+        const outside = validateLayout({
+            bounds: { minX: -50, maxX: 50, minZ: -50, maxZ: 50 },
+            seats: [{ x: 0, z: 80, rotation: 0 }],
+            spawnEdges: ['left']
+        });
+        expect(outside.errors).toEqual(['seats[0]: must be inside bounds']);
+    });
+
+    test('describeLayout numbers seats by slot', () => {
+        const info = describeLayout('oval6', TABLE_LAYOUTS.oval6);
+        expect(info.seats.map(s => s.slot)).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(info.bounds).toEqual(TABLE_LAYOUTS.oval6.bounds);
+    });
+});
+
+describe('Fish3DGameEngine layouts', () => {
+    test('default layout keeps the classic 4-seat tank', () => {
+        const engine = new Fish3DGameEngine('layout-test-room', 11);
+        expect(engine.layout.name).toBe('classic4');
+        expect(engine.MAP_BOUNDS).toEqual({ minX: -90, maxX: 90, minZ: -60, maxZ: 60 });
+        expect(engine.CANNON_POSITIONS[0]).toEqual({ x: -60, z: 55, rotation: 0 });
+        expect(engine.maxPlayers).toBe(4);
+    });
+
+    test('6-seat oval seats six players facing the table', () => {
+        const engine = new Fish3DGameEngine('layout-test-room', { layout: 'oval6' });
+        for (let i = 1; i <= 6; i++) {
+            expect(engine.addPlayer(`socket-${i}`, i, `P${i}`)).not.toBeNull();
+        }
+        expect(engine.addPlayer('socket-7', 7, 'P7')).toBeNull();
+
+        const top = engine.players.get('socket-4');
+        expect(top).toMatchObject({ cannonX: 35, cannonZ: -55, cannonYaw: Math.PI });
+        expect(engine.getLayoutInfo().seats.length).toBe(6);
+    });
+
+    test('fish enter only from the layout spawn edges', () => {
+        const engine = new Fish3DGameEngine('layout-test-room', { layout: 'facing2v2' });
+        for (let i = 0; i < 40; i++) {
+            const fish = engine.spawnFish();
+            const outsideX = fish.x < engine.MAP_BOUNDS.minX || fish.x > engine.MAP_BOUNDS.maxX;
+            expect(outsideX).toBe(true);
+        }
+    });
+
+    test('portrait layout uses its own bounds', () => {
+        const engine = new Fish3DGameEngine('layout-test-room', { layout: 'portraitMobile' });
+        expect(engine.MAP_BOUNDS).toEqual(TABLE_LAYOUTS.portraitMobile.bounds);
+        expect(engine.maxPlayers).toBe(2);
+    });
+
+    test('unknown or invalid layouts fall back to the default', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(new Fish3DGameEngine('layout-test-room', { layout: 'nope' }).layout.name).toBe('classic4');
+        expect(new Fish3DGameEngine('layout-test-room', { layout: { seats: [] } }).layout.name).toBe('classic4');
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Wave Timeline Tests
+ *
+ * Verifies timeline validation and phase progression, and that the engine
+ * runs boss, fish tide and formation burst phases from a timeline definition.
+ */
+
+const { WaveTimeline, validateTimeline, loadTimeline, listTimelines } = require('../src/modules/WaveTimeline');
+const { FORMATIONS } = require('../src/modules/FormationSpawner');
+const { Fish3DGameEngine, FISH_SPECIES } = require('../fish3DGameEngine');
+
+const catalog = { species: FISH_SPECIES, formations: FORMATIONS };
+
+function mockIO(emitted) {
+    return { to: () => ({ emit: (event, data) => emitted.push({ event, data }) }) };
+}
+
+describe('WaveTimeline', () => {
+    test('bundled timelines are valid', () => {
+        const names = listTimelines();
+        expect(names).toEqual(expect.arrayContaining(['default', 'tideRush']));
+        for (const name of names) {
+            expect(validateTimeline(loadTimeline(name), catalog)).toEqual({ valid: true });
+        }
+    });
+
+    test('rejects unknown phase types, species and formations', () => {
+        const result = validateTimeline({
+            phases: [
+                { type: 'party', durationMs: 1000 },
+                { type: 'boss', durationMs: 1000, bossTypes: ['sardine'] },
+                { type: 'formationBurst', durationMs: 1000, formations: ['nope'], burstIntervalMs: 500 },
+                { type: 'fishTide', durationMs: 1000, tide: { species: ['blueWhale'], columnIntervalMs: 500, rows: 3 } }
+            ]
+        }, catalog);
+        expect(result.valid).toBe(false);
+        expect(result.errors.length).toBe(4);
+    });
+
+    test('phase completes on duration or kill count and loops', () => {
+        const timeline = new WaveTimeline({
+            phases: [
+                { type: 'normal', durationMs: 1000, endOnKills: 2 },
+                { type: 'intermission', durationMs: 500 }
+            ]
+        });
+        timeline.start(0);
+        expect(timeline.isPhaseComplete(999)).toBe(false);
+        timeline.recordKill();
+        timeline.recordKill();
+        expect(timeline.isPhaseComplete(10)).toBe(true);
+
+        expect(timeline.advance(10).type).toBe('intermission');
+        expect(timeline.isPhaseComplete(510)).toBe(true);
+        expect(timeline.advance(510).type).toBe('normal');
+        expect(timeline.cycle).toBe(1);
+    });
+
+    test('non-looping timeline holds its final phase', () => {
+        const timeline = new WaveTimeline({
+            loop: false,
+            phases: [
+                { type: 'normal', durationMs: 100 },
+                { type: 'intermission', durationMs: 100 }
+            ]
+        });
+        timeline.start(0);
+        timeline.advance(100);
+        expect(timeline.isPhaseComplete(10000)).toBe(false);
+    });
+});
+
+describe('Fish3DGameEngine timeline phases', () => {
+    test('invalid timeline falls back to the default', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const engine = new Fish3DGameEngine('timeline-test-room', { timeline: { phases: [] } });
+        expect(engine.timeline.name).toBe('default');
+        warn.mockRestore();
+    });
+
+    test('boss phase spawns one of the configured boss types', () => {
+        const engine = new Fish3DGameEngine('timeline-test-room', {
+            timeline: { phases: [{ type: 'boss', durationMs: 5000, bossTypes: ['greatWhiteShark'] }] }
+        });
+        const emitted = [];
+        engine._enterPhase(engine.timeline.start(Date.now()), mockIO(emitted));
+
+        expect(engine.bossWaveActive).toBe(true);
+        expect(engine.fish.get(engine.currentBoss).typeName).toBe('greatWhiteShark');
+        expect(emitted.map(e => e.event)).toEqual(['phaseChanged', 'bossWaveStarted', 'bossPhaseChanged']);
+        expect(emitted[1].data.duration).toBe(5000);
+    });
+
+    test('boss phase ends early once the boss is gone', () => {
+        const engine = new Fish3DGameEngine('timeline-test-room', {
+            timeline: {
+                phases: [
+                    { type: 'boss', durationMs: 60000, bossTypes: ['blueWhale'] },
+                    { type: 'intermission', durationMs: 60000 }
+                ]
+            }
+        });
+        const emitted = [];
+        const io = mockIO(emitted);
+        engine._enterPhase(engine.timeline.start(Date.now()), io);
+        engine.fish.delete(engine.currentBoss);
+
+        engine.updateTimeline(io);
+        expect(engine.bossWaveActive).toBe(false);
+        expect(engine.timeline.getCurrentPhase().type).toBe('intermission');
+        expect(emitted.some(e => e.event === 'bossWaveEnded')).toBe(true);
+    });
+
+    test('fish tide flushes existing fish and spawns columns from the chosen edge', () => {
+        const tide = { species: ['sardine', 'anchovy'], edge: 'left', columnIntervalMs: 500, rows: 5, flushSpeedScale: 3 };
+        const engine = new Fish3DGameEngine('timeline-test-room', {
+            timeline: { phases: [{ type: 'fishTide', durationMs: 10000, tide }] }
+        });
+        const resident = engine.spawnFish();
+        const residentSpeed = resident.path.speed;
+
+        engine._enterPhase(engine.timeline.start(Date.now()), null);
+        expect(resident.path).toMatchObject({ pattern: 'straight', dirX: 1, dirZ: 0, startX: resident.x });
+        expect(resident.path.speed).toBeCloseTo(residentSpeed * 3, 9);
+        expect(resident.pathTime).toBe(0);
+
+        const column = engine.spawnTideColumn(tide, 'left', 1);
+        expect(column.length).toBe(5);
+        for (const fish of column) {
+            expect(fish.typeName).toBe('anchovy');
+            expect(fish.x).toBeLessThan(engine.MAP_BOUNDS.minX);
+            expect(fish.path.dirX).toBe(1);
+        }
+        expect(new Set(column.map(f => f.z)).size).toBe(5);
+    });
+
+    test('tide columns respect maxFish', () => {
+        const engine = new Fish3DGameEngine('timeline-test-room', 99);
+        engine.maxFish = 3;
+        const column = engine.spawnTideColumn({ species: ['sardine'], rows: 6 }, 'top', 0);
+        expect(column.length).toBe(3);
+    });
+
+    test('formation burst cycles through the listed formations', () => {
+        const engine = new Fish3DGameEngine('timeline-test-room', {
+            timeline: {
+                phases: [{
+                    type: 'formationBurst', durationMs: 60000,
+                    formations: ['synchronizedFast', 'groupCoordination'], burstIntervalMs: 1000
+                }]
+            }
+        });
+        const phase = engine.timeline.start(0);
+        engine._enterPhase(phase, null);
+        engine.phaseState.lastSpawn = 0;
+        engine._runPhaseSpawns(phase, 1000);
+        engine._runPhaseSpawns(phase, 1500);
+        engine._runPhaseSpawns(phase, 2000);
+
+        const names = new Set([...engine.fish.values()].map(f => f.formation && f.formation.name));
+        expect(names).toEqual(new Set(['synchronizedFast', 'groupCoordination']));
+        expect(engine.phaseState.burstIndex).toBe(2);
+    });
+
+    test('non-boss kills count toward the phase endOnKills', () => {
+        const engine = new Fish3DGameEngine('timeline-test-room', 7);
+        engine.timeline.start(Date.now());
+        engine.timeline.recordKill();
+        expect(engine.getSnapshot().phase.kills).toBe(1);
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Weapon Catalogue Tests
+ *
+ * Verifies the bundled catalogue and its validation, resolver registration,
+ * that the catalogue is part of the M6 config hash, and that the drill, net
+ * and chain archetypes each charge once and settle as one batch.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    WEAPON_RESOLVERS,
+    registerWeaponResolver,
+    validateWeaponCatalogue,
+    loadWeaponCatalogue
+} = require('../src/modules/WeaponCatalogue');
+const { ConfigHashManager } = require('../src/modules/ConfigHash');
+const { Fish3DGameEngine, FISH_SPECIES, WEAPONS } = require('../fish3DGameEngine');
+
+function mockIO(emitted) {
+    return { to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }) };
+}
+
+function placeSardine(engine, x, z) {
+    const fish = engine._createFish({ typeName: 'sardine', ...FISH_SPECIES.sardine }, engine._buildPath(x, z, x + 1, z, 0, 'straight'));
+    fish.x = x;
+    fish.z = z;
+    return fish;
+}
+
+describe('WeaponCatalogue', () => {
+    test('bundled catalogue is valid and extends the original ladder', () => {
+        expect(validateWeaponCatalogue(WEAPONS)).toEqual({ valid: true });
+        expect(Object.keys(WEAPONS)).toEqual(['1x', '3x', '5x', '8x', '10x', '20x', '50x', '100x']);
+        expect(WEAPONS['8x']).toEqual({ multiplier: 8, cost: 8, cooldown: 500, damage: 8, type: 'laser', maxTargets: 6, features: ['penetrating'] });
+        expect(['drill', 'net', 'chain'].every(type => Object.values(WEAPONS).some(w => w.type === type))).toBe(true);
+    });
+
+    test('rejects unknown types, bad costs and over-cap targets', () => {
+        const result = validateWeaponCatalogue({
+            a: { multiplier: 1, cost: 1, cooldown: 200, damage: 1, type: 'railgun', features: [] },
+            b: { multiplier: 3, cost: 4, cooldown: 300, damage: 3, type: 'spread', pellets: 3, pelletCost: 1, features: [] },
+            c: { multiplier: 9, cost: 9, cooldown: 0, damage: 9, type: 'chain', jumpRadius: 40, maxTargets: 7, features: [] }
+        });
+        expect(result.errors).toEqual([
+            'a: unknown weapon type railgun',
+            'b: pellets * pelletCost must equal cost',
+            'c: cooldown must be a positive number',
+            'c: maxTargets must be an integer within [1, 6]'
+        ]);
+        expect(validateWeaponCatalogue({}).valid).toBe(false);
+    });
+
+    test('loading an invalid catalogue file throws', () => {
+        const file = path.join(os.tmpdir(), `weapons-${process.pid}.json`);
+        fs.writeFileSync(file, JSON.stringify({ '1x': { cost: 1 } }));
+        try {
+            expect(() => loadWeaponCatalogue(file)).toThrow(/Invalid weapon catalogue/);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    test('registered resolvers make new types valid', () => {
+        const weapon = { multiplier: 2, cost: 2, cooldown: 250, damage: 2, type: 'testHarpoon', features: [] };
+        expect(validateWeaponCatalogue({ '2x': weapon }).valid).toBe(false);
+
+        registerWeaponResolver('testHarpoon', WEAPON_RESOLVERS.projectile);
+        try {
+            expect(validateWeaponCatalogue({ '2x': weapon })).toEqual({ valid: true });
+        } finally {
+            delete WEAPON_RESOLVERS.testHarpoon;
+        }
+        expect(() => registerWeaponResolver('broken', {})).toThrow();
+    });
+
+    test('catalogue changes change the config hash', () => {
+        const original = new ConfigHashManager({ WEAPONS });
+        const retuned = new ConfigHashManager({ WEAPONS: { ...WEAPONS, '50x': { ...WEAPONS['50x'], netRadius: 25 } } });
+        expect(retuned.getHash()).not.toBe(original.getHash());
+    });
+});
+
+describe('Fish3DGameEngine weapon archetypes', () => {
+    let engine;
+    let player;
+    let emitted;
+    let io;
+    let multiHit;
+
+    beforeEach(() => {
+        engine = new Fish3DGameEngine('weapon-test-room', 21);
+        player = engine.addPlayer('socket-a', 1, 'Alice');
+        emitted = [];
+        io = mockIO(emitted);
+        multiHit = jest.spyOn(engine.rtpEngine, 'handleMultiTargetHit');
+    });
+
+    // Cannon 0 sits at (-60, 55); aim straight up the tank (-Z)
+    function fire(weaponKey) {
+        player.currentWeapon = weaponKey;
+        player.balance = 1000;
+        const bullet = engine.handleShoot('socket-a', -60, 0, io);
+        expect(player.balance).toBe(1000 - WEAPONS[weaponKey].cost);
+        return bullet;
+    }
+
+    test('drill pierces fish in path order and settles once on expiry', () => {
+        const near = placeSardine(engine, -60, 40);
+        const mid = placeSardine(engine, -60, 30);
+        const far = placeSardine(engine, -60, 20);
+
+        const bullet = fire('20x');
+        engine.updateBullets(0.1, io);
+        engine.checkCollisions(io);
+        expect(multiHit).not.toHaveBeenCalled();
+        expect(bullet.pierced.map(e => e.fishId)).toEqual([near.fishId, mid.fishId, far.fishId]);
+
+        // Already-pierced fish are not collected twice
+        engine.checkCollisions(io);
+        expect(bullet.pierced.length).toBe(3);
+
+        bullet.spawnTime = 0;
+        engine.updateBullets(0.01, io);
+        expect(multiHit).toHaveBeenCalledTimes(1);
+        const [, hitList, costFp, weightType] = multiHit.mock.calls[0];
+        expect(hitList.map(h => h.fishId)).toEqual([near.fishId, mid.fishId, far.fishId]);
+        expect(costFp).toBe(20 * 1000);
+        expect(weightType).toBe('penetrating');
+        expect(engine.bullets.has(bullet.bulletId)).toBe(false);
+    });
+
+    test('net captures fish around the first contact as one aoe batch', () => {
+        const hit = placeSardine(engine, -60, 40);
+        const beside = placeSardine(engine, -45, 40);
+        placeSardine(engine, -20, 40);
+
+        const bullet = fire('50x');
+        engine.updateBullets(0.1, io);
+        engine.checkCollisions(io);
+
+        expect(multiHit).toHaveBeenCalledTimes(1);
+        const [, hitList, , weightType] = multiHit.mock.calls[0];
+        expect(hitList.map(h => h.fishId)).toEqual([hit.fishId, beside.fishId]);
+        expect(weightType).toBe('aoe');
+        expect(emitted.find(e => e.event === 'netCast').data).toMatchObject({ bulletId: bullet.bulletId, radius: 20 });
+        expect(emitted.filter(e => e.event === 'fishHit').every(e => e.data.isNet)).toBe(true);
+    });
+
+    test('chain jumps to the nearest unchained fish within range', () => {
+        const first = placeSardine(engine, -60, 40);
+        const second = placeSardine(engine, -30, 40);
+        const third = placeSardine(engine, -30, 10);
+        placeSardine(engine, 60, 40);
+
+        fire('100x');
+        engine.updateBullets(0.05, io);
+        engine.checkCollisions(io);
+
+        expect(multiHit).toHaveBeenCalledTimes(1);
+        const [, hitList, costFp, weightType] = multiHit.mock.calls[0];
+        expect(hitList.map(h => h.fishId)).toEqual([first.fishId, second.fishId, third.fishId]);
+        expect(costFp).toBe(100 * 1000);
+        expect(weightType).toBe('laser');
+        expect(emitted.find(e => e.event === 'chainShot').data.fishIds).toEqual(hitList.map(h => h.fishId));
+    });
+
+    test('higher bet projectile settles a single hit at its own cost', () => {
+        const fish = placeSardine(engine, -60, 40);
+        const singleHit = jest.spyOn(engine.rtpEngine, 'handleSingleTargetHit');
+
+        fire('10x');
+        engine.updateBullets(0.1, io);
+        engine.checkCollisions(io);
+
+        expect(singleHit).toHaveBeenCalledWith('socket-a', fish.fishId, 10 * 1000, fish.tier);
+        expect(multiHit).not.toHaveBeenCalled();
+    });
+});